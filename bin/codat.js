@@ -1,32 +1,50 @@
 #!/usr/bin/env node
 
-const { showWelcomeMessage } = require('../src/lib/welcome');
-showWelcomeMessage('codat');
-
 /**
  * Codat Accounting API CLI
  * Main entry point for the command-line interface
  */
 
-import { program } from 'commander';
+import { Command } from 'commander';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
+import { parseWaitOptions } from '../src/lib/api.js';
+import { setRuntimeOptions, getOutputFormat, getRetryPolicy, checkActiveProfile } from '../src/lib/config.js';
+import { EXIT_CODES } from '../src/lib/exit-codes.js';
+import { fail, outputJsonError } from '../src/lib/output.js';
+import { showWelcomeMessage } from '../src/lib/welcome.js';
 
 // Import command modules
 import { authCommand } from '../src/commands/auth.js';
 import { companiesCommand } from '../src/commands/companies.js';
 import { connectionsCommand } from '../src/commands/connections.js';
 import { accountsCommand } from '../src/commands/accounts.js';
+import { itemsCommand } from '../src/commands/items.js';
 import { invoicesCommand } from '../src/commands/invoices.js';
+import { creditNotesCommand } from '../src/commands/credit-notes.js';
+import { salesOrdersCommand } from '../src/commands/sales-orders.js';
 import { customersCommand } from '../src/commands/customers.js';
+import { purchaseOrdersCommand } from '../src/commands/purchase-orders.js';
 import { billsCommand } from '../src/commands/bills.js';
+import { billCreditNotesCommand } from '../src/commands/bill-credit-notes.js';
 import { suppliersCommand } from '../src/commands/suppliers.js';
 import { paymentsCommand } from '../src/commands/payments.js';
 import { journalsCommand } from '../src/commands/journals.js';
+import { directCostsCommand } from '../src/commands/direct-costs.js';
+import { directIncomesCommand } from '../src/commands/direct-incomes.js';
+import { transfersCommand } from '../src/commands/transfers.js';
 import { reportsCommand } from '../src/commands/reports.js';
 import { bankAccountsCommand } from '../src/commands/bank-accounts.js';
 import { taxRatesCommand } from '../src/commands/tax-rates.js';
+import { pushCommand } from '../src/commands/push.js';
+import { syncCommand } from '../src/commands/sync.js';
+import { webhooksCommand } from '../src/commands/webhooks.js';
+import { mockCommand } from '../src/commands/mock.js';
+import { profileCommand } from '../src/commands/profile.js';
+import { exitCodesCommand } from '../src/commands/exit-codes.js';
+import { completionCommand } from '../src/commands/completion.js';
+import { shellCommand } from '../src/commands/shell.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,27 +54,148 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, '..', 'package.json'), 'utf8')
 );
 
-program
-  .name('codat')
-  .description('CLI for Codat Accounting API - unified accounting data from 20+ platforms')
-  .version(packageJson.version);
-
-// Register commands
-authCommand(program);
-companiesCommand(program);
-connectionsCommand(program);
-accountsCommand(program);
-invoicesCommand(program);
-customersCommand(program);
-billsCommand(program);
-suppliersCommand(program);
-paymentsCommand(program);
-journalsCommand(program);
-reportsCommand(program);
-bankAccountsCommand(program);
-taxRatesCommand(program);
+/**
+ * Commands that may run while the active profile does not exist: those that store settings
+ * (and so create the profile) and those that manage profiles
+ */
+const UNCHECKED_PROFILE_COMMANDS = ['auth login', 'auth set-key', 'auth set-config', 'profile list', 'profile use', 'profile remove'];
+
+/**
+ * Get the path of a subcommand below the root command
+ * @param {Command} command - Command
+ * @returns {string} Command path (e.g., 'auth login')
+ */
+function commandPath(command) {
+  const names = [];
+  for (let current = command; current.parent; current = current.parent) {
+    names.unshift(current.name());
+  }
+  return names.join(' ');
+}
+
+/**
+ * Build the command tree with its global options (also used by `codat shell` for each line it runs)
+ * @returns {Command} Root command
+ */
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('codat')
+    .description('CLI for Codat Accounting API - unified accounting data from 20+ platforms')
+    .version(packageJson.version)
+    .option('--profile <name>', 'Profile to use (overrides CODAT_PROFILE and codat profile use)')
+    .option('--flatten', 'Include every field (flattened) in csv/tsv output')
+    .option('--retries <number>', 'Retry attempts for 429/5xx responses (default from config: 3)')
+    .option('--retry-writes', 'Also retry POST requests on server and network errors')
+    .option('--dry-run', 'Print create, update and delete requests instead of sending them')
+    .option('--record <dir>', 'Save every API request and response to a directory (credentials stripped)')
+    .option('--replay <dir>', 'Answer API requests from a --record directory instead of the network')
+    .option('--verbose', 'Log each API request, response status, timing and request ID to stderr')
+    .option('--debug', 'Like --verbose, plus headers and (truncated) bodies; also set with CODAT_DEBUG=1')
+    .option('--trace-file <path>', 'Append each API request and response to a file as NDJSON (or set CODAT_TRACE_FILE)')
+    .option('--no-validate', 'Skip checking create and update payloads against the connection\'s push options')
+    .option('--json-errors', 'Write errors to stderr as JSON (implied by --format json)')
+    .hook('preAction', (thisCommand, actionCommand) => {
+      // --format json given on the command line (or as the profile default) implies --json-errors;
+      // a command's own built-in default format does not
+      const hasFormat = actionCommand.options.some(o => o.attributeName() === 'format');
+      const source = actionCommand.getOptionValueSource('format');
+      const format = source === 'cli' ? actionCommand.opts().format : (hasFormat && !source ? getOutputFormat() : null);
+
+      setRuntimeOptions({
+        ...program.opts(),
+        jsonErrors: Boolean(program.opts().jsonErrors || format === 'json')
+      });
+
+      // A mistyped --profile or CODAT_PROFILE must not fall back to defaults and another API key
+      if (!UNCHECKED_PROFILE_COMMANDS.includes(commandPath(actionCommand))) {
+        try {
+          checkActiveProfile();
+        } catch (e) {
+          fail(e.message, { hint: 'Create a profile with: codat auth login <apiKey> --profile <name>' });
+        }
+      }
+
+      // A bad --retries (or retries setting) would otherwise retry a failing request forever;
+      // set-config stays usable so that a bad setting can be corrected
+      if (commandPath(actionCommand) !== 'auth set-config') {
+        try {
+          getRetryPolicy();
+        } catch (e) {
+          fail(e.message, { hint: 'Example: --retries 3', exitCode: EXIT_CODES.USAGE });
+        }
+      }
+
+      // Reject a bad --wait-timeout or --poll-interval before anything is sent
+      const { wait, waitTimeout, pollInterval } = actionCommand.opts();
+      if (wait && waitTimeout !== undefined && pollInterval !== undefined) {
+        parseWaitOptions({ timeout: waitTimeout, interval: pollInterval }, {});
+      }
+    })
+    .configureOutput({
+      outputError: (str, write) => {
+        if (!argvRequestsJsonErrors()) {
+          return write(str);
+        }
+        const message = str.trim().replace(/^error: /, '');
+        outputJsonError({ name: 'UsageError', code: 'usage_error', message }, EXIT_CODES.USAGE);
+      }
+    })
+    .exitOverride((err) => {
+      // Help and --version exit 0; every other commander error is a usage error
+      process.exit(err.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE);
+    });
+
+  // Register commands
+  authCommand(program);
+  profileCommand(program);
+  companiesCommand(program);
+  connectionsCommand(program);
+  accountsCommand(program);
+  itemsCommand(program);
+  salesOrdersCommand(program);
+  invoicesCommand(program);
+  creditNotesCommand(program);
+  customersCommand(program);
+  purchaseOrdersCommand(program);
+  billsCommand(program);
+  billCreditNotesCommand(program);
+  suppliersCommand(program);
+  paymentsCommand(program);
+  journalsCommand(program);
+  directCostsCommand(program);
+  directIncomesCommand(program);
+  transfersCommand(program);
+  reportsCommand(program);
+  bankAccountsCommand(program);
+  taxRatesCommand(program);
+  pushCommand(program);
+  syncCommand(program);
+  webhooksCommand(program);
+  mockCommand(program);
+  exitCodesCommand(program);
+  completionCommand(program);
+  shellCommand(program, createProgram);
+
+  return program;
+}
+
+/**
+ * Detect JSON errors before options are parsed (for argument errors)
+ * @returns {boolean} True if --json-errors or --format json was passed
+ */
+function argvRequestsJsonErrors() {
+  const args = process.argv.slice(2);
+  return args.includes('--json-errors') ||
+    args.includes('--format=json') ||
+    args.some((arg, i) => ['-f', '--format'].includes(arg) && args[i + 1] === 'json');
+}
+
+showWelcomeMessage('codat');
 
 // Parse arguments
+const program = createProgram();
 program.parse(process.argv);
 
 // Show help if no arguments provided
@@ -3,8 +3,11 @@
  * Manage chart of accounts data
  */
 
-import { get, post } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
 import chalk from 'chalk';
 
 export function accountsCommand(program) {
@@ -20,20 +23,25 @@ export function accountsCommand(program) {
     .description('List accounts for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get(`/companies/${companyId}/data/accounts`, params);
+      const results = await getResults(`/companies/${companyId}/data/accounts`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -53,7 +61,7 @@ export function accountsCommand(program) {
         { key: 'currency', header: 'Currency' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get account by ID
@@ -62,7 +70,7 @@ export function accountsCommand(program) {
     .description('Get account details')
     .argument('<companyId>', 'Company ID')
     .argument('<accountId>', 'Account ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, accountId, options) => {
       const data = await get(`/companies/${companyId}/data/accounts/${accountId}`);
       formatOutput(data, { format: options.format });
@@ -74,30 +82,36 @@ export function accountsCommand(program) {
     .description('Create a new account')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('-n, --name <name>', 'Account name')
-    .requiredOption('-t, --type <type>', 'Account type (Asset, Liability, Equity, Income, Expense)')
+    .option('-n, --name <name>', 'Account name (required)')
+    .option('-t, --type <type>', 'Account type (Asset, Liability, Equity, Income, Expense; required)')
     .option('-c, --nominal-code <code>', 'Nominal/account code')
-    .option('--currency <currency>', 'Currency code (e.g., USD)', 'USD')
+    .option('--currency <currency>', 'Currency code (default: USD)')
     .option('-d, --description <text>', 'Account description')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        name: options.name,
-        type: options.type,
-        currency: options.currency
-      };
-
-      if (options.nominalCode) payload.nominalCode = options.nominalCode;
-      if (options.description) payload.description = options.description;
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/accounts`,
-        payload,
-        { spinnerText: 'Creating account...' }
-      );
-
-      success('Account created');
-      formatOutput(data, { format: options.format });
+      const payloads = await buildPayloads(options, {
+        fields: {
+          name: options.name,
+          type: options.type,
+          currency: options.currency,
+          nominalCode: options.nominalCode,
+          description: options.description
+        },
+        defaults: { currency: 'USD' },
+        required: [['name', '--name'], ['type', '--type']]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'accounts',
+        label: 'Account',
+        plural: 'accounts',
+        spinnerText: 'Creating account...'
+      });
     });
 
   // List account transactions
@@ -108,20 +122,29 @@ export function accountsCommand(program) {
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Dated on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, connectionId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'date' });
+      if (query) params.query = query;
 
-      const data = await get(
+      const results = await getResults(
         `/companies/${companyId}/connections/${connectionId}/data/accountTransactions`,
-        params
+        params,
+        options
       );
 
       const columns = [
@@ -137,6 +160,6 @@ export function accountsCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 }
@@ -5,15 +5,17 @@
 
 import chalk from 'chalk';
 import {
-  getApiKey,
   setApiKey,
-  clearConfig,
+  clearApiKey,
   getAllConfig,
   getConfigPath,
-  isConfigured
+  setConfigValue,
+  resolveActiveProfile,
+  resolveSetting,
+  PROFILE_KEYS
 } from '../lib/config.js';
-import { validateApiKeyFormat } from '../lib/auth.js';
-import { info, success, error } from '../lib/output.js';
+import { validateApiKeyFormat, maskApiKey } from '../lib/auth.js';
+import { info, success, fail } from '../lib/output.js';
 
 export function authCommand(program) {
   const auth = program
@@ -38,13 +40,11 @@ export function authCommand(program) {
       }
 
       if (!validateApiKeyFormat(apiKey)) {
-        error('Invalid API key format');
-        console.log(chalk.gray('API key should be at least 20 characters long'));
-        process.exit(1);
+        fail('Invalid API key format', { hint: 'API key should be at least 20 characters long' });
       }
 
       setApiKey(apiKey);
-      success('API key saved successfully');
+      success(`API key saved to profile "${resolveActiveProfile().name}"`);
       console.log(chalk.gray(`Config location: ${getConfigPath()}`));
     });
 
@@ -55,12 +55,11 @@ export function authCommand(program) {
     .argument('<apiKey>', 'Your Codat API key')
     .action((apiKey) => {
       if (!validateApiKeyFormat(apiKey)) {
-        error('Invalid API key format');
-        process.exit(1);
+        fail('Invalid API key format');
       }
 
       setApiKey(apiKey);
-      success('API key saved successfully');
+      success(`API key saved to profile "${resolveActiveProfile().name}"`);
     });
 
   // Status command
@@ -71,70 +70,87 @@ export function authCommand(program) {
       console.log(chalk.cyan('\nAuthentication Status'));
       console.log(chalk.gray('─'.repeat(50)));
 
-      const apiKey = getApiKey();
-      const configured = isConfigured();
+      const profile = resolveActiveProfile();
+      const apiKey = resolveSetting('apiKey');
+      const baseUrl = resolveSetting('baseUrl');
 
-      if (configured) {
+      console.log(chalk.gray('  Profile:'), profile.name, chalk.gray(`(${profile.source})`));
+
+      if (apiKey.value) {
         console.log(chalk.green('✓'), 'Authenticated');
-        console.log(chalk.gray('  API Key:'), maskApiKey(apiKey));
-        console.log(chalk.gray('  Source:'), process.env.CODAT_API_KEY ? 'Environment' : 'Config file');
+        console.log(chalk.gray('  API Key:'), maskApiKey(apiKey.value), chalk.gray(`(${apiKey.source})`));
+        console.log(chalk.gray('  Base URL:'), baseUrl.value, chalk.gray(`(${baseUrl.source})`));
         console.log(chalk.gray('  Config:'), getConfigPath());
       } else {
         console.log(chalk.red('✗'), 'Not authenticated');
-        console.log(chalk.yellow('\nPlease run: codat auth login'));
+        console.log(chalk.yellow(`\nPlease run: codat auth login${profile.name === 'default' ? '' : ` --profile ${profile.name}`}`));
       }
     });
 
   // Logout command
   auth
     .command('logout')
-    .description('Remove stored credentials')
+    .description('Remove stored credentials from the active profile')
     .action(() => {
-      if (!isConfigured()) {
-        info('No credentials to remove');
+      const profile = resolveActiveProfile().name;
+
+      if (!resolveSetting('apiKey').source.startsWith('profile')) {
+        info(`No credentials stored in profile "${profile}"`);
         return;
       }
 
-      clearConfig();
-      success('Credentials removed');
+      clearApiKey();
+      success(`Credentials removed from profile "${profile}"`);
       console.log(chalk.gray('You can log in again with: codat auth login'));
     });
 
+  // Set config value command
+  auth
+    .command('set-config')
+    .description('Set a configuration value (e.g., retries, retryBaseDelay, retryMaxDelay, webhookSecret)')
+    .argument('<key>', 'Configuration key')
+    .argument('<value>', 'Configuration value')
+    .action((key, value) => {
+      try {
+        setConfigValue(key, value);
+      } catch (e) {
+        fail(e.message);
+      }
+
+      success(`${key} set to ${value}`);
+    });
+
   // Config command
   auth
     .command('config')
-    .description('Show all configuration settings')
+    .description('Show all configuration settings and where each value came from')
     .action(() => {
       const config = getAllConfig();
+      const profile = resolveActiveProfile();
 
       console.log(chalk.cyan('\nConfiguration'));
       console.log(chalk.gray('─'.repeat(50)));
       console.log(chalk.gray('Location:'), getConfigPath());
-      console.log('\nSettings:');
+      console.log(chalk.gray('Profile:'), profile.name, chalk.gray(`(${profile.source})`));
+
+      console.log('\nProfile settings:');
+      for (const key of PROFILE_KEYS) {
+        const { value, source } = resolveSetting(key);
+        const secret = key === 'apiKey' || key === 'webhookSecret';
+        const display = secret && value ? maskApiKey(value) : (value ?? chalk.gray('—'));
+        console.log(`  ${key}: ${display}`, chalk.gray(`(${source})`));
+      }
+
+      console.log('\nGlobal settings:');
+      const globals = Object.entries(config)
+        .filter(([key]) => !PROFILE_KEYS.includes(key) && !['profiles', 'activeProfile'].includes(key));
 
-      if (Object.keys(config).length === 0) {
+      if (globals.length === 0) {
         console.log(chalk.yellow('  No configuration set'));
       } else {
-        for (const [key, value] of Object.entries(config)) {
-          if (key === 'apiKey') {
-            console.log(`  ${key}: ${maskApiKey(value)}`);
-          } else {
-            console.log(`  ${key}: ${value}`);
-          }
+        for (const [key, value] of globals) {
+          console.log(`  ${key}: ${value}`);
         }
       }
     });
 }
-
-/**
- * Mask API key for display
- * @param {string} apiKey - API key to mask
- * @returns {string} Masked API key
- */
-function maskApiKey(apiKey) {
-  if (!apiKey || apiKey.length < 8) {
-    return '***';
-  }
-  const visible = 4;
-  return apiKey.substring(0, visible) + '***' + apiKey.substring(apiKey.length - visible);
-}
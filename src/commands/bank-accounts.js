@@ -1,12 +1,28 @@
 /**
  * Bank Accounts commands
- * Manage bank accounts and transactions
+ * Manage bank accounts, bank transactions and bank feeds
  */
 
-import { get, post } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, post, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput, fail, info, success, warning } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { runBatch } from '../lib/batch.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
+import {
+  MAX_TRANSACTIONS_PER_PUSH,
+  readBankTransactions,
+  prepareBankTransactions,
+  parseBatchSize,
+  pushBankTransactions
+} from '../lib/bank-feeds.js';
 import chalk from 'chalk';
 
+/**
+ * Account types of a bank feed source account
+ */
+const FEED_ACCOUNT_TYPES = ['Credit', 'Debit'];
+
 export function bankAccountsCommand(program) {
   const bankAccounts = program
     .command('bank-accounts')
@@ -20,18 +36,23 @@ export function bankAccountsCommand(program) {
     .description('List bank accounts for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
 
-      const data = await get(`/companies/${companyId}/data/bankAccounts`, params);
+      const results = await getResults(`/companies/${companyId}/data/bankAccounts`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -47,7 +68,7 @@ export function bankAccountsCommand(program) {
         { key: 'accountType', header: 'Type' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get bank account by ID
@@ -56,7 +77,7 @@ export function bankAccountsCommand(program) {
     .description('Get bank account details')
     .argument('<companyId>', 'Company ID')
     .argument('<accountId>', 'Bank account ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, accountId, options) => {
       const data = await get(`/companies/${companyId}/data/bankAccounts/${accountId}`);
       formatOutput(data, { format: options.format });
@@ -68,30 +89,36 @@ export function bankAccountsCommand(program) {
     .description('Create a new bank account')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('-n, --name <name>', 'Account name')
+    .option('-n, --name <name>', 'Account name (required)')
     .option('--account-number <number>', 'Account number')
     .option('--sort-code <code>', 'Sort code')
-    .option('--currency <currency>', 'Currency code', 'USD')
+    .option('--currency <currency>', 'Currency code (default: USD)')
     .option('--account-type <type>', 'Account type')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        accountName: options.name,
-        currency: options.currency
-      };
-
-      if (options.accountNumber) payload.accountNumber = options.accountNumber;
-      if (options.sortCode) payload.sortCode = options.sortCode;
-      if (options.accountType) payload.accountType = options.accountType;
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/bankAccounts`,
-        payload,
-        { spinnerText: 'Creating bank account...' }
-      );
+      const payloads = await buildPayloads(options, {
+        fields: {
+          accountName: options.name,
+          currency: options.currency,
+          accountNumber: options.accountNumber,
+          sortCode: options.sortCode,
+          accountType: options.accountType
+        },
+        defaults: { currency: 'USD' },
+        required: [['accountName', '--name']]
+      });
 
-      success('Bank account created');
-      formatOutput(data, { format: options.format });
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'bankAccounts',
+        label: 'Bank account',
+        plural: 'bank accounts',
+        spinnerText: 'Creating bank account...'
+      });
     });
 
   // List bank transactions
@@ -103,20 +130,29 @@ export function bankAccountsCommand(program) {
     .argument('<connectionId>', 'Connection ID')
     .argument('<accountId>', 'Bank account ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Dated on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--min-amount <amount>', 'Minimum amount')
+    .option('--max-amount <amount>', 'Maximum amount')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, connectionId, accountId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'date', amount: 'amount' });
+      if (query) params.query = query;
 
-      const data = await get(
+      const results = await getResults(
         `/companies/${companyId}/connections/${connectionId}/data/bankAccounts/${accountId}/bankTransactions`,
-        params
+        params,
+        options
       );
 
       const columns = [
@@ -139,6 +175,149 @@ export function bankAccountsCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Push bank transactions
+  bankAccounts
+    .command('push-transactions')
+    .description('Push bank transactions to an account or bank feed, checking balances and skipping transactions already pushed')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<accountId>', 'Bank account or bank feed account ID')
+    .requiredOption('--from-file <path>', 'Transactions as JSON, NDJSON or YAML ("-" for stdin), or a CSV/TSV file with columns id, date, amount, balance, description, ...')
+    .option('--opening-balance <amount>', 'Balance before the first transaction, for an account without transactions yet')
+    .option('--no-balance-check', 'Do not check that each balance equals the previous balance plus the amount')
+    .option('--batch-size <number>', `Transactions per push (max ${MAX_TRANSACTIONS_PER_PUSH})`, String(MAX_TRANSACTIONS_PER_PUSH))
+    .option('--wait', 'Wait for the push operation to complete (always done between batches)')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, accountId, options) => {
+      const batchSize = parseBatchSize(options.batchSize);
+      let openingBalance;
+      if (options.openingBalance !== undefined) {
+        openingBalance = parseFloat(options.openingBalance);
+        if (isNaN(openingBalance)) {
+          fail(`Invalid opening balance: ${options.openingBalance}`, { hint: 'Use a number, e.g. --opening-balance 1250.00' });
+        }
+      }
+
+      const records = await readBankTransactions(options.fromFile);
+      const { transactions, skipped } = await prepareBankTransactions(companyId, connectionId, accountId, records, {
+        openingBalance,
+        balanceCheck: options.balanceCheck
+      });
+
+      if (skipped.length > 0) {
+        const ids = skipped.slice(0, 5).map(tx => tx.id).join(', ');
+        warning(`Skipping ${skipped.length} transaction${skipped.length === 1 ? '' : 's'} already on the account: ${ids}${skipped.length > 5 ? ', ...' : ''}`);
+      }
+
+      if (transactions.length === 0) {
+        info('Nothing to push: every transaction is already on the account');
+        return;
+      }
+
+      await pushBankTransactions(companyId, connectionId, accountId, transactions, batchSize, options);
+    });
+
+  const feeds = bankAccounts
+    .command('feeds')
+    .alias('feed')
+    .description('Manage bank feed source accounts (accounts in your systems that feed transactions into the ledger)');
+
+  // List bank feed accounts
+  feeds
+    .command('list')
+    .alias('ls')
+    .description('List bank feed source accounts for a connection')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, connectionId, options) => {
+      const data = await get(`/companies/${companyId}/connections/${connectionId}/connectionInfo/bankFeedAccounts`);
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'accountName', header: 'Name' },
+        { key: 'accountType', header: 'Type' },
+        { key: 'accountNumber', header: 'Number' },
+        { key: 'sortCode', header: 'Sort Code' },
+        { key: 'currency', header: 'Currency' },
+        {
+          key: 'balance',
+          header: 'Balance',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        {
+          key: 'status',
+          header: 'Status',
+          formatter: (v) => v === 'connected' ? chalk.green(v) : (v === 'pending' ? chalk.yellow(v) : chalk.white(v ?? '—'))
+        },
+        { key: 'feedStartDate', header: 'Feed Start', formatter: (v) => v ? new Date(v).toLocaleDateString() : '—' }
+      ];
+
+      formatOutput(data, { format: options.format, columns });
+    });
+
+  // Create bank feed account
+  feeds
+    .command('create')
+    .description('Create a bank feed source account')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--id <id>', 'ID of the account in your system (required)')
+    .option('-n, --name <name>', 'Account name (required)')
+    .option('--account-type <type>', 'Account type (Credit, Debit; default: Debit)')
+    .option('--account-number <number>', 'Account number')
+    .option('--sort-code <code>', 'Sort code')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--balance <amount>', 'Current balance')
+    .option('--from-file <path>', fromFileHelp())
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const balance = options.balance !== undefined ? parseFloat(options.balance) : undefined;
+      if (balance !== undefined && isNaN(balance)) {
+        fail(`Invalid balance: ${options.balance}`, { hint: 'Use a number, e.g. --balance 1250.00' });
+      }
+
+      const payloads = await buildPayloads(options, {
+        fields: {
+          id: options.id,
+          accountName: options.name,
+          accountType: options.accountType,
+          accountNumber: options.accountNumber,
+          sortCode: options.sortCode,
+          currency: options.currency,
+          balance
+        },
+        defaults: { accountType: 'Debit', currency: 'USD' },
+        required: [['id', '--id'], ['accountName', '--name']]
+      });
+
+      payloads.forEach((payload, i) => {
+        if (!FEED_ACCOUNT_TYPES.includes(payload.accountType)) {
+          const prefix = payloads.length > 1 ? `Record ${i + 1}: ` : '';
+          fail(`${prefix}Invalid account type: ${payload.accountType}`, { hint: `Use one of: ${FEED_ACCOUNT_TYPES.join(', ')}` });
+        }
+      });
+
+      const endpoint = `/companies/${companyId}/connections/${connectionId}/connectionInfo/bankFeedAccounts`;
+
+      if (payloads.length > 1) {
+        await runBatch(payloads, {
+          method: 'POST',
+          endpoint,
+          label: 'bank feed accounts',
+          describe: (account) => ({ status: 'Created', id: account.id, message: account.accountName })
+        }, options);
+        return;
+      }
+
+      const data = await post(endpoint, payloads[0], { spinnerText: 'Creating bank feed account...' });
+      success(`Bank feed account created: ${data.id}`);
+      formatOutput(data, { format: options.format });
+      info(`Push transactions with: codat bank-accounts push-transactions ${companyId} ${connectionId} ${data.id} --from-file <file>`);
     });
 }
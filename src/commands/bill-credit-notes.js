@@ -0,0 +1,199 @@
+/**
+ * Bill credit notes commands
+ * Manage supplier credit notes (credits against bills)
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
+import { and, condition } from '../lib/query.js';
+import { CREDIT_ALLOCATIONS, allocateCreditNote } from '../lib/credit-notes.js';
+import chalk from 'chalk';
+
+export function billCreditNotesCommand(program) {
+  const billCreditNotes = program
+    .command('bill-credit-notes')
+    .alias('bill-credit-note')
+    .description('Manage bill credit notes (supplier credits)');
+
+  // List bill credit notes
+  billCreditNotes
+    .command('list')
+    .alias('ls')
+    .description('List bill credit notes for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., status=Submitted)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Submitted && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--supplier-id <id>', 'Only this supplier')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('--unallocated', 'Only bill credit notes with remaining credit')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options, { date: 'issueDate' }),
+        options.unallocated && condition('remainingCredit', '>', 0)
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/billCreditNotes`, params, options);
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'billCreditNoteNumber', header: 'Credit Note #' },
+        { key: 'supplierRef.supplierName', header: 'Supplier' },
+        { key: 'issueDate', header: 'Issue Date', formatter: (v) => new Date(v).toLocaleDateString() },
+        {
+          key: 'status',
+          header: 'Status',
+          formatter: (v) => {
+            const colors = {
+              'Paid': chalk.green,
+              'PartiallyPaid': chalk.yellow,
+              'Submitted': chalk.blue,
+              'Draft': chalk.gray,
+              'Void': chalk.red
+            };
+            return (colors[v] || chalk.white)(v);
+          }
+        },
+        {
+          key: 'totalAmount',
+          header: 'Total',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        {
+          key: 'remainingCredit',
+          header: 'Remaining',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        { key: 'currency', header: 'Currency' }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get bill credit note by ID
+  billCreditNotes
+    .command('get')
+    .description('Get bill credit note details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<billCreditNoteId>', 'Bill credit note ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, billCreditNoteId, options) => {
+      const data = await get(`/companies/${companyId}/data/billCreditNotes/${billCreditNoteId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create bill credit note
+  billCreditNotes
+    .command('create')
+    .description('Create a new bill credit note')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--supplier-id <id>', 'Supplier ID (required)')
+    .option('--issue-date <date>', 'Issue date (YYYY-MM-DD, required)')
+    .option('--bill-credit-note-number <number>', 'Bill credit note number')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array')
+    .option('--note <note>', 'Note, e.g. the reason for the credit')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          supplierRef: { id: options.supplierId },
+          issueDate: options.issueDate,
+          currency: options.currency,
+          billCreditNoteNumber: options.billCreditNoteNumber,
+          note: options.note,
+          lineItems: parseJsonOption(options.lineItems, 'line items')
+        },
+        defaults: { currency: 'USD', lineItems: [] },
+        required: [
+          ['supplierRef.id', '--supplier-id'],
+          ['issueDate', '--issue-date']
+        ]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'billCreditNotes',
+        label: 'Bill credit note',
+        plural: 'bill credit notes',
+        spinnerText: 'Creating bill credit note...'
+      });
+    });
+
+  // Update bill credit note
+  billCreditNotes
+    .command('update')
+    .description('Update a bill credit note')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<billCreditNoteId>', 'Bill credit note ID')
+    .option('--status <status>', 'Bill credit note status')
+    .option('--note <note>', 'Note')
+    .option('--data <json>', 'Full bill credit note data as JSON')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, billCreditNoteId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          ...parseJsonOption(options.data, 'bill credit note data'),
+          status: options.status,
+          note: options.note
+        },
+        single: true,
+        emptyMessage: 'No updates specified'
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'billCreditNotes',
+        id: billCreditNoteId,
+        method: 'PUT',
+        label: 'Bill credit note',
+        spinnerText: 'Updating bill credit note...'
+      });
+    });
+
+  // Allocate bill credit note to a bill
+  billCreditNotes
+    .command('allocate')
+    .description('Allocate remaining credit to a bill of the same supplier (pushes a zero-value bill payment)')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<billCreditNoteId>', 'Bill credit note ID')
+    .requiredOption('--bill-id <id>', 'Bill to allocate the credit to')
+    .option('--amount <amount>', 'Amount to allocate (default: the remaining credit, up to the amount due)')
+    .option('--date <date>', 'Allocation date (YYYY-MM-DD, default: today)')
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, billCreditNoteId, options) => {
+      await allocateCreditNote(companyId, connectionId, billCreditNoteId, options.billId, options, CREDIT_ALLOCATIONS.billCreditNotes);
+    });
+}
@@ -3,8 +3,13 @@
  * Manage bills (accounts payable)
  */
 
-import { get, post } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
+import { runImport } from '../lib/import.js';
+import { resolveItemCodes } from '../lib/items.js';
 import chalk from 'chalk';
 
 export function billsCommand(program) {
@@ -20,20 +25,29 @@ export function billsCommand(program) {
     .description('List bills for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--supplier-id <id>', 'Only this supplier')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'issueDate' });
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get(`/companies/${companyId}/data/bills`, params);
+      const results = await getResults(`/companies/${companyId}/data/bills`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -63,7 +77,7 @@ export function billsCommand(program) {
         { key: 'currency', header: 'Currency' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get bill by ID
@@ -72,7 +86,7 @@ export function billsCommand(program) {
     .description('Get bill details')
     .argument('<companyId>', 'Company ID')
     .argument('<billId>', 'Bill ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, billId, options) => {
       const data = await get(`/companies/${companyId}/data/bills/${billId}`);
       formatOutput(data, { format: options.format });
@@ -84,41 +98,70 @@ export function billsCommand(program) {
     .description('Create a new bill')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('--supplier-id <id>', 'Supplier ID')
-    .requiredOption('--issue-date <date>', 'Issue date (YYYY-MM-DD)')
-    .requiredOption('--due-date <date>', 'Due date (YYYY-MM-DD)')
+    .option('--supplier-id <id>', 'Supplier ID (required)')
+    .option('--issue-date <date>', 'Issue date (YYYY-MM-DD, required)')
+    .option('--due-date <date>', 'Due date (YYYY-MM-DD, required)')
     .option('--reference <reference>', 'Bill reference/number')
-    .option('--currency <currency>', 'Currency code', 'USD')
-    .option('--line-items <json>', 'Line items as JSON array')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array (lines may give an itemCode instead of prices and accounts)')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        supplierRef: { id: options.supplierId },
-        issueDate: options.issueDate,
-        dueDate: options.dueDate,
-        currency: options.currency,
-        lineItems: []
-      };
-
-      if (options.reference) payload.reference = options.reference;
-
-      if (options.lineItems) {
-        try {
-          payload.lineItems = JSON.parse(options.lineItems);
-        } catch (e) {
-          console.error(chalk.red('Error: Invalid JSON for line items'));
-          process.exit(1);
-        }
-      }
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/bills`,
-        payload,
-        { spinnerText: 'Creating bill...' }
-      );
+      const payloads = await buildPayloads(options, {
+        fields: {
+          supplierRef: { id: options.supplierId },
+          issueDate: options.issueDate,
+          dueDate: options.dueDate,
+          currency: options.currency,
+          reference: options.reference,
+          lineItems: parseJsonOption(options.lineItems, 'line items')
+        },
+        defaults: { currency: 'USD', lineItems: [] },
+        required: [
+          ['supplierRef.id', '--supplier-id'],
+          ['issueDate', '--issue-date'],
+          ['dueDate', '--due-date']
+        ]
+      });
+
+      await resolveItemCodes(companyId, payloads, 'bills');
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'bills',
+        label: 'Bill',
+        plural: 'bills',
+        spinnerText: 'Creating bill...'
+      });
+    });
 
-      success('Bill created');
-      formatOutput(data, { format: options.format });
+  // Import bills from CSV
+  bills
+    .command('import')
+    .description('Create bills from a CSV file, one row per line item grouped by bill reference')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<file>', 'CSV file')
+    .requiredOption('-m, --mapping <path>', 'Mapping file (JSON or YAML) from Codat fields to CSV columns')
+    .option('--results <path>', 'Where to write the results CSV (default: <file>.results.csv)')
+    .option('--concurrency <number>', 'Pushes in flight at once', '4')
+    .option('--delimiter <char>', 'CSV field delimiter (use \\t for tabs)', ',')
+    .option('--wait', 'Wait for each push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait per push', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, connectionId, file, options) => {
+      await runImport(companyId, connectionId, file, options, {
+        dataType: 'bills',
+        plural: 'bills',
+        documentNumberField: 'reference',
+        contact: { ref: 'supplierRef', dataType: 'suppliers', nameField: 'supplierName', label: 'supplier' },
+        required: ['issueDate', 'dueDate'],
+        defaults: { currency: 'USD' }
+      });
     });
 
   // List bill payments
@@ -127,15 +170,27 @@ export function billsCommand(program) {
     .description('List bill payments')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Paid on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--supplier-id <id>', 'Only this supplier')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      const data = await get(`/companies/${companyId}/data/billPayments`, params);
+      const query = queryFromOptions(options, { date: 'date' });
+      if (query) params.query = query;
+
+      const results = await getResults(`/companies/${companyId}/data/billPayments`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -149,6 +204,6 @@ export function billsCommand(program) {
         { key: 'currency', header: 'Currency' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 }
@@ -3,8 +3,12 @@
  * Manage companies (customer records) in Codat
  */
 
-import { get, post, put, del } from '../lib/api.js';
+import { get, post, put, del, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
 import { formatOutput, success } from '../lib/output.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
+import { runBatch } from '../lib/batch.js';
+import { rememberCompanies } from '../lib/completion.js';
 
 export function companiesCommand(program) {
   const companies = program
@@ -18,20 +22,25 @@ export function companiesCommand(program) {
     .alias('ls')
     .description('List all companies')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get('/companies', params);
+      const results = await getResults('/companies', params, options);
+      rememberCompanies(results);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -41,7 +50,7 @@ export function companiesCommand(program) {
         { key: 'created', header: 'Created', formatter: (v) => v ? new Date(v).toLocaleDateString() : '—' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get company by ID
@@ -49,7 +58,7 @@ export function companiesCommand(program) {
     .command('get')
     .description('Get company details')
     .argument('<companyId>', 'Company ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, options) => {
       const data = await get(`/companies/${companyId}`);
       formatOutput(data, { format: options.format });
@@ -59,14 +68,27 @@ export function companiesCommand(program) {
   companies
     .command('create')
     .description('Create a new company')
-    .argument('<name>', 'Company name')
+    .argument('[name]', 'Company name (required unless given in --from-file)')
     .option('-d, --description <text>', 'Company description')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (name, options) => {
-      const payload = { name };
-      if (options.description) payload.description = options.description;
+      const payloads = await buildPayloads(options, {
+        fields: { name, description: options.description },
+        required: [['name', 'the <name> argument']]
+      });
+
+      if (payloads.length > 1) {
+        await runBatch(payloads, {
+          method: 'POST',
+          endpoint: '/companies',
+          label: 'companies',
+          describe: (company) => ({ status: 'Created', id: company.id, message: company.name })
+        }, options);
+        return;
+      }
 
-      const data = await post('/companies', payload, {
+      const data = await post('/companies', payloads[0], {
         spinnerText: 'Creating company...'
       });
 
@@ -81,16 +103,14 @@ export function companiesCommand(program) {
     .argument('<companyId>', 'Company ID')
     .option('-n, --name <name>', 'Company name')
     .option('-d, --description <text>', 'Company description')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, options) => {
-      const payload = {};
-      if (options.name) payload.name = options.name;
-      if (options.description) payload.description = options.description;
-
-      if (Object.keys(payload).length === 0) {
-        console.error('Error: No fields to update');
-        process.exit(1);
-      }
+      const [payload] = await buildPayloads(options, {
+        fields: { name: options.name, description: options.description },
+        single: true,
+        emptyMessage: 'No fields to update'
+      });
 
       const data = await put(`/companies/${companyId}`, payload, {
         spinnerText: 'Updating company...'
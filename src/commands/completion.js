@@ -0,0 +1,46 @@
+/**
+ * Completion commands
+ * Print shell completion scripts and answer completion requests from them
+ */
+
+import { fail } from '../lib/output.js';
+import { COMPLETION_SHELLS, complete, completionScript } from '../lib/completion.js';
+
+/**
+ * Installation instructions shown in `codat completion --help`
+ */
+const INSTALL_HELP = `
+Install:
+  bash  echo 'source <(codat completion bash)' >> ~/.bashrc
+  zsh   echo 'source <(codat completion zsh)' >> ~/.zshrc
+  fish  codat completion fish > ~/.config/fish/completions/codat.fish
+
+Company and connection IDs are suggested from the last 30 minutes of
+\`codat companies list\` and \`codat connections list\` output.`;
+
+export function completionCommand(program) {
+  // Print a completion script
+  program
+    .command('completion')
+    .description('Print a shell completion script (bash, zsh, fish)')
+    .argument('<shell>', `Shell (${COMPLETION_SHELLS.join(', ')})`)
+    .addHelpText('after', INSTALL_HELP)
+    .action((shell) => {
+      if (!COMPLETION_SHELLS.includes(shell)) {
+        fail(`Unsupported shell: ${shell}`, { hint: `Use one of: ${COMPLETION_SHELLS.join(', ')}` });
+      }
+
+      process.stdout.write(completionScript(shell, program.name()));
+    });
+
+  // Called by the completion scripts: codat __complete -- <words...>
+  program
+    .command('__complete', { hidden: true })
+    .description('Print completion candidates for a command line')
+    .argument('[words...]', 'Words after the program name, the last being the word to complete')
+    .action((words) => {
+      for (const candidate of complete(program, words.length > 0 ? words : [''])) {
+        console.log(candidate.description ? `${candidate.value}\t${candidate.description}` : candidate.value);
+      }
+    });
+}
@@ -3,8 +3,10 @@
  * Manage data connections between companies and accounting platforms
  */
 
-import { get, post, del } from '../lib/api.js';
+import { get, post, del, getResults } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
 import { formatOutput, success } from '../lib/output.js';
+import { rememberConnections } from '../lib/completion.js';
 import chalk from 'chalk';
 
 export function connectionsCommand(program) {
@@ -20,15 +22,18 @@ export function connectionsCommand(program) {
     .description('List connections for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      const data = await get(`/companies/${companyId}/connections`, params);
+      const results = await getResults(`/companies/${companyId}/connections`, params, options);
+      rememberConnections(companyId, results);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -52,7 +57,7 @@ export function connectionsCommand(program) {
         { key: 'created', header: 'Created', formatter: (v) => new Date(v).toLocaleDateString() }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get connection details
@@ -61,7 +66,7 @@ export function connectionsCommand(program) {
     .description('Get connection details')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
       const data = await get(`/companies/${companyId}/connections/${connectionId}`);
       formatOutput(data, { format: options.format });
@@ -73,7 +78,7 @@ export function connectionsCommand(program) {
     .description('Create a new connection')
     .argument('<companyId>', 'Company ID')
     .option('-p, --platform-key <key>', 'Platform key (e.g., gbol for QuickBooks)', 'gbol')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, options) => {
       const data = await post(`/companies/${companyId}/connections`, {
         platformKey: options.platformKey
@@ -0,0 +1,199 @@
+/**
+ * Credit notes commands
+ * Manage customer credit notes (refunds and credits against invoices)
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
+import { and, condition } from '../lib/query.js';
+import { CREDIT_ALLOCATIONS, allocateCreditNote } from '../lib/credit-notes.js';
+import chalk from 'chalk';
+
+export function creditNotesCommand(program) {
+  const creditNotes = program
+    .command('credit-notes')
+    .alias('credit-note')
+    .description('Manage credit notes (customer credits and refunds)');
+
+  // List credit notes
+  creditNotes
+    .command('list')
+    .alias('ls')
+    .description('List credit notes for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., status=Submitted)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Submitted && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--customer-id <id>', 'Only this customer')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('--unallocated', 'Only credit notes with remaining credit')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options, { date: 'issueDate' }),
+        options.unallocated && condition('remainingCredit', '>', 0)
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/creditNotes`, params, options);
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'creditNoteNumber', header: 'Credit Note #' },
+        { key: 'customerRef.companyName', header: 'Customer' },
+        { key: 'issueDate', header: 'Issue Date', formatter: (v) => new Date(v).toLocaleDateString() },
+        {
+          key: 'status',
+          header: 'Status',
+          formatter: (v) => {
+            const colors = {
+              'Paid': chalk.green,
+              'PartiallyPaid': chalk.yellow,
+              'Submitted': chalk.blue,
+              'Draft': chalk.gray,
+              'Void': chalk.red
+            };
+            return (colors[v] || chalk.white)(v);
+          }
+        },
+        {
+          key: 'totalAmount',
+          header: 'Total',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        {
+          key: 'remainingCredit',
+          header: 'Remaining',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        { key: 'currency', header: 'Currency' }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get credit note by ID
+  creditNotes
+    .command('get')
+    .description('Get credit note details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<creditNoteId>', 'Credit note ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, creditNoteId, options) => {
+      const data = await get(`/companies/${companyId}/data/creditNotes/${creditNoteId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create credit note
+  creditNotes
+    .command('create')
+    .description('Create a new credit note')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--customer-id <id>', 'Customer ID (required)')
+    .option('--issue-date <date>', 'Issue date (YYYY-MM-DD, required)')
+    .option('--credit-note-number <number>', 'Credit note number')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array')
+    .option('--note <note>', 'Note, e.g. the reason for the credit')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          customerRef: { id: options.customerId },
+          issueDate: options.issueDate,
+          currency: options.currency,
+          creditNoteNumber: options.creditNoteNumber,
+          note: options.note,
+          lineItems: parseJsonOption(options.lineItems, 'line items')
+        },
+        defaults: { currency: 'USD', lineItems: [] },
+        required: [
+          ['customerRef.id', '--customer-id'],
+          ['issueDate', '--issue-date']
+        ]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'creditNotes',
+        label: 'Credit note',
+        plural: 'credit notes',
+        spinnerText: 'Creating credit note...'
+      });
+    });
+
+  // Update credit note
+  creditNotes
+    .command('update')
+    .description('Update a credit note')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<creditNoteId>', 'Credit note ID')
+    .option('--status <status>', 'Credit note status')
+    .option('--note <note>', 'Note')
+    .option('--data <json>', 'Full credit note data as JSON')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, creditNoteId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          ...parseJsonOption(options.data, 'credit note data'),
+          status: options.status,
+          note: options.note
+        },
+        single: true,
+        emptyMessage: 'No updates specified'
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'creditNotes',
+        id: creditNoteId,
+        method: 'PUT',
+        label: 'Credit note',
+        spinnerText: 'Updating credit note...'
+      });
+    });
+
+  // Allocate credit note to an invoice
+  creditNotes
+    .command('allocate')
+    .description('Allocate remaining credit to an invoice of the same customer (pushes a zero-value payment)')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<creditNoteId>', 'Credit note ID')
+    .requiredOption('--invoice-id <id>', 'Invoice to allocate the credit to')
+    .option('--amount <amount>', 'Amount to allocate (default: the remaining credit, up to the amount due)')
+    .option('--date <date>', 'Allocation date (YYYY-MM-DD, default: today)')
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, creditNoteId, options) => {
+      await allocateCreditNote(companyId, connectionId, creditNoteId, options.invoiceId, options, CREDIT_ALLOCATIONS.creditNotes);
+    });
+}
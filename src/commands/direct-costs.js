@@ -0,0 +1,112 @@
+/**
+ * Direct costs commands
+ * Manage spend paid straight from a bank or card account, without a bill
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize, getOutputFormat } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { fromFileHelp } from '../lib/input.js';
+import { and, condition } from '../lib/query.js';
+import { DIRECT_TRANSACTIONS, buildDirectPayloads, contactNames, directColumns } from '../lib/direct-transactions.js';
+
+export function directCostsCommand(program) {
+  const kind = DIRECT_TRANSACTIONS.directCosts;
+  const directCosts = program
+    .command('direct-costs')
+    .alias('direct-cost')
+    .description('Manage direct costs (card and cash spend without a bill)');
+
+  // List direct costs
+  directCosts
+    .command('list')
+    .alias('ls')
+    .description('List direct costs for a connection')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "totalAmount>=100 && currency=USD")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--contact-id <id>', 'Only this supplier or customer')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, connectionId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options, { date: 'issueDate' }),
+        options.contactId && condition('contactRef.id', '=', options.contactId)
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/connections/${connectionId}/data/directCosts`, params, options);
+
+      const format = options.format || getOutputFormat();
+      const names = ['json', 'compact'].includes(format)
+        ? new Map()
+        : await contactNames(companyId, results, kind.defaultContactType);
+
+      formatOutput(results, { format: options.format, columns: directColumns(kind, names) });
+    });
+
+  // Get direct cost by ID
+  directCosts
+    .command('get')
+    .description('Get direct cost details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<directCostId>', 'Direct cost ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, directCostId, options) => {
+      const data = await get(`/companies/${companyId}/connections/${connectionId}/data/directCosts/${directCostId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create direct cost
+  directCosts
+    .command('create')
+    .description('Record a direct cost paid from a bank or card account')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--issue-date <date>', 'Date of the spend (YYYY-MM-DD, required)')
+    .option('--paid-from <accountId>', 'Bank or card account the cost was paid from (required)')
+    .option('--contact-id <id>', 'Supplier (or customer) paid')
+    .option('--contact-type <type>', 'Contact data type (suppliers, customers)', 'suppliers')
+    .option('--reference <reference>', 'Reference, e.g. the receipt number')
+    .option('--note <note>', 'Note')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array')
+    .option('--amount <amount>', 'Net amount of a single line (instead of --line-items)')
+    .option('--tax-amount <amount>', 'Tax amount of the single line')
+    .option('--account-id <id>', 'Expense account of the single line')
+    .option('--tax-rate-id <id>', 'Tax rate of the single line')
+    .option('--description <text>', 'Description of the single line')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildDirectPayloads(options, kind);
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: kind.dataType,
+        label: kind.label,
+        plural: kind.plural,
+        spinnerText: 'Creating direct cost...'
+      });
+    });
+}
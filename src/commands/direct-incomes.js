@@ -0,0 +1,112 @@
+/**
+ * Direct incomes commands
+ * Manage income received straight into a bank account, without an invoice
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize, getOutputFormat } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { fromFileHelp } from '../lib/input.js';
+import { and, condition } from '../lib/query.js';
+import { DIRECT_TRANSACTIONS, buildDirectPayloads, contactNames, directColumns } from '../lib/direct-transactions.js';
+
+export function directIncomesCommand(program) {
+  const kind = DIRECT_TRANSACTIONS.directIncomes;
+  const directIncomes = program
+    .command('direct-incomes')
+    .alias('direct-income')
+    .description('Manage direct incomes (cash and card sales without an invoice)');
+
+  // List direct incomes
+  directIncomes
+    .command('list')
+    .alias('ls')
+    .description('List direct incomes for a connection')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "totalAmount>=100 && currency=USD")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--contact-id <id>', 'Only this customer or supplier')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, connectionId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options, { date: 'issueDate' }),
+        options.contactId && condition('contactRef.id', '=', options.contactId)
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/connections/${connectionId}/data/directIncomes`, params, options);
+
+      const format = options.format || getOutputFormat();
+      const names = ['json', 'compact'].includes(format)
+        ? new Map()
+        : await contactNames(companyId, results, kind.defaultContactType);
+
+      formatOutput(results, { format: options.format, columns: directColumns(kind, names) });
+    });
+
+  // Get direct income by ID
+  directIncomes
+    .command('get')
+    .description('Get direct income details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<directIncomeId>', 'Direct income ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, directIncomeId, options) => {
+      const data = await get(`/companies/${companyId}/connections/${connectionId}/data/directIncomes/${directIncomeId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create direct income
+  directIncomes
+    .command('create')
+    .description('Record a direct income deposited to a bank account')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--issue-date <date>', 'Date of the sale (YYYY-MM-DD, required)')
+    .option('--deposited-to <accountId>', 'Bank account the income was deposited to (required)')
+    .option('--contact-id <id>', 'Customer (or supplier) that paid')
+    .option('--contact-type <type>', 'Contact data type (customers, suppliers)', 'customers')
+    .option('--reference <reference>', 'Reference, e.g. the receipt or till number')
+    .option('--note <note>', 'Note')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array')
+    .option('--amount <amount>', 'Net amount of a single line (instead of --line-items)')
+    .option('--tax-amount <amount>', 'Tax amount of the single line')
+    .option('--account-id <id>', 'Income account of the single line')
+    .option('--tax-rate-id <id>', 'Tax rate of the single line')
+    .option('--description <text>', 'Description of the single line')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildDirectPayloads(options, kind);
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: kind.dataType,
+        label: kind.label,
+        plural: kind.plural,
+        spinnerText: 'Creating direct income...'
+      });
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * Exit codes reference
+ * Documents exit codes and the --json-errors format (codat help exit-codes)
+ */
+
+import { EXIT_CODE_DESCRIPTIONS } from '../lib/exit-codes.js';
+import { formatOutput } from '../lib/output.js';
+
+/**
+ * Build the plain-text exit code reference
+ * @returns {string} Reference text
+ */
+function exitCodesHelp() {
+  const rows = EXIT_CODE_DESCRIPTIONS
+    .map(({ code, name, description }) => `  ${String(code).padEnd(4)}${name.padEnd(18)}${description}`)
+    .join('\n');
+
+  return `
+Exit codes:
+${rows}
+
+Machine-readable errors:
+  With --json-errors (implied by --format json) failures are written to stderr
+  as a single JSON line instead of colored text:
+
+  {"error":{"name":"CodatNotFoundError","status":404,"code":"not_found",
+    "message":"Resource not found","details":null,"requestId":"...",
+    "method":"GET","endpoint":"/companies/...","exitCode":4}}
+
+  "details" carries validation errors returned by Codat when present.`;
+}
+
+export function exitCodesCommand(program) {
+  program
+    .command('exit-codes')
+    .description('Show exit codes and the JSON error format')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .addHelpText('after', exitCodesHelp())
+    .action((options) => {
+      if (!options.format || options.format === 'table') {
+        console.log(exitCodesHelp().trimStart());
+        return;
+      }
+
+      formatOutput(EXIT_CODE_DESCRIPTIONS, {
+        format: options.format,
+        columns: [
+          { key: 'code', header: 'Code' },
+          { key: 'name', header: 'Name' },
+          { key: 'description', header: 'Description' }
+        ]
+      });
+    });
+}
@@ -3,8 +3,13 @@
  * Manage sales invoices
  */
 
-import { get, post, put } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
+import { runImport } from '../lib/import.js';
+import { resolveItemCodes } from '../lib/items.js';
 import chalk from 'chalk';
 
 export function invoicesCommand(program) {
@@ -20,20 +25,29 @@ export function invoicesCommand(program) {
     .description('List invoices for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query (e.g., status=Paid)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--customer-id <id>', 'Only this customer')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'issueDate' });
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get(`/companies/${companyId}/data/invoices`, params);
+      const results = await getResults(`/companies/${companyId}/data/invoices`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -63,7 +77,7 @@ export function invoicesCommand(program) {
         { key: 'currency', header: 'Currency' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get invoice by ID
@@ -72,7 +86,7 @@ export function invoicesCommand(program) {
     .description('Get invoice details')
     .argument('<companyId>', 'Company ID')
     .argument('<invoiceId>', 'Invoice ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, invoiceId, options) => {
       const data = await get(`/companies/${companyId}/data/invoices/${invoiceId}`);
       formatOutput(data, { format: options.format });
@@ -84,41 +98,44 @@ export function invoicesCommand(program) {
     .description('Create a new invoice')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('--customer-id <id>', 'Customer ID')
-    .requiredOption('--issue-date <date>', 'Issue date (YYYY-MM-DD)')
-    .requiredOption('--due-date <date>', 'Due date (YYYY-MM-DD)')
+    .option('--customer-id <id>', 'Customer ID (required)')
+    .option('--issue-date <date>', 'Issue date (YYYY-MM-DD, required)')
+    .option('--due-date <date>', 'Due date (YYYY-MM-DD, required)')
     .option('--invoice-number <number>', 'Invoice number')
-    .option('--currency <currency>', 'Currency code', 'USD')
-    .option('--line-items <json>', 'Line items as JSON array')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array (lines may give an itemCode instead of prices and accounts)')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        customerRef: { id: options.customerId },
-        issueDate: options.issueDate,
-        dueDate: options.dueDate,
-        currency: options.currency,
-        lineItems: []
-      };
-
-      if (options.invoiceNumber) payload.invoiceNumber = options.invoiceNumber;
-
-      if (options.lineItems) {
-        try {
-          payload.lineItems = JSON.parse(options.lineItems);
-        } catch (e) {
-          console.error(chalk.red('Error: Invalid JSON for line items'));
-          process.exit(1);
-        }
-      }
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/invoices`,
-        payload,
-        { spinnerText: 'Creating invoice...' }
-      );
-
-      success('Invoice created');
-      formatOutput(data, { format: options.format });
+      const payloads = await buildPayloads(options, {
+        fields: {
+          customerRef: { id: options.customerId },
+          issueDate: options.issueDate,
+          dueDate: options.dueDate,
+          currency: options.currency,
+          invoiceNumber: options.invoiceNumber,
+          lineItems: parseJsonOption(options.lineItems, 'line items')
+        },
+        defaults: { currency: 'USD', lineItems: [] },
+        required: [
+          ['customerRef.id', '--customer-id'],
+          ['issueDate', '--issue-date'],
+          ['dueDate', '--due-date']
+        ]
+      });
+
+      await resolveItemCodes(companyId, payloads, 'invoices');
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'invoices',
+        label: 'Invoice',
+        plural: 'invoices',
+        spinnerText: 'Creating invoice...'
+      });
     });
 
   // Update invoice
@@ -130,32 +147,55 @@ export function invoicesCommand(program) {
     .argument('<invoiceId>', 'Invoice ID')
     .option('--status <status>', 'Invoice status')
     .option('--data <json>', 'Full invoice data as JSON')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, invoiceId, options) => {
-      let payload = {};
-
-      if (options.data) {
-        try {
-          payload = JSON.parse(options.data);
-        } catch (e) {
-          console.error(chalk.red('Error: Invalid JSON data'));
-          process.exit(1);
-        }
-      } else if (options.status) {
-        payload.status = options.status;
-      } else {
-        console.error(chalk.red('Error: No updates specified'));
-        process.exit(1);
-      }
-
-      const data = await put(
-        `/companies/${companyId}/connections/${connectionId}/push/invoices/${invoiceId}`,
-        payload,
-        { spinnerText: 'Updating invoice...' }
-      );
+      const payloads = await buildPayloads(options, {
+        fields: {
+          ...parseJsonOption(options.data, 'invoice data'),
+          status: options.status
+        },
+        single: true,
+        emptyMessage: 'No updates specified'
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'invoices',
+        id: invoiceId,
+        method: 'PUT',
+        label: 'Invoice',
+        spinnerText: 'Updating invoice...'
+      });
+    });
 
-      success('Invoice updated');
-      formatOutput(data, { format: options.format });
+  // Import invoices from CSV
+  invoices
+    .command('import')
+    .description('Create invoices from a CSV file, one row per line item grouped by invoice number')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<file>', 'CSV file')
+    .requiredOption('-m, --mapping <path>', 'Mapping file (JSON or YAML) from Codat fields to CSV columns')
+    .option('--results <path>', 'Where to write the results CSV (default: <file>.results.csv)')
+    .option('--concurrency <number>', 'Pushes in flight at once', '4')
+    .option('--delimiter <char>', 'CSV field delimiter (use \\t for tabs)', ',')
+    .option('--wait', 'Wait for each push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait per push', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, connectionId, file, options) => {
+      await runImport(companyId, connectionId, file, options, {
+        dataType: 'invoices',
+        plural: 'invoices',
+        documentNumberField: 'invoiceNumber',
+        contact: { ref: 'customerRef', dataType: 'customers', nameField: 'customerName', label: 'customer' },
+        required: ['issueDate', 'dueDate'],
+        defaults: { currency: 'USD' }
+      });
     });
 
   // Get invoice PDF
@@ -0,0 +1,170 @@
+/**
+ * Items commands
+ * Manage the products and services catalogue
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput, fail } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
+import { and, condition } from '../lib/query.js';
+import chalk from 'chalk';
+
+/**
+ * Item types accepted by Codat
+ */
+const ITEM_TYPES = ['Inventory', 'NonInventory', 'Service'];
+
+/**
+ * Parse a price option
+ * @param {string} value - Option value
+ * @param {string} flag - Option flag, for the error message
+ * @returns {number|undefined} Price
+ */
+function parsePrice(value, flag) {
+  if (value === undefined) return undefined;
+
+  const price = parseFloat(value);
+  if (isNaN(price) || price < 0) {
+    fail(`Invalid ${flag}: ${value}`, { hint: `Use a number, e.g. ${flag} 49.99` });
+  }
+  return price;
+}
+
+/**
+ * Build the sales or purchase details of an item from command options
+ * @param {number|undefined} unitPrice - Unit price
+ * @param {string|undefined} accountId - Income or expense account ID
+ * @param {string|undefined} taxRateId - Tax rate ID
+ * @returns {Object|undefined} Item details, or undefined if no option was given
+ */
+function itemDetail(unitPrice, accountId, taxRateId) {
+  if (unitPrice === undefined && !accountId) return undefined;
+
+  return {
+    unitPrice,
+    accountRef: accountId ? { id: accountId } : undefined,
+    taxRateRef: taxRateId ? { id: taxRateId } : undefined
+  };
+}
+
+export function itemsCommand(program) {
+  const items = program
+    .command('items')
+    .alias('item')
+    .description('Manage items (products and services)');
+
+  // List items
+  items
+    .command('list')
+    .alias('ls')
+    .description('List items for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., itemStatus=Active)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "type=Service && isInvoiceItem=true")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--type <type>', `Only this item type (${ITEM_TYPES.join(', ')})`)
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options),
+        options.type && condition('type', '=', options.type)
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/items`, params, options);
+
+      const price = (v) => v != null ? v.toFixed(2) : '—';
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'code', header: 'Code' },
+        { key: 'name', header: 'Name' },
+        { key: 'type', header: 'Type' },
+        { key: 'invoiceItem.unitPrice', header: 'Sale Price', formatter: price },
+        { key: 'invoiceItem.accountRef.name', header: 'Income Account' },
+        { key: 'billItem.unitPrice', header: 'Purchase Price', formatter: price },
+        { key: 'billItem.accountRef.name', header: 'Expense Account' },
+        {
+          key: 'itemStatus',
+          header: 'Status',
+          formatter: (v) => v === 'Active' ? chalk.green(v) : chalk.gray(v)
+        }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get item by ID
+  items
+    .command('get')
+    .description('Get item details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<itemId>', 'Item ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, itemId, options) => {
+      const data = await get(`/companies/${companyId}/data/items/${itemId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create item
+  items
+    .command('create')
+    .description('Create a new item')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('-n, --name <name>', 'Item name (required)')
+    .option('--code <code>', 'Item code (used in invoice and bill line items as itemCode)')
+    .option('--type <type>', `Item type (${ITEM_TYPES.join(', ')}; default: NonInventory)`)
+    .option('--sale-price <amount>', 'Sale unit price (makes the item available on invoices)')
+    .option('--income-account-id <id>', 'Income account ID for sales')
+    .option('--purchase-price <amount>', 'Purchase unit price (makes the item available on bills)')
+    .option('--expense-account-id <id>', 'Expense account ID for purchases')
+    .option('--tax-rate-id <id>', 'Tax rate ID for sales and purchases')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      if (options.type && !ITEM_TYPES.includes(options.type)) {
+        fail(`Invalid item type: ${options.type}`, { hint: `Use one of: ${ITEM_TYPES.join(', ')}` });
+      }
+
+      const invoiceItem = itemDetail(parsePrice(options.salePrice, '--sale-price'), options.incomeAccountId, options.taxRateId);
+      const billItem = itemDetail(parsePrice(options.purchasePrice, '--purchase-price'), options.expenseAccountId, options.taxRateId);
+
+      const payloads = await buildPayloads(options, {
+        fields: {
+          name: options.name,
+          code: options.code,
+          type: options.type,
+          isInvoiceItem: invoiceItem ? true : undefined,
+          isBillItem: billItem ? true : undefined,
+          invoiceItem,
+          billItem
+        },
+        defaults: { type: 'NonInventory' },
+        required: [['name', '--name']]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'items',
+        label: 'Item',
+        plural: 'items',
+        spinnerText: 'Creating item...'
+      });
+    });
+}
@@ -3,8 +3,11 @@
  * Manage journals and journal entries
  */
 
-import { get, post } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
 import chalk from 'chalk';
 
 export function journalsCommand(program) {
@@ -20,18 +23,23 @@ export function journalsCommand(program) {
     .description('List journals for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
 
-      const data = await get(`/companies/${companyId}/data/journals`, params);
+      const results = await getResults(`/companies/${companyId}/data/journals`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -45,7 +53,7 @@ export function journalsCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get journal by ID
@@ -54,7 +62,7 @@ export function journalsCommand(program) {
     .description('Get journal details')
     .argument('<companyId>', 'Company ID')
     .argument('<journalId>', 'Journal ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, journalId, options) => {
       const data = await get(`/companies/${companyId}/data/journals/${journalId}`);
       formatOutput(data, { format: options.format });
@@ -66,18 +74,24 @@ export function journalsCommand(program) {
     .description('List journal entries')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Posted on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'postedOn' });
+      if (query) params.query = query;
 
-      const data = await get(`/companies/${companyId}/data/journalEntries`, params);
+      const results = await getResults(`/companies/${companyId}/data/journalEntries`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -87,7 +101,7 @@ export function journalsCommand(program) {
         { key: 'recordRef.dataType', header: 'Record Type' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get journal entry by ID
@@ -96,7 +110,7 @@ export function journalsCommand(program) {
     .description('Get journal entry details')
     .argument('<companyId>', 'Company ID')
     .argument('<entryId>', 'Journal entry ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, entryId, options) => {
       const data = await get(`/companies/${companyId}/data/journalEntries/${entryId}`);
       formatOutput(data, { format: options.format });
@@ -108,34 +122,40 @@ export function journalsCommand(program) {
     .description('Create a new journal entry')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('--journal-id <id>', 'Journal ID')
-    .requiredOption('--posted-on <date>', 'Posted date (YYYY-MM-DD)')
-    .requiredOption('--lines <json>', 'Journal entry lines as JSON array')
+    .option('--journal-id <id>', 'Journal ID (required)')
+    .option('--posted-on <date>', 'Posted date (YYYY-MM-DD, required)')
+    .option('--lines <json>', 'Journal entry lines as JSON array (required)')
     .option('--description <text>', 'Entry description')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        journalRef: { id: options.journalId },
-        postedOn: options.postedOn
-      };
-
-      if (options.description) payload.description = options.description;
-
-      try {
-        payload.journalLines = JSON.parse(options.lines);
-      } catch (e) {
-        console.error(chalk.red('Error: Invalid JSON for lines'));
-        console.log(chalk.gray('Expected format: [{"accountRef":{"id":"..."},"netAmount":100,"description":"..."}]'));
-        process.exit(1);
-      }
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/journalEntries`,
-        payload,
-        { spinnerText: 'Creating journal entry...' }
-      );
-
-      success('Journal entry created');
-      formatOutput(data, { format: options.format });
+      const payloads = await buildPayloads(options, {
+        fields: {
+          journalRef: { id: options.journalId },
+          postedOn: options.postedOn,
+          description: options.description,
+          journalLines: parseJsonOption(
+            options.lines,
+            'lines',
+            'Expected format: [{"accountRef":{"id":"..."},"netAmount":100,"description":"..."}]'
+          )
+        },
+        required: [
+          ['journalRef.id', '--journal-id'],
+          ['postedOn', '--posted-on'],
+          ['journalLines', '--lines']
+        ]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'journalEntries',
+        label: 'Journal entry',
+        plural: 'journal entries',
+        spinnerText: 'Creating journal entry...'
+      });
     });
 }
@@ -0,0 +1,125 @@
+/**
+ * Mock commands
+ * Run a local stand-in for the Codat API for offline development and demos
+ */
+
+import chalk from 'chalk';
+import { EXIT_CODES } from '../lib/exit-codes.js';
+import { formatOutput, fail } from '../lib/output.js';
+import { readDocument } from '../lib/input.js';
+import { createSeedFixtures } from '../lib/mock-fixtures.js';
+import { startMockServer } from '../lib/mock-server.js';
+
+/**
+ * Load fixtures from a file, or generate the seed fixtures
+ * @param {Object} options - Command options (fixtures, seed)
+ * @returns {Object} Fixtures
+ */
+function fixturesFromOptions(options) {
+  const seed = parseInt(options.seed);
+
+  if (isNaN(seed)) {
+    fail(`Invalid seed: ${options.seed}`, { hint: 'Use a whole number, e.g. --seed 42' });
+  }
+
+  if (!options.fixtures) {
+    return createSeedFixtures(seed);
+  }
+
+  const fixtures = readDocument(options.fixtures);
+
+  if (!fixtures || !Array.isArray(fixtures.companies)) {
+    fail(`${options.fixtures} has no companies list`, {
+      hint: 'Start from the seed data: codat mock fixtures > fixtures.json'
+    });
+  }
+
+  return fixtures;
+}
+
+export function mockCommand(program) {
+  const mock = program
+    .command('mock')
+    .description('Run a local mock Codat API for offline development');
+
+  // Start the mock server
+  mock
+    .command('serve')
+    .description('Serve seed (or custom) fixtures over a Codat-compatible local API')
+    .option('--port <number>', 'Port to listen on', '4010')
+    .option('--host <host>', 'Interface to bind', '127.0.0.1')
+    .option('--fixtures <file>', 'JSON or YAML fixtures to serve instead of the seed data (see: codat mock fixtures)')
+    .option('--seed <number>', 'Seed for the generated fixtures', '1')
+    .option('--delay <ms>', 'Time before pushes and data refreshes complete', '2000')
+    .option('--quiet', 'Do not log requests')
+    .action(async (options) => {
+      const fixtures = fixturesFromOptions(options);
+      let server;
+
+      try {
+        server = await startMockServer({
+          port: parseInt(options.port),
+          host: options.host,
+          fixtures,
+          delay: parseInt(options.delay) || 0,
+          onRequest: options.quiet ? undefined : (method, path, status) => {
+            const color = status >= 400 ? chalk.red : chalk.green;
+            console.error(chalk.gray(new Date().toLocaleTimeString()), method.padEnd(6), path, color(status));
+          }
+        });
+      } catch (e) {
+        fail(`Cannot listen on ${options.host}:${options.port}: ${e.message}`, {
+          code: 'listen_failed',
+          exitCode: EXIT_CODES.GENERAL
+        });
+      }
+
+      const url = `http://${options.host}:${server.address().port}`;
+      console.error(chalk.green(`Mock Codat API listening on ${url}`));
+      console.error(chalk.gray(`Serving ${fixtures.companies.length} compan${fixtures.companies.length === 1 ? 'y' : 'ies'}; any API key is accepted`));
+      console.error(chalk.cyan('\nPoint a profile at it:'));
+      console.error(chalk.white('  codat auth login mock-api-key-for-local-use --profile mock'));
+      console.error(chalk.white(`  codat auth set-config baseUrl ${url} --profile mock`));
+      console.error(chalk.white('  codat companies list --profile mock'));
+      console.error(chalk.gray('\nPress Ctrl+C to stop'));
+
+      const stop = () => {
+        server.close();
+        process.exit(EXIT_CODES.SUCCESS);
+      };
+
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    });
+
+  // Print the seed fixtures
+  mock
+    .command('fixtures')
+    .description('Print the seed fixtures, e.g. as a starting point for --fixtures')
+    .option('--seed <number>', 'Seed for the generated fixtures', '1')
+    .option('-f, --format <format>', 'Output format (json, table)', 'json')
+    .action((options) => {
+      const fixtures = fixturesFromOptions({ seed: options.seed });
+
+      if (options.format === 'json') {
+        formatOutput(fixtures, { format: 'json' });
+        return;
+      }
+
+      const rows = fixtures.companies.map(company => ({
+        ...company,
+        connection: (fixtures.connections[company.id] || []).map(c => `${c.platformName} (${c.status})`).join(', '),
+        records: Object.values(fixtures.data[company.id] || {}).reduce((sum, list) => sum + list.length, 0)
+      }));
+
+      formatOutput(rows, {
+        format: options.format,
+        columns: [
+          { key: 'id', header: 'Company ID' },
+          { key: 'name', header: 'Name' },
+          { key: 'connection', header: 'Connection' },
+          { key: 'records', header: 'Records' }
+        ]
+      });
+    });
+}
@@ -3,8 +3,11 @@
  * Manage payments (customer payments)
  */
 
-import { get, post } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
 import chalk from 'chalk';
 
 export function paymentsCommand(program) {
@@ -20,20 +23,29 @@ export function paymentsCommand(program) {
     .description('List payments for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Paid on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--customer-id <id>', 'Only this customer')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options, { date: 'date' });
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get(`/companies/${companyId}/data/payments`, params);
+      const results = await getResults(`/companies/${companyId}/data/payments`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -48,7 +60,7 @@ export function paymentsCommand(program) {
         { key: 'paymentMethodRef.name', header: 'Method' }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get payment by ID
@@ -57,7 +69,7 @@ export function paymentsCommand(program) {
     .description('Get payment details')
     .argument('<companyId>', 'Company ID')
     .argument('<paymentId>', 'Payment ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, paymentId, options) => {
       const data = await get(`/companies/${companyId}/data/payments/${paymentId}`);
       formatOutput(data, { format: options.format });
@@ -69,42 +81,44 @@ export function paymentsCommand(program) {
     .description('Create a new payment')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('--customer-id <id>', 'Customer ID')
-    .requiredOption('--date <date>', 'Payment date (YYYY-MM-DD)')
-    .requiredOption('--amount <amount>', 'Payment amount')
-    .option('--currency <currency>', 'Currency code', 'USD')
+    .option('--customer-id <id>', 'Customer ID (required)')
+    .option('--date <date>', 'Payment date (YYYY-MM-DD, required)')
+    .option('--amount <amount>', 'Payment amount (required)')
+    .option('--currency <currency>', 'Currency code (default: USD)')
     .option('--payment-method-id <id>', 'Payment method ID')
     .option('--account-id <id>', 'Bank account ID')
     .option('--reference <reference>', 'Payment reference')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        customerRef: { id: options.customerId },
-        date: options.date,
-        totalAmount: parseFloat(options.amount),
-        currency: options.currency
-      };
-
-      if (options.paymentMethodId) {
-        payload.paymentMethodRef = { id: options.paymentMethodId };
-      }
-
-      if (options.accountId) {
-        payload.accountRef = { id: options.accountId };
-      }
-
-      if (options.reference) {
-        payload.reference = options.reference;
-      }
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/payments`,
-        payload,
-        { spinnerText: 'Creating payment...' }
-      );
-
-      success('Payment created');
-      formatOutput(data, { format: options.format });
+      const payloads = await buildPayloads(options, {
+        fields: {
+          customerRef: { id: options.customerId },
+          date: options.date,
+          totalAmount: options.amount !== undefined ? parseFloat(options.amount) : undefined,
+          currency: options.currency,
+          paymentMethodRef: { id: options.paymentMethodId },
+          accountRef: { id: options.accountId },
+          reference: options.reference
+        },
+        defaults: { currency: 'USD' },
+        required: [
+          ['customerRef.id', '--customer-id'],
+          ['date', '--date'],
+          ['totalAmount', '--amount']
+        ]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'payments',
+        label: 'Payment',
+        plural: 'payments',
+        spinnerText: 'Creating payment...'
+      });
     });
 
   // List payment methods
@@ -113,15 +127,17 @@ export function paymentsCommand(program) {
     .description('List payment methods')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      const data = await get(`/companies/${companyId}/data/paymentMethods`, params);
+      const results = await getResults(`/companies/${companyId}/data/paymentMethods`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -134,6 +150,6 @@ export function paymentsCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 }
@@ -0,0 +1,90 @@
+/**
+ * Profile commands
+ * Manage named profiles for multiple Codat instances and API keys
+ */
+
+import chalk from 'chalk';
+import {
+  listProfiles,
+  resolveActiveProfile,
+  resolveSetting,
+  useProfile,
+  removeProfile
+} from '../lib/config.js';
+import { maskApiKey } from '../lib/auth.js';
+import { formatOutput, success, fail } from '../lib/output.js';
+
+export function profileCommand(program) {
+  const profile = program
+    .command('profile')
+    .alias('profiles')
+    .description('Manage named profiles (API key, base URL and defaults per Codat instance)');
+
+  // List profiles
+  profile
+    .command('list')
+    .alias('ls')
+    .description('List profiles')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action((options) => {
+      const active = resolveActiveProfile().name;
+
+      const profiles = listProfiles().map(name => ({
+        name,
+        active: name === active,
+        apiKey: resolveSetting('apiKey', name).value,
+        baseUrl: resolveSetting('baseUrl', name).value,
+        defaultPageSize: resolveSetting('defaultPageSize', name).value,
+        outputFormat: resolveSetting('outputFormat', name).value
+      }));
+
+      const columns = [
+        { key: 'active', header: '', formatter: (v) => v ? chalk.green('*') : '' },
+        { key: 'name', header: 'Profile' },
+        { key: 'apiKey', header: 'API Key' },
+        { key: 'baseUrl', header: 'Base URL' },
+        { key: 'defaultPageSize', header: 'Page Size' },
+        { key: 'outputFormat', header: 'Format' }
+      ];
+
+      formatOutput(
+        profiles.map(p => ({ ...p, apiKey: p.apiKey ? maskApiKey(p.apiKey) : null })),
+        { format: options.format, columns }
+      );
+    });
+
+  // Switch the active profile
+  profile
+    .command('use')
+    .description('Set the profile used by default')
+    .argument('<name>', 'Profile name')
+    .action((name) => {
+      try {
+        useProfile(name);
+      } catch (e) {
+        fail(e.message);
+      }
+
+      success(`Now using profile "${name}"`);
+
+      if (process.env.CODAT_PROFILE && process.env.CODAT_PROFILE !== name) {
+        console.log(chalk.yellow(`Note: CODAT_PROFILE=${process.env.CODAT_PROFILE} overrides this setting`));
+      }
+    });
+
+  // Remove a profile
+  profile
+    .command('remove')
+    .alias('rm')
+    .description('Remove a named profile and its stored credentials')
+    .argument('<name>', 'Profile name')
+    .action((name) => {
+      try {
+        removeProfile(name);
+      } catch (e) {
+        fail(e.message);
+      }
+
+      success(`Profile "${name}" removed`);
+    });
+}
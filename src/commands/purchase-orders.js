@@ -0,0 +1,215 @@
+/**
+ * Purchase orders commands
+ * Manage purchase orders and turn them into bills
+ */
+
+import { writeFileSync } from 'fs';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { EXIT_CODES } from '../lib/exit-codes.js';
+import { formatOutput, fail, info } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
+import { resolveItemCodes } from '../lib/items.js';
+import { billFromPurchaseOrder } from '../lib/purchase-orders.js';
+import chalk from 'chalk';
+
+export function purchaseOrdersCommand(program) {
+  const purchaseOrders = program
+    .command('purchase-orders')
+    .alias('purchase-order')
+    .description('Manage purchase orders');
+
+  // List purchase orders
+  purchaseOrders
+    .command('list')
+    .alias('ls')
+    .description('List purchase orders for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., status=Open)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Open && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--supplier-id <id>', 'Only this supplier')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = queryFromOptions(options, { date: 'issueDate' });
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/purchaseOrders`, params, options);
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'purchaseOrderNumber', header: 'PO #' },
+        { key: 'supplierRef.supplierName', header: 'Supplier' },
+        { key: 'issueDate', header: 'Issue Date', formatter: (v) => new Date(v).toLocaleDateString() },
+        { key: 'expectedDeliveryDate', header: 'Expected Delivery', formatter: (v) => v ? new Date(v).toLocaleDateString() : '—' },
+        {
+          key: 'status',
+          header: 'Status',
+          formatter: (v) => {
+            const colors = {
+              'Closed': chalk.green,
+              'Open': chalk.blue,
+              'Draft': chalk.gray,
+              'Void': chalk.red
+            };
+            return (colors[v] || chalk.white)(v);
+          }
+        },
+        {
+          key: 'totalAmount',
+          header: 'Total',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        { key: 'currency', header: 'Currency' }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get purchase order by ID
+  purchaseOrders
+    .command('get')
+    .description('Get purchase order details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<purchaseOrderId>', 'Purchase order ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, purchaseOrderId, options) => {
+      const data = await get(`/companies/${companyId}/data/purchaseOrders/${purchaseOrderId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create purchase order
+  purchaseOrders
+    .command('create')
+    .description('Create a new purchase order')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--supplier-id <id>', 'Supplier ID (required)')
+    .option('--issue-date <date>', 'Issue date (YYYY-MM-DD, required)')
+    .option('--expected-delivery-date <date>', 'Expected delivery date (YYYY-MM-DD)')
+    .option('--payment-due-date <date>', 'Payment due date (YYYY-MM-DD)')
+    .option('--purchase-order-number <number>', 'Purchase order number')
+    .option('--currency <currency>', 'Currency code (default: USD)')
+    .option('--line-items <json>', 'Line items as JSON array (lines may give an itemCode instead of prices and accounts)')
+    .option('--note <note>', 'Note')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          supplierRef: { id: options.supplierId },
+          issueDate: options.issueDate,
+          expectedDeliveryDate: options.expectedDeliveryDate,
+          paymentDueDate: options.paymentDueDate,
+          currency: options.currency,
+          purchaseOrderNumber: options.purchaseOrderNumber,
+          note: options.note,
+          lineItems: parseJsonOption(options.lineItems, 'line items')
+        },
+        defaults: { currency: 'USD', lineItems: [] },
+        required: [
+          ['supplierRef.id', '--supplier-id'],
+          ['issueDate', '--issue-date']
+        ]
+      });
+
+      await resolveItemCodes(companyId, payloads, 'purchaseOrders');
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'purchaseOrders',
+        label: 'Purchase order',
+        plural: 'purchase orders',
+        spinnerText: 'Creating purchase order...'
+      });
+    });
+
+  // Update purchase order
+  purchaseOrders
+    .command('update')
+    .description('Update a purchase order')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<purchaseOrderId>', 'Purchase order ID')
+    .option('--status <status>', 'Purchase order status (Draft, Open, Closed, Void)')
+    .option('--expected-delivery-date <date>', 'Expected delivery date (YYYY-MM-DD)')
+    .option('--note <note>', 'Note')
+    .option('--data <json>', 'Full purchase order data as JSON')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, purchaseOrderId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          ...parseJsonOption(options.data, 'purchase order data'),
+          status: options.status,
+          expectedDeliveryDate: options.expectedDeliveryDate,
+          note: options.note
+        },
+        single: true,
+        emptyMessage: 'No updates specified'
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'purchaseOrders',
+        id: purchaseOrderId,
+        method: 'PUT',
+        label: 'Purchase order',
+        spinnerText: 'Updating purchase order...'
+      });
+    });
+
+  // Build a bill from a purchase order
+  purchaseOrders
+    .command('to-bill')
+    .description('Build a bill payload from a purchase order\'s lines, for review before pushing with `bills create --from-file`')
+    .argument('<companyId>', 'Company ID')
+    .argument('<purchaseOrderId>', 'Purchase order ID')
+    .option('--issue-date <date>', 'Bill issue date (YYYY-MM-DD, default: today)')
+    .option('--due-date <date>', 'Bill due date (YYYY-MM-DD, default: the order\'s payment due date, or 30 days after issue)')
+    .option('--reference <reference>', 'Bill reference (default: the purchase order number)')
+    .option('--lines <numbers>', 'Only these order lines, numbered from 1 (e.g., 1,3-4)')
+    .option('--output <path>', 'Write the payload to a file instead of printing it')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, purchaseOrderId, options) => {
+      const order = await get(`/companies/${companyId}/data/purchaseOrders/${purchaseOrderId}`, {}, {
+        spinnerText: 'Fetching purchase order...'
+      });
+      const bill = billFromPurchaseOrder(order, options);
+
+      if (!options.output) {
+        formatOutput(bill, { format: options.format });
+        return;
+      }
+
+      try {
+        writeFileSync(options.output, JSON.stringify(bill, null, 2) + '\n');
+      } catch (e) {
+        fail(`Cannot write ${options.output}: ${e.message}`, { code: 'write_error', exitCode: EXIT_CODES.GENERAL });
+      }
+
+      info(`Bill for ${bill.lineItems.length} line${bill.lineItems.length === 1 ? '' : 's'} of ${order.purchaseOrderNumber || order.id} written to ${options.output}`);
+      info(`Review it, then push with: codat bills create ${companyId} <connectionId> --from-file ${options.output}`);
+    });
+}
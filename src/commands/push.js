@@ -0,0 +1,129 @@
+/**
+ * Push commands
+ * Track asynchronous push operations and inspect push option schemas
+ */
+
+import ora from 'ora';
+import { getResults, handleApiError, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import {
+  pushColumns,
+  getPushOperation,
+  waitForPushOperation,
+  printValidation,
+  exitIfPushFailed
+} from '../lib/push.js';
+import { pushOptionColumns, getPushOptions, flattenPushOptions } from '../lib/push-options.js';
+
+export function pushCommand(program) {
+  const push = program
+    .command('push')
+    .description('Track asynchronous push operations and inspect push options');
+
+  // List push operations
+  push
+    .command('list')
+    .alias('ls')
+    .description('List push operations for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., status=Failed)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Requested on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('-o, --order-by <string>', 'Order by field', '-requestedOnUtc')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = queryFromOptions(options, { date: 'requestedOnUtc' });
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/push`, params, options);
+      formatOutput(results, { format: options.format, columns: pushColumns });
+    });
+
+  // Get push operation status
+  push
+    .command('status')
+    .alias('get')
+    .description('Show the status and validation errors of a push operation')
+    .argument('<companyId>', 'Company ID')
+    .argument('<pushOperationKey>', 'Push operation key')
+    .option('--wait', 'Wait until the operation completes')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, pushOperationKey, options) => {
+      const operation = options.wait
+        ? await waitForPushOperation(companyId, pushOperationKey, {
+          timeout: options.waitTimeout,
+          interval: options.pollInterval
+        })
+        : await getPushOperation(companyId, pushOperationKey);
+
+      printValidation(operation);
+      formatOutput(operation, { format: options.format, columns: pushColumns });
+
+      if (options.wait) {
+        exitIfPushFailed(operation);
+      }
+    });
+
+  // Wait for a push operation
+  push
+    .command('wait')
+    .description('Block until a push operation reaches Success or Failed')
+    .argument('<companyId>', 'Company ID')
+    .argument('<pushOperationKey>', 'Push operation key')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, pushOperationKey, options) => {
+      const operation = await waitForPushOperation(companyId, pushOperationKey, {
+        timeout: options.waitTimeout,
+        interval: options.pollInterval
+      });
+
+      printValidation(operation);
+      formatOutput(operation, { format: options.format, columns: pushColumns });
+
+      exitIfPushFailed(operation);
+    });
+
+  // Show the push option schema for a data type
+  push
+    .command('options')
+    .description('Show the fields a connection accepts when pushing a data type')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<dataType>', 'Data type (e.g., invoices, bills, customers, journalEntries)')
+    .option('--refresh', 'Fetch the schema again instead of using the cached copy')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, connectionId, dataType, options) => {
+      const spinner = ora(`Fetching push options for ${dataType}...`).start();
+
+      let schema;
+      try {
+        schema = await getPushOptions(companyId, connectionId, dataType, { refresh: options.refresh, spinner });
+        spinner.stop();
+      } catch (e) {
+        spinner.fail('Request failed');
+        handleApiError(e);
+      }
+
+      // JSON keeps the nested schema as returned by the API; other formats list one field per row
+      if (options.format === 'json') {
+        formatOutput(schema, { format: 'json' });
+      } else {
+        formatOutput(flattenPushOptions(schema), { format: options.format, columns: pushOptionColumns });
+      }
+    });
+}
@@ -4,7 +4,7 @@
  */
 
 import { get } from '../lib/api.js';
-import { formatOutput } from '../lib/output.js';
+import { renderStatement, renderAgedReport } from '../lib/statements.js';
 
 export function reportsCommand(program) {
   const reports = program
@@ -21,7 +21,7 @@ export function reportsCommand(program) {
     .requiredOption('--period-length <number>', 'Period length (months)')
     .requiredOption('--periods-to-compare <number>', 'Number of periods')
     .option('--start-month <date>', 'Start month (YYYY-MM-DD)')
-    .option('-f, --format <format>', 'Output format (table, json)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
     .action(async (companyId, options) => {
       const params = {
         periodLength: parseInt(options.periodLength),
@@ -31,7 +31,7 @@ export function reportsCommand(program) {
       if (options.startMonth) params.startMonth = options.startMonth;
 
       const data = await get(`/companies/${companyId}/data/financials/balanceSheet`, params);
-      formatOutput(data, { format: options.format });
+      renderStatement(data, { format: options.format, title: 'Balance Sheet' });
     });
 
   // Get profit and loss
@@ -43,7 +43,7 @@ export function reportsCommand(program) {
     .requiredOption('--period-length <number>', 'Period length (months)')
     .requiredOption('--periods-to-compare <number>', 'Number of periods')
     .option('--start-month <date>', 'Start month (YYYY-MM-DD)')
-    .option('-f, --format <format>', 'Output format (table, json)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
     .action(async (companyId, options) => {
       const params = {
         periodLength: parseInt(options.periodLength),
@@ -53,7 +53,7 @@ export function reportsCommand(program) {
       if (options.startMonth) params.startMonth = options.startMonth;
 
       const data = await get(`/companies/${companyId}/data/financials/profitAndLoss`, params);
-      formatOutput(data, { format: options.format });
+      renderStatement(data, { format: options.format, title: 'Profit and Loss' });
     });
 
   // Get cash flow statement
@@ -65,7 +65,7 @@ export function reportsCommand(program) {
     .requiredOption('--period-length <number>', 'Period length (months)')
     .requiredOption('--periods-to-compare <number>', 'Number of periods')
     .option('--start-month <date>', 'Start month (YYYY-MM-DD)')
-    .option('-f, --format <format>', 'Output format (table, json)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
     .action(async (companyId, options) => {
       const params = {
         periodLength: parseInt(options.periodLength),
@@ -75,7 +75,7 @@ export function reportsCommand(program) {
       if (options.startMonth) params.startMonth = options.startMonth;
 
       const data = await get(`/companies/${companyId}/data/financials/cashFlowStatement`, params);
-      formatOutput(data, { format: options.format });
+      renderStatement(data, { format: options.format, title: 'Cash Flow Statement' });
     });
 
   // Get aged debtors report
@@ -87,7 +87,7 @@ export function reportsCommand(program) {
     .option('--report-date <date>', 'Report date (YYYY-MM-DD)')
     .option('--number-of-periods <number>', 'Number of aging periods')
     .option('--period-length-days <number>', 'Length of each period in days')
-    .option('-f, --format <format>', 'Output format (table, json)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
     .action(async (companyId, options) => {
       const params = {};
 
@@ -96,7 +96,12 @@ export function reportsCommand(program) {
       if (options.periodLengthDays) params.periodLengthDays = parseInt(options.periodLengthDays);
 
       const data = await get(`/companies/${companyId}/data/aged/debtors`, params);
-      formatOutput(data, { format: options.format });
+      renderAgedReport(data, {
+        format: options.format,
+        title: 'Aged Debtors',
+        contactKey: 'customerName',
+        contactLabel: 'Customer'
+      });
     });
 
   // Get aged creditors report
@@ -108,7 +113,7 @@ export function reportsCommand(program) {
     .option('--report-date <date>', 'Report date (YYYY-MM-DD)')
     .option('--number-of-periods <number>', 'Number of aging periods')
     .option('--period-length-days <number>', 'Length of each period in days')
-    .option('-f, --format <format>', 'Output format (table, json)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
     .action(async (companyId, options) => {
       const params = {};
 
@@ -117,6 +122,11 @@ export function reportsCommand(program) {
       if (options.periodLengthDays) params.periodLengthDays = parseInt(options.periodLengthDays);
 
       const data = await get(`/companies/${companyId}/data/aged/creditors`, params);
-      formatOutput(data, { format: options.format });
+      renderAgedReport(data, {
+        format: options.format,
+        title: 'Aged Creditors',
+        contactKey: 'supplierName',
+        contactLabel: 'Supplier'
+      });
     });
 }
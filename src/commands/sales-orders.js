@@ -0,0 +1,89 @@
+/**
+ * Sales orders commands
+ * View sales orders (read-only; Codat does not support pushing sales orders)
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import chalk from 'chalk';
+
+export function salesOrdersCommand(program) {
+  const salesOrders = program
+    .command('sales-orders')
+    .alias('sales-order')
+    .description('View sales orders');
+
+  // List sales orders
+  salesOrders
+    .command('list')
+    .alias('ls')
+    .description('List sales orders for a company')
+    .argument('<companyId>', 'Company ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., status=Open)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Open && totalAmount>=100")', collect)
+    .option('--since <date>', 'Issued on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--customer-id <id>', 'Only this customer')
+    .option('--min-amount <amount>', 'Minimum total amount')
+    .option('--max-amount <amount>', 'Maximum total amount')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = queryFromOptions(options, { date: 'issueDate' });
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/salesOrders`, params, options);
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'salesOrderNumber', header: 'SO #' },
+        { key: 'customerRef.companyName', header: 'Customer' },
+        { key: 'issueDate', header: 'Issue Date', formatter: (v) => new Date(v).toLocaleDateString() },
+        { key: 'expectedDeliveryDate', header: 'Expected Delivery', formatter: (v) => v ? new Date(v).toLocaleDateString() : '—' },
+        {
+          key: 'status',
+          header: 'Status',
+          formatter: (v) => {
+            const colors = {
+              'Closed': chalk.green,
+              'Open': chalk.blue,
+              'Draft': chalk.gray,
+              'Void': chalk.red
+            };
+            return (colors[v] || chalk.white)(v);
+          }
+        },
+        {
+          key: 'totalAmount',
+          header: 'Total',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        { key: 'currency', header: 'Currency' }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get sales order by ID
+  salesOrders
+    .command('get')
+    .description('Get sales order details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<salesOrderId>', 'Sales order ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, salesOrderId, options) => {
+      const data = await get(`/companies/${companyId}/data/salesOrders/${salesOrderId}`);
+      formatOutput(data, { format: options.format });
+    });
+}
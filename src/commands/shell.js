@@ -0,0 +1,415 @@
+/**
+ * Shell command
+ * Interactive session that remembers a company and connection and fills their IDs into commands
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { get } from '../lib/api.js';
+import { clearRuntimeOptions, getConfigPath, setRuntimeOptions } from '../lib/config.js';
+import { EXIT_CODES } from '../lib/exit-codes.js';
+import { error, fail, info } from '../lib/output.js';
+import { condition } from '../lib/query.js';
+import { argumentValues, complete, rememberCompanies, rememberConnections, resolveWords, splitLine } from '../lib/completion.js';
+
+/**
+ * Lines kept in the shell history file
+ */
+const HISTORY_SIZE = 500;
+
+/**
+ * Codat IDs are UUIDs; anything else given to `use` is a name
+ */
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Words handled by the shell itself rather than the command tree
+ */
+const BUILTINS = [
+  { value: 'use', description: 'Select a company or connection' },
+  { value: 'help', description: 'Show shell and command help' },
+  { value: 'exit', description: 'Leave the shell' }
+];
+
+const SHELL_HELP = `Shell commands:
+  use <company>                 Select a company by ID or name
+  use connection <connection>   Select a connection of the company by ID or platform name
+  use none                      Forget the selected company and connection
+  use                           Show the selection
+  help [command]                Show this help, or a command's help
+  exit                          Leave the shell (or press Ctrl+D)
+
+Commands that take a company or connection ID get the selected ones when you
+leave them out: after "use Northwind", "invoices ls" runs "invoices ls <companyId>".
+`;
+
+/**
+ * Thrown in place of process.exit while a shell line runs, so a failing command ends the line, not the shell
+ */
+class ShellExit extends Error {
+  constructor(code) {
+    super(`exit ${code}`);
+    this.exitCode = code;
+  }
+}
+
+/**
+ * Whether a shell is already running in this process
+ */
+let active = false;
+
+/**
+ * Leading arguments of a command that the shell selection can supply (companyId, then connectionId)
+ * @param {Command} command - Command
+ * @param {Object} selection - Selected company and connection
+ * @returns {Array<string>} IDs for those arguments, in order
+ */
+function selectionArguments(command, selection) {
+  const ids = [];
+
+  for (const argument of command.registeredArguments) {
+    const value = argument.name() === 'companyId' ? selection.company?.id
+      : argument.name() === 'connectionId' ? selection.connection?.id
+        : undefined;
+    if (!value) break;
+    ids.push(value);
+  }
+
+  return ids;
+}
+
+/**
+ * Insert the selected company and connection IDs into a command line that leaves them out
+ * @param {Command} program - Root command
+ * @param {Array<string>} words - Words of the line
+ * @param {Object} selection - Selected company and connection
+ * @returns {Array<string>} Words to run
+ */
+function withSelection(program, words, selection) {
+  const { command, positional, commandEnd } = resolveWords(program, words);
+  const missing = command.registeredArguments.filter(argument => argument.required).length - positional.length;
+  const ids = selectionArguments(command, selection).slice(0, Math.max(missing, 0));
+
+  return [...words.slice(0, commandEnd), ...ids, ...words.slice(commandEnd)];
+}
+
+/**
+ * Find a company by ID, exact name or (unique) partial name
+ * @param {string} nameOrId - Company ID or name
+ * @returns {Promise<Object>} Company
+ */
+async function findCompany(nameOrId) {
+  if (UUID.test(nameOrId)) {
+    return get(`/companies/${nameOrId}`, {}, { spinnerText: 'Fetching company...' });
+  }
+
+  for (const operator of ['=', '~']) {
+    const { results = [] } = await get('/companies', {
+      page: 1,
+      pageSize: 20,
+      query: condition('name', operator, nameOrId)
+    }, { spinnerText: 'Finding company...' });
+
+    if (results.length === 1) return results[0];
+    if (results.length > 1) {
+      fail(`"${nameOrId}" matches ${results.length} companies`, {
+        hint: `Use one of the IDs:\n${results.map(company => `  ${company.id}  ${company.name}`).join('\n')}`
+      });
+    }
+  }
+
+  fail(`No company named "${nameOrId}"`, {
+    hint: 'List companies with: companies list',
+    code: 'not_found',
+    exitCode: EXIT_CODES.NOT_FOUND
+  });
+}
+
+/**
+ * Find a connection of a company by ID or platform name
+ * @param {string} companyId - Company ID
+ * @param {string} idOrPlatform - Connection ID or platform name (e.g., Xero)
+ * @returns {Promise<Object>} Connection
+ */
+async function findConnection(companyId, idOrPlatform) {
+  const { results = [] } = await get(`/companies/${companyId}/connections`, { page: 1, pageSize: 100 }, {
+    spinnerText: 'Fetching connections...'
+  });
+  rememberConnections(companyId, results);
+
+  // "quickbooks online", "QuickBooksOnline" and "QuickBooks Online" all name the same platform
+  const normalize = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const matches = results.filter(connection =>
+    connection.id === idOrPlatform || normalize(connection.platformName) === normalize(idOrPlatform)
+  );
+
+  if (matches.length === 1) return matches[0];
+
+  const available = results.map(connection => `  ${connection.id}  ${connection.platformName} (${connection.status})`).join('\n');
+
+  if (matches.length > 1) {
+    fail(`The company has ${matches.length} ${matches[0].platformName} connections`, { hint: `Use one of the IDs:\n${available}` });
+  }
+
+  fail(`No connection "${idOrPlatform}" for this company`, {
+    hint: results.length > 0 ? `Connections:\n${available}` : 'The company has no connections',
+    code: 'not_found',
+    exitCode: EXIT_CODES.NOT_FOUND
+  });
+}
+
+/**
+ * Describe the selection for messages and the prompt
+ * @param {Object} selection - Selected company and connection
+ * @returns {string} e.g., "Northwind Trading Ltd / Xero"
+ */
+function describeSelection(selection) {
+  if (!selection.company) return 'No company selected';
+  return selection.connection
+    ? `${selection.company.name} / ${selection.connection.platformName}`
+    : selection.company.name;
+}
+
+/**
+ * Run the `use` built-in
+ * @param {Array<string>} args - Words after `use`
+ * @param {Object} selection - Selection to update
+ */
+async function use(args, selection) {
+  if (args.length === 0) {
+    console.log(describeSelection(selection));
+    if (selection.company) console.log(chalk.gray(`Company:    ${selection.company.id}`));
+    if (selection.connection) console.log(chalk.gray(`Connection: ${selection.connection.id}`));
+    return;
+  }
+
+  if (args.length === 1 && args[0] === 'none') {
+    selection.company = null;
+    selection.connection = null;
+    return;
+  }
+
+  if (args[0] === 'connection') {
+    if (!selection.company) {
+      fail('Select a company first', { hint: 'use <company>' });
+    }
+    if (args.length === 1) {
+      fail('Missing connection', { hint: 'use connection <connectionId or platform name>' });
+    }
+
+    const connection = await findConnection(selection.company.id, args.slice(1).join(' '));
+    selection.connection = { id: connection.id, platformName: connection.platformName };
+    info(`Using ${describeSelection(selection)}`);
+    return;
+  }
+
+  const company = await findCompany(args.join(' '));
+  const connections = company.dataConnections || [];
+  rememberCompanies([company]);
+
+  selection.company = { id: company.id, name: company.name };
+  selection.connection = connections.length === 1
+    ? { id: connections[0].id, platformName: connections[0].platformName }
+    : null;
+
+  info(`Using ${describeSelection(selection)}`);
+  if (connections.length > 1) {
+    console.log(chalk.gray('The company has several connections; pick one with: use connection <connectionId or platform name>'));
+    connections.forEach(connection => console.log(chalk.gray(`  ${connection.id}  ${connection.platformName} (${connection.status})`)));
+  }
+}
+
+/**
+ * Complete the words after `use`
+ * @param {string} rest - Text after `use `
+ * @param {Object} selection - Selected company and connection
+ * @returns {Array<string>} Candidates
+ */
+function completeUse(rest, selection) {
+  const connection = rest.match(/^connection\s+(.*)$/);
+
+  if (connection) {
+    if (!selection.company) return [];
+    const ids = argumentValues('connectionId', { companyId: selection.company.id });
+    return [...ids.map(id => id.value), ...ids.map(id => id.description.split(' (')[0])]
+      .filter(value => value && value.toLowerCase().startsWith(connection[1].toLowerCase()))
+      .map(value => `connection ${value}`);
+  }
+
+  const companies = argumentValues('companyId', {});
+  return ['connection', 'none', ...companies.map(company => company.description).filter(Boolean)]
+    .filter(value => value.toLowerCase().startsWith(rest.toLowerCase()));
+}
+
+/**
+ * Path of the shell history file (next to the config file)
+ * @returns {string} History file path
+ */
+function historyPath() {
+  return join(dirname(getConfigPath()), 'shell-history');
+}
+
+/**
+ * Read saved history, newest first (as readline expects)
+ * @returns {Array<string>} History lines
+ */
+function loadHistory() {
+  try {
+    return existsSync(historyPath())
+      ? readFileSync(historyPath(), 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE)
+      : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save history, oldest first
+ * @param {Array<string>} history - History lines, newest first
+ */
+function saveHistory(history) {
+  try {
+    writeFileSync(historyPath(), [...history].reverse().join('\n') + '\n');
+  } catch (e) {
+    // History is a convenience; a read-only config directory should not break the shell
+  }
+}
+
+/**
+ * Run one line with process.exit turned into an exception
+ * @param {Function} run - Async function running the line
+ * @returns {Promise<number>} Exit code of the line
+ */
+async function runTrapped(run) {
+  const exit = process.exit;
+  process.exit = (code = EXIT_CODES.SUCCESS) => {
+    throw new ShellExit(code);
+  };
+
+  try {
+    await run();
+    return EXIT_CODES.SUCCESS;
+  } catch (e) {
+    if (e instanceof ShellExit) return e.exitCode;
+    error(e.message);
+    return EXIT_CODES.GENERAL;
+  } finally {
+    process.exit = exit;
+  }
+}
+
+export function shellCommand(program, createProgram) {
+  program
+    .command('shell')
+    .description('Start an interactive shell that remembers the company and connection between commands')
+    .addHelpText('after', `\n${SHELL_HELP}`)
+    .action(async () => {
+      if (active) {
+        fail('Already in codat shell');
+      }
+      active = true;
+
+      // Global options given when starting the shell apply to every line
+      const globalOptions = { ...program.opts() };
+      const tree = createProgram();
+      const selection = { company: null, connection: null };
+      const interactive = Boolean(process.stdin.isTTY);
+
+      const completer = (line) => {
+        if (/^\s*use\s/.test(line)) {
+          const rest = line.replace(/^\s*use\s+/, '');
+          return [completeUse(rest, selection), rest];
+        }
+
+        const words = splitLine(line, { partial: true });
+        if (words.length === 0 || /\s$/.test(line)) words.push('');
+
+        const prefix = words.slice(0, -1);
+        const { command, commandEnd } = resolveWords(tree, prefix);
+        const expanded = [
+          ...prefix.slice(0, commandEnd),
+          ...selectionArguments(command, selection),
+          ...prefix.slice(commandEnd),
+          words[words.length - 1]
+        ];
+
+        const candidates = complete(tree, expanded);
+        if (words.length === 1) {
+          candidates.unshift(...BUILTINS.filter(builtin => builtin.value.startsWith(words[0])));
+        }
+
+        return [candidates.map(candidate => candidate.value), words[words.length - 1]];
+      };
+
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: interactive,
+        completer: interactive ? completer : undefined,
+        history: interactive ? loadHistory() : [],
+        historySize: HISTORY_SIZE,
+        removeHistoryDuplicates: true
+      });
+
+      const prompt = () => {
+        if (!interactive) return;
+        const context = selection.company ? ` ${chalk.bold(describeSelection(selection))}` : '';
+        rl.setPrompt(`${chalk.cyan('codat')}${context}> `);
+        rl.prompt();
+      };
+
+      rl.on('history', saveHistory);
+      rl.on('SIGINT', () => {
+        rl.write(null, { ctrl: true, name: 'u' });
+        process.stdout.write('\n');
+        prompt();
+      });
+
+      if (interactive) {
+        console.log(chalk.gray('codat shell: "use <company>" to pick a company, "help" for help, "exit" or Ctrl+D to leave'));
+      }
+
+      let lastExitCode = EXIT_CODES.SUCCESS;
+      prompt();
+
+      for await (const line of rl) {
+        let words;
+        try {
+          words = splitLine(line);
+        } catch (e) {
+          error(e.message);
+          prompt();
+          continue;
+        }
+
+        if (words[0] === 'exit' || words[0] === 'quit') break;
+
+        if (words.length > 0) {
+          lastExitCode = await runTrapped(async () => {
+            clearRuntimeOptions();
+            setRuntimeOptions(globalOptions);
+
+            if (words[0] === 'use') {
+              await use(words.slice(1), selection);
+            } else if (words[0] === 'help' && words.length === 1) {
+              console.log(SHELL_HELP);
+              createProgram().outputHelp();
+            } else if (words[0] === 'shell') {
+              fail('Already in codat shell');
+            } else {
+              const lineProgram = createProgram();
+              await lineProgram.parseAsync(withSelection(lineProgram, words, selection), { from: 'user' });
+            }
+          });
+        }
+
+        prompt();
+      }
+
+      rl.close();
+      active = false;
+      process.exit(interactive ? EXIT_CODES.SUCCESS : lastExitCode);
+    });
+}
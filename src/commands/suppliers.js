@@ -3,8 +3,11 @@
  * Manage supplier records
  */
 
-import { get, post, put } from '../lib/api.js';
-import { formatOutput, success } from '../lib/output.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { formatOutput } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, parseJsonOption, fromFileHelp } from '../lib/input.js';
 import chalk from 'chalk';
 
 export function suppliersCommand(program) {
@@ -20,20 +23,25 @@ export function suppliersCommand(program) {
     .description('List suppliers for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
     .option('-o, --order-by <string>', 'Order by field')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
       if (options.orderBy) params.orderBy = options.orderBy;
 
-      const data = await get(`/companies/${companyId}/data/suppliers`, params);
+      const results = await getResults(`/companies/${companyId}/data/suppliers`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -48,7 +56,7 @@ export function suppliersCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get supplier by ID
@@ -57,7 +65,7 @@ export function suppliersCommand(program) {
     .description('Get supplier details')
     .argument('<companyId>', 'Company ID')
     .argument('<supplierId>', 'Supplier ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, supplierId, options) => {
       const data = await get(`/companies/${companyId}/data/suppliers/${supplierId}`);
       formatOutput(data, { format: options.format });
@@ -69,38 +77,37 @@ export function suppliersCommand(program) {
     .description('Create a new supplier')
     .argument('<companyId>', 'Company ID')
     .argument('<connectionId>', 'Connection ID')
-    .requiredOption('-n, --name <name>', 'Supplier name')
+    .option('-n, --name <name>', 'Supplier name (required)')
     .option('--contact-name <name>', 'Contact name')
     .option('--email <email>', 'Email address')
     .option('--phone <phone>', 'Phone number')
     .option('--address <json>', 'Address as JSON object')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, options) => {
-      const payload = {
-        supplierName: options.name
-      };
-
-      if (options.contactName) payload.contactName = options.contactName;
-      if (options.email) payload.emailAddress = options.email;
-      if (options.phone) payload.phone = options.phone;
-
-      if (options.address) {
-        try {
-          payload.addresses = [JSON.parse(options.address)];
-        } catch (e) {
-          console.error(chalk.red('Error: Invalid JSON for address'));
-          process.exit(1);
-        }
-      }
-
-      const data = await post(
-        `/companies/${companyId}/connections/${connectionId}/push/suppliers`,
-        payload,
-        { spinnerText: 'Creating supplier...' }
-      );
-
-      success('Supplier created');
-      formatOutput(data, { format: options.format });
+      const address = parseJsonOption(options.address, 'address');
+
+      const payloads = await buildPayloads(options, {
+        fields: {
+          supplierName: options.name,
+          contactName: options.contactName,
+          emailAddress: options.email,
+          phone: options.phone,
+          addresses: address !== undefined ? [address] : undefined
+        },
+        required: [['supplierName', '--name']]
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'suppliers',
+        label: 'Supplier',
+        plural: 'suppliers',
+        spinnerText: 'Creating supplier...'
+      });
     });
 
   // Update supplier
@@ -114,27 +121,30 @@ export function suppliersCommand(program) {
     .option('--contact-name <name>', 'Contact name')
     .option('--email <email>', 'Email address')
     .option('--phone <phone>', 'Phone number')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('--from-file <path>', fromFileHelp(true))
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, connectionId, supplierId, options) => {
-      const payload = {};
-
-      if (options.name) payload.supplierName = options.name;
-      if (options.contactName) payload.contactName = options.contactName;
-      if (options.email) payload.emailAddress = options.email;
-      if (options.phone) payload.phone = options.phone;
-
-      if (Object.keys(payload).length === 0) {
-        console.error(chalk.red('Error: No fields to update'));
-        process.exit(1);
-      }
-
-      const data = await put(
-        `/companies/${companyId}/connections/${connectionId}/push/suppliers/${supplierId}`,
-        payload,
-        { spinnerText: 'Updating supplier...' }
-      );
-
-      success('Supplier updated');
-      formatOutput(data, { format: options.format });
+      const payloads = await buildPayloads(options, {
+        fields: {
+          supplierName: options.name,
+          contactName: options.contactName,
+          emailAddress: options.email,
+          phone: options.phone
+        },
+        single: true,
+        emptyMessage: 'No fields to update'
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'suppliers',
+        id: supplierId,
+        method: 'PUT',
+        label: 'Supplier',
+        spinnerText: 'Updating supplier...'
+      });
     });
 }
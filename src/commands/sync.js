@@ -0,0 +1,187 @@
+/**
+ * Sync commands
+ * Trigger and inspect data pulls from accounting platforms
+ */
+
+import { get, post, getResults, isDryRun, printDryRun, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
+import { EXIT_CODES } from '../lib/exit-codes.js';
+import { formatOutput, success, info, fail, jsonErrorsEnabled, outputJsonError } from '../lib/output.js';
+import { and, condition } from '../lib/query.js';
+import {
+  pullColumns,
+  dataStatusColumns,
+  IN_PROGRESS_STATUSES,
+  SUCCESS_STATUSES,
+  getDataStatus,
+  waitForDatasets,
+  waitForPullsSince
+} from '../lib/sync.js';
+
+export function syncCommand(program) {
+  const sync = program
+    .command('sync')
+    .description('Trigger and inspect data syncs');
+
+  // Queue a data refresh
+  sync
+    .command('refresh')
+    .alias('queue')
+    .description('Queue a refresh of all data types, or of the given data types')
+    .argument('<companyId>', 'Company ID')
+    .argument('[dataTypes...]', 'Data types to refresh (e.g., invoices bills accounts)')
+    .option('-c, --connection-id <id>', 'Only refresh data from this connection')
+    .option('--wait', 'Wait until the queued pulls complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '600')
+    .option('--poll-interval <seconds>', 'Polling interval', '10')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, dataTypes, options) => {
+      const waitOptions = { timeout: options.waitTimeout, interval: options.pollInterval };
+
+      if (dataTypes.length === 0) {
+        const requestedSince = new Date().toISOString();
+        await post(`/companies/${companyId}/data/all`, {}, {
+          spinnerText: 'Queuing refresh of all data types...'
+        });
+
+        success('Refresh queued for all data types');
+
+        if (!options.wait) {
+          info(`Check progress with: codat sync status ${companyId}`);
+          return;
+        }
+
+        const finished = await waitForPullsSince(companyId, requestedSince, waitOptions);
+        if (finished.length === 0) {
+          fail('No pulls were queued by the refresh', {
+            hint: `Check the company's connections with: codat connections list ${companyId}`,
+            name: 'SyncOperationError',
+            code: 'sync_incomplete',
+            exitCode: EXIT_CODES.OPERATION_FAILED
+          });
+        }
+        formatOutput(finished, { format: options.format, columns: pullColumns });
+        exitIfFailed(finished.map(o => o.status));
+        return;
+      }
+
+      const suffix = options.connectionId ? `?connectionId=${encodeURIComponent(options.connectionId)}` : '';
+      const operations = [];
+
+      if (isDryRun()) {
+        dataTypes.forEach(dataType => printDryRun('POST', `/companies/${companyId}/data/queue/${dataType}${suffix}`, {}));
+        return;
+      }
+
+      for (const dataType of dataTypes) {
+        const operation = await post(
+          `/companies/${companyId}/data/queue/${dataType}${suffix}`,
+          {},
+          { spinnerText: `Queuing ${dataType} refresh...` }
+        );
+        operations.push(operation);
+      }
+
+      success(`Refresh queued for ${dataTypes.join(', ')}`);
+
+      if (!options.wait) {
+        formatOutput(operations, { format: options.format, columns: pullColumns });
+        return;
+      }
+
+      const finished = await waitForDatasets(companyId, operations.map(o => o.id), waitOptions);
+      formatOutput(finished, { format: options.format, columns: pullColumns });
+      exitIfFailed(finished.map(o => o.status));
+    });
+
+  // Show data status per data type
+  sync
+    .command('status')
+    .description('Show last successful sync and current status per data type')
+    .argument('<companyId>', 'Company ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, options) => {
+      const statuses = await getDataStatus(companyId);
+      statuses.sort((a, b) => a.dataType.localeCompare(b.dataType));
+      formatOutput(statuses, { format: options.format, columns: dataStatusColumns });
+    });
+
+  // List pull history
+  sync
+    .command('history')
+    .description('List pull operations for a company, optionally for one connection')
+    .argument('<companyId>', 'Company ID')
+    .argument('[connectionId]', 'Connection ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query (e.g., dataType=invoices)')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "dataType=invoices && status!=Complete")', collect)
+    .option('--since <date>', 'Requested on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('-o, --order-by <string>', 'Order by field', '-requested')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, connectionId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        connectionId && condition('connectionId', '=', connectionId),
+        queryFromOptions(options, { date: 'requested' })
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/data/history`, params, options);
+      formatOutput(results, { format: options.format, columns: pullColumns });
+    });
+
+  // Get a single pull operation
+  sync
+    .command('get')
+    .description('Get a pull operation (dataset)')
+    .argument('<companyId>', 'Company ID')
+    .argument('<datasetId>', 'Dataset ID')
+    .option('--wait', 'Wait until the pull completes')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '600')
+    .option('--poll-interval <seconds>', 'Polling interval', '10')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'table')
+    .action(async (companyId, datasetId, options) => {
+      if (!options.wait) {
+        const data = await get(`/companies/${companyId}/data/history/${datasetId}`);
+        formatOutput(data, { format: options.format, columns: pullColumns });
+        return;
+      }
+
+      const [operation] = await waitForDatasets(companyId, [datasetId], {
+        timeout: options.waitTimeout,
+        interval: options.pollInterval
+      });
+      formatOutput(operation, { format: options.format, columns: pullColumns });
+      exitIfFailed([operation.status]);
+    });
+}
+
+/**
+ * Exit with the operation-failed code unless every pull completed successfully
+ * @param {Array<string>} statuses - Pull statuses
+ */
+function exitIfFailed(statuses) {
+  const failed = statuses.filter(s => !SUCCESS_STATUSES.includes(s));
+
+  if (failed.length === 0) {
+    return;
+  }
+
+  if (jsonErrorsEnabled()) {
+    outputJsonError({
+      name: 'SyncOperationError',
+      code: failed.every(s => IN_PROGRESS_STATUSES.includes(s)) ? 'sync_incomplete' : 'sync_failed',
+      message: `Sync did not complete: ${[...new Set(failed)].join(', ')}`
+    }, EXIT_CODES.OPERATION_FAILED);
+  }
+
+  process.exit(EXIT_CODES.OPERATION_FAILED);
+}
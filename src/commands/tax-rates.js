@@ -3,7 +3,8 @@
  * Manage tax rates
  */
 
-import { get } from '../lib/api.js';
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize } from '../lib/config.js';
 import { formatOutput } from '../lib/output.js';
 import chalk from 'chalk';
 
@@ -20,18 +21,23 @@ export function taxRatesCommand(program) {
     .description('List tax rates for a company')
     .argument('<companyId>', 'Company ID')
     .option('-p, --page <number>', 'Page number', '1')
-    .option('-s, --page-size <number>', 'Page size', '100')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
     .option('-q, --query <string>', 'Filter query')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'table')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "status=Paid && totalAmount>=100")', collect)
+    .option('--since <date>', 'Modified on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
     .action(async (companyId, options) => {
       const params = {
         page: parseInt(options.page),
-        pageSize: parseInt(options.pageSize)
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
       };
 
-      if (options.query) params.query = options.query;
+      const query = queryFromOptions(options);
+      if (query) params.query = query;
 
-      const data = await get(`/companies/${companyId}/data/taxRates`, params);
+      const results = await getResults(`/companies/${companyId}/data/taxRates`, params, options);
 
       const columns = [
         { key: 'id', header: 'ID' },
@@ -54,7 +60,7 @@ export function taxRatesCommand(program) {
         }
       ];
 
-      formatOutput(data.results || [], { format: options.format, columns });
+      formatOutput(results, { format: options.format, columns });
     });
 
   // Get tax rate by ID
@@ -63,7 +69,7 @@ export function taxRatesCommand(program) {
     .description('Get tax rate details')
     .argument('<companyId>', 'Company ID')
     .argument('<taxRateId>', 'Tax rate ID')
-    .option('-f, --format <format>', 'Output format (table, json, compact)', 'json')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
     .action(async (companyId, taxRateId, options) => {
       const data = await get(`/companies/${companyId}/data/taxRates/${taxRateId}`);
       formatOutput(data, { format: options.format });
@@ -0,0 +1,175 @@
+/**
+ * Transfers commands
+ * Manage money moved between a company's own accounts
+ */
+
+import { get, getResults, queryFromOptions, collect } from '../lib/api.js';
+import { getDefaultPageSize, getOutputFormat } from '../lib/config.js';
+import { formatOutput, fail } from '../lib/output.js';
+import { pushPayloads } from '../lib/push.js';
+import { buildPayloads, fromFileHelp } from '../lib/input.js';
+import { and, condition, or } from '../lib/query.js';
+import { contactNames } from '../lib/direct-transactions.js';
+
+/**
+ * Parse an amount option
+ * @param {string} value - Option value
+ * @param {string} flag - Option flag, for the error message
+ * @returns {number|undefined} Amount
+ */
+function parseAmount(value, flag) {
+  if (value === undefined) return undefined;
+
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount <= 0) {
+    fail(`Invalid ${flag}: ${value}`, { hint: `Use a positive number, e.g. ${flag} 2500` });
+  }
+  return amount;
+}
+
+export function transfersCommand(program) {
+  const transfers = program
+    .command('transfers')
+    .alias('transfer')
+    .description('Manage transfers between accounts');
+
+  // List transfers
+  transfers
+    .command('list')
+    .alias('ls')
+    .description('List transfers for a connection')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-q, --query <string>', 'Filter query')
+    .option('-w, --where <expression>', 'Filter expression, repeatable (e.g., "from.amount>=1000")', collect)
+    .option('--since <date>', 'Dated on or after date (YYYY-MM-DD, today, 30d, ...)')
+    .option('--modified-since <date>', 'Modified on or after date')
+    .option('--account-id <id>', 'Only transfers into or out of this account')
+    .option('--min-amount <amount>', 'Minimum amount')
+    .option('--max-amount <amount>', 'Maximum amount')
+    .option('-o, --order-by <string>', 'Order by field')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (companyId, connectionId, options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const query = and(
+        queryFromOptions(options, { date: 'date', amount: 'from.amount' }),
+        options.accountId && or(
+          condition('from.accountRef.id', '=', options.accountId),
+          condition('to.accountRef.id', '=', options.accountId)
+        )
+      );
+      if (query) params.query = query;
+      if (options.orderBy) params.orderBy = options.orderBy;
+
+      const results = await getResults(`/companies/${companyId}/connections/${connectionId}/data/transfers`, params, options);
+
+      const format = options.format || getOutputFormat();
+      const names = ['json', 'compact'].includes(format) ? new Map() : await contactNames(companyId, results);
+      const account = (v) => v?.accountRef?.name || v?.accountRef?.id || '—';
+
+      const columns = [
+        { key: 'id', header: 'ID' },
+        { key: 'date', header: 'Date', formatter: (v) => new Date(v).toLocaleDateString() },
+        { key: 'description', header: 'Description' },
+        { key: 'contactRef.id', header: 'Contact', formatter: (v) => v ? (names.get(v) || v) : '—' },
+        { key: 'from', header: 'From Account', formatter: account },
+        { key: 'to', header: 'To Account', formatter: account },
+        {
+          key: 'from.amount',
+          header: 'Amount',
+          formatter: (v) => v != null ? v.toFixed(2) : '—'
+        },
+        { key: 'from.currency', header: 'Currency' }
+      ];
+
+      formatOutput(results, { format: options.format, columns });
+    });
+
+  // Get transfer by ID
+  transfers
+    .command('get')
+    .description('Get transfer details')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .argument('<transferId>', 'Transfer ID')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, transferId, options) => {
+      const data = await get(`/companies/${companyId}/connections/${connectionId}/data/transfers/${transferId}`);
+      formatOutput(data, { format: options.format });
+    });
+
+  // Create transfer
+  transfers
+    .command('create')
+    .description('Record a transfer between two accounts')
+    .argument('<companyId>', 'Company ID')
+    .argument('<connectionId>', 'Connection ID')
+    .option('--date <date>', 'Transfer date (YYYY-MM-DD, required)')
+    .option('--from-account-id <id>', 'Account the money leaves (required)')
+    .option('--to-account-id <id>', 'Account the money arrives in (required)')
+    .option('--amount <amount>', 'Amount sent (required)')
+    .option('--currency <currency>', 'Currency of the amount sent (default: USD)')
+    .option('--to-amount <amount>', 'Amount received, if different (e.g., after currency conversion)')
+    .option('--to-currency <currency>', 'Currency of the amount received (default: --currency)')
+    .option('--description <text>', 'Description')
+    .option('--contact-id <id>', 'Customer or supplier the transfer relates to')
+    .option('--contact-type <type>', 'Contact data type (customers, suppliers)')
+    .option('--from-file <path>', fromFileHelp())
+    .option('--wait', 'Wait for the push operation to complete')
+    .option('--wait-timeout <seconds>', 'Maximum time to wait', '300')
+    .option('--poll-interval <seconds>', 'Polling interval', '5')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (companyId, connectionId, options) => {
+      const payloads = await buildPayloads(options, {
+        fields: {
+          date: options.date,
+          description: options.description,
+          contactRef: options.contactId ? { id: options.contactId, dataType: options.contactType } : undefined,
+          from: {
+            accountRef: { id: options.fromAccountId },
+            amount: parseAmount(options.amount, '--amount'),
+            currency: options.currency
+          },
+          to: {
+            accountRef: { id: options.toAccountId },
+            amount: parseAmount(options.toAmount, '--to-amount'),
+            currency: options.toCurrency
+          }
+        },
+        required: [
+          ['date', '--date'],
+          ['from.accountRef.id', '--from-account-id'],
+          ['to.accountRef.id', '--to-account-id'],
+          ['from.amount', '--amount']
+        ]
+      });
+
+      payloads.forEach((payload, i) => {
+        const prefix = payloads.length > 1 ? `Record ${i + 1}: ` : '';
+
+        if (payload.from.accountRef.id === payload.to.accountRef.id) {
+          fail(`${prefix}Cannot transfer from an account to itself`, { hint: 'Use different --from-account-id and --to-account-id' });
+        }
+
+        payload.from.currency ??= 'USD';
+        payload.to.amount ??= payload.from.amount;
+        payload.to.currency ??= payload.from.currency;
+      });
+
+      await pushPayloads(companyId, payloads, options, {
+        connectionId,
+        dataType: 'transfers',
+        label: 'Transfer',
+        plural: 'transfers',
+        spinnerText: 'Creating transfer...'
+      });
+    });
+}
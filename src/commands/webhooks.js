@@ -0,0 +1,233 @@
+/**
+ * Webhooks commands
+ * Manage webhook subscriptions and receive or replay webhook events locally
+ */
+
+import chalk from 'chalk';
+import { post, del, getResults, collect } from '../lib/api.js';
+import { getDefaultPageSize, getWebhookSecret } from '../lib/config.js';
+import { EXIT_CODES } from '../lib/exit-codes.js';
+import { formatOutput, success, error, fail } from '../lib/output.js';
+import { readRecords } from '../lib/input.js';
+import { parseExecSpecs, createEventHandler, startWebhookServer } from '../lib/webhooks.js';
+
+/**
+ * Table columns for webhook subscriptions
+ */
+const webhookColumns = [
+  { key: 'id', header: 'ID' },
+  { key: 'url', header: 'URL' },
+  { key: 'eventTypes', header: 'Event Types', formatter: (v) => v?.length ? v.join(', ') : '—' },
+  { key: 'companyId', header: 'Company', formatter: (v) => v || chalk.gray('all') },
+  { key: 'disabled', header: 'Status', formatter: (v) => v ? chalk.yellow('Disabled') : chalk.green('Enabled') }
+];
+
+/**
+ * Event output formats for listen and replay
+ */
+const EVENT_FORMATS = ['pretty', 'ndjson'];
+
+/**
+ * Build the shared event handler from listen/replay options, exiting on invalid options
+ * @param {Object} options - Command options (format, exec)
+ * @returns {Function} Event handler (see createEventHandler)
+ */
+function eventHandlerFromOptions(options) {
+  if (!EVENT_FORMATS.includes(options.format)) {
+    fail(`Invalid format: ${options.format}`, { hint: `Use one of: ${EVENT_FORMATS.join(', ')}` });
+  }
+
+  let exec;
+  try {
+    exec = parseExecSpecs(options.exec);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  return createEventHandler({ format: options.format, exec });
+}
+
+/**
+ * Parse a whole-number option, exiting with a usage error if it is out of range
+ * @param {string} value - Option value
+ * @param {string} flag - Option flag, for the error message
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @param {string} hint - How to fix the value
+ * @returns {number} Parsed value
+ */
+function parseWholeNumber(value, flag, min, max, hint) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+    fail(`Invalid ${flag}: ${value}`, { hint, exitCode: EXIT_CODES.USAGE });
+  }
+  return number;
+}
+
+export function webhooksCommand(program) {
+  const webhooks = program
+    .command('webhooks')
+    .alias('webhook')
+    .description('Manage webhook subscriptions and receive events locally');
+
+  // List webhook subscriptions
+  webhooks
+    .command('list')
+    .alias('ls')
+    .description('List webhook subscriptions')
+    .option('-p, --page <number>', 'Page number', '1')
+    .option('-s, --page-size <number>', 'Page size (default from profile: 100)')
+    .option('--all', 'Fetch all pages')
+    .option('--max-items <number>', 'Stop after this many items (implies --all)')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)')
+    .action(async (options) => {
+      const params = {
+        page: parseInt(options.page),
+        pageSize: parseInt(options.pageSize || getDefaultPageSize())
+      };
+
+      const results = await getResults('/webhooks', params, options);
+      formatOutput(results, { format: options.format, columns: webhookColumns });
+    });
+
+  // Create webhook subscription
+  webhooks
+    .command('create')
+    .description('Subscribe a URL to webhook events')
+    .option('--url <url>', 'Endpoint that receives the events (required)')
+    .option('-e, --event-type <type>', 'Event type to send, repeatable (required, e.g., DataSyncCompleted)', collect)
+    .option('--company-id <id>', 'Only send events for this company')
+    .option('--disabled', 'Create the subscription disabled')
+    .option('-f, --format <format>', 'Output format (table, json, compact, csv, tsv)', 'json')
+    .action(async (options) => {
+      if (!options.url) {
+        fail('--url is required');
+      }
+      if (!options.eventType?.length) {
+        fail('At least one --event-type is required', { hint: 'Example: --event-type DataSyncCompleted --event-type PushOperationStatusChanged' });
+      }
+
+      const payload = {
+        url: options.url,
+        eventTypes: options.eventType,
+        disabled: Boolean(options.disabled)
+      };
+
+      if (options.companyId) payload.companyId = options.companyId;
+
+      const data = await post('/webhooks', payload, {
+        spinnerText: 'Creating webhook subscription...'
+      });
+
+      success('Webhook subscription created');
+      formatOutput(data, { format: options.format, columns: webhookColumns });
+    });
+
+  // Delete webhook subscription
+  webhooks
+    .command('delete')
+    .alias('rm')
+    .description('Delete a webhook subscription')
+    .argument('<webhookId>', 'Webhook subscription ID')
+    .action(async (webhookId) => {
+      await del(`/webhooks/${webhookId}`, {
+        spinnerText: 'Deleting webhook subscription...'
+      });
+
+      success('Webhook subscription deleted');
+    });
+
+  // Receive webhook events locally
+  webhooks
+    .command('listen')
+    .description('Run a local HTTP server that verifies, prints and dispatches webhook events')
+    .option('--port <number>', 'Port to listen on', '4567')
+    .option('--host <host>', 'Interface to bind (use 0.0.0.0 to accept outside connections)', '127.0.0.1')
+    .option('--path <path>', 'Only accept deliveries to this path (default: any path)')
+    .option('--secret <secret>', 'Signing secret (default: webhookSecret setting or CODAT_WEBHOOK_SECRET)')
+    .option('--no-verify', 'Accept deliveries without checking their signature')
+    .option('--exec <spec>', 'Run a command per event, repeatable: "EventType=command" or "*=command" (event JSON on stdin)', collect)
+    .option('--max-events <number>', 'Exit after this many events')
+    .option('-f, --format <format>', 'Event output format (pretty, ndjson)', 'pretty')
+    .action(async (options) => {
+      const handle = eventHandlerFromOptions(options);
+      const secret = options.verify ? (options.secret || getWebhookSecret()) : null;
+      const port = parseWholeNumber(options.port, '--port', 0, 65535, 'Use a port from 1 to 65535, or 0 for any free port');
+      const maxEvents = options.maxEvents !== undefined
+        ? parseWholeNumber(options.maxEvents, '--max-events', 1, Infinity, 'Use a whole number of 1 or more, e.g. --max-events 1')
+        : Infinity;
+      let received = 0;
+      let failedHooks = 0;
+
+      if (options.verify && !secret) {
+        fail('No webhook signing secret configured', {
+          hint: 'Set one with: codat auth set-config webhookSecret whsec_...\nOr pass --secret, or --no-verify to accept unsigned deliveries'
+        });
+      }
+
+      let server;
+
+      const stop = () => {
+        server?.close();
+        process.exit(failedHooks > 0 ? EXIT_CODES.OPERATION_FAILED : EXIT_CODES.SUCCESS);
+      };
+
+      try {
+        server = await startWebhookServer({
+          port,
+          host: options.host,
+          path: options.path,
+          secret,
+          onEvent: async (event, meta) => {
+            failedHooks += await handle(event, meta);
+            if (++received >= maxEvents) stop();
+          },
+          onRejected: (reason, req) => {
+            console.error(chalk.yellow(`Rejected delivery to ${req.url}: ${reason}`));
+          }
+        });
+      } catch (e) {
+        fail(`Cannot listen on ${options.host}:${options.port}: ${e.message}`, {
+          code: 'listen_failed',
+          exitCode: EXIT_CODES.GENERAL
+        });
+      }
+
+      // Status goes to stderr so that stdout carries only events
+      const address = server.address();
+      console.error(chalk.green(`Listening for webhooks on http://${options.host}:${address.port}${options.path || '/'}`));
+      console.error(chalk.gray(secret ? 'Verifying signatures' : 'Signature verification disabled'));
+      console.error(chalk.gray('Press Ctrl+C to stop'));
+
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    });
+
+  // Replay saved webhook events
+  webhooks
+    .command('replay')
+    .description('Feed saved webhook events through the listen handler (no server, no signature checks)')
+    .argument('<file>', 'JSON, NDJSON (e.g., saved listen --format ndjson output) or YAML file, or - for stdin')
+    .option('--exec <spec>', 'Run a command per event, repeatable: "EventType=command" or "*=command" (event JSON on stdin)', collect)
+    .option('-f, --format <format>', 'Event output format (pretty, ndjson)', 'pretty')
+    .action(async (file, options) => {
+      const handle = eventHandlerFromOptions(options);
+      const { records } = await readRecords(file);
+      let failedHooks = 0;
+
+      for (const record of records) {
+        // Lines saved from `listen --format ndjson` wrap the event with delivery details
+        const saved = record.event && record.receivedAt;
+        const event = saved ? record.event : record;
+
+        failedHooks += await handle(event, { receivedAt: saved ? record.receivedAt : undefined });
+      }
+
+      console.error(chalk.gray(`Replayed ${records.length} event${records.length === 1 ? '' : 's'}`));
+
+      if (failedHooks > 0) {
+        error(`${failedHooks} command${failedHooks === 1 ? '' : 's'} failed`);
+        process.exit(EXIT_CODES.OPERATION_FAILED);
+      }
+    });
+}
@@ -0,0 +1,314 @@
+/**
+ * Type definitions for the Codat SDK entry point
+ */
+
+export const DEFAULT_BASE_URL: string;
+export const PUSH_FINAL_STATUSES: ReadonlyArray<PushOperationStatus>;
+
+export type Params = Record<string, string | number | boolean | undefined>;
+export type CodatRecord = Record<string, any>;
+
+export interface RetryPolicy {
+  /** Retry attempts for 429/5xx/network errors: a whole number of 0 or more (default 3) */
+  retries?: number;
+  /** Initial delay in milliseconds, doubled on each attempt (default 500) */
+  baseDelay?: number;
+  /** Maximum delay in milliseconds (default 30000) */
+  maxDelay?: number;
+  /** Also retry POST requests on server and network errors (default false) */
+  retryNonIdempotent?: boolean;
+}
+
+export interface RetryEvent {
+  attempt: number;
+  retries: number;
+  delay: number;
+  error: CodatError;
+}
+
+export interface CodatClientOptions {
+  apiKey: string;
+  baseUrl?: string;
+  /** Request timeout in milliseconds (default 30000) */
+  timeout?: number;
+  retry?: RetryPolicy;
+  onRetry?: (event: RetryEvent) => void;
+  /** Axios adapter that sends requests, e.g. to record or replay them */
+  adapter?: (config: any) => Promise<any>;
+}
+
+export interface PaginateOptions {
+  maxPages?: number;
+  maxItems?: number;
+}
+
+export interface Page<T = CodatRecord> {
+  results: T[];
+  pageNumber: number;
+  pageSize: number;
+  totalResults: number;
+  _links?: CodatRecord;
+}
+
+export type PushOperationStatus = 'Pending' | 'Success' | 'Failed' | 'TimedOut';
+
+export interface PushOperation {
+  pushOperationKey: string;
+  companyId: string;
+  dataConnectionKey?: string;
+  dataType?: string;
+  status: PushOperationStatus;
+  statusCode?: number;
+  requestedOnUtc?: string;
+  completedOnUtc?: string;
+  errorMessage?: string | null;
+  data?: CodatRecord;
+  validation?: {
+    errors?: Array<{ itemId?: string; message: string; validator?: string }>;
+    warnings?: Array<{ itemId?: string; message: string; validator?: string }>;
+  };
+  [key: string]: any;
+}
+
+export interface PullOperation {
+  id: string;
+  companyId: string;
+  connectionId?: string;
+  dataType: string;
+  status: string;
+  progress?: number;
+  requested?: string;
+  completed?: string;
+  isCompleted?: boolean;
+  isErrored?: boolean;
+  errorMessage?: string | null;
+  [key: string]: any;
+}
+
+export type PushOptionType = 'Array' | 'Object' | 'String' | 'Number' | 'Boolean' | 'DateTime' | 'File' | 'MultiPart';
+
+/** Push option schema for a data type, as returned by the connection's options endpoint */
+export interface PushOption {
+  type: PushOptionType;
+  displayName?: string;
+  description?: string;
+  required?: boolean;
+  /** Child fields of an Object, or of each element of an Array */
+  properties?: Record<string, PushOption>;
+  /** Allowed values */
+  options?: Array<{ value: string; displayName?: string; type?: string; required?: boolean }>;
+  validation?: {
+    warnings?: Array<{ field: string; details: string }>;
+    information?: Array<{ field: string; details: string }>;
+  };
+}
+
+export interface WebhookConsumer {
+  id: string;
+  url: string;
+  eventTypes: string[];
+  companyId?: string | null;
+  disabled?: boolean;
+}
+
+export interface WaitOptions {
+  /** Timeout in milliseconds (default 300000) */
+  timeout?: number;
+  /** Polling interval in milliseconds (default 5000) */
+  interval?: number;
+  onPoll?: (operation: PushOperation, elapsed: number) => void;
+}
+
+/** Bank transaction pushed to a bank account or bank feed */
+export interface BankTransaction {
+  /** Unique ID of the transaction in the source system */
+  id: string;
+  date: string;
+  /** Positive for money in, negative for money out */
+  amount: number;
+  /** Account balance after the transaction */
+  balance: number;
+  description?: string;
+  counterparty?: string;
+  reference?: string;
+  reconciled?: boolean;
+  transactionType?: string;
+}
+
+/** Bank feed source account: an account in another system that transactions are fed from */
+export interface BankFeedAccount {
+  id: string;
+  accountName: string;
+  accountType?: 'Credit' | 'Debit';
+  accountNumber?: string;
+  sortCode?: string;
+  currency?: string;
+  balance?: number;
+  status?: string;
+  feedStartDate?: string | null;
+  modifiedDate?: string;
+}
+
+export interface DataResource<T = CodatRecord> {
+  list(companyId: string, params?: Params): Promise<Page<T>>;
+  iterate(companyId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<T>;
+  get(companyId: string, id: string): Promise<T>;
+}
+
+export interface ConnectionDataResource<T = CodatRecord> {
+  list(companyId: string, connectionId: string, params?: Params): Promise<Page<T>>;
+  iterate(companyId: string, connectionId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<T>;
+  get(companyId: string, connectionId: string, id: string): Promise<T>;
+}
+
+export interface PushResource<T = CodatRecord> {
+  create(companyId: string, connectionId: string, payload: T): Promise<PushOperation>;
+  update(companyId: string, connectionId: string, id: string, payload: Partial<T>): Promise<PushOperation>;
+}
+
+export class CodatClient {
+  constructor(options: CodatClientOptions);
+
+  readonly baseUrl: string;
+  readonly retry: Required<RetryPolicy>;
+
+  request<T = any>(method: string, endpoint: string, options?: { params?: Params; data?: any }): Promise<T>;
+  get<T = any>(endpoint: string, params?: Params): Promise<T>;
+  post<T = any>(endpoint: string, data?: any, params?: Params): Promise<T>;
+  put<T = any>(endpoint: string, data?: any): Promise<T>;
+  delete<T = any>(endpoint: string): Promise<T>;
+  pages<T = CodatRecord>(endpoint: string, params?: Params, options?: PaginateOptions): AsyncGenerator<Page<T>>;
+  paginate<T = CodatRecord>(endpoint: string, params?: Params, options?: PaginateOptions): AsyncGenerator<T>;
+  getAll<T = CodatRecord>(endpoint: string, params?: Params, options?: PaginateOptions): Promise<T[]>;
+
+  companies: {
+    list(params?: Params): Promise<Page>;
+    iterate(params?: Params, options?: PaginateOptions): AsyncGenerator<CodatRecord>;
+    get(companyId: string): Promise<CodatRecord>;
+    create(payload: { name: string; description?: string }): Promise<CodatRecord>;
+    update(companyId: string, payload: { name?: string; description?: string }): Promise<CodatRecord>;
+    delete(companyId: string): Promise<void>;
+  };
+  connections: {
+    list(companyId: string, params?: Params): Promise<Page>;
+    iterate(companyId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<CodatRecord>;
+    get(companyId: string, connectionId: string): Promise<CodatRecord>;
+    create(companyId: string, platformKey: string): Promise<CodatRecord>;
+    delete(companyId: string, connectionId: string): Promise<void>;
+    unlink(companyId: string, connectionId: string): Promise<CodatRecord>;
+  };
+  accounts: DataResource & PushResource & {
+    transactions(companyId: string, connectionId: string, params?: Params): Promise<Page>;
+    iterateTransactions(companyId: string, connectionId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<CodatRecord>;
+  };
+  invoices: DataResource & PushResource & {
+    pdf(companyId: string, invoiceId: string): Promise<{ url?: string }>;
+  };
+  items: DataResource & PushResource;
+  salesOrders: DataResource;
+  creditNotes: DataResource & PushResource;
+  customers: DataResource & PushResource;
+  suppliers: DataResource & PushResource;
+  purchaseOrders: DataResource & PushResource;
+  bills: DataResource & PushResource;
+  billCreditNotes: DataResource & PushResource;
+  billPayments: DataResource;
+  payments: DataResource & PushResource;
+  paymentMethods: DataResource;
+  journals: DataResource;
+  journalEntries: DataResource & PushResource;
+  directCosts: ConnectionDataResource & PushResource;
+  directIncomes: ConnectionDataResource & PushResource;
+  transfers: ConnectionDataResource & PushResource;
+  bankAccounts: DataResource & PushResource & {
+    transactions(companyId: string, connectionId: string, accountId: string, params?: Params): Promise<Page>;
+    iterateTransactions(companyId: string, connectionId: string, accountId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<CodatRecord>;
+    pushTransactions(companyId: string, connectionId: string, accountId: string, payload: { accountId: string; transactions: BankTransaction[] }): Promise<PushOperation>;
+  };
+  bankFeedAccounts: {
+    list(companyId: string, connectionId: string): Promise<BankFeedAccount[]>;
+    create(companyId: string, connectionId: string, payload: BankFeedAccount): Promise<BankFeedAccount>;
+  };
+  taxRates: DataResource;
+  reports: {
+    balanceSheet(companyId: string, params: Params): Promise<CodatRecord>;
+    profitAndLoss(companyId: string, params: Params): Promise<CodatRecord>;
+    cashFlowStatement(companyId: string, params: Params): Promise<CodatRecord>;
+    agedDebtors(companyId: string, params?: Params): Promise<CodatRecord>;
+    agedCreditors(companyId: string, params?: Params): Promise<CodatRecord>;
+  };
+  push: {
+    list(companyId: string, params?: Params): Promise<Page<PushOperation>>;
+    iterate(companyId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<PushOperation>;
+    get(companyId: string, pushOperationKey: string): Promise<PushOperation>;
+    options(companyId: string, connectionId: string, dataType: string): Promise<PushOption>;
+    wait(companyId: string, pushOperationKey: string, options?: WaitOptions): Promise<PushOperation>;
+  };
+  sync: {
+    refreshAll(companyId: string): Promise<void>;
+    queue(companyId: string, dataType: string, options?: { connectionId?: string }): Promise<PullOperation>;
+    dataStatus(companyId: string): Promise<Record<string, { dataType: string; currentStatus: string; lastSuccessfulSync?: string; latestSyncId?: string }>>;
+    history(companyId: string, params?: Params): Promise<Page<PullOperation>>;
+    iterateHistory(companyId: string, params?: Params, options?: PaginateOptions): AsyncGenerator<PullOperation>;
+    get(companyId: string, datasetId: string): Promise<PullOperation>;
+  };
+  webhooks: {
+    list(params?: Params): Promise<Page<WebhookConsumer>>;
+    iterate(params?: Params, options?: PaginateOptions): AsyncGenerator<WebhookConsumer>;
+    get(webhookId: string): Promise<WebhookConsumer>;
+    create(payload: { url: string; eventTypes: string[]; companyId?: string; disabled?: boolean }): Promise<WebhookConsumer>;
+    delete(webhookId: string): Promise<void>;
+  };
+}
+
+export interface CodatErrorJSON {
+  name: string;
+  status: number | null;
+  code: string;
+  message: string;
+  details: any;
+  requestId: string | null;
+  method: string | null;
+  endpoint: string | null;
+}
+
+export class CodatError extends Error {
+  readonly status: number | null;
+  readonly code: string;
+  readonly details: any;
+  readonly requestId: string | null;
+  readonly method: string | null;
+  readonly endpoint: string | null;
+  toJSON(): CodatErrorJSON;
+}
+
+export class CodatAuthError extends CodatError {}
+export class CodatForbiddenError extends CodatError {}
+export class CodatNotFoundError extends CodatError {}
+export class CodatValidationError extends CodatError {}
+export class CodatRateLimitError extends CodatError {
+  /** Retry-After header value in seconds, when sent */
+  readonly retryAfter: number | null;
+}
+export class CodatServerError extends CodatError {}
+export class CodatNetworkError extends CodatError {}
+
+export type QueryOperator = '!=' | '>=' | '<=' | '=' | '>' | '<' | '~';
+export type QueryValue = string | number | boolean | Date;
+
+/** Build a query from field filters joined with &&, e.g. { status: 'Paid', totalAmount: { '>=': 100 } } */
+export function buildQuery(filters: Record<string, QueryValue | Partial<Record<QueryOperator, QueryValue>> | null | undefined>): string;
+/** Compile an expression such as 'status=Paid && (totalAmount>=100 || currency!=USD)' into Codat query syntax */
+export function parseWhere(expression: string): string;
+/** Build one condition, quoting and escaping string values */
+export function condition(field: string, operator: QueryOperator, value: QueryValue, options?: { date?: boolean }): string;
+/** Combine queries with &&, grouping parts that contain || */
+export function and(...parts: Array<string | false | null | undefined>): string;
+/** Combine queries with ||, grouping parts that contain && */
+export function or(...parts: Array<string | false | null | undefined>): string;
+/** Parse YYYY-MM-DD, ISO date-times, today, yesterday or an age such as 30d into an ISO date */
+export function parseDate(value: string, now?: Date): string;
+/** Check a record against a Codat query locally, e.g. to filter cached results */
+export function matchesQuery(record: object, query: string): boolean;
+
+export default CodatClient;
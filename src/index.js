@@ -0,0 +1,26 @@
+/**
+ * Codat SDK entry point
+ * Programmatic access to the Codat Accounting API for Node services
+ *
+ * @example
+ * import { CodatClient, CodatNotFoundError } from '@ktmcp-cli/codat';
+ *
+ * const codat = new CodatClient({ apiKey: process.env.CODAT_API_KEY });
+ * for await (const invoice of codat.invoices.iterate(companyId, { query: 'status=Paid' })) {
+ *   console.log(invoice.invoiceNumber);
+ * }
+ */
+
+export { CodatClient, DEFAULT_BASE_URL, PUSH_FINAL_STATUSES } from './lib/client.js';
+export {
+  CodatError,
+  CodatAuthError,
+  CodatForbiddenError,
+  CodatNotFoundError,
+  CodatValidationError,
+  CodatRateLimitError,
+  CodatServerError,
+  CodatNetworkError
+} from './lib/errors.js';
+export { buildQuery, parseWhere, condition, and, or, parseDate, matchesQuery } from './lib/query.js';
+export { default } from './lib/client.js';
@@ -1,97 +1,151 @@
 /**
  * Core API client for Codat Accounting API
- * Handles HTTP requests, error handling, and response formatting
+ * Wraps CodatClient with CLI concerns: config, spinners, error reporting and exit codes
  */
 
-import axios from 'axios';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getBaseUrl } from './config.js';
-import { getAuthHeaders } from './auth.js';
+import { getBaseUrl, getRetryPolicy, getRuntimeOption, getTraceOptions } from './config.js';
+import { requireAuth } from './auth.js';
+import { CodatClient, sleep } from './client.js';
+import { CodatError, CodatRateLimitError } from './errors.js';
+import { EXIT_CODES, exitCodeFor } from './exit-codes.js';
+import { fail, jsonErrorsEnabled, outputJsonError } from './output.js';
+import { and, condition, parseWhere, buildQuery } from './query.js';
+import { createRecordingAdapter, createReplayAdapter } from './recording.js';
+import { createTracingAdapter } from './trace.js';
+
+export { sleep };
+
+/**
+ * Choose the HTTP adapter for --record or --replay, traced for --verbose, --debug and --trace-file
+ * @returns {Function|undefined} Axios adapter (undefined for the network)
+ */
+function httpAdapter() {
+  const record = getRuntimeOption('record');
+  const replay = getRuntimeOption('replay');
+  const trace = getTraceOptions();
+
+  if (record && replay) {
+    fail('--record and --replay cannot be used together');
+  }
+
+  let adapter;
+  if (replay) adapter = createReplayAdapter(replay);
+  else if (record) adapter = createRecordingAdapter(record);
+
+  return trace.level || trace.file ? createTracingAdapter(adapter, trace) : adapter;
+}
 
 /**
- * Create an axios instance with default configuration
+ * Create a CodatClient from the active profile
+ * @param {Object} spinner - Ora spinner to report retries on (optional)
+ * @returns {CodatClient} Client
  */
-function createClient() {
-  return axios.create({
-    baseURL: getBaseUrl(),
+export function createClient(spinner = null) {
+  const replaying = Boolean(getRuntimeOption('replay'));
+
+  return new CodatClient({
+    // Replayed responses need no credentials, so recordings also run where no key is configured
+    apiKey: replaying ? 'replay' : requireAuth(),
+    baseUrl: getBaseUrl(),
     timeout: 30000,
-    headers: getAuthHeaders()
+    retry: getRetryPolicy(),
+    adapter: httpAdapter(),
+    onRetry: ({ attempt, retries, delay, error }) => {
+      const reason = error.status ? `HTTP ${error.status}` : 'Network error';
+      const message = `${reason}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${retries})...`;
+
+      if (spinner) {
+        spinner.text = message;
+      } else {
+        console.error(chalk.gray(message));
+      }
+    }
   });
 }
 
 /**
- * Handle API errors consistently
- * @param {Error} error - Axios error object
- */
-function handleApiError(error) {
-  if (error.response) {
-    // Server responded with error status
-    const { status, data } = error.response;
-
-    switch (status) {
-      case 400:
-        console.error(chalk.red('Bad Request:'), data.message || data.error || 'Invalid request parameters');
-        break;
-      case 401:
-        console.error(chalk.red('Unauthorized:'), 'Invalid API key or authentication failed');
-        console.error(chalk.yellow('Hint: Check your API key with'), chalk.cyan('codat auth status'));
-        break;
-      case 403:
-        console.error(chalk.red('Forbidden:'), 'You do not have permission to access this resource');
-        break;
-      case 404:
-        console.error(chalk.red('Not Found:'), 'Resource not found');
-        break;
-      case 429:
-        console.error(chalk.red('Rate Limited:'), 'Too many requests. Please try again later.');
-        if (data['Retry-After']) {
-          console.error(chalk.yellow(`Retry after: ${data['Retry-After']} seconds`));
-        }
-        break;
-      case 500:
-      case 502:
-      case 503:
+ * Handle API errors consistently, exiting with the code for the error class
+ * @param {CodatError} error - Error raised by CodatClient
+ */
+export function handleApiError(error) {
+  const exitCode = exitCodeFor(error);
+
+  if (jsonErrorsEnabled()) {
+    const fields = error instanceof CodatError
+      ? error.toJSON()
+      : { name: error.name, code: 'error', message: error.message };
+    outputJsonError(fields, exitCode);
+    process.exit(exitCode);
+  }
+
+  switch (error.status) {
+    case 400:
+    case 422:
+      console.error(chalk.red('Bad Request:'), error.message);
+      break;
+    case 401:
+      console.error(chalk.red('Unauthorized:'), 'Invalid API key or authentication failed');
+      console.error(chalk.yellow('Hint: Check your API key with'), chalk.cyan('codat auth status'));
+      break;
+    case 403:
+      console.error(chalk.red('Forbidden:'), 'You do not have permission to access this resource');
+      break;
+    case 404:
+      console.error(chalk.red('Not Found:'), 'Resource not found');
+      break;
+    case 429:
+      console.error(chalk.red('Rate Limited:'), 'Too many requests. Please try again later.');
+      if (error instanceof CodatRateLimitError && error.retryAfter != null) {
+        console.error(chalk.yellow(`Retry after: ${error.retryAfter} seconds`));
+      }
+      break;
+    case null:
+    case undefined:
+      if (error.code === 'network_error') {
+        console.error(chalk.red('Network Error:'), error.message);
+        console.error(chalk.yellow('Check your internet connection and try again'));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      break;
+    default:
+      if (error.status >= 500) {
         console.error(chalk.red('Server Error:'), 'Codat API is experiencing issues');
         console.error(chalk.yellow('Please try again later'));
-        break;
-      default:
-        console.error(chalk.red(`HTTP ${status}:`), data.message || data.error || 'Unknown error');
-    }
+      } else {
+        console.error(chalk.red(`HTTP ${error.status}:`), error.message || 'Unknown error');
+      }
+  }
 
-    // Show detailed error if available
-    if (data.details || data.validation) {
-      console.error(chalk.gray('\nDetails:'), JSON.stringify(data.details || data.validation, null, 2));
-    }
-  } else if (error.request) {
-    // Request made but no response received
-    console.error(chalk.red('Network Error:'), 'No response from server');
-    console.error(chalk.yellow('Check your internet connection and try again'));
-  } else {
-    // Error setting up request
-    console.error(chalk.red('Error:'), error.message);
+  // Show detailed error if available
+  if (error.details) {
+    console.error(chalk.gray('\nDetails:'), JSON.stringify(error.details, null, 2));
+  }
+
+  if (error.requestId) {
+    console.error(chalk.gray(`Request ID: ${error.requestId}`));
   }
 
-  process.exit(1);
+  process.exit(exitCode);
 }
 
 /**
- * Make a GET request to the API
- * @param {string} endpoint - API endpoint path
- * @param {Object} params - Query parameters
- * @param {Object} options - Additional options (showSpinner, spinnerText)
- * @returns {Promise<Object>} Response data
+ * Run a client call behind a spinner, reporting failures and exiting
+ * @param {Function} call - Receives a CodatClient and returns a promise
+ * @param {Object} options - Spinner options (showSpinner, spinnerText)
+ * @returns {Promise<*>} Result of the call
  */
-export async function get(endpoint, params = {}, options = {}) {
-  const { showSpinner = true, spinnerText = 'Fetching data...' } = options;
+async function withSpinner(call, options) {
+  const { showSpinner = true, spinnerText } = options;
   const spinner = showSpinner ? ora(spinnerText).start() : null;
 
   try {
-    const client = createClient();
-    const response = await client.get(endpoint, { params });
+    const result = await call(createClient(spinner));
 
     if (spinner) spinner.succeed('Done');
-    return response.data;
+    return result;
   } catch (error) {
     if (spinner) spinner.fail('Request failed');
     handleApiError(error);
@@ -99,109 +153,151 @@ export async function get(endpoint, params = {}, options = {}) {
 }
 
 /**
- * Make a POST request to the API
+ * Whether --dry-run is active (writes are printed instead of sent)
+ * @returns {boolean} True for a dry run
+ */
+export function isDryRun() {
+  return Boolean(getRuntimeOption('dryRun'));
+}
+
+/**
+ * Print the request a write would send, without sending it
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} data - Request body (omitted for DELETE)
+ */
+export function printDryRun(method, endpoint, data) {
+  const url = getBaseUrl().replace(/\/+$/, '') + endpoint;
+
+  console.log(chalk.yellow('Dry run: request not sent'));
+  console.log(`${chalk.bold(method)} ${url}`);
+  console.log(chalk.gray('Authorization: Basic <redacted>'));
+
+  if (data !== undefined) {
+    console.log(chalk.gray('Content-Type: application/json'));
+    console.log(JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Print a write request and exit successfully when --dry-run is active
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} data - Request body
+ */
+function exitIfDryRun(method, endpoint, data) {
+  if (isDryRun()) {
+    printDryRun(method, endpoint, data);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+}
+
+/**
+ * Make a GET request to the API
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Additional options (showSpinner, spinnerText)
+ * @returns {Promise<Object>} Response data
+ */
+export async function get(endpoint, params = {}, options = {}) {
+  return withSpinner(client => client.get(endpoint, params), {
+    spinnerText: 'Fetching data...',
+    ...options
+  });
+}
+
+/**
+ * Make a POST request to the API (printed instead of sent under --dry-run)
  * @param {string} endpoint - API endpoint path
  * @param {Object} data - Request body
  * @param {Object} options - Additional options (showSpinner, spinnerText)
  * @returns {Promise<Object>} Response data
  */
 export async function post(endpoint, data = {}, options = {}) {
-  const { showSpinner = true, spinnerText = 'Creating resource...' } = options;
-  const spinner = showSpinner ? ora(spinnerText).start() : null;
-
-  try {
-    const client = createClient();
-    const response = await client.post(endpoint, data);
+  exitIfDryRun('POST', endpoint, data);
 
-    if (spinner) spinner.succeed('Done');
-    return response.data;
-  } catch (error) {
-    if (spinner) spinner.fail('Request failed');
-    handleApiError(error);
-  }
+  return withSpinner(client => client.post(endpoint, data), {
+    spinnerText: 'Creating resource...',
+    ...options
+  });
 }
 
 /**
- * Make a PUT request to the API
+ * Make a PUT request to the API (printed instead of sent under --dry-run)
  * @param {string} endpoint - API endpoint path
  * @param {Object} data - Request body
  * @param {Object} options - Additional options (showSpinner, spinnerText)
  * @returns {Promise<Object>} Response data
  */
 export async function put(endpoint, data = {}, options = {}) {
-  const { showSpinner = true, spinnerText = 'Updating resource...' } = options;
-  const spinner = showSpinner ? ora(spinnerText).start() : null;
-
-  try {
-    const client = createClient();
-    const response = await client.put(endpoint, data);
+  exitIfDryRun('PUT', endpoint, data);
 
-    if (spinner) spinner.succeed('Done');
-    return response.data;
-  } catch (error) {
-    if (spinner) spinner.fail('Request failed');
-    handleApiError(error);
-  }
+  return withSpinner(client => client.put(endpoint, data), {
+    spinnerText: 'Updating resource...',
+    ...options
+  });
 }
 
 /**
- * Make a DELETE request to the API
+ * Make a DELETE request to the API (printed instead of sent under --dry-run)
  * @param {string} endpoint - API endpoint path
  * @param {Object} options - Additional options (showSpinner, spinnerText)
  * @returns {Promise<Object>} Response data
  */
 export async function del(endpoint, options = {}) {
-  const { showSpinner = true, spinnerText = 'Deleting resource...' } = options;
-  const spinner = showSpinner ? ora(spinnerText).start() : null;
-
-  try {
-    const client = createClient();
-    const response = await client.delete(endpoint);
+  exitIfDryRun('DELETE', endpoint);
 
-    if (spinner) spinner.succeed('Done');
-    return response.data;
-  } catch (error) {
-    if (spinner) spinner.fail('Request failed');
-    handleApiError(error);
-  }
+  return withSpinner(client => client.delete(endpoint), {
+    spinnerText: 'Deleting resource...',
+    ...options
+  });
 }
 
 /**
  * Fetch all pages of a paginated endpoint
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (showSpinner, maxPages, maxItems)
  * @returns {Promise<Array>} All results combined
  */
 export async function getAllPages(endpoint, params = {}, options = {}) {
-  const { showSpinner = true, maxPages = 10 } = options;
+  const { showSpinner = true, maxPages = 1000, maxItems = Infinity } = options;
   const spinner = showSpinner ? ora('Fetching all pages...').start() : null;
 
   const allResults = [];
-  let page = 1;
-  let hasMore = true;
+  let page = 0;
+  let hasMore = false;
 
   try {
-    while (hasMore && page <= maxPages) {
-      const client = createClient();
-      const response = await client.get(endpoint, {
-        params: { ...params, page, pageSize: params.pageSize || 100 }
-      });
+    const client = createClient(spinner);
 
-      const data = response.data;
+    for await (const data of client.pages(endpoint, params, { maxPages })) {
+      page++;
       allResults.push(...(data.results || []));
 
       if (spinner) {
-        spinner.text = `Fetching page ${page}... (${allResults.length} items)`;
+        const total = data.totalResults != null ? ` of ${data.totalResults}` : '';
+        spinner.text = `Fetching page ${page}... (${allResults.length}${total} items)`;
       }
 
-      // Check if there are more pages
       hasMore = data._links?.next?.href != null;
-      page++;
+      if (allResults.length >= maxItems) break;
     }
 
-    if (spinner) spinner.succeed(`Fetched ${allResults.length} items`);
-    return allResults;
+    const results = allResults.slice(0, maxItems);
+
+    if (hasMore && page >= maxPages && results.length < maxItems) {
+      const message = `Stopped after ${maxPages} pages; results are truncated (${results.length} items)`;
+      if (spinner) {
+        spinner.warn(message);
+      } else {
+        console.error(chalk.yellow('⚠'), message);
+      }
+    } else if (spinner) {
+      spinner.succeed(`Fetched ${results.length} items`);
+    }
+
+    return results;
   } catch (error) {
     if (spinner) spinner.fail('Request failed');
     handleApiError(error);
@@ -209,34 +305,139 @@ export async function getAllPages(endpoint, params = {}, options = {}) {
 }
 
 /**
- * Build query string from filter object
- * @param {Object} filters - Filter object
- * @returns {string} Query string
+ * Parse a --max-items option
+ * @param {string} value - Option value
+ * @returns {number} Most items to fetch
  */
-export function buildQuery(filters) {
-  if (!filters || Object.keys(filters).length === 0) {
-    return '';
+function parseMaxItems(value) {
+  const maxItems = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(maxItems) || maxItems < 1) {
+    fail(`Invalid --max-items: ${value}`, {
+      hint: 'Use a whole number of 1 or more, e.g. --max-items 500',
+      exitCode: EXIT_CODES.USAGE
+    });
   }
+  return maxItems;
+}
 
-  const conditions = [];
-  for (const [key, value] of Object.entries(filters)) {
-    if (value !== undefined && value !== null) {
-      if (typeof value === 'string') {
-        conditions.push(`${key}="${value}"`);
-      } else {
-        conditions.push(`${key}=${value}`);
-      }
-    }
+/**
+ * Fetch the results of a list endpoint, either one page or every page
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters (page, pageSize, query, ...)
+ * @param {Object} options - Command options (all, maxItems)
+ * @returns {Promise<Array>} Results
+ */
+export async function getResults(endpoint, params = {}, options = {}) {
+  if (options.all || options.maxItems !== undefined) {
+    const maxItems = options.maxItems !== undefined ? parseMaxItems(options.maxItems) : Infinity;
+    return getAllPages(endpoint, params, { maxItems });
+  }
+
+  const data = await get(endpoint, params);
+  return data.results || [];
+}
+
+/**
+ * Collect a repeatable option's values (commander option parser)
+ * @param {string} value - Value given on the command line
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} All values
+ */
+export function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Shortest accepted --poll-interval, in seconds
+ */
+export const MIN_POLL_INTERVAL = 1;
+
+/**
+ * Parse --wait-timeout and --poll-interval values into milliseconds
+ * @param {Object} options - Options (timeout and interval in seconds, as given on the command line)
+ * @param {Object} defaults - Seconds used for options not given (timeout, interval)
+ * @returns {{timeout: number, interval: number}} Timeout and interval in milliseconds
+ */
+export function parseWaitOptions(options, defaults) {
+  const timeout = Number(options.timeout ?? defaults.timeout);
+  const interval = Number(options.interval ?? defaults.interval);
+
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    fail(`Invalid --wait-timeout: ${options.timeout}`, {
+      hint: 'Use a positive number of seconds, e.g. --wait-timeout 300',
+      exitCode: EXIT_CODES.USAGE
+    });
+  }
+  if (!Number.isFinite(interval) || interval < MIN_POLL_INTERVAL) {
+    fail(`Invalid --poll-interval: ${options.interval}`, {
+      hint: `Use a number of seconds no lower than ${MIN_POLL_INTERVAL}, e.g. --poll-interval 5`,
+      exitCode: EXIT_CODES.USAGE
+    });
   }
 
-  return conditions.join('&&');
+  return { timeout: timeout * 1000, interval: interval * 1000 };
 }
 
+/**
+ * Parse an amount filter flag
+ * @param {string} value - Amount text
+ * @param {string} flag - Flag name for the error message
+ * @returns {number} Amount
+ * @throws {SyntaxError} If the value is not a number
+ */
+function parseAmount(value, flag) {
+  const amount = Number(value);
+  if (value === '' || isNaN(amount)) {
+    throw new SyntaxError(`${flag} must be a number, got "${value}"`);
+  }
+  return amount;
+}
+
+/**
+ * Build the query of a list command from its filter flags, all joined with &&:
+ * --query (raw Codat syntax), --where expressions and the shortcut flags
+ * @param {Object} options - Command options (query, where, since, modifiedSince, customerId, supplierId, minAmount, maxAmount)
+ * @param {Object} fields - Fields the shortcut flags filter on (date: --since, default modifiedDate; amount: default totalAmount)
+ * @returns {string|undefined} Codat query, or undefined if no filter was given
+ */
+export function queryFromOptions(options, fields = {}) {
+  const { date = 'modifiedDate', amount = 'totalAmount' } = fields;
+
+  try {
+    const query = and(
+      options.query,
+      ...(options.where || []).map(parseWhere),
+      options.since && condition(date, '>=', options.since, { date: true }),
+      options.modifiedSince && condition('modifiedDate', '>=', options.modifiedSince, { date: true }),
+      options.customerId && condition('customerRef.id', '=', options.customerId),
+      options.supplierId && condition('supplierRef.id', '=', options.supplierId),
+      options.minAmount !== undefined && condition(amount, '>=', parseAmount(options.minAmount, '--min-amount')),
+      options.maxAmount !== undefined && condition(amount, '<=', parseAmount(options.maxAmount, '--max-amount'))
+    );
+
+    return query || undefined;
+  } catch (e) {
+    fail(`Invalid filter: ${e.message}`, {
+      hint: 'Example: --where \'status=Paid && (totalAmount>=100 || currency!=USD)\''
+    });
+  }
+}
+
+export { buildQuery };
+
 export default {
+  createClient,
+  handleApiError,
+  isDryRun,
+  printDryRun,
   get,
   post,
   put,
   del,
   getAllPages,
-  buildQuery
+  getResults,
+  buildQuery,
+  collect,
+  queryFromOptions,
+  sleep
 };
@@ -3,8 +3,10 @@
  * Handles API key validation and header generation
  */
 
-import { getApiKey } from './config.js';
+import { getApiKey, getActiveProfile, DEFAULT_PROFILE } from './config.js';
 import chalk from 'chalk';
+import { EXIT_CODES } from './exit-codes.js';
+import { jsonErrorsEnabled, outputJsonError } from './output.js';
 
 /**
  * Validate that API key is configured
@@ -14,13 +16,25 @@ export function requireAuth() {
   const apiKey = getApiKey();
 
   if (!apiKey) {
-    console.error(chalk.red('Error: API key not configured'));
+    const profile = getActiveProfile();
+    const flag = profile === DEFAULT_PROFILE ? '' : ` --profile ${profile}`;
+
+    if (jsonErrorsEnabled()) {
+      outputJsonError({
+        name: 'ConfigurationError',
+        code: 'api_key_missing',
+        message: `API key not configured for profile "${profile}"`
+      }, EXIT_CODES.AUTH);
+      process.exit(EXIT_CODES.AUTH);
+    }
+
+    console.error(chalk.red(`Error: API key not configured for profile "${profile}"`));
     console.error(chalk.yellow('\nPlease set your API key using one of these methods:'));
-    console.error(chalk.cyan('  1. codat auth login'));
+    console.error(chalk.cyan(`  1. codat auth login${flag}`));
     console.error(chalk.cyan('  2. export CODAT_API_KEY=your_api_key'));
-    console.error(chalk.cyan('  3. codat auth set-key <your_api_key>'));
+    console.error(chalk.cyan(`  3. codat auth set-key <your_api_key>${flag}`));
     console.error(chalk.gray('\nGet your API key from: https://app.codat.io/developers/api-keys'));
-    process.exit(1);
+    process.exit(EXIT_CODES.AUTH);
   }
 
   return apiKey;
@@ -68,3 +82,16 @@ export function validateApiKeyFormat(apiKey) {
   // Basic validation - not empty and reasonable length
   return apiKey && typeof apiKey === 'string' && apiKey.length >= 20;
 }
+
+/**
+ * Mask API key for display
+ * @param {string} apiKey - API key to mask
+ * @returns {string} Masked API key
+ */
+export function maskApiKey(apiKey) {
+  if (!apiKey || apiKey.length < 8) {
+    return '***';
+  }
+  const visible = 4;
+  return apiKey.substring(0, visible) + '***' + apiKey.substring(apiKey.length - visible);
+}
@@ -0,0 +1,422 @@
+/**
+ * Bank feed utilities
+ * Reads bank transactions from JSON or CSV, checks them against what the account already holds,
+ * and pushes them in batches
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import { createClient, handleApiError, post, isDryRun, printDryRun } from './api.js';
+import { reportBatch, batchColumns } from './batch.js';
+import { parseCsv, parseNumber } from './csv.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { readRecords } from './input.js';
+import { fail, info, jsonErrorsEnabled } from './output.js';
+import { handlePushResult, pushBatchHandlers, exitIfPushFailed } from './push.js';
+import { checkPushPayloads } from './push-options.js';
+import { condition, or } from './query.js';
+
+/**
+ * Most transactions Codat accepts in one bank transactions push
+ */
+export const MAX_TRANSACTIONS_PER_PUSH = 1000;
+
+/**
+ * Fields of a pushed bank transaction (other CSV columns are ignored)
+ */
+const TRANSACTION_FIELDS = ['id', 'date', 'description', 'counterparty', 'reference', 'reconciled', 'amount', 'balance', 'transactionType'];
+
+/**
+ * Transaction IDs looked up per request (keeps the query short)
+ */
+const IDS_PER_QUERY = 50;
+
+/**
+ * Latest transactions fetched to find the account's closing balance
+ */
+const LATEST_PAGE_SIZE = 100;
+
+/**
+ * Maximum validation errors printed to the terminal
+ */
+const MAX_PRINTED_ERRORS = 20;
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calendar day of a date string, for comparing dates with and without a time
+ * @param {string} date - Date (YYYY-MM-DD or ISO 8601)
+ * @returns {string} YYYY-MM-DD
+ */
+function day(date) {
+  return String(date).substring(0, 10);
+}
+
+/**
+ * Read bank transactions from a CSV/TSV file (by extension) or a JSON, NDJSON or YAML file or stdin.
+ * A single record with a transactions list (the push payload itself) is unwrapped.
+ * @param {string} path - File path, or "-" for stdin
+ * @returns {Promise<Array<Object>>} Raw records, in file order
+ */
+export async function readBankTransactions(path) {
+  const ext = path === '-' ? '' : extname(path).toLowerCase();
+
+  if (ext === '.csv' || ext === '.tsv') {
+    let parsed;
+
+    try {
+      parsed = parseCsv(readFileSync(path, 'utf8'), { delimiter: ext === '.tsv' ? '\t' : ',' });
+    } catch (e) {
+      fail(`Cannot read ${path}: ${e.message}`);
+    }
+
+    if (parsed.rows.length === 0) {
+      fail(`No transactions found in ${path}`);
+    }
+
+    return parsed.rows.map(row => Object.fromEntries(
+      TRANSACTION_FIELDS.filter(field => row[field] !== undefined && row[field] !== '').map(field => [field, row[field]])
+    ));
+  }
+
+  const { records } = await readRecords(path);
+
+  if (records.length === 1 && Array.isArray(records[0].transactions)) {
+    return records[0].transactions;
+  }
+
+  return records;
+}
+
+/**
+ * Convert a raw record into a transaction: numbers and booleans given as text are parsed,
+ * and transactionType defaults from the sign of the amount
+ * @param {Object} record - Raw record
+ * @returns {{transaction: Object, problems: Array<string>}} Transaction and what is wrong with it
+ */
+export function normalizeTransaction(record) {
+  const transaction = { ...record };
+  const problems = [];
+
+  if (typeof transaction.id === 'number') {
+    transaction.id = String(transaction.id);
+  }
+  if (!transaction.id) {
+    problems.push('id is required (the transaction\'s unique ID in your system)');
+  }
+
+  if (!transaction.date) {
+    problems.push('date is required');
+  } else if (isNaN(Date.parse(transaction.date))) {
+    problems.push(`date is not a valid date: ${transaction.date}`);
+  }
+
+  for (const field of ['amount', 'balance']) {
+    const value = transaction[field];
+    if (typeof value !== 'string') continue;
+
+    const number = parseNumber(value);
+    if (isNaN(number)) {
+      problems.push(`${field} must be a number: ${value}`);
+    } else {
+      transaction[field] = number;
+    }
+  }
+
+  if (transaction.amount === undefined || transaction.amount === null) {
+    problems.push('amount is required');
+  }
+
+  if (typeof transaction.reconciled === 'string') {
+    const value = transaction.reconciled.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(value)) {
+      transaction.reconciled = true;
+    } else if (['false', 'no', '0'].includes(value)) {
+      transaction.reconciled = false;
+    } else {
+      problems.push(`reconciled must be true or false: ${transaction.reconciled}`);
+    }
+  }
+
+  if (!transaction.transactionType && typeof transaction.amount === 'number') {
+    transaction.transactionType = transaction.amount >= 0 ? 'Credit' : 'Debit';
+  }
+
+  return { transaction, problems };
+}
+
+/**
+ * Find which transaction IDs the account already holds
+ * @param {CodatClient} client - API client
+ * @param {string} endpoint - Bank transactions endpoint of the account
+ * @param {Array<string>} ids - Transaction IDs
+ * @returns {Promise<Set<string>>} IDs already present
+ */
+async function existingIds(client, endpoint, ids) {
+  const found = new Set();
+
+  for (let i = 0; i < ids.length; i += IDS_PER_QUERY) {
+    const query = or(...ids.slice(i, i + IDS_PER_QUERY).map(id => condition('id', '=', id)));
+    const transactions = await client.getAll(endpoint, { pageSize: IDS_PER_QUERY, query });
+    transactions.forEach(tx => found.add(tx.id));
+  }
+
+  return found;
+}
+
+/**
+ * Fetch the account's latest transaction. Several on the latest day are ordered by their balances:
+ * the latest is the one no other transaction follows on from.
+ * @param {CodatClient} client - API client
+ * @param {string} endpoint - Bank transactions endpoint of the account
+ * @returns {Promise<Object|undefined>} Latest transaction, or undefined if the account has none
+ */
+async function latestTransaction(client, endpoint) {
+  const { results = [] } = await client.get(endpoint, { page: 1, pageSize: LATEST_PAGE_SIZE, orderBy: '-date' });
+  if (results.length === 0) return undefined;
+
+  const lastDay = results.filter(tx => day(tx.date) === day(results[0].date));
+  const followed = new Set(lastDay.map(tx => round(tx.balance - tx.amount)));
+
+  return lastDay.find(tx => !followed.has(round(tx.balance))) || lastDay[lastDay.length - 1];
+}
+
+/**
+ * Print per-row problems and exit with a validation error
+ * @param {Map<number, Array<string>>} errors - Problems by row number
+ * @param {number} total - Number of rows read
+ */
+function failRows(errors, total) {
+  const list = [...errors.entries()].sort(([a], [b]) => a - b);
+
+  if (!jsonErrorsEnabled()) {
+    list.slice(0, MAX_PRINTED_ERRORS).forEach(([row, messages]) => {
+      console.error(chalk.red(`  Row ${row}:`), messages.join('; '));
+    });
+    if (list.length > MAX_PRINTED_ERRORS) {
+      console.error(chalk.gray(`  ...and ${list.length - MAX_PRINTED_ERRORS} more`));
+    }
+  }
+
+  fail(`${list.length} of ${total} transactions failed validation; nothing was pushed`, {
+    hint: 'Fix the rows above and run the command again (transactions already on the account are skipped)',
+    name: 'ValidationError',
+    code: 'bank_transactions_invalid',
+    exitCode: EXIT_CODES.VALIDATION,
+    details: list.map(([row, messages]) => ({ row, errors: messages }))
+  });
+}
+
+/**
+ * Check bank transactions before pushing them to an account:
+ * - every row has an ID, a date and an amount, and no ID appears twice
+ * - rows are in date order and none is dated before the account's latest transaction
+ * - each balance equals the previous balance plus the amount, starting from the account's latest
+ *   transaction (or the opening balance, for an account without transactions)
+ * - fields match the connection's push options
+ * Transactions whose IDs the account already holds are skipped, so a file can be pushed again safely.
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} accountId - Bank account ID
+ * @param {Array<Object>} records - Raw records from readBankTransactions()
+ * @param {Object} options - Command options (openingBalance, balanceCheck)
+ * @returns {Promise<{transactions: Array<Object>, skipped: Array<Object>}>} Transactions to push and those skipped
+ */
+export async function prepareBankTransactions(companyId, connectionId, accountId, records, options = {}) {
+  const endpoint = `/companies/${companyId}/connections/${connectionId}/data/bankAccounts/${accountId}/bankTransactions`;
+  const errors = new Map();
+  const addError = (row, message) => errors.set(row, [...(errors.get(row) || []), message]);
+  const rows = records.map((record, i) => ({ row: i + 1, ...normalizeTransaction(record) }));
+  const rowsById = new Map();
+
+  rows.forEach(({ row, transaction, problems }, i) => {
+    problems.forEach(message => addError(row, message));
+
+    if (transaction.id) {
+      if (rowsById.has(transaction.id)) {
+        addError(row, `id ${transaction.id} repeats row ${rowsById.get(transaction.id)}`);
+      } else {
+        rowsById.set(transaction.id, row);
+      }
+    }
+
+    const previous = rows[i - 1]?.transaction;
+    if (previous?.date && transaction.date && day(transaction.date) < day(previous.date)) {
+      addError(row, `dated ${day(transaction.date)}, before row ${row - 1} (${day(previous.date)}); transactions must be in date order`);
+    }
+  });
+
+  if (errors.size > 0) {
+    failRows(errors, rows.length);
+  }
+
+  const spinner = ora(`Checking ${rows.length} transactions against the account...`).start();
+  let present;
+  let latest;
+
+  try {
+    const client = createClient(spinner);
+    present = await existingIds(client, endpoint, [...rowsById.keys()]);
+    latest = await latestTransaction(client, endpoint);
+    spinner.stop();
+  } catch (e) {
+    spinner.fail('Request failed');
+    handleApiError(e);
+  }
+
+  const pending = rows.filter(({ transaction }) => !present.has(transaction.id));
+  const skipped = rows.filter(({ transaction }) => present.has(transaction.id)).map(({ transaction }) => transaction);
+
+  let balance = latest ? latest.balance : options.openingBalance;
+  let balanceSource = latest ? `the latest transaction on the account (${latest.id})` : 'the opening balance';
+
+  for (const { row, transaction } of pending) {
+    if (latest && day(transaction.date) < day(latest.date)) {
+      addError(row, `dated ${day(transaction.date)}, before the latest transaction on the account (${day(latest.date)})`);
+    }
+
+    if (options.balanceCheck === false) continue;
+
+    if (typeof transaction.balance !== 'number') {
+      addError(row, 'balance is required (or pass --no-balance-check)');
+      continue;
+    }
+
+    if (typeof balance === 'number' && typeof transaction.amount === 'number') {
+      const expected = round(balance + transaction.amount);
+      if (Math.abs(expected - transaction.balance) >= 0.005) {
+        addError(row, `balance ${transaction.balance.toFixed(2)} does not follow from ${balanceSource}: expected ${balance.toFixed(2)} ${transaction.amount < 0 ? '-' : '+'} ${Math.abs(transaction.amount).toFixed(2)} = ${expected.toFixed(2)}`);
+      }
+    }
+
+    balance = transaction.balance;
+    balanceSource = `row ${row}`;
+  }
+
+  // Schema problems come back as $.transactions[i].field paths; report them against the row
+  const transactions = pending.map(({ transaction }) => transaction);
+  const schemaProblems = await checkPushPayloads(companyId, connectionId, `bankAccounts/${accountId}/bankTransactions`, [
+    { accountId, transactions }
+  ]);
+
+  schemaProblems?.[0].forEach(({ path, message }) => {
+    const [, index, field] = path.match(/^\$\.transactions\[(\d+)\]\.(.+)$/) || [];
+    const row = index !== undefined ? pending[index].row : pending[0].row;
+    addError(row, `${field ?? path} ${message}`);
+  });
+
+  if (errors.size > 0) {
+    failRows(errors, rows.length);
+  }
+
+  return { transactions, skipped };
+}
+
+/**
+ * Parse a --batch-size option
+ * @param {string} value - Option value
+ * @returns {number} Transactions per push
+ */
+export function parseBatchSize(value) {
+  const batchSize = Number(value);
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_TRANSACTIONS_PER_PUSH) {
+    fail(`Invalid batch size: ${value}`, { hint: `Use a whole number from 1 to ${MAX_TRANSACTIONS_PER_PUSH}` });
+  }
+  return batchSize;
+}
+
+/**
+ * Push checked bank transactions to an account in batches. A single batch is reported like any other push;
+ * several are pushed one after another, each waited on before the next, and stop at the first failure.
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} accountId - Bank account ID
+ * @param {Array<Object>} transactions - Transactions from prepareBankTransactions(), in date order
+ * @param {number} batchSize - Transactions per push (see parseBatchSize)
+ * @param {Object} options - Command options (wait, waitTimeout, pollInterval, format)
+ * @returns {Promise<Object|Array<Object>>} Push operation, or per-batch results
+ */
+export async function pushBankTransactions(companyId, connectionId, accountId, transactions, batchSize, options = {}) {
+  const endpoint = `/companies/${companyId}/connections/${connectionId}/push/bankAccounts/${accountId}/bankTransactions`;
+  const batches = [];
+  for (let i = 0; i < transactions.length; i += batchSize) {
+    batches.push({ accountId, transactions: transactions.slice(i, i + batchSize) });
+  }
+
+  if (batches.length === 1) {
+    const data = await post(endpoint, batches[0], { spinnerText: `Pushing ${transactions.length} bank transactions...` });
+    return handlePushResult(companyId, data, options, 'Bank transactions');
+  }
+
+  if (isDryRun()) {
+    batches.forEach(batch => printDryRun('POST', endpoint, batch));
+    return [];
+  }
+
+  info(`Pushing ${transactions.length} transactions in ${batches.length} batches of up to ${batchSize}`);
+
+  // Later batches continue the balances of earlier ones, so each must succeed before the next is sent
+  const { describe, after } = pushBatchHandlers(companyId, { ...options, wait: true });
+  const spinner = ora().start();
+  const client = createClient(spinner);
+  const results = [];
+  let failed = false;
+
+  for (const [i, batch] of batches.entries()) {
+    const first = batch.transactions[0];
+    const last = batch.transactions[batch.transactions.length - 1];
+    const entry = { record: i + 1, transactions: batch.transactions.length, from: day(first.date), to: day(last.date) };
+
+    if (failed) {
+      results.push({ ...entry, status: 'Skipped', id: null, message: 'Not pushed: an earlier batch failed' });
+      continue;
+    }
+
+    spinner.text = `Pushing batch ${i + 1} of ${batches.length} (${batch.transactions.length} transactions)...`;
+
+    try {
+      const result = await after(client, await client.post(endpoint, batch));
+      results.push({ ...entry, ...describe(result), result });
+    } catch (e) {
+      results.push({ ...entry, status: 'Error', id: null, message: e.message, error: e });
+    }
+
+    failed = results[i].status !== 'Success';
+  }
+
+  spinner.stop();
+
+  reportBatch(results, 'batches', options, [
+    batchColumns[0],
+    { key: 'transactions', header: 'Transactions' },
+    { key: 'from', header: 'From' },
+    { key: 'to', header: 'To' },
+    ...batchColumns.slice(1)
+  ]);
+
+  // A batch still pending when the wait timed out stops the run without counting as failed above
+  const incomplete = results.find(r => r.result && r.status !== 'Success');
+  if (incomplete) {
+    exitIfPushFailed(incomplete.result);
+  }
+
+  return results;
+}
+
+export default {
+  MAX_TRANSACTIONS_PER_PUSH,
+  readBankTransactions,
+  normalizeTransaction,
+  prepareBankTransactions,
+  parseBatchSize,
+  pushBankTransactions
+};
@@ -0,0 +1,176 @@
+/**
+ * Batch submission utilities
+ * Sends several create requests in one invocation and reports a per-record result summary
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { createClient, isDryRun, printDryRun } from './api.js';
+import { EXIT_CODES, exitCodeFor } from './exit-codes.js';
+import { formatOutput, success, error, jsonErrorsEnabled, outputJsonError } from './output.js';
+
+/**
+ * Statuses counted as failures in a batch summary
+ */
+const FAILED_STATUSES = ['Error', 'Failed', 'TimedOut'];
+
+/**
+ * Table columns for batch result summaries
+ */
+export const batchColumns = [
+  { key: 'record', header: '#' },
+  {
+    key: 'status',
+    header: 'Status',
+    formatter: (v) => {
+      if (FAILED_STATUSES.includes(v)) return chalk.red(v);
+      if (v === 'Pending') return chalk.yellow(v);
+      return v === 'Skipped' ? chalk.gray(v) : chalk.green(v);
+    }
+  },
+  { key: 'id', header: 'ID / Push Key' },
+  { key: 'message', header: 'Message' }
+];
+
+/**
+ * Send one request per payload, continuing past failures, then print a summary.
+ * Exits non-zero if any record failed (see reportBatch).
+ * @param {Array<Object>} payloads - Request bodies
+ * @param {Object} request - Request description (see submitBatch)
+ * @param {Object} options - Command options (format)
+ * @returns {Promise<Array<Object>>} Per-record results
+ */
+export async function runBatch(payloads, request, options = {}) {
+  if (isDryRun()) {
+    payloads.forEach(payload => printDryRun(request.method, request.endpoint, payload));
+    return [];
+  }
+
+  const results = await submitBatch(payloads, request);
+  reportBatch(results, request.label, options);
+  return results;
+}
+
+/**
+ * Send one request per payload with bounded concurrency, collecting a result per record
+ * @param {Array<Object>} payloads - Request bodies
+ * @param {Object} request - Request description
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - API endpoint path
+ * @param {string} request.label - Plural record name (e.g., 'invoices')
+ * @param {Function} request.describe - Maps a response to { status, id, message }
+ * @param {Function} [request.after] - Receives (client, response) and returns the final result (e.g., waits for a push)
+ * @param {number} [request.concurrency] - Requests in flight at once (default 1)
+ * @returns {Promise<Array<Object>>} Results in payload order ({ record, status, id, message, result | error })
+ */
+export async function submitBatch(payloads, request) {
+  const { method, endpoint, label, describe, after, concurrency = 1 } = request;
+  const spinner = ora(`Submitting ${payloads.length} ${label}...`).start();
+  const client = createClient(spinner);
+  let done = 0;
+
+  const results = await mapWithConcurrency(payloads, concurrency, async (payload, i) => {
+    let entry;
+
+    try {
+      let result = await client.request(method, endpoint, { data: payload });
+      if (after) {
+        result = await after(client, result);
+      }
+      entry = { record: i + 1, ...describe(result), result };
+    } catch (e) {
+      entry = { record: i + 1, status: 'Error', id: null, message: e.message, error: e };
+    }
+
+    done++;
+    spinner.text = `Submitted ${done} of ${payloads.length} ${label}...`;
+    return entry;
+  });
+
+  spinner.stop();
+  return results;
+}
+
+/**
+ * Print a batch summary and exit non-zero if any record failed: with the exit code of the
+ * first API error, or the operation-failed code if every request was accepted but a push failed
+ * @param {Array<Object>} results - Results from submitBatch
+ * @param {string} label - Plural record name (e.g., 'invoices')
+ * @param {Object} options - Command options (format)
+ * @param {Array<Object>} columns - Summary columns (default batchColumns)
+ */
+export function reportBatch(results, label, options = {}, columns = batchColumns) {
+  const failed = results.filter(isFailedResult);
+
+  if (failed.length === 0) {
+    success(`${results.length} ${label} submitted`);
+  } else {
+    error(`${failed.length} of ${results.length} ${label} failed`);
+  }
+
+  formatOutput(
+    results.map(({ error: err, ...row }) => row),
+    { format: options.format, columns }
+  );
+
+  if (failed.length > 0) {
+    const firstError = failed.find(r => r.error)?.error;
+    const exitCode = firstError ? exitCodeFor(firstError) : EXIT_CODES.OPERATION_FAILED;
+
+    if (jsonErrorsEnabled()) {
+      outputJsonError({
+        name: 'BatchError',
+        code: 'batch_failed',
+        message: `${failed.length} of ${results.length} ${label} failed`,
+        details: failed.map(r => ({ record: r.record, status: r.status, message: r.message, error: r.error?.toJSON?.() }))
+      }, exitCode);
+    }
+
+    process.exit(exitCode);
+  }
+}
+
+/**
+ * Check whether a batch result counts as a failure
+ * @param {Object} result - Batch result
+ * @returns {boolean} True for errors and failed or timed-out pushes
+ */
+export function isFailedResult(result) {
+  return FAILED_STATUSES.includes(result.status);
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Receives (item, index) and returns a promise
+ * @returns {Promise<Array>} Results in item order
+ * @throws {RangeError} If the limit is not a positive integer
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new RangeError(`Concurrency limit must be a positive integer, got ${limit}`);
+  }
+
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+export default {
+  batchColumns,
+  runBatch,
+  submitBatch,
+  reportBatch,
+  isFailedResult,
+  mapWithConcurrency
+};
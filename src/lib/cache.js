@@ -0,0 +1,75 @@
+/**
+ * Local response cache
+ * Stores slow-changing API responses (e.g., push option schemas) next to the config file, per profile
+ */
+
+import Conf from 'conf';
+import { getActiveProfile } from './config.js';
+
+const cache = new Conf({
+  projectName: 'codat-cli',
+  configName: 'cache',
+  // Cache keys contain IDs and paths, not nested property names
+  accessPropertiesByDotNotation: false
+});
+
+/**
+ * Build a cache key scoped to the active profile
+ * @param {string} key - Cache key
+ * @returns {string} Profile-scoped key
+ */
+function scopedKey(key) {
+  return `${getActiveProfile()}:${key}`;
+}
+
+/**
+ * Read a cached value if it is younger than maxAge
+ * @param {string} key - Cache key
+ * @param {number} maxAge - Maximum age in milliseconds
+ * @returns {*} Cached value, or undefined if missing or expired
+ */
+export function getCached(key, maxAge) {
+  const entry = cache.get(scopedKey(key));
+
+  if (!entry || Date.now() - entry.storedAt > maxAge) {
+    return undefined;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Store a value in the cache
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ */
+export function setCached(key, value) {
+  cache.set(scopedKey(key), { storedAt: Date.now(), value });
+}
+
+/**
+ * Remove cached entries for the active profile whose key starts with a prefix
+ * @param {string} prefix - Key prefix ('' clears every entry of the profile)
+ * @returns {number} Number of entries removed
+ */
+export function clearCached(prefix = '') {
+  const scoped = scopedKey(prefix);
+  const keys = Object.keys(cache.store).filter(key => key.startsWith(scoped));
+  keys.forEach(key => cache.delete(key));
+  return keys.length;
+}
+
+/**
+ * Get the path of the cache file
+ * @returns {string} Cache file path
+ */
+export function getCachePath() {
+  return cache.path;
+}
+
+export default {
+  getCached,
+  setCached,
+  clearCached,
+  getCachePath
+};
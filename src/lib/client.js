@@ -0,0 +1,470 @@
+/**
+ * Codat API client
+ * Programmatic access to the Codat Accounting API; throws CodatError subclasses instead of exiting
+ */
+
+import axios from 'axios';
+import { toCodatError } from './errors.js';
+
+/**
+ * Default Codat API base URL
+ */
+export const DEFAULT_BASE_URL = 'https://api.codat.io';
+
+/**
+ * Push operation statuses that will not change any further
+ */
+export const PUSH_FINAL_STATUSES = ['Success', 'Failed', 'TimedOut'];
+
+/**
+ * HTTP methods that can be safely repeated
+ */
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete', 'head', 'options'];
+
+/**
+ * Default retry policy
+ */
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  retryNonIdempotent: false
+};
+
+export class CodatClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiKey - Codat API key
+   * @param {string} [options.baseUrl] - API base URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {Object} [options.retry] - Retry policy (retries, baseDelay, maxDelay, retryNonIdempotent)
+   * @param {Function} [options.onRetry] - Called before each retry with { attempt, retries, delay, error }
+   * @param {Function} [options.adapter] - Axios adapter that sends requests (e.g., to record or replay them)
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new TypeError('CodatClient requires an apiKey');
+    }
+
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    if (!Number.isInteger(this.retry.retries) || this.retry.retries < 0) {
+      throw new TypeError(`CodatClient retry.retries must be a whole number of 0 or more, got ${this.retry.retries}`);
+    }
+    this.onRetry = options.onRetry || null;
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: options.timeout ?? 30000,
+      adapter: options.adapter,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(options.apiKey + ':').toString('base64')}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    this.companies = companiesResource(this);
+    this.connections = connectionsResource(this);
+    this.accounts = {
+      ...dataResource(this, 'accounts'),
+      ...pushResource(this, 'accounts'),
+      transactions: (companyId, connectionId, params) =>
+        this.get(`/companies/${companyId}/connections/${connectionId}/data/accountTransactions`, params),
+      iterateTransactions: (companyId, connectionId, params, options) =>
+        this.paginate(`/companies/${companyId}/connections/${connectionId}/data/accountTransactions`, params, options)
+    };
+    this.invoices = {
+      ...dataResource(this, 'invoices'),
+      ...pushResource(this, 'invoices'),
+      pdf: (companyId, invoiceId) => this.get(`/companies/${companyId}/data/invoices/${invoiceId}/pdf`)
+    };
+    this.items = { ...dataResource(this, 'items'), ...pushResource(this, 'items') };
+    this.salesOrders = dataResource(this, 'salesOrders');
+    this.creditNotes = { ...dataResource(this, 'creditNotes'), ...pushResource(this, 'creditNotes') };
+    this.customers = { ...dataResource(this, 'customers'), ...pushResource(this, 'customers') };
+    this.suppliers = { ...dataResource(this, 'suppliers'), ...pushResource(this, 'suppliers') };
+    this.purchaseOrders = { ...dataResource(this, 'purchaseOrders'), ...pushResource(this, 'purchaseOrders') };
+    this.bills = { ...dataResource(this, 'bills'), ...pushResource(this, 'bills') };
+    this.billCreditNotes = { ...dataResource(this, 'billCreditNotes'), ...pushResource(this, 'billCreditNotes') };
+    this.billPayments = dataResource(this, 'billPayments');
+    this.payments = { ...dataResource(this, 'payments'), ...pushResource(this, 'payments') };
+    this.paymentMethods = dataResource(this, 'paymentMethods');
+    this.journals = dataResource(this, 'journals');
+    this.journalEntries = { ...dataResource(this, 'journalEntries'), ...pushResource(this, 'journalEntries') };
+    this.directCosts = { ...connectionDataResource(this, 'directCosts'), ...pushResource(this, 'directCosts') };
+    this.directIncomes = { ...connectionDataResource(this, 'directIncomes'), ...pushResource(this, 'directIncomes') };
+    this.transfers = { ...connectionDataResource(this, 'transfers'), ...pushResource(this, 'transfers') };
+    this.bankAccounts = {
+      ...dataResource(this, 'bankAccounts'),
+      ...pushResource(this, 'bankAccounts'),
+      transactions: (companyId, connectionId, accountId, params) =>
+        this.get(`/companies/${companyId}/connections/${connectionId}/data/bankAccounts/${accountId}/bankTransactions`, params),
+      iterateTransactions: (companyId, connectionId, accountId, params, options) =>
+        this.paginate(`/companies/${companyId}/connections/${connectionId}/data/bankAccounts/${accountId}/bankTransactions`, params, options),
+      pushTransactions: (companyId, connectionId, accountId, payload) =>
+        this.post(`/companies/${companyId}/connections/${connectionId}/push/bankAccounts/${accountId}/bankTransactions`, payload)
+    };
+    this.bankFeedAccounts = {
+      list: (companyId, connectionId) =>
+        this.get(`/companies/${companyId}/connections/${connectionId}/connectionInfo/bankFeedAccounts`),
+      create: (companyId, connectionId, payload) =>
+        this.post(`/companies/${companyId}/connections/${connectionId}/connectionInfo/bankFeedAccounts`, payload)
+    };
+    this.taxRates = dataResource(this, 'taxRates');
+    this.reports = reportsResource(this);
+    this.push = pushOperationsResource(this);
+    this.sync = syncResource(this);
+    this.webhooks = webhooksResource(this);
+  }
+
+  /**
+   * Send a request, retrying rate-limited, server and network errors
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} options - Request options (params, data)
+   * @returns {Promise<*>} Response data
+   * @throws {CodatError} When the request fails
+   */
+  async request(method, endpoint, options = {}) {
+    const verb = method.toLowerCase();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.request({
+          method: verb,
+          url: endpoint,
+          params: options.params,
+          data: options.data
+        });
+        return response.data;
+      } catch (error) {
+        if (attempt >= this.retry.retries || !isRetryable(error, verb, this.retry)) {
+          throw toCodatError(error, { method: verb, endpoint });
+        }
+
+        const delay = retryDelay(error, attempt, this.retry);
+        if (this.onRetry) {
+          this.onRetry({ attempt: attempt + 1, retries: this.retry.retries, delay, error: toCodatError(error, { method: verb, endpoint }) });
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * GET an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Response data
+   */
+  get(endpoint, params) {
+    return this.request('get', endpoint, { params });
+  }
+
+  /**
+   * POST to an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [data] - Request body
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Response data
+   */
+  post(endpoint, data = {}, params) {
+    return this.request('post', endpoint, { data, params });
+  }
+
+  /**
+   * PUT to an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [data] - Request body
+   * @returns {Promise<*>} Response data
+   */
+  put(endpoint, data = {}) {
+    return this.request('put', endpoint, { data });
+  }
+
+  /**
+   * DELETE an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<*>} Response data
+   */
+  delete(endpoint) {
+    return this.request('delete', endpoint);
+  }
+
+  /**
+   * Iterate over the pages of a paginated endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params] - Query parameters (page is ignored)
+   * @param {Object} [options] - Options (maxPages)
+   * @yields {Object} Page response ({ results, pageNumber, totalResults, _links })
+   */
+  async *pages(endpoint, params = {}, options = {}) {
+    const { maxPages = Infinity } = options;
+    const { page: _ignored, ...rest } = params;
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await this.get(endpoint, { ...rest, page, pageSize: rest.pageSize || 100 });
+      yield data;
+
+      if (data?._links?.next?.href == null) return;
+    }
+  }
+
+  /**
+   * Iterate over every item of a paginated endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options] - Options (maxPages, maxItems)
+   * @yields {Object} Result item
+   */
+  async *paginate(endpoint, params = {}, options = {}) {
+    const { maxItems = Infinity } = options;
+    let count = 0;
+
+    for await (const page of this.pages(endpoint, params, options)) {
+      for (const item of page?.results || []) {
+        if (count >= maxItems) return;
+        yield item;
+        count++;
+      }
+    }
+  }
+
+  /**
+   * Collect every item of a paginated endpoint into an array
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options] - Options (maxPages, maxItems)
+   * @returns {Promise<Array>} Items
+   */
+  async getAll(endpoint, params = {}, options = {}) {
+    const items = [];
+    for await (const item of this.paginate(endpoint, params, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+}
+
+/**
+ * Read-only methods for a company data type (/companies/{id}/data/{dataType})
+ * @param {CodatClient} client - Client
+ * @param {string} dataType - Codat data type
+ * @returns {Object} Resource methods (list, iterate, get)
+ */
+function dataResource(client, dataType) {
+  const base = (companyId) => `/companies/${companyId}/data/${dataType}`;
+
+  return {
+    list: (companyId, params) => client.get(base(companyId), params),
+    iterate: (companyId, params, options) => client.paginate(base(companyId), params, options),
+    get: (companyId, id) => client.get(`${base(companyId)}/${id}`)
+  };
+}
+
+/**
+ * Read-only methods for a connection data type (/companies/{id}/connections/{id}/data/{dataType})
+ * @param {CodatClient} client - Client
+ * @param {string} dataType - Codat data type
+ * @returns {Object} Resource methods (list, iterate, get)
+ */
+function connectionDataResource(client, dataType) {
+  const base = (companyId, connectionId) => `/companies/${companyId}/connections/${connectionId}/data/${dataType}`;
+
+  return {
+    list: (companyId, connectionId, params) => client.get(base(companyId, connectionId), params),
+    iterate: (companyId, connectionId, params, options) => client.paginate(base(companyId, connectionId), params, options),
+    get: (companyId, connectionId, id) => client.get(`${base(companyId, connectionId)}/${id}`)
+  };
+}
+
+/**
+ * Write methods for a data type (/companies/{id}/connections/{id}/push/{dataType})
+ * @param {CodatClient} client - Client
+ * @param {string} dataType - Codat data type
+ * @returns {Object} Resource methods (create, update) resolving to push operations
+ */
+function pushResource(client, dataType) {
+  const base = (companyId, connectionId) => `/companies/${companyId}/connections/${connectionId}/push/${dataType}`;
+
+  return {
+    create: (companyId, connectionId, payload) => client.post(base(companyId, connectionId), payload),
+    update: (companyId, connectionId, id, payload) => client.put(`${base(companyId, connectionId)}/${id}`, payload)
+  };
+}
+
+/**
+ * Company methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function companiesResource(client) {
+  return {
+    list: (params) => client.get('/companies', params),
+    iterate: (params, options) => client.paginate('/companies', params, options),
+    get: (companyId) => client.get(`/companies/${companyId}`),
+    create: (payload) => client.post('/companies', payload),
+    update: (companyId, payload) => client.put(`/companies/${companyId}`, payload),
+    delete: (companyId) => client.delete(`/companies/${companyId}`)
+  };
+}
+
+/**
+ * Data connection methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function connectionsResource(client) {
+  const base = (companyId) => `/companies/${companyId}/connections`;
+
+  return {
+    list: (companyId, params) => client.get(base(companyId), params),
+    iterate: (companyId, params, options) => client.paginate(base(companyId), params, options),
+    get: (companyId, connectionId) => client.get(`${base(companyId)}/${connectionId}`),
+    create: (companyId, platformKey) => client.post(base(companyId), { platformKey }),
+    delete: (companyId, connectionId) => client.delete(`${base(companyId)}/${connectionId}`),
+    unlink: (companyId, connectionId) => client.post(`${base(companyId)}/${connectionId}/unlink`, {})
+  };
+}
+
+/**
+ * Financial report methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function reportsResource(client) {
+  return {
+    balanceSheet: (companyId, params) => client.get(`/companies/${companyId}/data/financials/balanceSheet`, params),
+    profitAndLoss: (companyId, params) => client.get(`/companies/${companyId}/data/financials/profitAndLoss`, params),
+    cashFlowStatement: (companyId, params) => client.get(`/companies/${companyId}/data/financials/cashFlowStatement`, params),
+    agedDebtors: (companyId, params) => client.get(`/companies/${companyId}/data/aged/debtors`, params),
+    agedCreditors: (companyId, params) => client.get(`/companies/${companyId}/data/aged/creditors`, params)
+  };
+}
+
+/**
+ * Webhook consumer (subscription) methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function webhooksResource(client) {
+  return {
+    list: (params) => client.get('/webhooks', params),
+    iterate: (params, options) => client.paginate('/webhooks', params, options),
+    get: (webhookId) => client.get(`/webhooks/${webhookId}`),
+    create: (payload) => client.post('/webhooks', payload),
+    delete: (webhookId) => client.delete(`/webhooks/${webhookId}`)
+  };
+}
+
+/**
+ * Push operation methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function pushOperationsResource(client) {
+  const base = (companyId) => `/companies/${companyId}/push`;
+
+  return {
+    list: (companyId, params) => client.get(base(companyId), params),
+    iterate: (companyId, params, options) => client.paginate(base(companyId), params, options),
+    get: (companyId, pushOperationKey) => client.get(`${base(companyId)}/${pushOperationKey}`),
+    options: (companyId, connectionId, dataType) =>
+      client.get(`/companies/${companyId}/connections/${connectionId}/options/${dataType}`),
+
+    /**
+     * Poll a push operation until it is final or the timeout elapses
+     * @param {string} companyId - Company ID
+     * @param {string} pushOperationKey - Push operation key
+     * @param {Object} [options] - Options (timeout and interval in ms, onPoll callback)
+     * @returns {Promise<Object>} Last fetched push operation
+     */
+    wait: async (companyId, pushOperationKey, options = {}) => {
+      const { timeout = 300000, interval = 5000, onPoll } = options;
+      const startedAt = Date.now();
+
+      let operation = await client.get(`${base(companyId)}/${pushOperationKey}`);
+
+      while (!PUSH_FINAL_STATUSES.includes(operation.status)) {
+        const elapsed = Date.now() - startedAt;
+        if (elapsed >= timeout) return operation;
+
+        if (onPoll) onPoll(operation, elapsed);
+        await sleep(Math.min(interval, timeout - elapsed));
+        operation = await client.get(`${base(companyId)}/${pushOperationKey}`);
+      }
+
+      return operation;
+    }
+  };
+}
+
+/**
+ * Data sync (pull) methods
+ * @param {CodatClient} client - Client
+ * @returns {Object} Resource methods
+ */
+function syncResource(client) {
+  return {
+    refreshAll: (companyId) => client.post(`/companies/${companyId}/data/all`, {}),
+    queue: (companyId, dataType, options = {}) => client.post(
+      `/companies/${companyId}/data/queue/${dataType}`,
+      {},
+      options.connectionId ? { connectionId: options.connectionId } : undefined
+    ),
+    dataStatus: (companyId) => client.get(`/companies/${companyId}/dataStatus`),
+    history: (companyId, params) => client.get(`/companies/${companyId}/data/history`, params),
+    iterateHistory: (companyId, params, options) => client.paginate(`/companies/${companyId}/data/history`, params, options),
+    get: (companyId, datasetId) => client.get(`/companies/${companyId}/data/history/${datasetId}`)
+  };
+}
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Error} error - Axios error object
+ * @param {string} method - HTTP method
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryable(error, method, policy) {
+  const status = error.response?.status;
+
+  // A 429 means the request was rejected before processing, so any method is safe to repeat
+  if (status === 429) return true;
+
+  const transient = status >= 500 || (!error.response && !!error.request);
+  return transient && (IDEMPOTENT_METHODS.includes(method) || policy.retryNonIdempotent);
+}
+
+/**
+ * Compute the delay before the next attempt: Retry-After if the server sent it (capped at
+ * maxDelay, so a huge or far-off value cannot stall the CLI), otherwise exponential backoff with full jitter
+ * @param {Error} error - Axios error object
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(error, attempt, policy) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const retryAfterMs = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!isNaN(retryAfterMs)) return Math.min(Math.max(0, retryAfterMs), policy.maxDelay);
+  }
+
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default CodatClient;
@@ -0,0 +1,324 @@
+/**
+ * Shell completion
+ * Completes commands and options from the commander tree, and company and connection IDs from a local cache
+ */
+
+import { getCached, setCached } from './cache.js';
+import { OUTPUT_FORMATS, listProfiles, setRuntimeOptions } from './config.js';
+
+/**
+ * How long company and connection IDs stay available for completion (30 minutes)
+ */
+export const COMPLETION_CACHE_MAX_AGE = 30 * 60 * 1000;
+
+/**
+ * Most IDs kept per cache entry
+ */
+const MAX_CACHED_IDS = 1000;
+
+/**
+ * Shells with a completion script
+ */
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * Merge records into a cached ID list, newest first
+ * @param {string} key - Cache key
+ * @param {Array<Object>} entries - Entries with an id
+ */
+function mergeCached(key, entries) {
+  const fresh = entries.filter(entry => entry.id);
+  const ids = new Set(fresh.map(entry => entry.id));
+  const previous = (getCached(key, COMPLETION_CACHE_MAX_AGE) || []).filter(entry => !ids.has(entry.id));
+
+  setCached(key, [...fresh, ...previous].slice(0, MAX_CACHED_IDS));
+}
+
+/**
+ * Remember listed companies (and their connections) for ID completion
+ * @param {Array<Object>} companies - Companies from `companies list`
+ */
+export function rememberCompanies(companies) {
+  mergeCached('completion:companies', companies.map(company => ({ id: company.id, name: company.name })));
+
+  for (const company of companies) {
+    if (company.dataConnections?.length) {
+      rememberConnections(company.id, company.dataConnections);
+    }
+  }
+}
+
+/**
+ * Remember listed connections of a company for ID completion
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} connections - Connections from `connections list`
+ */
+export function rememberConnections(companyId, connections) {
+  mergeCached(`completion:connections:${companyId}`, connections.map(connection => ({
+    id: connection.id,
+    platformName: connection.platformName,
+    status: connection.status
+  })));
+}
+
+/**
+ * Find a visible subcommand by name or alias
+ * @param {Command} command - Parent command
+ * @param {string} name - Name or alias
+ * @returns {Command|undefined} Subcommand
+ */
+function findSubcommand(command, name) {
+  return command.commands.find(sub => !sub._hidden && (sub.name() === name || sub.aliases().includes(name)));
+}
+
+/**
+ * Find an option of a command, or a global option
+ * @param {Array<Option>} options - Options in scope
+ * @param {string} flag - Flag as typed (e.g., --format, -f)
+ * @returns {Option|undefined} Option
+ */
+function findOption(options, flag) {
+  return options.find(option => option.long === flag || option.short === flag);
+}
+
+/**
+ * Suggest values for an option argument
+ * @param {Option} option - Option being completed
+ * @returns {Array<{value: string, description: string}>} Candidates
+ */
+function optionValues(option) {
+  if (option.argChoices) return option.argChoices.map(value => ({ value, description: '' }));
+  if (option.long === '--format') return OUTPUT_FORMATS.map(value => ({ value, description: 'Output format' }));
+  if (option.long === '--profile') return listProfiles().map(value => ({ value, description: 'Profile' }));
+  return [];
+}
+
+/**
+ * Suggest cached IDs for an argument
+ * @param {string} name - Argument name (companyId, connectionId)
+ * @param {Object} values - Values of earlier arguments by name
+ * @returns {Array<{value: string, description: string}>} Candidates
+ */
+export function argumentValues(name, values) {
+  if (name === 'companyId') {
+    return (getCached('completion:companies', COMPLETION_CACHE_MAX_AGE) || [])
+      .map(company => ({ value: company.id, description: company.name || '' }));
+  }
+
+  if (name === 'connectionId' && values.companyId) {
+    return (getCached(`completion:connections:${values.companyId}`, COMPLETION_CACHE_MAX_AGE) || [])
+      .map(connection => ({
+        value: connection.id,
+        description: [connection.platformName, connection.status && `(${connection.status})`].filter(Boolean).join(' ')
+      }));
+  }
+
+  return [];
+}
+
+/**
+ * Split a line into words, honouring single quotes, double quotes and backslash escapes
+ * @param {string} line - Input line
+ * @param {Object} options - Options (partial: accept an unterminated quote, as while completing)
+ * @returns {Array<string>} Words
+ * @throws {SyntaxError} If a quote is not closed
+ */
+export function splitLine(line, options = {}) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        word += line[++i];
+      } else {
+        word += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      word = word ?? '';
+    } else if (char === '\\' && i + 1 < line.length) {
+      word = (word ?? '') + line[++i];
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+
+  if (quote && !options.partial) {
+    throw new SyntaxError(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (word !== null) words.push(word);
+
+  return words;
+}
+
+/**
+ * Work out which command a list of words selects, and which of the words are its arguments
+ * @param {Command} program - Root command
+ * @param {Array<string>} words - Words after the program name
+ * @returns {{command: Command, positional: Array<string>, commandEnd: number, pending: Option|null}}
+ *   Selected command, its positional arguments, the index after the last command word, and the option
+ *   still waiting for a value (if the words end with one)
+ */
+export function resolveWords(program, words) {
+  let command = program;
+  let positional = [];
+  let commandEnd = 0;
+  let pending = null;
+
+  words.forEach((word, index) => {
+    if (pending) {
+      if (pending.long === '--profile') setRuntimeOptions({ profile: word });
+      pending = null;
+      return;
+    }
+
+    if (word.startsWith('-') && word !== '-') {
+      const option = findOption(optionsInScope(program, command), word.split('=')[0]);
+      if (option && (option.required || option.optional) && !word.includes('=')) pending = option;
+      return;
+    }
+
+    const sub = positional.length === 0 ? findSubcommand(command, word) : undefined;
+    if (sub) {
+      command = sub;
+      positional = [];
+      commandEnd = index + 1;
+    } else {
+      positional.push(word);
+    }
+  });
+
+  return { command, positional, commandEnd, pending };
+}
+
+/**
+ * Options accepted by a command, including global options
+ * @param {Command} program - Root command
+ * @param {Command} command - Selected command
+ * @returns {Array<Option>} Options
+ */
+function optionsInScope(program, command) {
+  return command === program ? program.options : [...command.options, ...program.options];
+}
+
+/**
+ * Complete a command line
+ * @param {Command} program - Root command
+ * @param {Array<string>} words - Words after the program name; the last is the word being completed
+ * @returns {Array<{value: string, description: string}>} Candidates starting with the current word
+ */
+export function complete(program, words) {
+  const current = words.length > 0 ? words[words.length - 1] : '';
+  const { command, positional, pending } = resolveWords(program, words.slice(0, -1));
+  let candidates;
+
+  if (pending) {
+    candidates = optionValues(pending);
+  } else if (current.startsWith('-')) {
+    candidates = optionsInScope(program, command)
+      .filter(option => !option.hidden && option.long)
+      .map(option => ({ value: option.long, description: option.description }));
+  } else if (command.commands.some(sub => !sub._hidden) && positional.length === 0) {
+    candidates = command.commands
+      .filter(sub => !sub._hidden)
+      .map(sub => ({ value: sub.name(), description: sub.description() }));
+  } else {
+    const args = command.registeredArguments;
+    const argument = args[Math.min(positional.length, args.length - 1)];
+    const values = Object.fromEntries(args.map((arg, i) => [arg.name(), positional[i]]));
+
+    candidates = argument && (positional.length < args.length || argument.variadic)
+      ? argumentValues(argument.name(), values)
+      : [];
+  }
+
+  return candidates.filter(candidate => candidate.value.startsWith(current));
+}
+
+/**
+ * Generate a completion script that asks `<name> __complete` for candidates
+ * @param {string} shell - Shell (bash, zsh, fish)
+ * @param {string} name - Program name
+ * @returns {string} Script
+ */
+export function completionScript(shell, name = 'codat') {
+  const fn = `_${name.replace(/[^A-Za-z0-9]/g, '_')}`;
+
+  switch (shell) {
+    case 'bash':
+      return `# ${name} bash completion
+# Load with: source <(${name} completion bash)
+${fn}_completion() {
+  local IFS=$'\\n'
+  local candidates
+  candidates=$(${name} __complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null | cut -f1)
+  COMPREPLY=($(compgen -W "$candidates" -- "\${COMP_WORDS[COMP_CWORD]}"))
+}
+complete -o default -F ${fn}_completion ${name}
+`;
+
+    case 'zsh':
+      return `#compdef ${name}
+# ${name} zsh completion
+# Load with: source <(${name} completion zsh)
+${fn}() {
+  local -a candidates
+  local line
+  for line in "\${(@f)$(${name} __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}"; do
+    [[ -n $line ]] || continue
+    candidates+=("\${\${line%%$'\\t'*}//:/\\\\:}:\${line#*$'\\t'}")
+  done
+  if (( \${#candidates} )); then
+    _describe '${name}' candidates
+  else
+    _files
+  fi
+}
+if [ "$funcstack[1]" = "${fn}" ]; then
+  ${fn} "$@"
+else
+  compdef ${fn} ${name}
+fi
+`;
+
+    case 'fish':
+      return `# ${name} fish completion
+# Load with: ${name} completion fish | source
+function __${fn}_complete
+    set -l tokens (commandline -opc)
+    set -e tokens[1]
+    set -l candidates (${name} __complete -- $tokens (commandline -ct) 2>/dev/null)
+    if test (count $candidates) -gt 0
+        printf '%s\\n' $candidates
+    else
+        __fish_complete_path (commandline -ct)
+    end
+end
+complete -c ${name} -f -a '(__${fn}_complete)'
+`;
+
+    default:
+      throw new Error(`Unsupported shell: ${shell}`);
+  }
+}
+
+export default {
+  COMPLETION_CACHE_MAX_AGE,
+  COMPLETION_SHELLS,
+  rememberCompanies,
+  rememberConnections,
+  argumentValues,
+  splitLine,
+  resolveWords,
+  complete,
+  completionScript
+};
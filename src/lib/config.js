@@ -5,46 +5,273 @@
 
 import Conf from 'conf';
 
+/**
+ * Supported output formats
+ */
+export const OUTPUT_FORMATS = ['table', 'json', 'compact', 'csv', 'tsv'];
+
+/**
+ * Configuration schema (persisted keys, types and defaults)
+ */
+const CONFIG_SCHEMA = {
+  apiKey: {
+    type: 'string',
+    description: 'Codat API key for authentication'
+  },
+  baseUrl: {
+    type: 'string',
+    description: 'Base URL for Codat API'
+  },
+  defaultPageSize: {
+    type: 'number',
+    description: 'Default page size for list operations'
+  },
+  outputFormat: {
+    type: 'string',
+    enum: OUTPUT_FORMATS,
+    description: 'Default output format'
+  },
+  retries: {
+    type: 'number',
+    default: 3,
+    minimum: 0,
+    description: 'Retry attempts for rate-limited (429) and server error (5xx) responses'
+  },
+  retryBaseDelay: {
+    type: 'number',
+    default: 500,
+    minimum: 0,
+    description: 'Initial retry delay in milliseconds (doubled on each attempt)'
+  },
+  retryMaxDelay: {
+    type: 'number',
+    default: 30000,
+    minimum: 0,
+    description: 'Maximum retry delay in milliseconds'
+  },
+  retryNonIdempotent: {
+    type: 'boolean',
+    default: false,
+    description: 'Also retry POST requests on server and network errors'
+  },
+  webhookSecret: {
+    type: 'string',
+    description: 'Signing secret used to verify webhook deliveries (whsec_...)'
+  },
+  redactFields: {
+    type: 'string',
+    description: 'Comma-separated body and query fields masked in --verbose/--debug traces'
+  },
+  activeProfile: {
+    type: 'string',
+    description: 'Profile used when --profile and CODAT_PROFILE are not set'
+  },
+  profiles: {
+    type: 'object',
+    default: {},
+    description: 'Named profiles, each with apiKey, baseUrl, defaultPageSize, outputFormat and webhookSecret'
+  }
+};
+
+/**
+ * Defaults of profile settings. Not declared in the schema, which would write them into the
+ * default profile and make them indistinguishable from values the user stored
+ */
+const PROFILE_DEFAULTS = {
+  baseUrl: 'https://api.codat.io',
+  defaultPageSize: 100,
+  outputFormat: 'table'
+};
+
+/**
+ * Keys managed through dedicated commands rather than set-config
+ */
+const INTERNAL_KEYS = ['apiKey', 'activeProfile', 'profiles'];
+
 const config = new Conf({
   projectName: 'codat-cli',
-  schema: {
-    apiKey: {
-      type: 'string',
-      description: 'Codat API key for authentication'
-    },
-    baseUrl: {
-      type: 'string',
-      default: 'https://api.codat.io',
-      description: 'Base URL for Codat API'
-    },
-    defaultPageSize: {
-      type: 'number',
-      default: 100,
-      description: 'Default page size for list operations'
-    },
-    outputFormat: {
-      type: 'string',
-      default: 'table',
-      enum: ['table', 'json', 'compact'],
-      description: 'Default output format'
-    }
-  }
+  schema: CONFIG_SCHEMA
 });
 
 /**
- * Get API key from config or environment
+ * Name of the profile stored in the top-level config keys
+ */
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Settings that are stored per profile
+ */
+export const PROFILE_KEYS = ['apiKey', 'baseUrl', 'defaultPageSize', 'outputFormat', 'webhookSecret'];
+
+/**
+ * Get the active profile name and where it was selected
+ * @returns {Object} { name, source }
+ */
+export function resolveActiveProfile() {
+  if (getRuntimeOption('profile')) {
+    return { name: getRuntimeOption('profile'), source: '--profile flag' };
+  }
+  if (process.env.CODAT_PROFILE) {
+    return { name: process.env.CODAT_PROFILE, source: 'CODAT_PROFILE environment variable' };
+  }
+  if (config.get('activeProfile')) {
+    return { name: config.get('activeProfile'), source: 'config (codat profile use)' };
+  }
+  return { name: DEFAULT_PROFILE, source: 'built-in default' };
+}
+
+/**
+ * Get the active profile name
+ * @returns {string} Profile name
+ */
+export function getActiveProfile() {
+  return resolveActiveProfile().name;
+}
+
+/**
+ * Get the config path of a profile setting
+ * @param {string} key - Setting name
+ * @param {string} profile - Profile name
+ * @returns {string} Dot-notation config path
+ */
+function profilePath(key, profile = getActiveProfile()) {
+  return profile === DEFAULT_PROFILE ? key : `profiles.${profile}.${key}`;
+}
+
+/**
+ * Resolve a profile setting and where its value came from
+ * @param {string} key - Setting name (apiKey, baseUrl, defaultPageSize, outputFormat, webhookSecret)
+ * @param {string} profile - Profile name (defaults to the active profile)
+ * @returns {Object} { value, source }
+ */
+export function resolveSetting(key, profile = getActiveProfile()) {
+  const path = profilePath(key, profile);
+
+  if (config.has(path)) {
+    return { value: config.get(path), source: `profile "${profile}"` };
+  }
+
+  if (key === 'apiKey' && process.env.CODAT_API_KEY) {
+    return { value: process.env.CODAT_API_KEY, source: 'CODAT_API_KEY environment variable' };
+  }
+
+  if (key === 'webhookSecret' && process.env.CODAT_WEBHOOK_SECRET) {
+    return { value: process.env.CODAT_WEBHOOK_SECRET, source: 'CODAT_WEBHOOK_SECRET environment variable' };
+  }
+
+  const fallback = PROFILE_DEFAULTS[key];
+  return { value: fallback ?? null, source: fallback !== undefined ? 'built-in default' : 'not set' };
+}
+
+/**
+ * Validate a profile name
+ * @param {string} name - Profile name
+ * @throws {Error} If the name is invalid
+ */
+function validateProfileName(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error('Profile names may only contain letters, numbers, "-" and "_"');
+  }
+}
+
+/**
+ * List all profile names (the default profile is always included)
+ * @returns {Array<string>} Profile names
+ */
+export function listProfiles() {
+  return [DEFAULT_PROFILE, ...Object.keys(config.get('profiles') || {})];
+}
+
+/**
+ * Check whether a profile exists
+ * @param {string} name - Profile name
+ * @returns {boolean} True if the profile exists
+ */
+export function profileExists(name) {
+  return listProfiles().includes(name);
+}
+
+/**
+ * Check that the active profile exists, so that a mistyped --profile or CODAT_PROFILE
+ * does not silently fall back to built-in defaults and another API key
+ * @throws {Error} If the active profile does not exist
+ */
+export function checkActiveProfile() {
+  const { name, source } = resolveActiveProfile();
+  if (!profileExists(name)) {
+    throw new Error(`Unknown profile "${name}" (from ${source}). Existing profiles: ${listProfiles().join(', ')}`);
+  }
+}
+
+/**
+ * Make a profile the active one
+ * @param {string} name - Profile name
+ * @throws {Error} If the profile does not exist
+ */
+export function useProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist. Create it with: codat auth login <apiKey> --profile ${name}`);
+  }
+
+  if (name === DEFAULT_PROFILE) {
+    config.delete('activeProfile');
+  } else {
+    config.set('activeProfile', name);
+  }
+}
+
+/**
+ * Remove a named profile
+ * @param {string} name - Profile name
+ * @throws {Error} If the profile is the default one or does not exist
+ */
+export function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed; use codat auth logout instead');
+  }
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+
+  config.delete(`profiles.${name}`);
+
+  if (config.get('activeProfile') === name) {
+    config.delete('activeProfile');
+  }
+}
+
+/**
+ * Store a setting in the active profile, creating the profile if needed
+ * @param {string} key - Setting name
+ * @param {*} value - Value to store
+ */
+function setProfileSetting(key, value) {
+  const profile = getActiveProfile();
+  validateProfileName(profile);
+  config.set(profilePath(key, profile), value);
+}
+
+/**
+ * Get API key from the active profile or environment
  * @returns {string|null} API key or null if not set
  */
 export function getApiKey() {
-  return config.get('apiKey') || process.env.CODAT_API_KEY || null;
+  return resolveSetting('apiKey').value || null;
 }
 
 /**
- * Set API key in config
+ * Set API key in the active profile
  * @param {string} apiKey - The API key to store
  */
 export function setApiKey(apiKey) {
-  config.set('apiKey', apiKey);
+  setProfileSetting('apiKey', apiKey);
+}
+
+/**
+ * Remove the API key from the active profile
+ */
+export function clearApiKey() {
+  config.delete(profilePath('apiKey'));
 }
 
 /**
@@ -52,7 +279,7 @@ export function setApiKey(apiKey) {
  * @returns {string} Base URL
  */
 export function getBaseUrl() {
-  return config.get('baseUrl') || 'https://api.codat.io';
+  return resolveSetting('baseUrl').value || 'https://api.codat.io';
 }
 
 /**
@@ -60,7 +287,7 @@ export function getBaseUrl() {
  * @param {string} url - Base URL to use
  */
 export function setBaseUrl(url) {
-  config.set('baseUrl', url);
+  setProfileSetting('baseUrl', url);
 }
 
 /**
@@ -68,7 +295,7 @@ export function setBaseUrl(url) {
  * @returns {number} Page size
  */
 export function getDefaultPageSize() {
-  return config.get('defaultPageSize') || 100;
+  return resolveSetting('defaultPageSize').value || 100;
 }
 
 /**
@@ -76,15 +303,15 @@ export function getDefaultPageSize() {
  * @param {number} size - Page size to use
  */
 export function setDefaultPageSize(size) {
-  config.set('defaultPageSize', size);
+  setProfileSetting('defaultPageSize', size);
 }
 
 /**
  * Get output format preference
- * @returns {string} Output format (table, json, compact)
+ * @returns {string} Output format (table, json, compact, csv, tsv)
  */
 export function getOutputFormat() {
-  return config.get('outputFormat') || 'table';
+  return resolveSetting('outputFormat').value || 'table';
 }
 
 /**
@@ -92,10 +319,149 @@ export function getOutputFormat() {
  * @param {string} format - Output format to use
  */
 export function setOutputFormat(format) {
-  if (!['table', 'json', 'compact'].includes(format)) {
-    throw new Error('Invalid output format. Must be: table, json, or compact');
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid output format. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  setProfileSetting('outputFormat', format);
+}
+
+/**
+ * Get the webhook signing secret from the active profile or environment
+ * @returns {string|null} Secret or null if not set
+ */
+export function getWebhookSecret() {
+  return resolveSetting('webhookSecret').value || null;
+}
+
+/**
+ * Parse a retry count
+ * @param {*} value - Count (number, or text from the command line)
+ * @param {string} label - Where the count came from, for the error message
+ * @returns {number} Retry count
+ * @throws {Error} If the count is not a whole number of 0 or more
+ */
+function parseRetries(value, label) {
+  const retries = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`Invalid ${label}: ${value} (use a whole number of 0 or more)`);
+  }
+  return retries;
+}
+
+/**
+ * Get the retry policy, with global CLI flags taking precedence over config
+ * @returns {Object} Retry policy (retries, baseDelay, maxDelay, retryNonIdempotent)
+ * @throws {Error} If --retries or the retries setting is not a whole number of 0 or more
+ */
+export function getRetryPolicy() {
+  const retries = getRuntimeOption('retries');
+
+  return {
+    retries: retries !== undefined ? parseRetries(retries, '--retries') : parseRetries(config.get('retries') ?? 3, 'retries setting'),
+    baseDelay: config.get('retryBaseDelay') ?? 500,
+    maxDelay: config.get('retryMaxDelay') ?? 30000,
+    retryNonIdempotent: getRuntimeOption('retryWrites') || config.get('retryNonIdempotent') || false
+  };
+}
+
+/**
+ * Body and query fields masked in HTTP traces when redactFields is not set
+ */
+export const DEFAULT_REDACT_FIELDS = [
+  'emailAddress',
+  'phone',
+  'accountNumber',
+  'sortCode',
+  'iban',
+  'taxNumber',
+  'registrationNumber'
+];
+
+/**
+ * Get the HTTP trace settings, with global CLI flags taking precedence over the environment
+ * @returns {Object} Trace settings (level: 'verbose', 'debug' or null; file: NDJSON path or null; redact: field names)
+ */
+export function getTraceOptions() {
+  const env = (process.env.CODAT_DEBUG || '').toLowerCase();
+  const envLevel = ['', '0', 'false'].includes(env) ? null : (env === 'verbose' ? 'verbose' : 'debug');
+  const redactFields = config.get('redactFields');
+
+  return {
+    level: getRuntimeOption('debug') ? 'debug' : (getRuntimeOption('verbose') ? 'verbose' : envLevel),
+    file: getRuntimeOption('traceFile') || process.env.CODAT_TRACE_FILE || null,
+    redact: redactFields
+      ? redactFields.split(',').map(field => field.trim()).filter(Boolean)
+      : DEFAULT_REDACT_FIELDS
+  };
+}
+
+/**
+ * Set a configuration value, coercing it to the type declared in the schema
+ * @param {string} key - Configuration key
+ * @param {string} value - Value as given on the command line
+ * @throws {Error} If the key is unknown or the value is invalid
+ */
+export function setConfigValue(key, value) {
+  const schema = CONFIG_SCHEMA[key];
+  const settable = Object.keys(CONFIG_SCHEMA).filter(k => !INTERNAL_KEYS.includes(k));
+
+  if (!schema || INTERNAL_KEYS.includes(key)) {
+    throw new Error(`Unknown config key: ${key}. Valid keys: ${settable.join(', ')}`);
+  }
+
+  if (key === 'outputFormat') {
+    setOutputFormat(value);
+    return;
   }
-  config.set('outputFormat', format);
+
+  let parsed = value;
+  if (schema.type === 'number') {
+    parsed = Number(value);
+    if (isNaN(parsed)) throw new Error(`${key} must be a number`);
+    if (key === 'retries' && (!Number.isInteger(parsed) || parsed < 0)) {
+      throw new Error('retries must be a whole number of 0 or more');
+    }
+  } else if (schema.type === 'boolean') {
+    if (!['true', 'false'].includes(value)) throw new Error(`${key} must be true or false`);
+    parsed = value === 'true';
+  }
+
+  if (PROFILE_KEYS.includes(key)) {
+    setProfileSetting(key, parsed);
+  } else {
+    config.set(key, parsed);
+  }
+}
+
+/**
+ * Options set for the current invocation only (global CLI flags)
+ */
+const runtimeOptions = {};
+
+/**
+ * Set options for the current invocation
+ * @param {Object} options - Options to merge (e.g., parsed global flags)
+ */
+export function setRuntimeOptions(options) {
+  Object.assign(runtimeOptions, options);
+}
+
+/**
+ * Forget the options of the previous invocation (e.g., between commands run in `codat shell`)
+ */
+export function clearRuntimeOptions() {
+  for (const key of Object.keys(runtimeOptions)) {
+    delete runtimeOptions[key];
+  }
+}
+
+/**
+ * Get an option set for the current invocation
+ * @param {string} key - Option name
+ * @returns {*} Option value or undefined
+ */
+export function getRuntimeOption(key) {
+  return runtimeOptions[key];
 }
 
 /**
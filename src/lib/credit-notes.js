@@ -0,0 +1,128 @@
+/**
+ * Credit note utilities
+ * Allocates customer and supplier credit notes against invoices and bills
+ */
+
+import { get } from './api.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { fail } from './output.js';
+import { pushPayloads } from './push.js';
+
+/**
+ * How credit notes of each kind are allocated
+ */
+export const CREDIT_ALLOCATIONS = {
+  creditNotes: {
+    dataType: 'creditNotes',
+    label: 'credit note',
+    document: { dataType: 'invoices', label: 'invoice', linkType: 'Invoice', numberField: 'invoiceNumber' },
+    contact: 'customer',
+    contactRef: 'customerRef',
+    paymentDataType: 'payments'
+  },
+  billCreditNotes: {
+    dataType: 'billCreditNotes',
+    label: 'bill credit note',
+    document: { dataType: 'bills', label: 'bill', linkType: 'Bill', numberField: 'reference' },
+    contact: 'supplier',
+    contactRef: 'supplierRef',
+    paymentDataType: 'billPayments'
+  }
+};
+
+/**
+ * Report an allocation that Codat would reject
+ * @param {string} message - Message to display
+ * @param {string} hint - Hint to display
+ */
+function rejectAllocation(message, hint) {
+  fail(message, { hint, name: 'ValidationError', code: 'invalid_allocation', exitCode: EXIT_CODES.VALIDATION });
+}
+
+/**
+ * Build the zero-value payment that allocates a credit note against an invoice or bill
+ * @param {Object} creditNote - Credit note
+ * @param {Object} document - Invoice or bill
+ * @param {number} amount - Amount to allocate
+ * @param {string} date - Allocation date (YYYY-MM-DD)
+ * @param {Object} kind - Entry of CREDIT_ALLOCATIONS
+ * @returns {Object} Payment or bill payment payload
+ */
+export function allocationPayload(creditNote, document, amount, date, kind) {
+  return {
+    [kind.contactRef]: { id: creditNote[kind.contactRef].id },
+    totalAmount: 0,
+    currency: creditNote.currency,
+    date,
+    lines: [{
+      amount: 0,
+      allocatedOnDate: date,
+      links: [
+        { type: kind.document.linkType, id: document.id, amount: -amount },
+        { type: 'CreditNote', id: creditNote.id, amount }
+      ]
+    }]
+  };
+}
+
+/**
+ * Allocate a credit note against an invoice or bill of the same customer or supplier
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} creditNoteId - Credit note ID
+ * @param {string} documentId - Invoice or bill ID
+ * @param {Object} options - Command options (amount, date, wait, ...)
+ * @param {Object} kind - Entry of CREDIT_ALLOCATIONS
+ */
+export async function allocateCreditNote(companyId, connectionId, creditNoteId, documentId, options, kind) {
+  const creditNote = await get(`/companies/${companyId}/data/${kind.dataType}/${creditNoteId}`, {}, {
+    spinnerText: `Fetching ${kind.label}...`
+  });
+  const document = await get(`/companies/${companyId}/data/${kind.document.dataType}/${documentId}`, {}, {
+    spinnerText: `Fetching ${kind.document.label}...`
+  });
+
+  if (creditNote[kind.contactRef]?.id !== document[kind.contactRef]?.id) {
+    rejectAllocation(`The ${kind.label} and ${kind.document.label} belong to different ${kind.contact}s`,
+      `Find the ${kind.contact}'s open ${kind.document.label}s with: ${kind.document.dataType} list <companyId> --${kind.contact}-id ${creditNote[kind.contactRef]?.id} --where "amountDue>0"`);
+  }
+  if (creditNote.currency !== document.currency) {
+    rejectAllocation(`The ${kind.label} is in ${creditNote.currency} but the ${kind.document.label} is in ${document.currency}`,
+      'Allocate credit only between documents in the same currency');
+  }
+
+  const remainingCredit = creditNote.remainingCredit ?? 0;
+  const amountDue = document.amountDue ?? 0;
+  const amount = options.amount !== undefined ? parseFloat(options.amount) : Math.min(remainingCredit, amountDue);
+
+  if (isNaN(amount) || amount <= 0) {
+    if (options.amount !== undefined) {
+      fail(`Invalid amount: ${options.amount}`, { hint: 'Use a positive number, e.g. --amount 120.50' });
+    }
+    rejectAllocation(remainingCredit <= 0 ? `The ${kind.label} has no remaining credit` : `Nothing is due on the ${kind.document.label}`,
+      `Remaining credit ${remainingCredit.toFixed(2)}, amount due ${amountDue.toFixed(2)}`);
+  }
+  if (amount > remainingCredit) {
+    rejectAllocation(`Amount ${amount.toFixed(2)} exceeds the remaining credit of ${remainingCredit.toFixed(2)}`,
+      `Allocate at most ${remainingCredit.toFixed(2)}`);
+  }
+  if (amount > amountDue) {
+    rejectAllocation(`Amount ${amount.toFixed(2)} exceeds the ${amountDue.toFixed(2)} due on ${kind.document.label} ${document[kind.document.numberField] || document.id}`,
+      `Allocate at most ${amountDue.toFixed(2)}`);
+  }
+
+  const date = options.date || new Date().toISOString().substring(0, 10);
+
+  await pushPayloads(companyId, [allocationPayload(creditNote, document, amount, date, kind)], options, {
+    connectionId,
+    dataType: kind.paymentDataType,
+    label: 'Allocation',
+    spinnerText: `Allocating ${kind.label}...`
+  });
+}
+
+export default {
+  CREDIT_ALLOCATIONS,
+  allocationPayload,
+  allocateCreditNote
+};
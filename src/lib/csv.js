@@ -0,0 +1,96 @@
+/**
+ * CSV parsing utilities
+ * Reads RFC 4180 delimited text (quoted fields, embedded newlines, CRLF) into row objects
+ */
+
+/**
+ * Split delimited text into records of fields
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Records
+ * @throws {SyntaxError} If a quoted field is not closed
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new SyntaxError('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text
+ * @param {Object} options - Options (delimiter)
+ * @returns {{headers: Array<string>, rows: Array<Object>}} Header names and rows
+ */
+export function parseCsv(text, options = {}) {
+  const { delimiter = ',' } = options;
+  const [headerRecord = [], ...records] = parseDelimited(text, delimiter);
+  const headers = headerRecord.map(h => h.trim());
+
+  const rows = records.map(record =>
+    Object.fromEntries(headers.map((header, i) => [header, (record[i] ?? '').trim()]))
+  );
+
+  return { headers, rows };
+}
+
+/**
+ * Parse a number from a CSV cell
+ * Commas are only accepted as thousands separators (1,234.56); any other comma,
+ * such as a decimal comma (1,5), is ambiguous and rejected rather than guessed at
+ * @param {string} text - Cell text
+ * @returns {number} Parsed number, or NaN if the text is not an unambiguous number
+ */
+export function parseNumber(text) {
+  const value = String(text).replace(/\s/g, '');
+  if (value === '') return NaN;
+  if (value.includes(',') && !/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) return NaN;
+  return Number(value.replace(/,/g, ''));
+}
+
+export default {
+  parseDelimited,
+  parseCsv,
+  parseNumber
+};
@@ -0,0 +1,217 @@
+/**
+ * Direct transaction utilities
+ * Builds direct cost and direct income payloads, and looks up contact names for their list views
+ */
+
+import { getAllPages } from './api.js';
+import { buildPayloads, parseJsonOption } from './input.js';
+import { fail } from './output.js';
+import { condition, or } from './query.js';
+
+/**
+ * How direct costs and direct incomes differ
+ */
+export const DIRECT_TRANSACTIONS = {
+  directCosts: {
+    dataType: 'directCosts',
+    label: 'Direct cost',
+    plural: 'direct costs',
+    defaultContactType: 'suppliers',
+    accountFlag: '--paid-from',
+    accountOption: 'paidFrom',
+    accountHeader: 'Paid From'
+  },
+  directIncomes: {
+    dataType: 'directIncomes',
+    label: 'Direct income',
+    plural: 'direct incomes',
+    defaultContactType: 'customers',
+    accountFlag: '--deposited-to',
+    accountOption: 'depositedTo',
+    accountHeader: 'Deposited To'
+  }
+};
+
+/**
+ * Name fields of the contact data types a contactRef can point to
+ */
+const CONTACT_NAME_FIELDS = {
+  customers: 'customerName',
+  suppliers: 'supplierName'
+};
+
+/**
+ * Contact IDs looked up per request (keeps the query short)
+ */
+const IDS_PER_QUERY = 50;
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Total of a line item, including tax
+ * @param {Object} line - Line item
+ * @returns {number} Line total
+ */
+function lineTotal(line) {
+  if (typeof line.totalAmount === 'number') return line.totalAmount;
+  return round((line.quantity ?? 1) * (line.unitAmount ?? 0) - (line.discountAmount ?? 0) + (line.taxAmount ?? 0));
+}
+
+/**
+ * Build direct cost or direct income payloads from command options. A single line can be given with
+ * --amount and --account-id instead of --line-items; the payment allocation against the bank or card
+ * account is added for the total of the lines unless the input sets its own.
+ * @param {Object} options - Command options
+ * @param {Object} kind - Entry of DIRECT_TRANSACTIONS
+ * @returns {Promise<Array<Object>>} Payloads
+ */
+export async function buildDirectPayloads(options, kind) {
+  if (options.contactType && !CONTACT_NAME_FIELDS[options.contactType]) {
+    fail(`Invalid contact type: ${options.contactType}`, { hint: `Use one of: ${Object.keys(CONTACT_NAME_FIELDS).join(', ')}` });
+  }
+
+  let lineItems = parseJsonOption(options.lineItems, 'line items');
+
+  if (lineItems === undefined && options.amount !== undefined) {
+    const unitAmount = parseFloat(options.amount);
+    const taxAmount = options.taxAmount !== undefined ? parseFloat(options.taxAmount) : undefined;
+
+    if (isNaN(unitAmount) || (taxAmount !== undefined && isNaN(taxAmount))) {
+      fail(`Invalid amount: ${isNaN(unitAmount) ? options.amount : options.taxAmount}`, {
+        hint: 'Use a number, e.g. --amount 49.99 --tax-amount 10'
+      });
+    }
+
+    lineItems = [{
+      description: options.description,
+      quantity: 1,
+      unitAmount,
+      taxAmount,
+      accountRef: options.accountId ? { id: options.accountId } : undefined,
+      taxRateRef: options.taxRateId ? { id: options.taxRateId } : undefined
+    }];
+  }
+
+  const payloads = await buildPayloads(options, {
+    fields: {
+      contactRef: options.contactId ? { id: options.contactId, dataType: options.contactType || kind.defaultContactType } : undefined,
+      issueDate: options.issueDate,
+      reference: options.reference,
+      note: options.note,
+      currency: options.currency,
+      lineItems
+    },
+    defaults: { currency: 'USD' },
+    required: [['issueDate', '--issue-date']]
+  });
+
+  const accountId = options[kind.accountOption];
+
+  payloads.forEach((payload, i) => {
+    const prefix = payloads.length > 1 ? `Record ${i + 1}: ` : '';
+
+    if (!Array.isArray(payload.lineItems) || payload.lineItems.length === 0) {
+      fail(`${prefix}lineItems is required`, {
+        hint: 'Pass --line-items, or --amount and --account-id for a single line, or set lineItems in the input file'
+      });
+    }
+
+    if (!payload.paymentAllocations) {
+      if (!accountId) {
+        fail(`${prefix}paymentAllocations is required`, {
+          hint: `Pass ${kind.accountFlag} with the bank or card account ID, or set paymentAllocations in the input file`
+        });
+      }
+
+      payload.paymentAllocations = [{
+        payment: { accountRef: { id: accountId }, currency: payload.currency },
+        allocation: {
+          totalAmount: round(payload.lineItems.reduce((sum, line) => sum + lineTotal(line), 0)),
+          allocatedOnDate: payload.issueDate
+        }
+      }];
+    }
+  });
+
+  return payloads;
+}
+
+/**
+ * Look up the names of the contacts records refer to (contactRef only carries an ID and data type)
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} records - Records with a contactRef
+ * @param {string} defaultType - Contact data type when contactRef has none
+ * @returns {Promise<Map<string, string>>} Contact names by ID
+ */
+export async function contactNames(companyId, records, defaultType) {
+  const names = new Map();
+  const idsByType = new Map();
+
+  for (const record of records) {
+    const ref = record.contactRef;
+    const type = ref?.dataType || defaultType;
+    if (!ref?.id || !CONTACT_NAME_FIELDS[type]) continue;
+
+    idsByType.set(type, (idsByType.get(type) || new Set()).add(ref.id));
+  }
+
+  for (const [type, idSet] of idsByType) {
+    const ids = [...idSet];
+
+    for (let i = 0; i < ids.length; i += IDS_PER_QUERY) {
+      const query = or(...ids.slice(i, i + IDS_PER_QUERY).map(id => condition('id', '=', id)));
+      const contacts = await getAllPages(`/companies/${companyId}/data/${type}`, { pageSize: IDS_PER_QUERY, query }, {
+        showSpinner: false
+      });
+
+      contacts.forEach(contact => names.set(contact.id, contact[CONTACT_NAME_FIELDS[type]]));
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Table columns for direct costs or direct incomes
+ * @param {Object} kind - Entry of DIRECT_TRANSACTIONS
+ * @param {Map<string, string>} names - Contact names by ID
+ * @returns {Array<Object>} Columns
+ */
+export function directColumns(kind, names) {
+  const money = (v) => v != null ? v.toFixed(2) : '—';
+
+  return [
+    { key: 'id', header: 'ID' },
+    { key: 'reference', header: 'Reference' },
+    { key: 'issueDate', header: 'Date', formatter: (v) => new Date(v).toLocaleDateString() },
+    { key: 'contactRef.id', header: 'Contact', formatter: (v) => v ? (names.get(v) || v) : '—' },
+    {
+      key: 'lineItems',
+      header: 'Account',
+      formatter: (v) => [...new Set((v || []).map(line => line.accountRef?.name || line.accountRef?.id).filter(Boolean))].join(', ') || '—'
+    },
+    {
+      key: 'paymentAllocations',
+      header: kind.accountHeader,
+      formatter: (v) => v?.[0]?.payment?.accountRef?.name || v?.[0]?.payment?.accountRef?.id || '—'
+    },
+    { key: 'subTotal', header: 'Net', formatter: money },
+    { key: 'taxAmount', header: 'Tax', formatter: money },
+    { key: 'totalAmount', header: 'Total', formatter: money },
+    { key: 'currency', header: 'Currency' }
+  ];
+}
+
+export default {
+  DIRECT_TRANSACTIONS,
+  buildDirectPayloads,
+  contactNames,
+  directColumns
+};
@@ -0,0 +1,163 @@
+/**
+ * Error classes for the Codat client
+ * Every failed request is surfaced as a CodatError subclass carrying status and details
+ */
+
+/**
+ * Base class for all errors raised by CodatClient
+ */
+export class CodatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} info - Error details
+   * @param {number} [info.status] - HTTP status code
+   * @param {string} [info.code] - Machine-readable error code
+   * @param {*} [info.details] - Validation or error details returned by the API
+   * @param {string} [info.requestId] - Codat request ID (correlation ID)
+   * @param {string} [info.method] - HTTP method
+   * @param {string} [info.endpoint] - API endpoint path
+   * @param {Error} [info.cause] - Underlying error
+   */
+  constructor(message, info = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = info.status ?? null;
+    this.code = info.code || 'codat_error';
+    this.details = info.details ?? null;
+    this.requestId = info.requestId ?? null;
+    this.method = info.method ?? null;
+    this.endpoint = info.endpoint ?? null;
+    if (info.cause) this.cause = info.cause;
+  }
+
+  /**
+   * Plain object representation (used for JSON output)
+   * @returns {Object} Error fields
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      status: this.status,
+      code: this.code,
+      message: this.message,
+      details: this.details,
+      requestId: this.requestId,
+      method: this.method,
+      endpoint: this.endpoint
+    };
+  }
+}
+
+/**
+ * 401 - missing or invalid API key
+ */
+export class CodatAuthError extends CodatError {}
+
+/**
+ * 403 - API key lacks permission for the resource
+ */
+export class CodatForbiddenError extends CodatError {}
+
+/**
+ * 404 - resource not found
+ */
+export class CodatNotFoundError extends CodatError {}
+
+/**
+ * 400/422 - request rejected as invalid
+ */
+export class CodatValidationError extends CodatError {}
+
+/**
+ * 429 - rate limited; retryAfter holds the Retry-After header in seconds when sent
+ */
+export class CodatRateLimitError extends CodatError {
+  constructor(message, info = {}) {
+    super(message, info);
+    this.retryAfter = info.retryAfter ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+/**
+ * 5xx - Codat or the underlying platform failed
+ */
+export class CodatServerError extends CodatError {}
+
+/**
+ * No response received (DNS, connection, timeout)
+ */
+export class CodatNetworkError extends CodatError {}
+
+/**
+ * Convert an axios error into a CodatError subclass
+ * @param {Error} error - Axios error object
+ * @param {Object} request - Request that failed ({ method, endpoint })
+ * @returns {CodatError} Typed error
+ */
+export function toCodatError(error, request = {}) {
+  if (error instanceof CodatError) {
+    return error;
+  }
+
+  const method = request.method ? request.method.toUpperCase() : null;
+  const endpoint = request.endpoint ?? null;
+
+  if (!error.response) {
+    const message = error.request
+      ? `No response from server${error.code ? ` (${error.code})` : ''}`
+      : error.message;
+    return new CodatNetworkError(message, { code: 'network_error', method, endpoint, cause: error });
+  }
+
+  const { status, data, headers = {} } = error.response;
+  const info = {
+    status,
+    method,
+    endpoint,
+    details: data?.details || data?.validation || null,
+    requestId: headers['x-request-id'] || headers['x-correlation-id'] || data?.correlationId || null,
+    cause: error
+  };
+  const apiMessage = data?.message || data?.error;
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new CodatValidationError(apiMessage || 'Invalid request parameters', { ...info, code: 'validation_error' });
+    case 401:
+      return new CodatAuthError(apiMessage || 'Invalid API key or authentication failed', { ...info, code: 'unauthorized' });
+    case 403:
+      return new CodatForbiddenError(apiMessage || 'You do not have permission to access this resource', { ...info, code: 'forbidden' });
+    case 404:
+      return new CodatNotFoundError(apiMessage || 'Resource not found', { ...info, code: 'not_found' });
+    case 429: {
+      const retryAfter = headers['retry-after'] != null ? Number(headers['retry-after']) : null;
+      return new CodatRateLimitError(apiMessage || 'Too many requests', {
+        ...info,
+        code: 'rate_limited',
+        retryAfter: isNaN(retryAfter) ? null : retryAfter
+      });
+    }
+    default:
+      if (status >= 500) {
+        return new CodatServerError(apiMessage || 'Codat API is experiencing issues', { ...info, code: 'server_error' });
+      }
+      return new CodatError(apiMessage || `HTTP ${status}`, { ...info, code: `http_${status}` });
+  }
+}
+
+export default {
+  CodatError,
+  CodatAuthError,
+  CodatForbiddenError,
+  CodatNotFoundError,
+  CodatValidationError,
+  CodatRateLimitError,
+  CodatServerError,
+  CodatNetworkError,
+  toCodatError
+};
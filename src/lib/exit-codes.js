@@ -0,0 +1,64 @@
+/**
+ * Process exit codes
+ * Each failure class exits with its own code so scripts can branch on the result
+ */
+
+import {
+  CodatAuthError,
+  CodatForbiddenError,
+  CodatNotFoundError,
+  CodatValidationError,
+  CodatRateLimitError,
+  CodatServerError,
+  CodatNetworkError
+} from './errors.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL: 1,
+  USAGE: 2,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  VALIDATION: 5,
+  RATE_LIMIT: 6,
+  SERVER: 7,
+  NETWORK: 8,
+  OPERATION_FAILED: 9
+};
+
+/**
+ * Exit code reference shown by `codat help exit-codes`
+ */
+export const EXIT_CODE_DESCRIPTIONS = [
+  { code: EXIT_CODES.SUCCESS, name: 'success', description: 'Command completed successfully' },
+  { code: EXIT_CODES.GENERAL, name: 'error', description: 'Unexpected error or unclassified HTTP status' },
+  { code: EXIT_CODES.USAGE, name: 'usage', description: 'Invalid arguments, options or input (nothing was sent to Codat)' },
+  { code: EXIT_CODES.AUTH, name: 'auth', description: 'API key missing or rejected (401), or not permitted (403)' },
+  { code: EXIT_CODES.NOT_FOUND, name: 'not_found', description: 'Company, connection or record not found (404)' },
+  { code: EXIT_CODES.VALIDATION, name: 'validation', description: 'Request rejected as invalid (400/422)' },
+  { code: EXIT_CODES.RATE_LIMIT, name: 'rate_limit', description: 'Still rate limited after retries (429)' },
+  { code: EXIT_CODES.SERVER, name: 'server', description: 'Codat or the accounting platform failed (5xx)' },
+  { code: EXIT_CODES.NETWORK, name: 'network', description: 'No response received (DNS, connection or timeout)' },
+  { code: EXIT_CODES.OPERATION_FAILED, name: 'operation_failed', description: 'Awaited push or sync finished unsuccessfully or timed out' }
+];
+
+/**
+ * Map an error to its exit code
+ * @param {Error} error - CodatError subclass or any other error
+ * @returns {number} Exit code
+ */
+export function exitCodeFor(error) {
+  if (error instanceof CodatAuthError || error instanceof CodatForbiddenError) return EXIT_CODES.AUTH;
+  if (error instanceof CodatNotFoundError) return EXIT_CODES.NOT_FOUND;
+  if (error instanceof CodatValidationError) return EXIT_CODES.VALIDATION;
+  if (error instanceof CodatRateLimitError) return EXIT_CODES.RATE_LIMIT;
+  if (error instanceof CodatServerError) return EXIT_CODES.SERVER;
+  if (error instanceof CodatNetworkError) return EXIT_CODES.NETWORK;
+  return EXIT_CODES.GENERAL;
+}
+
+export default {
+  EXIT_CODES,
+  EXIT_CODE_DESCRIPTIONS,
+  exitCodeFor
+};
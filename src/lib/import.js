@@ -0,0 +1,467 @@
+/**
+ * CSV import utilities
+ * Turns spreadsheet rows into multi-line invoice or bill payloads and pushes them in bulk
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import chalk from 'chalk';
+import ora from 'ora';
+import { createClient, handleApiError, isDryRun, printDryRun } from './api.js';
+import { parseCsv, parseNumber } from './csv.js';
+import { readDocument } from './input.js';
+import { submitBatch, reportBatch, batchColumns } from './batch.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { pushBatchHandlers } from './push.js';
+import { checkPushPayloads } from './push-options.js';
+import { fail, info, toDelimited, jsonErrorsEnabled } from './output.js';
+
+/**
+ * Fields converted to numbers (matched on the last path segment)
+ */
+const NUMERIC_FIELDS = new Set([
+  'quantity', 'unitAmount', 'discountAmount', 'discountPercentage', 'subTotal', 'taxAmount',
+  'totalAmount', 'totalTaxAmount', 'totalDiscount', 'amountDue', 'currencyRate'
+]);
+
+/**
+ * Fields validated as dates (matched on the last path segment)
+ */
+const DATE_FIELDS = new Set(['issueDate', 'dueDate', 'paidOnDate', 'modifiedDate']);
+
+/**
+ * Columns appended to the input columns in the results CSV
+ */
+const RESULT_HEADERS = ['Import Row', 'Import Status', 'Push Operation Key', 'Import Error'];
+
+/**
+ * Maximum validation errors printed to the terminal (all are in the results CSV)
+ */
+const MAX_PRINTED_ERRORS = 20;
+
+/**
+ * Check a mapping file and return the CSV columns it references that are missing
+ * @param {Object} mapping - Mapping ({ documentNumber, contact, fields, lineItems, defaults })
+ * @param {Array<string>} headers - CSV header names
+ * @returns {Array<string>} Problems found
+ */
+export function validateMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Mapping must be an object'];
+  }
+
+  const problems = [];
+
+  if (!mapping.documentNumber) problems.push('Mapping needs "documentNumber" (column holding the document number)');
+  if (!mapping.contact) problems.push('Mapping needs "contact" (column holding the customer/supplier name or ID)');
+  if (!mapping.lineItems || typeof mapping.lineItems !== 'object') {
+    problems.push('Mapping needs "lineItems" (line item field → column)');
+  }
+
+  const columns = [
+    mapping.documentNumber,
+    mapping.contact,
+    ...Object.values(mapping.fields || {}),
+    ...Object.values(mapping.lineItems || {})
+  ].filter(Boolean);
+
+  for (const column of new Set(columns)) {
+    if (!headers.includes(column)) {
+      problems.push(`Column "${column}" not found in CSV`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Convert a cell to the type expected by a Codat field
+ * @param {string} path - Field path (e.g., 'lineItems.quantity')
+ * @param {string} value - Cell value
+ * @returns {{value: *, error: string|null}} Converted value or an error message
+ */
+export function convertCell(path, value) {
+  const field = path.split('.').pop();
+
+  if (NUMERIC_FIELDS.has(field)) {
+    const number = parseNumber(value);
+    if (!isNaN(number)) return { value: number, error: null };
+    return value.includes(',')
+      ? { value, error: `${path} "${value}" is not a number (use . for decimals and commas only between thousands, e.g. 1,234.50)` }
+      : { value, error: `${path} "${value}" is not a number` };
+  }
+
+  if (DATE_FIELDS.has(field) && (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(Date.parse(value)))) {
+    return { value, error: `${path} "${value}" is not a date (YYYY-MM-DD)` };
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Group CSV rows into documents and validate every row
+ * @param {Array<Object>} rows - CSV rows keyed by column
+ * @param {Object} mapping - Mapping file contents
+ * @param {Object} spec - Import specification (see runImport)
+ * @returns {{documents: Array<Object>, errors: Map<number, Array<string>>}} Documents and errors by row number
+ */
+export function buildDocuments(rows, mapping, spec) {
+  const documents = new Map();
+  const errors = new Map();
+  const addError = (row, message) => errors.set(row, [...(errors.get(row) || []), message]);
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const number = row[mapping.documentNumber];
+
+    if (!number) {
+      addError(rowNumber, `Missing document number (column "${mapping.documentNumber}")`);
+      return;
+    }
+
+    if (!documents.has(number)) {
+      documents.set(number, { number, rows: [], contact: null, fields: {}, invalid: new Set(), lineItems: [] });
+    }
+    const doc = documents.get(number);
+    doc.rows.push(rowNumber);
+
+    const contact = row[mapping.contact];
+    if (contact && doc.contact && contact !== doc.contact) {
+      addError(rowNumber, `Conflicting ${spec.contact.label} for ${number}: "${doc.contact}" and "${contact}"`);
+    } else if (contact) {
+      doc.contact = contact;
+    }
+
+    for (const [path, column] of Object.entries(mapping.fields || {})) {
+      if (!row[column]) continue;
+
+      const { value, error } = convertCell(path, row[column]);
+      const existing = getPath(doc.fields, path);
+
+      if (error) {
+        addError(rowNumber, error);
+        doc.invalid.add(path);
+      } else if (existing !== undefined && existing !== value) {
+        addError(rowNumber, `Conflicting ${path} for ${number}: "${existing}" and "${value}"`);
+      } else {
+        setPath(doc.fields, path, value);
+      }
+    }
+
+    const line = {};
+    for (const [path, column] of Object.entries(mapping.lineItems)) {
+      if (!row[column]) continue;
+
+      const { value, error } = convertCell(path, row[column]);
+      if (error) {
+        addError(rowNumber, error);
+      } else {
+        setPath(line, path, value);
+      }
+    }
+
+    if (Object.keys(line).length === 0) {
+      addError(rowNumber, 'Row has no line item values');
+    }
+    doc.lineItems.push(line);
+  });
+
+  const defaults = { ...spec.defaults, ...mapping.defaults };
+
+  for (const doc of documents.values()) {
+    const missing = [];
+
+    if (!doc.contact) missing.push(spec.contact.label);
+    for (const path of spec.required) {
+      // Fields with an invalid value were already reported on their row
+      if (doc.invalid.has(path)) continue;
+
+      if (getPath(doc.fields, path) === undefined && getPath(defaults, path) === undefined) {
+        missing.push(path);
+      }
+    }
+
+    if (missing.length > 0) {
+      addError(doc.rows[0], `${doc.number} is missing ${missing.join(', ')}`);
+    }
+  }
+
+  return { documents: [...documents.values()], errors };
+}
+
+/**
+ * Resolve each document's contact (name or ID) to a Codat ID, recording failures as row errors.
+ * Under --dry-run nothing is looked up: contacts are left as placeholders naming the value given.
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} documents - Documents from buildDocuments
+ * @param {Object} spec - Import specification (see runImport)
+ * @param {Map<number, Array<string>>} errors - Errors by row number (updated)
+ */
+export async function resolveContacts(companyId, documents, spec, errors) {
+  const { dataType, nameField, label } = spec.contact;
+
+  if (isDryRun()) {
+    const unresolved = documents.filter(doc => doc.contact);
+    unresolved.forEach(doc => {
+      doc.contactId = `<${label}: ${doc.contact}>`;
+    });
+
+    if (unresolved.length > 0) {
+      console.error(chalk.yellow('⚠'), `Dry run: ${dataType} not looked up (${unresolved.length} document${unresolved.length === 1 ? '' : 's'}); each ${label} is shown as given`);
+    }
+    return;
+  }
+
+  const spinner = ora(`Loading ${dataType}...`).start();
+
+  let contacts;
+  try {
+    contacts = await createClient(spinner).getAll(`/companies/${companyId}/data/${dataType}`, { pageSize: 500 });
+    spinner.succeed(`Loaded ${contacts.length} ${dataType}`);
+  } catch (e) {
+    spinner.fail(`Could not load ${dataType}`);
+    handleApiError(e);
+  }
+
+  const ids = new Set(contacts.map(c => c.id));
+  const byName = new Map();
+  for (const contact of contacts) {
+    const key = String(contact[nameField] ?? '').trim().toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), contact]);
+  }
+
+  for (const doc of documents) {
+    if (!doc.contact) continue;
+
+    if (ids.has(doc.contact)) {
+      doc.contactId = doc.contact;
+      continue;
+    }
+
+    const matches = byName.get(doc.contact.toLowerCase()) || [];
+    let message = null;
+
+    if (matches.length === 1) {
+      doc.contactId = matches[0].id;
+    } else if (matches.length > 1) {
+      message = `${label} "${doc.contact}" matches ${matches.length} ${dataType}; use the ID instead`;
+    } else {
+      message = `${label} "${doc.contact}" not found`;
+    }
+
+    if (message) {
+      doc.rows.forEach(row => errors.set(row, [...(errors.get(row) || []), message]));
+    }
+  }
+}
+
+/**
+ * Build the push payload for a document, following the shape of the create command
+ * @param {Object} doc - Document from buildDocuments (with contactId)
+ * @param {Object} mapping - Mapping file contents
+ * @param {Object} spec - Import specification (see runImport)
+ * @returns {Object} Payload
+ */
+function documentPayload(doc, mapping, spec) {
+  const payload = {
+    [spec.contact.ref]: { id: doc.contactId },
+    ...structuredClone(doc.fields),
+    [spec.documentNumberField]: doc.number,
+    lineItems: doc.lineItems
+  };
+
+  for (const [key, value] of Object.entries({ ...spec.defaults, ...mapping.defaults })) {
+    if (payload[key] === undefined) payload[key] = value;
+  }
+
+  return payload;
+}
+
+/**
+ * Write the results CSV: every input row plus its import status, push key and error
+ * @param {string} path - Output path
+ * @param {Array<string>} headers - Input column names
+ * @param {Array<Object>} rows - Input rows
+ * @param {Function} resultFor - Receives a row number and returns { status, key, error }
+ * @param {string} delimiter - Field delimiter
+ */
+function writeResults(path, headers, rows, resultFor, delimiter) {
+  const lines = rows.map((row, i) => {
+    const { status, key = null, error = null } = resultFor(i + 2);
+    return [...headers.map(h => row[h]), i + 2, status, key, error];
+  });
+
+  try {
+    writeFileSync(path, toDelimited([[...headers, ...RESULT_HEADERS], ...lines], delimiter));
+  } catch (e) {
+    fail(`Cannot write results to ${path}: ${e.message}`, { code: 'write_error', exitCode: EXIT_CODES.GENERAL });
+  }
+}
+
+/**
+ * Parse a --concurrency option
+ * @param {string|number} value - Option value
+ * @returns {number} Pushes in flight at once
+ */
+export function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(concurrency) || concurrency < 1) {
+    fail(`Invalid concurrency: ${value}`, { hint: 'Use a whole number of 1 or more, e.g. --concurrency 4', exitCode: EXIT_CODES.USAGE });
+  }
+  return concurrency;
+}
+
+/**
+ * Import documents from a CSV file: map, group, validate, resolve contacts, then push
+ * with bounded concurrency and write a results CSV. Nothing is pushed if any row is invalid.
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} file - CSV file path
+ * @param {Object} options - Command options (mapping, results, concurrency, delimiter, wait, format)
+ * @param {Object} spec - Import specification
+ * @param {string} spec.dataType - Push data type (e.g., 'invoices')
+ * @param {string} spec.plural - Plural record name for messages
+ * @param {string} spec.documentNumberField - Payload field for the document number (e.g., 'invoiceNumber')
+ * @param {Object} spec.contact - Contact lookup ({ ref, dataType, nameField, label })
+ * @param {Array<string>} spec.required - Document fields that must be mapped or defaulted
+ * @param {Object} spec.defaults - Default document fields
+ */
+export async function runImport(companyId, connectionId, file, options, spec) {
+  const concurrency = parseConcurrency(options.concurrency ?? 4);
+  const delimiter = options.delimiter === '\\t' ? '\t' : (options.delimiter || ',');
+  let parsed;
+
+  try {
+    parsed = parseCsv(readFileSync(file, 'utf8'), { delimiter });
+  } catch (e) {
+    fail(`Cannot read ${file}: ${e.message}`);
+  }
+
+  const { headers, rows } = parsed;
+  const mapping = readDocument(options.mapping);
+  const problems = validateMapping(mapping, headers);
+
+  if (problems.length > 0) {
+    fail(`Invalid mapping ${options.mapping}`, { hint: problems.map(p => `  ${p}`).join('\n'), details: problems });
+  }
+
+  if (rows.length === 0) {
+    fail(`No rows found in ${file}`);
+  }
+
+  const { documents, errors } = buildDocuments(rows, mapping, spec);
+  await resolveContacts(companyId, documents, spec, errors);
+
+  const payloads = documents.map(doc => documentPayload(doc, mapping, spec));
+  const schemaProblems = await checkPushPayloads(companyId, connectionId, spec.dataType, payloads);
+
+  // Schema problems are reported against a document's first row, unless its rows already failed
+  schemaProblems?.forEach((problems, i) => {
+    const [first] = documents[i].rows;
+    if (problems.length === 0 || documents[i].rows.some(row => errors.has(row))) return;
+    errors.set(first, problems.map(p => `${p.path} ${p.message}`));
+  });
+
+  const resultsPath = options.results || `${file.replace(/\.(csv|tsv|txt)$/i, '')}.results.csv`;
+
+  if (errors.size > 0) {
+    writeResults(resultsPath, headers, rows, (row) => errors.has(row)
+      ? { status: 'Invalid', error: errors.get(row).join('; ') }
+      : { status: 'Skipped' }, delimiter);
+
+    const list = [...errors.entries()].sort(([a], [b]) => a - b);
+
+    if (!jsonErrorsEnabled()) {
+      list.slice(0, MAX_PRINTED_ERRORS).forEach(([row, messages]) => {
+        console.error(chalk.red(`  Row ${row}:`), messages.join('; '));
+      });
+      if (list.length > MAX_PRINTED_ERRORS) {
+        console.error(chalk.gray(`  ...and ${list.length - MAX_PRINTED_ERRORS} more`));
+      }
+    }
+
+    fail(`${list.length} of ${rows.length} rows failed validation; nothing was pushed`, {
+      hint: `Details written to ${resultsPath}`,
+      code: 'import_validation_failed',
+      details: list.map(([row, messages]) => ({ row, errors: messages }))
+    });
+  }
+
+  const endpoint = `/companies/${companyId}/connections/${connectionId}/push/${spec.dataType}`;
+
+  if (isDryRun()) {
+    payloads.forEach(payload => printDryRun('POST', endpoint, payload));
+    return;
+  }
+
+  info(`Pushing ${documents.length} ${spec.plural} from ${rows.length} rows`);
+
+  const results = await submitBatch(payloads, {
+    method: 'POST',
+    endpoint,
+    label: spec.plural,
+    concurrency,
+    ...pushBatchHandlers(companyId, options)
+  });
+
+  const byRow = new Map();
+  results.forEach((result, i) => {
+    documents[i].rows.forEach(row => byRow.set(row, result));
+  });
+
+  writeResults(resultsPath, headers, rows, (row) => {
+    const result = byRow.get(row);
+    return {
+      status: result.status,
+      key: result.id,
+      error: result.status === 'Error' || result.message ? result.message : null
+    };
+  }, delimiter);
+  info(`Results written to ${resultsPath}`);
+
+  reportBatch(
+    results.map((result, i) => ({ ...result, document: documents[i].number, rows: documents[i].rows.length })),
+    spec.plural,
+    options,
+    [
+      batchColumns[0],
+      { key: 'document', header: 'Document' },
+      { key: 'rows', header: 'Rows' },
+      ...batchColumns.slice(1)
+    ]
+  );
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj - Object to read
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Set a dotted path on an object, creating intermediate objects
+ * @param {Object} obj - Object to modify
+ * @param {string} path - Dotted path (e.g., 'accountRef.id')
+ * @param {*} value - Value to set
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, obj);
+  target[last] = value;
+}
+
+export default {
+  validateMapping,
+  buildDocuments,
+  convertCell,
+  resolveContacts,
+  parseConcurrency,
+  runImport
+};
@@ -0,0 +1,289 @@
+/**
+ * Payload input utilities
+ * Reads create/update payloads from JSON, NDJSON or YAML files (or stdin) and merges them with CLI flags
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { fail } from './output.js';
+
+/**
+ * Help text for the --from-file option
+ * @param {boolean} single - Whether the command accepts only one record (update commands)
+ * @returns {string} Option description
+ */
+export function fromFileHelp(single = false) {
+  return single
+    ? 'Read the payload from a JSON or YAML file ("-" for stdin); flags override file fields'
+    : 'Read the payload from a JSON, NDJSON or YAML file ("-" for stdin); flags override file fields, a list creates one record per entry';
+}
+
+/**
+ * Read the full contents of stdin
+ * @returns {Promise<string>} Text read from stdin
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parse newline-delimited JSON
+ * @param {string} text - NDJSON text
+ * @returns {Array} Parsed values
+ * @throws {SyntaxError} If any line is not valid JSON (message includes the line number)
+ */
+function parseNdjson(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNumber]) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new SyntaxError(`line ${lineNumber}: ${e.message}`);
+      }
+    });
+}
+
+/**
+ * Parse YAML, allowing several documents separated by ---
+ * @param {string} text - YAML text
+ * @returns {Array} Parsed documents
+ * @throws {Error} If the YAML is invalid
+ */
+function parseYaml(text) {
+  const documents = YAML.parseAllDocuments(text);
+  const invalid = documents.find(doc => doc.errors.length > 0);
+
+  if (invalid) {
+    throw invalid.errors[0];
+  }
+
+  return documents.map(doc => doc.toJS());
+}
+
+/**
+ * Parse payload text, choosing the format from the file extension or, for stdin and
+ * unknown extensions, trying JSON, then NDJSON, then YAML
+ * @param {string} text - File contents
+ * @param {string} path - File path ("-" for stdin)
+ * @returns {{values: Array, array: boolean}} Parsed values and whether the input was a list
+ */
+function parsePayloadText(text, path) {
+  const ext = path === '-' ? '' : extname(path).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    const documents = parseYaml(text);
+    const array = documents.length === 1 && Array.isArray(documents[0]);
+    return { values: array ? documents[0] : documents, array: array || documents.length > 1 };
+  }
+
+  if (ext === '.ndjson' || ext === '.jsonl') {
+    return { values: parseNdjson(text), array: true };
+  }
+
+  try {
+    const value = JSON.parse(text);
+    return { values: Array.isArray(value) ? value : [value], array: Array.isArray(value) };
+  } catch (jsonError) {
+    if (ext === '.json') throw jsonError;
+
+    try {
+      const values = parseNdjson(text);
+      if (values.length > 1) return { values, array: true };
+    } catch {
+      // Not NDJSON either; fall through to YAML
+    }
+
+    const documents = parseYaml(text);
+    const array = documents.length === 1 && Array.isArray(documents[0]);
+    return { values: array ? documents[0] : documents, array: array || documents.length > 1 };
+  }
+}
+
+/**
+ * Read records from a payload file or stdin
+ * @param {string} path - File path, or "-" for stdin
+ * @returns {Promise<{records: Array<Object>, multiple: boolean}>} Records and whether a list was given
+ */
+export async function readRecords(path) {
+  const source = path === '-' ? 'stdin' : path;
+  let text;
+
+  try {
+    text = path === '-' ? await readStdin() : readFileSync(path, 'utf8');
+  } catch (e) {
+    fail(`Cannot read ${source}: ${e.message}`);
+  }
+
+  if (!text.trim()) {
+    fail(`No payload found in ${source}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parsePayloadText(text, path);
+  } catch (e) {
+    fail(`Invalid payload in ${source}: ${e.message}`);
+  }
+
+  const records = parsed.values.filter(value => value !== null && value !== undefined);
+
+  records.forEach((record, i) => {
+    if (!isPlainObject(record)) {
+      fail(`Record ${i + 1} in ${source} is not an object`);
+    }
+  });
+
+  if (records.length === 0) {
+    fail(`No records found in ${source}`);
+  }
+
+  return { records, multiple: parsed.array };
+}
+
+/**
+ * Read a single JSON or YAML document (e.g., a mapping file)
+ * @param {string} path - File path
+ * @returns {*} Parsed document
+ */
+export function readDocument(path) {
+  let text;
+
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (e) {
+    fail(`Cannot read ${path}: ${e.message}`);
+  }
+
+  try {
+    // YAML is a superset of JSON, so this accepts both
+    return YAML.parse(text);
+  } catch (e) {
+    fail(`Invalid JSON or YAML in ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Parse a JSON option value, exiting with a usage error if invalid
+ * @param {string} value - Option value (undefined when not given)
+ * @param {string} label - What the option holds, for the error message (e.g., 'line items')
+ * @param {string} hint - Optional hint shown with the error
+ * @returns {*} Parsed value, or undefined when the option was not given
+ */
+export function parseJsonOption(value, label, hint) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    fail(`Invalid JSON for ${label}`, { hint });
+  }
+}
+
+/**
+ * Build the payloads for a create or update command.
+ * Each record from --from-file is merged with the fields given as flags (flags win),
+ * defaults fill fields set by neither, then required fields are checked.
+ * @param {Object} options - Command options (fromFile)
+ * @param {Object} spec - Payload specification
+ * @param {Object} spec.fields - Payload fields from CLI flags; undefined values are ignored
+ * @param {Object} [spec.defaults] - Values used when neither the file nor a flag sets a field
+ * @param {Array<Array<string>>} [spec.required] - [payload path, flag] pairs that must be set
+ * @param {boolean} [spec.single] - Reject lists of records (update commands)
+ * @param {string} [spec.emptyMessage] - Error shown when the payload has no fields at all
+ * @returns {Promise<Array<Object>>} One payload per record
+ */
+export async function buildPayloads(options, spec) {
+  const { fields, defaults = {}, required = [], single = false, emptyMessage } = spec;
+  let records = [{}];
+
+  if (options.fromFile) {
+    const input = await readRecords(options.fromFile);
+
+    if (single && input.multiple) {
+      fail('This command updates a single record; the input contains a list');
+    }
+
+    records = input.records;
+  }
+
+  return records.map((record, i) => {
+    const payload = mergeDeep(mergeDeep({}, record), fields);
+
+    for (const [key, value] of Object.entries(defaults)) {
+      if (payload[key] === undefined) payload[key] = structuredClone(value);
+    }
+
+    const prefix = records.length > 1 ? `Record ${i + 1}: ` : '';
+
+    if (emptyMessage && Object.keys(payload).length === 0) {
+      fail(emptyMessage);
+    }
+
+    for (const [path, flag] of required) {
+      if (getPath(payload, path) === undefined || getPath(payload, path) === '') {
+        fail(`${prefix}${path} is required`, { hint: `Pass ${flag} or set ${path} in the input file` });
+      }
+    }
+
+    return payload;
+  });
+}
+
+/**
+ * Recursively merge source into target; plain objects are merged, everything else replaced.
+ * Undefined source values and empty objects left after dropping them are ignored.
+ * @param {Object} target - Object to merge into (modified)
+ * @param {Object} source - Object to merge from
+ * @returns {Object} target
+ */
+export function mergeDeep(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value === undefined) continue;
+
+    if (isPlainObject(value)) {
+      const merged = mergeDeep(isPlainObject(target[key]) ? target[key] : {}, value);
+      if (Object.keys(merged).length > 0) target[key] = merged;
+    } else {
+      target[key] = value;
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj - Object to read
+ * @param {string} path - Dotted path (e.g., 'customerRef.id')
+ * @returns {*} Value, or undefined
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default {
+  fromFileHelp,
+  readRecords,
+  readDocument,
+  parseJsonOption,
+  buildPayloads,
+  mergeDeep
+};
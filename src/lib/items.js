@@ -0,0 +1,124 @@
+/**
+ * Item utilities
+ * Resolves item codes in invoice and bill line items to item references and default prices
+ */
+
+import chalk from 'chalk';
+import { getAllPages, isDryRun } from './api.js';
+import { fail } from './output.js';
+import { condition, or } from './query.js';
+
+/**
+ * Item details used by each document type
+ */
+const ITEM_SIDES = {
+  invoices: { detail: 'invoiceItem', flag: 'isInvoiceItem', label: 'sales', documents: 'invoices' },
+  bills: { detail: 'billItem', flag: 'isBillItem', label: 'purchase', documents: 'bills' },
+  purchaseOrders: { detail: 'billItem', flag: 'isBillItem', label: 'purchase', documents: 'purchase orders' }
+};
+
+/**
+ * Item codes looked up per request (keeps the query short)
+ */
+const CODES_PER_QUERY = 50;
+
+/**
+ * Get the item code of a line item, given as itemCode or as an itemRef without an ID
+ * @param {Object} line - Line item
+ * @returns {string|undefined} Item code
+ */
+export function lineItemCode(line) {
+  if (line.itemCode !== undefined) return String(line.itemCode);
+  if (line.itemRef && !line.itemRef.id && line.itemRef.code !== undefined) return String(line.itemRef.code);
+  return undefined;
+}
+
+/**
+ * Fetch items by code
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} codes - Item codes
+ * @returns {Promise<Map<string, Object>>} Items by code
+ */
+async function fetchItemsByCode(companyId, codes) {
+  const items = new Map();
+
+  for (let i = 0; i < codes.length; i += CODES_PER_QUERY) {
+    const query = or(...codes.slice(i, i + CODES_PER_QUERY).map(code => condition('code', '=', code)));
+    const results = await getAllPages(`/companies/${companyId}/data/items`, { pageSize: CODES_PER_QUERY, query }, {
+      showSpinner: false
+    });
+
+    results.forEach(item => items.set(item.code, item));
+  }
+
+  return items;
+}
+
+/**
+ * Replace item codes in the line items of invoice, bill or purchase order payloads with item references.
+ * The item's description, unit price, account and tax rate (and a quantity of 1) fill in whatever the line leaves out.
+ * Under --dry-run the codes are left as given, since looking them up would call the API.
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} payloads - Invoice, bill or purchase order payloads (modified)
+ * @param {string} dataType - 'invoices', 'bills' or 'purchaseOrders'
+ * @returns {Promise<Array<Object>>} The payloads
+ */
+export async function resolveItemCodes(companyId, payloads, dataType) {
+  const side = ITEM_SIDES[dataType];
+  const lines = payloads.flatMap(payload => Array.isArray(payload.lineItems) ? payload.lineItems : []);
+  const codes = [...new Set(lines.map(lineItemCode).filter(Boolean))];
+
+  if (codes.length === 0) {
+    return payloads;
+  }
+
+  // A dry run must not touch the network, so lines keep their item codes
+  if (isDryRun()) {
+    console.error(chalk.yellow('⚠'), `Dry run: item code${codes.length === 1 ? '' : 's'} not resolved (${codes.join(', ')}); lines are printed as given`);
+    return payloads;
+  }
+
+  const items = await fetchItemsByCode(companyId, codes);
+  const unknown = codes.filter(code => !items.has(code));
+
+  if (unknown.length > 0) {
+    fail(`Unknown item code${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, {
+      hint: `List items with: codat items list ${companyId}`
+    });
+  }
+
+  const wrongSide = codes.filter(code => items.get(code)[side.flag] === false);
+  if (wrongSide.length > 0) {
+    fail(`Item${wrongSide.length === 1 ? '' : 's'} not available on ${side.documents}: ${wrongSide.join(', ')}`, {
+      hint: `Only items with ${side.label} details (${side.flag}) can be used on ${side.documents}`
+    });
+  }
+
+  for (const payload of payloads) {
+    if (!Array.isArray(payload.lineItems)) continue;
+
+    payload.lineItems = payload.lineItems.map(line => {
+      const code = lineItemCode(line);
+      if (!code) return line;
+
+      const item = items.get(code);
+      const detail = item[side.detail] || {};
+      const { itemCode, itemRef, ...rest } = line;
+      const defaults = { quantity: 1 };
+
+      if (detail.description || item.name) defaults.description = detail.description || item.name;
+      if (detail.unitPrice != null) defaults.unitAmount = detail.unitPrice;
+      if (detail.accountRef?.id) defaults.accountRef = { id: detail.accountRef.id };
+      if (detail.taxRateRef?.id) defaults.taxRateRef = { id: detail.taxRateRef.id };
+
+      return { ...defaults, ...rest, itemRef: { id: item.id, name: item.name } };
+    });
+  }
+
+  return payloads;
+}
+
+export default {
+  lineItemCode,
+  resolveItemCodes
+};
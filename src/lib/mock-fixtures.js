@@ -0,0 +1,955 @@
+/**
+ * Mock server fixtures
+ * Generates deterministic seed data (companies, connections and accounting records) and push option schemas
+ */
+
+/**
+ * Last day covered by the seed data; generated dates fall in the year before it
+ */
+export const SEED_AS_OF = '2026-06-30';
+
+/**
+ * Platform keys and names used for seeded connections
+ */
+const PLATFORMS = {
+  akxx: 'Xero',
+  gbol: 'QuickBooks Online',
+  tgff: 'Sage 50',
+  vjms: 'Sage Intacct',
+  fbrh: 'FreeAgent',
+  wvzu: 'Wave',
+  rwuv: 'Zoho Books',
+  pdvj: 'MYOB AccountRight'
+};
+
+/**
+ * Chart of accounts shared by every seeded company
+ */
+const CHART = [
+  { code: '1000', name: 'Business Current Account', type: 'Asset', category: 'Asset.Current.Bank', bank: true },
+  { code: '1010', name: 'Business Savings Account', type: 'Asset', category: 'Asset.Current.Bank', bank: true },
+  { code: '1100', name: 'Accounts Receivable', type: 'Asset', category: 'Asset.Current.Receivables' },
+  { code: '1500', name: 'Office Equipment', type: 'Asset', category: 'Asset.Fixed.Equipment' },
+  { code: '2100', name: 'Accounts Payable', type: 'Liability', category: 'Liability.Current.Payables' },
+  { code: '2200', name: 'Sales Tax Payable', type: 'Liability', category: 'Liability.Current.Tax' },
+  { code: '3000', name: 'Retained Earnings', type: 'Equity', category: 'Equity.RetainedEarnings' },
+  { code: '4000', name: 'Sales', type: 'Income', category: 'Income.Revenue.Sales' },
+  { code: '4010', name: 'Consulting Income', type: 'Income', category: 'Income.Revenue.Services' },
+  { code: '5000', name: 'Cost of Sales', type: 'Expense', category: 'Expense.CostOfSales' },
+  { code: '6000', name: 'Rent', type: 'Expense', category: 'Expense.Operating.Rent' },
+  { code: '6100', name: 'Software Subscriptions', type: 'Expense', category: 'Expense.Operating.Software' },
+  { code: '6200', name: 'Travel', type: 'Expense', category: 'Expense.Operating.Travel' }
+];
+
+const CUSTOMER_NAMES = [
+  'Acme Corporation', 'Globex Ltd', 'Initech', 'Umbrella Retail', 'Stark Logistics',
+  'Wayne Hospitality', 'Hooli Services', 'Vandelay Imports'
+];
+
+const SUPPLIER_NAMES = [
+  'Office Supplies Co', 'CloudHost Inc', 'City Property Management', 'Rapid Couriers', 'Northern Wholesale'
+];
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Jamie', 'Robin'];
+const LAST_NAMES = ['Smith', 'Patel', 'Nguyen', 'Garcia', 'Okafor', 'Jensen', 'Kowalski', 'Murphy'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so every run produces the same fixtures
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build helpers bound to one random generator
+ * @param {Function} random - Random generator
+ * @returns {Object} Helpers (uuid, int, pick, amount)
+ */
+function helpers(random) {
+  const hex = (length) => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+
+  return {
+    uuid: () => `${hex(8)}-${hex(4)}-4${hex(3)}-${'89ab'[Math.floor(random() * 4)]}${hex(3)}-${hex(12)}`,
+    int: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: (list) => list[Math.floor(random() * list.length)],
+    amount: (min, max) => Math.round((min + random() * (max - min)) * 100) / 100
+  };
+}
+
+/**
+ * Add days to an ISO date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date.substring(0, 10)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().substring(0, 10);
+}
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Generate the accounting records of one company
+ * @param {Function} random - Random generator
+ * @param {Object} company - Company settings (currency, taxRate)
+ * @returns {Object} Records by data type
+ */
+function companyData(random, company) {
+  const { uuid, int, pick, amount } = helpers(random);
+  const { currency, taxRate } = company;
+  const start = addDays(SEED_AS_OF, -364);
+  const modified = (date) => `${addDays(date, int(0, 3))}T${String(int(8, 18)).padStart(2, '0')}:${String(int(0, 59)).padStart(2, '0')}:00Z`;
+  const stamp = `${start}T09:00:00Z`;
+
+  const accounts = CHART.map(line => ({
+    id: uuid(),
+    nominalCode: line.code,
+    name: line.name,
+    description: line.name,
+    fullyQualifiedCategory: line.category,
+    fullyQualifiedName: `${line.category}.${line.name.replace(/\s+/g, '')}`,
+    currency,
+    type: line.type,
+    status: 'Active',
+    isBankAccount: Boolean(line.bank),
+    currentBalance: 0,
+    modifiedDate: stamp,
+    sourceModifiedDate: stamp
+  }));
+  const account = (code) => accounts.find(a => a.nominalCode === code);
+  const accountRef = (code) => ({ id: account(code).id, name: account(code).name });
+
+  const taxRates = [
+    { code: 'STD', name: 'Standard Rate', rate: taxRate },
+    { code: 'RED', name: 'Reduced Rate', rate: 5 },
+    { code: 'ZERO', name: 'Zero Rated', rate: 0 },
+    { code: 'EXEMPT', name: 'Exempt', rate: 0 }
+  ].map(rate => ({
+    id: uuid(),
+    code: rate.code,
+    name: rate.name,
+    effectiveTaxRate: rate.rate,
+    totalTaxRate: rate.rate,
+    components: [{ name: rate.name, rate: rate.rate, isCompound: false }],
+    status: 'Active',
+    modifiedDate: stamp
+  }));
+  const taxRateRef = { id: taxRates[0].id, name: taxRates[0].name };
+
+  const contact = (name, field, i) => {
+    const first = FIRST_NAMES[i % FIRST_NAMES.length];
+    const last = LAST_NAMES[(i * 3) % LAST_NAMES.length];
+    const domain = name.toLowerCase().replace(/[^a-z]+/g, '');
+
+    return {
+      id: uuid(),
+      [field]: name,
+      contactName: `${first} ${last}`,
+      emailAddress: `${first.toLowerCase()}@${domain}.example`,
+      phone: `+1 555 01${String(int(0, 99)).padStart(2, '0')}`,
+      addresses: [{ type: 'Billing', line1: `${int(1, 999)} Market Street`, city: 'Springfield', postalCode: String(int(10000, 99999)), country: 'US' }],
+      defaultCurrency: currency,
+      status: 'Active',
+      modifiedDate: modified(start)
+    };
+  };
+
+  const customers = CUSTOMER_NAMES.map((name, i) => contact(name, 'customerName', i));
+  const suppliers = SUPPLIER_NAMES.map((name, i) => contact(name, 'supplierName', i));
+
+  const paymentMethods = [
+    { name: 'Bank Transfer', type: 'BankTransfer' },
+    { name: 'Card', type: 'Card' },
+    { name: 'Cash', type: 'Cash' }
+  ].map(method => ({ id: uuid(), ...method, status: 'Active', modifiedDate: stamp }));
+
+  const currentAccount = accountRef('1000');
+
+  /**
+   * Build a document (invoice or bill) with 1-3 taxed line items
+   */
+  const lineItems = (incomeCodes) => Array.from({ length: int(1, 3) }, () => {
+    const quantity = int(1, 10);
+    const unitAmount = amount(25, 600);
+    const subTotal = round(quantity * unitAmount);
+    const taxAmount = round(subTotal * taxRate / 100);
+    const code = pick(incomeCodes);
+
+    return {
+      description: account(code).name,
+      quantity,
+      unitAmount,
+      subTotal,
+      taxAmount,
+      totalAmount: round(subTotal + taxAmount),
+      accountRef: accountRef(code),
+      taxRateRef
+    };
+  });
+
+  const totals = (lines) => ({
+    subTotal: round(lines.reduce((sum, l) => sum + l.subTotal, 0)),
+    totalTaxAmount: round(lines.reduce((sum, l) => sum + l.taxAmount, 0)),
+    totalAmount: round(lines.reduce((sum, l) => sum + l.totalAmount, 0))
+  });
+
+  const invoices = [];
+  const payments = [];
+
+  for (let i = 0; i < 30; i++) {
+    const issueDate = addDays(start, Math.floor(i * 12 + int(0, 10)));
+    const customer = pick(customers);
+    const lines = lineItems(['4000', '4010']);
+    const sums = totals(lines);
+    const roll = random();
+    let status = roll < 0.05 ? 'Draft' : roll < 0.1 ? 'Void' : roll < 0.65 ? 'Paid' : roll < 0.75 ? 'PartiallyPaid' : 'Submitted';
+    const paidOn = addDays(issueDate, int(5, 40));
+
+    if ((status === 'Paid' || status === 'PartiallyPaid') && paidOn > SEED_AS_OF) status = 'Submitted';
+
+    const paid = status === 'Paid' ? sums.totalAmount : (status === 'PartiallyPaid' ? round(sums.totalAmount / 2) : 0);
+    const invoice = {
+      id: uuid(),
+      invoiceNumber: `INV-${String(1001 + i)}`,
+      customerRef: { id: customer.id, companyName: customer.customerName },
+      issueDate: `${issueDate}T00:00:00`,
+      dueDate: `${addDays(issueDate, 30)}T00:00:00`,
+      paidOnDate: status === 'Paid' ? `${paidOn}T00:00:00` : null,
+      currency,
+      currencyRate: 1,
+      lineItems: lines,
+      ...sums,
+      totalDiscount: 0,
+      amountDue: status === 'Void' ? 0 : round(sums.totalAmount - paid),
+      status,
+      modifiedDate: modified(paid ? paidOn : issueDate),
+      sourceModifiedDate: modified(paid ? paidOn : issueDate)
+    };
+    invoices.push(invoice);
+
+    if (paid > 0) {
+      payments.push({
+        id: uuid(),
+        customerRef: invoice.customerRef,
+        accountRef: currentAccount,
+        paymentMethodRef: { id: paymentMethods[0].id, name: paymentMethods[0].name },
+        totalAmount: paid,
+        currency,
+        currencyRate: 1,
+        date: `${paidOn}T00:00:00`,
+        lines: [{ amount: paid, links: [{ type: 'Invoice', id: invoice.id, amount: -paid }] }],
+        modifiedDate: modified(paidOn)
+      });
+    }
+  }
+
+  const bills = [];
+  const billPayments = [];
+
+  for (let i = 0; i < 20; i++) {
+    const issueDate = addDays(start, Math.floor(i * 18 + int(0, 12)));
+    const supplier = pick(suppliers);
+    const lines = lineItems(['5000', '6000', '6100', '6200']);
+    const sums = totals(lines);
+    const roll = random();
+    let status = roll < 0.05 ? 'Draft' : roll < 0.1 ? 'Void' : roll < 0.7 ? 'Paid' : roll < 0.8 ? 'PartiallyPaid' : 'Open';
+    const paidOn = addDays(issueDate, int(10, 45));
+
+    if ((status === 'Paid' || status === 'PartiallyPaid') && paidOn > SEED_AS_OF) status = 'Open';
+
+    const paid = status === 'Paid' ? sums.totalAmount : (status === 'PartiallyPaid' ? round(sums.totalAmount / 2) : 0);
+    const bill = {
+      id: uuid(),
+      reference: `BILL-${String(501 + i)}`,
+      supplierRef: { id: supplier.id, supplierName: supplier.supplierName },
+      issueDate: `${issueDate}T00:00:00`,
+      dueDate: `${addDays(issueDate, 30)}T00:00:00`,
+      currency,
+      currencyRate: 1,
+      lineItems: lines,
+      ...sums,
+      amountDue: status === 'Void' ? 0 : round(sums.totalAmount - paid),
+      status,
+      modifiedDate: modified(paid ? paidOn : issueDate),
+      sourceModifiedDate: modified(paid ? paidOn : issueDate)
+    };
+    bills.push(bill);
+
+    if (paid > 0) {
+      billPayments.push({
+        id: uuid(),
+        supplierRef: bill.supplierRef,
+        accountRef: currentAccount,
+        paymentMethodRef: { id: paymentMethods[0].id, name: paymentMethods[0].name },
+        totalAmount: paid,
+        currency,
+        date: `${paidOn}T00:00:00`,
+        lines: [{ amount: paid, links: [{ type: 'Bill', id: bill.id, amount: -paid }] }],
+        modifiedDate: modified(paidOn)
+      });
+    }
+  }
+
+  // Bank activity mirrors the seeded payments so balances, transactions and reports agree
+  const opening = 25000;
+  const movements = [
+    ...payments.map(p => ({ date: p.date, amount: p.totalAmount, description: `Payment from ${p.customerRef.companyName}`, record: { id: p.id, dataType: 'payments' } })),
+    ...billPayments.map(p => ({ date: p.date, amount: -p.totalAmount, description: `Payment to ${p.supplierRef.supplierName}`, record: { id: p.id, dataType: 'billPayments' } }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const currentBankAccountId = uuid();
+  const savingsBankAccountId = uuid();
+  let balance = opening;
+
+  const bankTransactions = movements.map(movement => {
+    balance = round(balance + movement.amount);
+    return {
+      id: uuid(),
+      accountId: currentBankAccountId,
+      date: movement.date,
+      description: movement.description,
+      amount: movement.amount,
+      balance,
+      currency,
+      transactionType: movement.amount >= 0 ? 'Credit' : 'Debit',
+      reconciled: movement.date < addDays(SEED_AS_OF, -30),
+      modifiedDate: modified(movement.date.substring(0, 10))
+    };
+  });
+
+  const bankAccounts = [
+    { id: currentBankAccountId, name: 'Business Current Account', code: '1000', balance },
+    { id: savingsBankAccountId, name: 'Business Savings Account', code: '1010', balance: 50000 }
+  ].map(bank => ({
+    id: bank.id,
+    accountName: bank.name,
+    accountType: 'Debit',
+    nominalCode: bank.code,
+    sortCode: `${int(10, 99)}-${int(10, 99)}-${int(10, 99)}`,
+    accountNumber: String(int(10000000, 99999999)),
+    currency,
+    balance: bank.balance,
+    availableBalance: bank.balance,
+    institution: 'Mock Bank',
+    modifiedDate: modified(SEED_AS_OF)
+  }));
+
+  const accountTransactions = movements.map((movement, i) => ({
+    id: uuid(),
+    transactionId: movement.record.id,
+    date: movement.date,
+    status: bankTransactions[i].reconciled ? 'Reconciled' : 'Unreconciled',
+    currency,
+    totalAmount: movement.amount,
+    bankAccountRef: { id: currentBankAccountId, name: 'Business Current Account' },
+    lines: [{ recordRef: movement.record, amount: movement.amount }],
+    note: movement.description,
+    modifiedDate: bankTransactions[i].modifiedDate
+  }));
+
+  const journals = [
+    { name: 'General Journal', code: 'GJ', type: 'General' },
+    { name: 'Sales Journal', code: 'SJ', type: 'Sales' }
+  ].map(journal => ({
+    id: uuid(),
+    name: journal.name,
+    journalCode: journal.code,
+    type: journal.type,
+    status: 'Active',
+    hasChildren: false,
+    createdOn: stamp,
+    modifiedDate: stamp
+  }));
+
+  const journalEntries = Array.from({ length: 10 }, (_, i) => {
+    const postedOn = addDays(start, i * 36 + int(0, 20));
+    const value = amount(100, 2500);
+
+    return {
+      id: uuid(),
+      journalRef: { id: journals[0].id, name: journals[0].name },
+      description: i % 2 ? 'Monthly depreciation' : 'Accrued expenses',
+      postedOn: `${postedOn}T00:00:00`,
+      createdOn: `${postedOn}T00:00:00`,
+      journalLines: [
+        { accountRef: accountRef(i % 2 ? '6100' : '6000'), netAmount: value, currency, description: 'Debit' },
+        { accountRef: accountRef(i % 2 ? '1500' : '2100'), netAmount: -value, currency, description: 'Credit' }
+      ],
+      recordRef: { id: null, dataType: 'journalEntries' },
+      modifiedDate: modified(postedOn)
+    };
+  });
+
+  // Credit notes refund part of an open invoice or bill. The first of each kind is allocated in full and
+  // the second in part, through a zero-value payment linking the credit note to the document
+  const creditNotes = [];
+  const billCreditNotes = [];
+
+  const issueCredits = (documents, spec) => {
+    const open = documents.filter(document => document.amountDue > 0 && document.status !== 'Draft');
+    const count = Math.min(4, open.length);
+
+    for (let i = 0; i < count; i++) {
+      const document = open[Math.floor(i * open.length / count)];
+      const source = document.lineItems[0];
+      const unitAmount = round(source.unitAmount * (0.2 + random() * 0.3));
+      const taxAmount = round(unitAmount * taxRate / 100);
+      const totalAmount = round(unitAmount + taxAmount);
+      const issueDate = [addDays(document.issueDate, int(3, 20)), SEED_AS_OF].sort()[0];
+      const allocated = i === 0 ? Math.min(totalAmount, document.amountDue) : (i === 1 ? round(Math.min(totalAmount, document.amountDue) / 2) : 0);
+      const id = uuid();
+      const paymentAllocations = [];
+
+      if (allocated > 0) {
+        const payment = {
+          id: uuid(),
+          [spec.contactRef]: document[spec.contactRef],
+          totalAmount: 0,
+          currency,
+          currencyRate: 1,
+          date: `${issueDate}T00:00:00`,
+          lines: [{
+            amount: 0,
+            allocatedOnDate: `${issueDate}T00:00:00`,
+            links: [{ type: spec.linkType, id: document.id, amount: -allocated }, { type: 'CreditNote', id, amount: allocated }]
+          }],
+          modifiedDate: modified(issueDate)
+        };
+        spec.payments.push(payment);
+        paymentAllocations.push({
+          payment: { id: payment.id, currency, currencyRate: 1, paidOnDate: payment.date, totalAmount: 0 },
+          allocation: { currency, currencyRate: 1, allocatedOnDate: payment.date, totalAmount: allocated }
+        });
+
+        document.amountDue = round(document.amountDue - allocated);
+        document.status = document.amountDue === 0 ? 'Paid' : 'PartiallyPaid';
+      }
+
+      const remainingCredit = round(totalAmount - allocated);
+      spec.list.push({
+        id,
+        [spec.numberField]: `${spec.prefix}-${String(i + 1).padStart(4, '0')}`,
+        [spec.contactRef]: document[spec.contactRef],
+        issueDate: `${issueDate}T00:00:00`,
+        currency,
+        currencyRate: 1,
+        lineItems: [{ ...source, quantity: 1, unitAmount, subTotal: unitAmount, taxAmount, totalAmount }],
+        subTotal: unitAmount,
+        totalTaxAmount: taxAmount,
+        totalAmount,
+        totalDiscount: 0,
+        discountPercentage: 0,
+        remainingCredit,
+        status: allocated === 0 ? 'Submitted' : (remainingCredit === 0 ? 'Paid' : 'PartiallyPaid'),
+        paymentAllocations,
+        note: `Credit against ${document[spec.documentNumberField]}`,
+        modifiedDate: modified(issueDate),
+        sourceModifiedDate: modified(issueDate)
+      });
+    }
+  };
+
+  issueCredits(invoices, {
+    list: creditNotes, payments, prefix: 'CN', numberField: 'creditNoteNumber',
+    contactRef: 'customerRef', linkType: 'Invoice', documentNumberField: 'invoiceNumber'
+  });
+  issueCredits(bills, {
+    list: billCreditNotes, payments: billPayments, prefix: 'BCN', numberField: 'billCreditNoteNumber',
+    contactRef: 'supplierRef', linkType: 'Bill', documentNumberField: 'reference'
+  });
+
+  // Products and services; prices are in the company currency
+  const items = [
+    { code: 'CONSULT-HR', name: 'Consulting (hourly)', type: 'Service', sale: 150, income: '4010' },
+    { code: 'SUPPORT-MO', name: 'Support Plan (monthly)', type: 'Service', sale: 300, income: '4010' },
+    { code: 'WIDGET-STD', name: 'Standard Widget', type: 'Inventory', sale: 45, purchase: 22.5, income: '4000', expense: '5000' },
+    { code: 'WIDGET-PRO', name: 'Pro Widget', type: 'Inventory', sale: 120, purchase: 64, income: '4000', expense: '5000' },
+    { code: 'SAAS-SEAT', name: 'Software Seat', type: 'NonInventory', purchase: 25, expense: '6100' },
+    { code: 'COURIER', name: 'Courier Delivery', type: 'NonInventory', purchase: 18, expense: '6200' }
+  ].map(item => ({
+    id: uuid(),
+    code: item.code,
+    name: item.name,
+    type: item.type,
+    itemStatus: 'Active',
+    isInvoiceItem: item.sale !== undefined,
+    isBillItem: item.purchase !== undefined,
+    invoiceItem: item.sale !== undefined
+      ? { description: item.name, unitPrice: item.sale, accountRef: accountRef(item.income), taxRateRef }
+      : null,
+    billItem: item.purchase !== undefined
+      ? { description: item.name, unitPrice: item.purchase, accountRef: accountRef(item.expense), taxRateRef }
+      : null,
+    modifiedDate: stamp,
+    sourceModifiedDate: stamp
+  }));
+
+  // Sales and purchase orders over the last quarter; the oldest are closed (delivered and invoiced or billed)
+  const orders = (spec) => Array.from({ length: 8 }, (_, i) => {
+    const issueDate = addDays(SEED_AS_OF, -90 + i * 11 + int(0, 5));
+    const contact = pick(spec.contacts);
+    const lines = lineItems(spec.accountCodes);
+    const roll = random();
+    const status = i < 3 ? 'Closed' : (roll < 0.15 ? 'Draft' : (roll < 0.25 ? 'Void' : 'Open'));
+    const expectedDeliveryDate = addDays(issueDate, 14);
+
+    return {
+      id: uuid(),
+      [spec.numberField]: `${spec.prefix}-${String(i + 1).padStart(4, '0')}`,
+      [spec.contactRef]: { id: contact.id, [spec.contactNameField]: contact[spec.nameField] },
+      issueDate: `${issueDate}T00:00:00`,
+      expectedDeliveryDate: `${expectedDeliveryDate}T00:00:00`,
+      deliveryDate: status === 'Closed' ? `${addDays(expectedDeliveryDate, int(-3, 5))}T00:00:00` : null,
+      ...(spec.paymentTerms ? { paymentDueDate: `${addDays(issueDate, spec.paymentTerms)}T00:00:00` } : {}),
+      currency,
+      currencyRate: 1,
+      lineItems: lines,
+      ...totals(lines),
+      totalDiscount: 0,
+      status,
+      note: null,
+      modifiedDate: modified(issueDate),
+      sourceModifiedDate: modified(issueDate)
+    };
+  });
+
+  const salesOrders = orders({
+    contacts: customers, nameField: 'customerName', contactRef: 'customerRef', contactNameField: 'companyName',
+    numberField: 'salesOrderNumber', prefix: 'SO', accountCodes: ['4000', '4010']
+  });
+  const purchaseOrders = orders({
+    contacts: suppliers, nameField: 'supplierName', contactRef: 'supplierRef', contactNameField: 'supplierName',
+    numberField: 'purchaseOrderNumber', prefix: 'PO', accountCodes: ['5000', '6100', '6200'], paymentTerms: 30
+  });
+
+  // Card and cash spend and income recorded straight against the current account (some without a contact),
+  // and transfers between the current and savings accounts
+  const direct = (spec) => Array.from({ length: spec.count }, (_, i) => {
+    const issueDate = [addDays(start, Math.floor(i * 364 / spec.count) + int(0, 20)), SEED_AS_OF].sort()[0];
+    const contact = random() < 0.7 ? pick(spec.contacts) : null;
+    const lines = lineItems(spec.accountCodes);
+    const sums = totals(lines);
+
+    return {
+      id: uuid(),
+      reference: `${spec.prefix}-${String(i + 1).padStart(4, '0')}`,
+      note: null,
+      contactRef: contact ? { id: contact.id, dataType: spec.contactType } : null,
+      issueDate: `${issueDate}T00:00:00`,
+      currency,
+      currencyRate: 1,
+      lineItems: lines,
+      subTotal: sums.subTotal,
+      taxAmount: sums.totalTaxAmount,
+      totalAmount: sums.totalAmount,
+      paymentAllocations: [{
+        payment: { accountRef: currentAccount, currency, currencyRate: 1, paidOnDate: `${issueDate}T00:00:00`, totalAmount: sums.totalAmount },
+        allocation: { currency, currencyRate: 1, allocatedOnDate: `${issueDate}T00:00:00`, totalAmount: sums.totalAmount }
+      }],
+      modifiedDate: modified(issueDate),
+      sourceModifiedDate: modified(issueDate)
+    };
+  });
+
+  const directCosts = direct({ count: 12, contacts: suppliers, contactType: 'suppliers', prefix: 'DC', accountCodes: ['6000', '6100', '6200'] });
+  const directIncomes = direct({ count: 6, contacts: customers, contactType: 'customers', prefix: 'DI', accountCodes: ['4000', '4010'] });
+
+  const savingsAccount = accountRef('1010');
+  const transfers = Array.from({ length: 6 }, (_, i) => {
+    const date = addDays(start, i * 60 + int(0, 25));
+    const value = amount(1000, 5000);
+    const [from, to] = i % 2 === 0 ? [currentAccount, savingsAccount] : [savingsAccount, currentAccount];
+
+    return {
+      id: uuid(),
+      description: `Transfer to ${to.name}`,
+      contactRef: null,
+      date: `${date}T00:00:00`,
+      from: { accountRef: from, amount: value, currency },
+      to: { accountRef: to, amount: value, currency },
+      depositedRecordRefs: [],
+      modifiedDate: modified(date),
+      sourceModifiedDate: modified(date)
+    };
+  });
+
+  // Current balances for balance sheet style accounts
+  const balances = {
+    1000: balance,
+    1010: 50000,
+    1100: round(invoices.reduce((sum, inv) => sum + (inv.status === 'Draft' ? 0 : inv.amountDue), 0)),
+    1500: 12000,
+    2100: round(-bills.reduce((sum, bill) => sum + (bill.status === 'Draft' ? 0 : bill.amountDue), 0))
+  };
+  accounts.forEach(a => { a.currentBalance = balances[a.nominalCode] ?? 0; });
+
+  return {
+    accounts,
+    customers,
+    suppliers,
+    taxRates,
+    items,
+    salesOrders,
+    invoices,
+    creditNotes,
+    payments,
+    paymentMethods,
+    purchaseOrders,
+    bills,
+    billCreditNotes,
+    billPayments,
+    journals,
+    journalEntries,
+    directCosts,
+    directIncomes,
+    transfers,
+    bankAccounts,
+    bankTransactions,
+    accountTransactions
+  };
+}
+
+/**
+ * Generate the seed fixtures: three companies (two with linked connections and a year of data,
+ * one awaiting authorization with no data)
+ * @param {number} seed - Random seed (the same seed always produces the same fixtures)
+ * @returns {Object} Fixtures ({ companies, connections, data, webhooks })
+ */
+export function createSeedFixtures(seed = 1) {
+  const random = createRandom(seed);
+  const { uuid } = helpers(random);
+  const created = `${addDays(SEED_AS_OF, -400)}T09:00:00Z`;
+  const lastSync = `${SEED_AS_OF}T06:00:00Z`;
+
+  const profiles = [
+    { name: 'Northwind Trading Ltd', platform: 'akxx', currency: 'GBP', taxRate: 20, status: 'Linked' },
+    { name: 'Acme Widgets Inc', platform: 'gbol', currency: 'USD', taxRate: 8, status: 'Linked' },
+    { name: 'Globex Sandbox', platform: 'fbrh', currency: 'USD', taxRate: 0, status: 'PendingAuth' }
+  ];
+
+  const fixtures = { companies: [], connections: {}, data: {}, webhooks: [] };
+
+  for (const profile of profiles) {
+    const companyId = uuid();
+    const linked = profile.status === 'Linked';
+    const connection = {
+      id: uuid(),
+      integrationId: uuid(),
+      integrationKey: profile.platform,
+      sourceId: uuid(),
+      sourceType: 'Accounting',
+      platformName: PLATFORMS[profile.platform],
+      linkUrl: `https://link-api.codat.io/companies/${companyId}/connections/${profile.platform}/start`,
+      status: profile.status,
+      lastSync: linked ? lastSync : null,
+      created,
+      dataConnectionErrors: []
+    };
+
+    fixtures.companies.push({
+      id: companyId,
+      name: profile.name,
+      description: `Seeded ${profile.currency} company`,
+      platform: PLATFORMS[profile.platform],
+      redirect: `https://link.codat.io/company/${companyId}`,
+      lastSync: connection.lastSync,
+      created,
+      createdByUserName: 'mock',
+      dataConnections: [connection]
+    });
+
+    fixtures.connections[companyId] = [connection];
+    fixtures.data[companyId] = linked ? companyData(random, profile) : {};
+  }
+
+  return fixtures;
+}
+
+/**
+ * Build a push option field
+ * @param {string} type - Field type
+ * @param {Object} extra - Other properties (required, properties, options, description)
+ * @returns {Object} Push option field
+ */
+function field(type, extra = {}) {
+  return { type, required: false, ...extra };
+}
+
+const reference = (description) => field('Object', { required: true, description, properties: { id: field('String', { required: true }) } });
+const currencyField = field('String', { description: 'ISO 4217 currency code' });
+
+const documentLines = field('Array', {
+  required: true,
+  properties: {
+    description: field('String'),
+    quantity: field('Number', { required: true }),
+    unitAmount: field('Number', { required: true }),
+    discountAmount: field('Number'),
+    taxAmount: field('Number'),
+    accountRef: field('Object', { properties: { id: field('String', { required: true }) } }),
+    taxRateRef: field('Object', { properties: { id: field('String', { required: true }) } }),
+    itemRef: field('Object', { properties: { id: field('String', { required: true }) } })
+  }
+});
+
+const itemDetail = field('Object', {
+  properties: {
+    description: field('String'),
+    unitPrice: field('Number'),
+    accountRef: field('Object', { properties: { id: field('String', { required: true }) } }),
+    taxRateRef: field('Object', { properties: { id: field('String', { required: true }) } })
+  }
+});
+
+const contactReference = (description) => field('Object', {
+  description,
+  properties: {
+    id: field('String', { required: true }),
+    dataType: field('String', { options: ['customers', 'suppliers'].map(value => ({ value, type: 'String' })) })
+  }
+});
+
+/**
+ * Push option schema of a direct cost or income: lines paid in full from (or into) one account
+ */
+const directSchema = (contactDescription, accountDescription) => ({
+  contactRef: contactReference(contactDescription),
+  reference: field('String'),
+  note: field('String'),
+  issueDate: field('DateTime', { required: true }),
+  currency: currencyField,
+  lineItems: documentLines,
+  paymentAllocations: field('Array', {
+    required: true,
+    properties: {
+      payment: field('Object', {
+        required: true,
+        properties: { accountRef: field('Object', { required: true, description: accountDescription, properties: { id: field('String', { required: true }) } }) }
+      }),
+      allocation: field('Object', {
+        required: true,
+        properties: { totalAmount: field('Number', { required: true }), allocatedOnDate: field('DateTime') }
+      })
+    }
+  })
+});
+
+const transferSide = (description) => field('Object', {
+  required: true,
+  description,
+  properties: {
+    accountRef: field('Object', { required: true, properties: { id: field('String', { required: true }) } }),
+    amount: field('Number', { required: true }),
+    currency: currencyField
+  }
+});
+
+/**
+ * Push option schemas served by the mock server (and enforced on mock pushes)
+ */
+export const PUSH_OPTION_SCHEMAS = {
+  invoices: {
+    customerRef: reference('Customer the invoice is issued to'),
+    invoiceNumber: field('String'),
+    issueDate: field('DateTime', { required: true }),
+    dueDate: field('DateTime', { required: true }),
+    currency: currencyField,
+    status: field('String', { options: ['Draft', 'Submitted'].map(value => ({ value, type: 'String' })) }),
+    note: field('String'),
+    lineItems: documentLines
+  },
+  bills: {
+    supplierRef: reference('Supplier the bill is from'),
+    reference: field('String'),
+    purchaseOrderRefs: field('Array', {
+      description: 'Purchase orders the bill is for',
+      properties: { id: field('String', { required: true }), purchaseOrderNumber: field('String') }
+    }),
+    issueDate: field('DateTime', { required: true }),
+    dueDate: field('DateTime', { required: true }),
+    currency: currencyField,
+    status: field('String', { options: ['Draft', 'Open'].map(value => ({ value, type: 'String' })) }),
+    note: field('String'),
+    lineItems: documentLines
+  },
+  creditNotes: {
+    customerRef: reference('Customer the credit is issued to'),
+    creditNoteNumber: field('String'),
+    issueDate: field('DateTime', { required: true }),
+    currency: currencyField,
+    status: field('String', { options: ['Draft', 'Submitted'].map(value => ({ value, type: 'String' })) }),
+    note: field('String'),
+    lineItems: documentLines
+  },
+  billCreditNotes: {
+    supplierRef: reference('Supplier the credit is from'),
+    billCreditNoteNumber: field('String'),
+    issueDate: field('DateTime', { required: true }),
+    currency: currencyField,
+    status: field('String', { options: ['Draft', 'Submitted'].map(value => ({ value, type: 'String' })) }),
+    note: field('String'),
+    lineItems: documentLines
+  },
+  purchaseOrders: {
+    supplierRef: reference('Supplier the order is placed with'),
+    purchaseOrderNumber: field('String'),
+    issueDate: field('DateTime', { required: true }),
+    expectedDeliveryDate: field('DateTime'),
+    paymentDueDate: field('DateTime'),
+    currency: currencyField,
+    status: field('String', { options: ['Draft', 'Open', 'Closed', 'Void'].map(value => ({ value, type: 'String' })) }),
+    note: field('String'),
+    lineItems: documentLines
+  },
+  directCosts: directSchema('Supplier or customer paid', 'Bank or card account the cost was paid from'),
+  directIncomes: directSchema('Customer or supplier that paid', 'Bank account the income was deposited to'),
+  transfers: {
+    date: field('DateTime', { required: true }),
+    description: field('String'),
+    contactRef: contactReference('Contact the transfer relates to'),
+    from: transferSide('Account the money leaves'),
+    to: transferSide('Account the money arrives in')
+  },
+  items: {
+    name: field('String', { required: true }),
+    code: field('String'),
+    type: field('String', { required: true, options: ['Inventory', 'NonInventory', 'Service'].map(value => ({ value, type: 'String' })) }),
+    itemStatus: field('String', { options: ['Active', 'Archived'].map(value => ({ value, type: 'String' })) }),
+    isInvoiceItem: field('Boolean'),
+    isBillItem: field('Boolean'),
+    invoiceItem: itemDetail,
+    billItem: itemDetail
+  },
+  customers: {
+    customerName: field('String', { required: true }),
+    contactName: field('String'),
+    emailAddress: field('String'),
+    phone: field('String'),
+    defaultCurrency: currencyField,
+    status: field('String', { options: ['Active', 'Archived'].map(value => ({ value, type: 'String' })) })
+  },
+  suppliers: {
+    supplierName: field('String', { required: true }),
+    contactName: field('String'),
+    emailAddress: field('String'),
+    phone: field('String'),
+    defaultCurrency: currencyField,
+    status: field('String', { required: true, options: ['Active', 'Archived'].map(value => ({ value, type: 'String' })) })
+  },
+  payments: {
+    customerRef: reference('Paying customer'),
+    accountRef: field('Object', { properties: { id: field('String', { required: true }) } }),
+    totalAmount: field('Number', { required: true }),
+    currency: currencyField,
+    date: field('DateTime', { required: true }),
+    lines: field('Array', {
+      properties: {
+        amount: field('Number', { required: true }),
+        links: field('Array', { properties: { type: field('String', { required: true }), id: field('String', { required: true }), amount: field('Number') } })
+      }
+    })
+  },
+  billPayments: {
+    supplierRef: reference('Supplier being paid'),
+    accountRef: field('Object', { properties: { id: field('String', { required: true }) } }),
+    totalAmount: field('Number', { required: true }),
+    currency: currencyField,
+    date: field('DateTime', { required: true }),
+    lines: field('Array', {
+      properties: {
+        amount: field('Number', { required: true }),
+        links: field('Array', { properties: { type: field('String', { required: true }), id: field('String', { required: true }), amount: field('Number') } })
+      }
+    })
+  },
+  journalEntries: {
+    journalRef: reference('Journal to post to'),
+    postedOn: field('DateTime', { required: true }),
+    description: field('String'),
+    journalLines: field('Array', {
+      required: true,
+      properties: {
+        accountRef: reference('Account'),
+        netAmount: field('Number', { required: true }),
+        description: field('String')
+      }
+    })
+  },
+  bankAccounts: {
+    accountName: field('String', { required: true }),
+    accountType: field('String', { required: true, options: ['Credit', 'Debit'].map(value => ({ value, type: 'String' })) }),
+    nominalCode: field('String'),
+    accountNumber: field('String'),
+    sortCode: field('String'),
+    currency: field('String', { required: true }),
+    institution: field('String')
+  },
+  bankTransactions: {
+    accountId: field('String', { required: true }),
+    transactions: field('Array', {
+      required: true,
+      properties: {
+        id: field('String', { required: true, description: 'Unique ID of the transaction in the source system' }),
+        date: field('DateTime', { required: true }),
+        description: field('String'),
+        counterparty: field('String'),
+        reference: field('String'),
+        reconciled: field('Boolean'),
+        amount: field('Number', { required: true, description: 'Positive for money in, negative for money out' }),
+        balance: field('Number', { required: true, description: 'Account balance after the transaction' }),
+        transactionType: field('String', {
+          options: ['Unknown', 'Credit', 'Debit', 'Int', 'Div', 'Fee', 'SerChg', 'Dep', 'Atm', 'Pos', 'Xfer', 'Check',
+            'Payment', 'Cash', 'DirectDep', 'DirectDebit', 'RepeatPmt', 'Other'].map(value => ({ value, type: 'String' }))
+        })
+      }
+    })
+  },
+  accounts: {
+    name: field('String', { required: true }),
+    nominalCode: field('String'),
+    fullyQualifiedCategory: field('String', { required: true }),
+    description: field('String'),
+    currency: currencyField,
+    status: field('String', { options: ['Active', 'Archived'].map(value => ({ value, type: 'String' })) })
+  }
+};
+
+/**
+ * Get the push option schema for a data type
+ * @param {string} dataType - Data type
+ * @returns {Object} Push option schema (an open Object for data types without a seeded schema)
+ */
+export function pushOptionsFor(dataType) {
+  return {
+    type: 'Object',
+    displayName: dataType,
+    required: true,
+    properties: PUSH_OPTION_SCHEMAS[dataType] || {}
+  };
+}
+
+export default {
+  SEED_AS_OF,
+  createSeedFixtures,
+  PUSH_OPTION_SCHEMAS,
+  pushOptionsFor,
+  addDays
+};
@@ -0,0 +1,1163 @@
+/**
+ * Mock Codat server
+ * A local, in-memory stand-in for the Codat API used for offline development and demos
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { parseExpression, matchesQuery } from './query.js';
+import { validatePayload } from './push-options.js';
+import { SEED_AS_OF, createSeedFixtures, pushOptionsFor, addDays } from './mock-fixtures.js';
+
+/**
+ * Largest page size the mock server returns
+ */
+const MAX_PAGE_SIZE = 5000;
+
+/**
+ * Most bank transactions accepted in one push
+ */
+const MAX_BANK_TRANSACTIONS_PER_PUSH = 1000;
+
+/**
+ * Data types served under /companies/{id}/data
+ */
+export const MOCK_DATA_TYPES = [
+  'accounts',
+  'accountTransactions',
+  'bankAccounts',
+  'bankTransactions',
+  'billCreditNotes',
+  'billPayments',
+  'bills',
+  'creditNotes',
+  'customers',
+  'directCosts',
+  'directIncomes',
+  'invoices',
+  'items',
+  'journalEntries',
+  'journals',
+  'paymentMethods',
+  'payments',
+  'purchaseOrders',
+  'salesOrders',
+  'suppliers',
+  'taxRates',
+  'transfers'
+];
+
+/**
+ * Data types served under /companies/{id}/connections/{id}/data rather than /companies/{id}/data
+ */
+const CONNECTION_DATA_TYPES = ['accountTransactions', 'directCosts', 'directIncomes', 'transfers'];
+
+/**
+ * Error with an HTTP status, returned to the client in Codat's error shape
+ */
+class MockError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Sum a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Rounded sum
+ */
+function total(values) {
+  return round(values.reduce((sum, v) => sum + (v || 0), 0));
+}
+
+/**
+ * Read a nested field ("customerRef.id")
+ * @param {Object} record - Record
+ * @param {string} path - Dotted field path
+ * @returns {*} Field value
+ */
+function fieldValue(record, path) {
+  return path.split('.').reduce((value, key) => value?.[key], record);
+}
+
+/**
+ * Sort records by an orderBy parameter ("-issueDate", "name,-totalAmount")
+ * @param {Array<Object>} records - Records
+ * @param {string} orderBy - Comma-separated fields, "-" prefix for descending
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortRecords(records, orderBy) {
+  if (!orderBy) return records;
+
+  const keys = String(orderBy).split(',').map(key => key.trim()).filter(Boolean).map(key => ({
+    field: key.replace(/^-/, ''),
+    direction: key.startsWith('-') ? -1 : 1
+  }));
+
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of keys) {
+      const left = fieldValue(a, field);
+      const right = fieldValue(b, field);
+      if (left === right) continue;
+      if (left === undefined || left === null) return 1;
+      if (right === undefined || right === null) return -1;
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right));
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Filter, sort and paginate records the way Codat list endpoints do
+ * @param {Array<Object>} records - All records
+ * @param {Object} params - Query parameters (page, pageSize, query, orderBy)
+ * @param {string} path - Request path, used for the _links hrefs
+ * @returns {Object} Page ({ results, pageNumber, pageSize, totalResults, _links })
+ * @throws {MockError} If the paging parameters or query are invalid
+ */
+function paginate(records, params, path) {
+  const page = params.page === undefined ? 1 : Number(params.page);
+  const pageSize = params.pageSize === undefined ? 100 : Number(params.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new MockError(400, 'page must be a positive integer');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new MockError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let matching = records;
+
+  if (params.query) {
+    let tree;
+    try {
+      tree = parseExpression(params.query);
+    } catch (e) {
+      throw new MockError(400, `Invalid query: ${e.message}`);
+    }
+    matching = matching.filter(record => matchesQuery(record, tree));
+  }
+
+  matching = sortRecords(matching, params.orderBy);
+
+  const link = (number) => {
+    const search = new URLSearchParams({ ...params, page: String(number), pageSize: String(pageSize) });
+    return { href: `${path}?${search}` };
+  };
+  const lastPage = Math.max(1, Math.ceil(matching.length / pageSize));
+  const _links = { self: { href: path }, current: link(page) };
+
+  if (page > 1) _links.previous = link(page - 1);
+  if (page < lastPage) _links.next = link(page + 1);
+
+  return {
+    results: matching.slice((page - 1) * pageSize, page * pageSize),
+    pageNumber: page,
+    pageSize,
+    totalResults: matching.length,
+    _links
+  };
+}
+
+/**
+ * First day of the month of a date, moved by a number of months
+ * @param {string} date - Date (YYYY-MM-DD...)
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function monthStart(date, months = 0) {
+  const result = new Date(`${date.substring(0, 7)}-01T00:00:00Z`);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result.toISOString().substring(0, 10);
+}
+
+/**
+ * Build the report periods for a financial statement, most recent first
+ * @param {Object} params - Query parameters (periodLength, periodsToCompare, startMonth)
+ * @returns {Array<{fromDate: string, toDate: string}>} Periods
+ * @throws {MockError} If the parameters are invalid
+ */
+function reportPeriods(params) {
+  const length = Number(params.periodLength);
+  const count = Number(params.periodsToCompare);
+
+  if (!Number.isInteger(length) || length < 1 || length > 12) {
+    throw new MockError(400, 'periodLength must be between 1 and 12');
+  }
+  if (!Number.isInteger(count) || count < 1 || count > 24) {
+    throw new MockError(400, 'periodsToCompare must be between 1 and 24');
+  }
+
+  // startMonth is the first month of the most recent period
+  const latest = params.startMonth ? monthStart(params.startMonth) : monthStart(SEED_AS_OF, 1 - length);
+
+  return Array.from({ length: count }, (_, i) => {
+    const fromDate = monthStart(latest, -i * length);
+    return { fromDate, toDate: addDays(monthStart(fromDate, length), -1) };
+  });
+}
+
+/**
+ * Check whether a document counts towards reports
+ * @param {Object} document - Invoice or bill
+ * @returns {boolean} True unless draft or void
+ */
+function isPosted(document) {
+  return document.status !== 'Draft' && document.status !== 'Void';
+}
+
+/**
+ * Check whether a record's date falls within a period
+ * @param {string} date - Record date
+ * @param {Object} period - Period ({ fromDate, toDate })
+ * @returns {boolean} True if within the period
+ */
+function inPeriod(date, period) {
+  const day = String(date || '').substring(0, 10);
+  return day >= period.fromDate && day <= period.toDate;
+}
+
+/**
+ * Build a report line with one item per account
+ * @param {string} name - Line name
+ * @param {Map<string, number>} amounts - Amounts by account name
+ * @returns {Object} Report line ({ name, value, items })
+ */
+function reportLine(name, amounts) {
+  const items = [...amounts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([account, value]) => ({ name: account, value: round(value) }));
+
+  return { name, value: total(items.map(item => item.value)), items };
+}
+
+/**
+ * Add an amount to a per-account map
+ * @param {Map<string, number>} amounts - Amounts by account name
+ * @param {string} account - Account name
+ * @param {number} value - Amount to add
+ */
+function addAmount(amounts, account, value) {
+  amounts.set(account, (amounts.get(account) || 0) + value);
+}
+
+/**
+ * Compute a profit and loss report from invoices, bills and journal entries
+ * @param {Object} data - Company data
+ * @param {Array<Object>} periods - Report periods
+ * @returns {Array<Object>} One report per period
+ */
+function profitAndLoss(data, periods) {
+  const accountType = (ref) => (data.accounts || []).find(a => a.id === ref?.id);
+
+  return periods.map(period => {
+    const income = new Map();
+    const costOfSales = new Map();
+    const expenses = new Map();
+
+    const post = (ref, amount) => {
+      const account = accountType(ref);
+      if (!account) return;
+      if (account.type === 'Income') addAmount(income, account.name, amount);
+      else if (account.fullyQualifiedCategory?.startsWith('Expense.CostOfSales')) addAmount(costOfSales, account.name, amount);
+      else if (account.type === 'Expense') addAmount(expenses, account.name, amount);
+    };
+
+    (data.invoices || []).filter(isPosted).filter(inv => inPeriod(inv.issueDate, period))
+      .forEach(inv => (inv.lineItems || []).forEach(line => post(line.accountRef, line.subTotal ?? 0)));
+    (data.bills || []).filter(isPosted).filter(bill => inPeriod(bill.issueDate, period))
+      .forEach(bill => (bill.lineItems || []).forEach(line => post(line.accountRef, line.subTotal ?? 0)));
+    (data.journalEntries || []).filter(entry => inPeriod(entry.postedOn, period))
+      .forEach(entry => (entry.journalLines || []).forEach(line => post(line.accountRef, line.netAmount ?? 0)));
+
+    const report = {
+      fromDate: `${period.fromDate}T00:00:00`,
+      toDate: `${period.toDate}T00:00:00`,
+      income: reportLine('Income', income),
+      costOfSales: reportLine('Cost of Sales', costOfSales)
+    };
+    report.grossProfit = round(report.income.value - report.costOfSales.value);
+    report.expenses = reportLine('Expenses', expenses);
+    report.netOperatingProfit = round(report.grossProfit - report.expenses.value);
+    report.netProfit = report.netOperatingProfit;
+
+    return report;
+  });
+}
+
+/**
+ * Sum the payments recorded against a document up to a date
+ * @param {Array<Object>} payments - Payments or bill payments
+ * @param {string} documentId - Invoice or bill ID
+ * @param {string} date - Last day to include
+ * @returns {number} Amount paid
+ */
+function paidBy(payments, documentId, date) {
+  return total(payments
+    .filter(payment => String(payment.date).substring(0, 10) <= date)
+    .flatMap(payment => payment.lines || [])
+    .flatMap(line => line.links || [])
+    .filter(link => link.id === documentId)
+    .map(link => -link.amount));
+}
+
+/**
+ * Outstanding balance of posted documents at a date
+ * @param {Array<Object>} documents - Invoices or bills
+ * @param {Array<Object>} payments - Payments against them
+ * @param {string} date - Balance date
+ * @returns {number} Outstanding amount
+ */
+function outstandingAt(documents, payments, date) {
+  return total(documents
+    .filter(isPosted)
+    .filter(doc => String(doc.issueDate).substring(0, 10) <= date)
+    .map(doc => doc.totalAmount - paidBy(payments, doc.id, date)));
+}
+
+/**
+ * Compute a balance sheet at the end of each period
+ * @param {Object} data - Company data
+ * @param {Array<Object>} periods - Report periods
+ * @returns {Array<Object>} One report per period
+ */
+function balanceSheet(data, periods) {
+  const accounts = data.accounts || [];
+  const named = (code, fallback) => accounts.find(a => a.nominalCode === code)?.name || fallback;
+
+  return periods.map(period => {
+    const date = period.toDate;
+    const current = data.bankAccounts?.[0];
+    const movements = (data.bankTransactions || [])
+      .filter(tx => tx.accountId === current?.id && String(tx.date).substring(0, 10) > date);
+    const bank = round((current?.balance || 0) - total(movements.map(tx => tx.amount)));
+    const savings = total((data.bankAccounts || []).slice(1).map(account => account.balance));
+    const receivables = outstandingAt(data.invoices || [], data.payments || [], date);
+    const payables = outstandingAt(data.bills || [], data.billPayments || [], date);
+    const equipment = accounts.find(a => a.nominalCode === '1500')?.currentBalance || 0;
+
+    const assets = new Map([
+      [named('1000', 'Bank'), bank],
+      [named('1010', 'Savings'), savings],
+      [named('1100', 'Accounts Receivable'), receivables],
+      [named('1500', 'Fixed Assets'), equipment]
+    ]);
+    const liabilities = new Map([[named('2100', 'Accounts Payable'), payables]]);
+
+    const report = {
+      date: `${date}T00:00:00`,
+      assets: reportLine('Assets', assets),
+      liabilities: reportLine('Liabilities', liabilities)
+    };
+    report.netAssets = round(report.assets.value - report.liabilities.value);
+    report.equity = reportLine('Equity', new Map([[named('3000', 'Retained Earnings'), report.netAssets]]));
+
+    return report;
+  });
+}
+
+/**
+ * Compute a cash flow statement from bank transactions
+ * @param {Object} data - Company data
+ * @param {Array<Object>} periods - Report periods
+ * @returns {Array<Object>} One report per period
+ */
+function cashFlowStatement(data, periods) {
+  const transactions = data.bankTransactions || [];
+
+  return periods.map(period => {
+    const within = transactions.filter(tx => inPeriod(tx.date, period));
+    const before = transactions.filter(tx => String(tx.date).substring(0, 10) < period.fromDate);
+    const first = transactions[0];
+    const opening = first ? round(first.balance - first.amount) : 0;
+    const cashAtStart = round(opening + total(before.map(tx => tx.amount)));
+
+    const report = {
+      fromDate: `${period.fromDate}T00:00:00`,
+      toDate: `${period.toDate}T00:00:00`,
+      cashAtStart,
+      operatingActivities: reportLine('Operating Activities', new Map([
+        ['Receipts from customers', total(within.filter(tx => tx.amount > 0).map(tx => tx.amount))],
+        ['Payments to suppliers', total(within.filter(tx => tx.amount < 0).map(tx => tx.amount))]
+      ]))
+    };
+    report.cashAtEnd = round(cashAtStart + report.operatingActivities.value);
+
+    return report;
+  });
+}
+
+/**
+ * Compute an aged debtors or creditors report from outstanding documents
+ * @param {Array<Object>} documents - Invoices or bills
+ * @param {Object} params - Query parameters (reportDate, numberOfPeriods, periodLengthDays)
+ * @param {Object} contact - Contact fields ({ ref: 'customerRef', id: 'customerId', name: 'customerName', refName: 'companyName' })
+ * @returns {Object} Aged report ({ reports: [{ reportDate, data }] })
+ */
+function agedReport(documents, params, contact) {
+  const reportDate = String(params.reportDate || SEED_AS_OF).substring(0, 10);
+  const count = Number(params.numberOfPeriods || 4);
+  const length = Number(params.periodLengthDays || 30);
+
+  if (!Number.isInteger(count) || count < 1 || !Number.isInteger(length) || length < 1) {
+    throw new MockError(400, 'numberOfPeriods and periodLengthDays must be positive integers');
+  }
+
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    fromDate: i === count - 1 ? null : `${addDays(reportDate, -(i + 1) * length + 1)}T00:00:00`,
+    toDate: `${addDays(reportDate, -i * length)}T00:00:00`
+  }));
+
+  const contacts = new Map();
+
+  documents
+    .filter(isPosted)
+    .filter(doc => doc.amountDue > 0 && String(doc.issueDate).substring(0, 10) <= reportDate)
+    .forEach(doc => {
+      const ref = doc[contact.ref] || {};
+      const age = Math.max(0, Math.round((Date.parse(reportDate) - Date.parse(String(doc.dueDate || doc.issueDate).substring(0, 10))) / 86400000));
+      const bucket = Math.min(count - 1, Math.floor(age / length));
+      const key = `${ref.id}|${doc.currency}`;
+
+      if (!contacts.has(key)) {
+        contacts.set(key, { id: ref.id, name: ref[contact.refName], currency: doc.currency, amounts: buckets.map(() => 0) });
+      }
+      const entry = contacts.get(key);
+      entry.amounts[bucket] = round(entry.amounts[bucket] + doc.amountDue);
+    });
+
+  const data = [...contacts.values()]
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+    .map(entry => ({
+      [contact.id]: entry.id,
+      [contact.name]: entry.name,
+      agedCurrencyOutstanding: [{
+        currency: entry.currency,
+        agedOutstandingAmounts: buckets.map((bucket, i) => ({
+          ...bucket,
+          amount: entry.amounts[i],
+          details: [{ name: contact.document, amount: entry.amounts[i] }]
+        }))
+      }]
+    }));
+
+  return { reports: [{ reportDate: `${reportDate}T00:00:00`, data }] };
+}
+
+/**
+ * Fill in the fields Codat derives when a record is created or updated by a push
+ * @param {string} dataType - Data type
+ * @param {Object} record - Record
+ * @returns {Object} Completed record
+ */
+function completeRecord(dataType, record) {
+  const documents = ['invoices', 'bills', 'creditNotes', 'billCreditNotes', 'purchaseOrders'];
+
+  if (documents.includes(dataType) && Array.isArray(record.lineItems)) {
+    record.lineItems = record.lineItems.map(line => {
+      const subTotal = line.subTotal ?? round((line.quantity ?? 1) * (line.unitAmount ?? 0) - (line.discountAmount ?? 0));
+      const taxAmount = line.taxAmount ?? 0;
+      return { ...line, subTotal, taxAmount, totalAmount: line.totalAmount ?? round(subTotal + taxAmount) };
+    });
+    record.subTotal = total(record.lineItems.map(line => line.subTotal));
+    record.totalTaxAmount = total(record.lineItems.map(line => line.taxAmount));
+    record.totalAmount = total(record.lineItems.map(line => line.totalAmount));
+  }
+
+  if (dataType === 'invoices' || dataType === 'bills') {
+    record.amountDue ??= record.status === 'Draft' ? 0 : record.totalAmount;
+    record.status ??= dataType === 'invoices' ? 'Submitted' : 'Open';
+  }
+
+  if ((dataType === 'directCosts' || dataType === 'directIncomes') && Array.isArray(record.lineItems)) {
+    record.lineItems = record.lineItems.map(line => {
+      const subTotal = line.subTotal ?? round((line.quantity ?? 1) * (line.unitAmount ?? 0) - (line.discountAmount ?? 0));
+      const taxAmount = line.taxAmount ?? 0;
+      return { ...line, subTotal, taxAmount, totalAmount: line.totalAmount ?? round(subTotal + taxAmount) };
+    });
+    record.subTotal = total(record.lineItems.map(line => line.subTotal));
+    record.taxAmount = total(record.lineItems.map(line => line.taxAmount));
+    record.totalAmount = total(record.lineItems.map(line => line.totalAmount));
+  }
+
+  if (dataType === 'purchaseOrders') {
+    record.status ??= 'Open';
+  }
+
+  if (dataType === 'creditNotes' || dataType === 'billCreditNotes') {
+    record.remainingCredit ??= record.status === 'Draft' ? 0 : record.totalAmount;
+    record.paymentAllocations ??= [];
+    record.status ??= 'Submitted';
+  }
+
+  if (dataType === 'items') {
+    record.itemStatus ??= 'Active';
+    record.isInvoiceItem ??= Boolean(record.invoiceItem);
+    record.isBillItem ??= Boolean(record.billItem);
+  }
+
+  return record;
+}
+
+/**
+ * Apply the links of a pushed payment: reduce the amount due of linked invoices or bills and
+ * the remaining credit of linked credit notes (a zero-value payment allocates a credit note)
+ * @param {Object} data - Records of the company by data type
+ * @param {string} dataType - 'payments' or 'billPayments'
+ * @param {Object} payment - Pushed payment
+ */
+function applyPaymentLinks(data, dataType, payment) {
+  const documents = dataType === 'payments' ? data.invoices : data.bills;
+  const credits = dataType === 'payments' ? data.creditNotes : data.billCreditNotes;
+
+  for (const line of payment.lines || []) {
+    for (const link of line.links || []) {
+      const amount = Math.abs(link.amount ?? line.amount ?? 0);
+
+      if (link.type === 'CreditNote') {
+        const credit = (credits || []).find(record => record.id === link.id);
+        if (!credit) continue;
+
+        credit.remainingCredit = round(Math.max(credit.remainingCredit - amount, 0));
+        credit.status = credit.remainingCredit === 0 ? 'Paid' : 'PartiallyPaid';
+        credit.paymentAllocations = [...(credit.paymentAllocations || []), {
+          payment: { id: payment.id, currency: payment.currency, paidOnDate: payment.date, totalAmount: payment.totalAmount },
+          allocation: { currency: payment.currency, allocatedOnDate: line.allocatedOnDate || payment.date, totalAmount: amount }
+        }];
+      } else if (link.type === 'Invoice' || link.type === 'Bill') {
+        const document = (documents || []).find(record => record.id === link.id);
+        if (!document) continue;
+
+        document.amountDue = round(Math.max(document.amountDue - amount, 0));
+        document.status = document.amountDue === 0 ? 'Paid' : 'PartiallyPaid';
+      }
+    }
+  }
+}
+
+/**
+ * Create the in-memory state of a mock server from fixtures
+ * @param {Object} fixtures - Fixtures ({ companies, connections, data, webhooks })
+ * @returns {Object} State
+ */
+function createState(fixtures) {
+  const state = {
+    companies: structuredClone(fixtures.companies || []),
+    connections: structuredClone(fixtures.connections || {}),
+    data: structuredClone(fixtures.data || {}),
+    webhooks: structuredClone(fixtures.webhooks || []),
+    pushOperations: {},
+    bankFeedAccounts: {},
+    datasets: {},
+    dataStatus: {}
+  };
+
+  // Every linked company starts with one completed pull per data type
+  for (const company of state.companies) {
+    state.pushOperations[company.id] = [];
+    state.datasets[company.id] = [];
+    state.dataStatus[company.id] = {};
+
+    const connection = (state.connections[company.id] || []).find(c => c.status === 'Linked');
+    if (!connection) continue;
+
+    for (const dataType of Object.keys(state.data[company.id] || {})) {
+      const requested = connection.lastSync || `${SEED_AS_OF}T06:00:00Z`;
+      recordDataset(state, company.id, {
+        id: randomUUID(),
+        companyId: company.id,
+        connectionId: connection.id,
+        dataType,
+        status: 'Complete',
+        progress: 100,
+        requested,
+        completed: requested,
+        isCompleted: true,
+        isErrored: false
+      });
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Store a pull operation and update the company's data status
+ * @param {Object} state - Server state
+ * @param {string} companyId - Company ID
+ * @param {Object} dataset - Pull operation
+ */
+function recordDataset(state, companyId, dataset) {
+  if (!state.datasets[companyId].includes(dataset)) {
+    state.datasets[companyId].push(dataset);
+  }
+
+  const previous = state.dataStatus[companyId][dataset.dataType];
+  state.dataStatus[companyId][dataset.dataType] = {
+    dataType: dataset.dataType,
+    currentStatus: dataset.status,
+    lastSuccessfulSync: dataset.isCompleted ? dataset.completed : (previous?.lastSuccessfulSync || null),
+    latestSyncId: dataset.id,
+    latestSuccessfulSyncId: dataset.isCompleted ? dataset.id : (previous?.latestSuccessfulSyncId || null)
+  };
+}
+
+/**
+ * Build the route table of a mock server
+ * @param {Object} state - Server state
+ * @param {Object} options - Options (delay: ms before pushes and pulls complete)
+ * @returns {Array<Object>} Routes ({ method, pattern, handler })
+ */
+function createRoutes(state, options) {
+  const { delay } = options;
+  const routes = [];
+  const route = (method, path, handler) => {
+    const pattern = new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`);
+    routes.push({ method, pattern, handler });
+  };
+
+  // Run a state change now, or after the configured delay
+  const later = (fn) => (delay > 0 ? setTimeout(fn, delay).unref() : fn());
+
+  const company = (companyId) => {
+    const found = state.companies.find(c => c.id === companyId);
+    if (!found) throw new MockError(404, `Company ${companyId} not found`);
+    return found;
+  };
+
+  const connection = (companyId, connectionId) => {
+    company(companyId);
+    const found = (state.connections[companyId] || []).find(c => c.id === connectionId);
+    if (!found) throw new MockError(404, `Connection ${connectionId} not found`);
+    return found;
+  };
+
+  const records = (companyId, dataType) => {
+    company(companyId);
+    if (!MOCK_DATA_TYPES.includes(dataType)) {
+      throw new MockError(404, `Unknown data type: ${dataType}`);
+    }
+    state.data[companyId] ??= {};
+    state.data[companyId][dataType] ??= [];
+    return state.data[companyId][dataType];
+  };
+
+  const find = (list, id, label) => {
+    const found = list.find(item => item.id === id);
+    if (!found) throw new MockError(404, `${label} ${id} not found`);
+    return found;
+  };
+
+  // Companies
+  route('GET', '/companies', ({ query, path }) => paginate(state.companies, query, path));
+  route('POST', '/companies', ({ body }) => {
+    if (!body?.name) throw new MockError(400, 'name is required');
+    const created = {
+      id: randomUUID(),
+      name: body.name,
+      description: body.description || '',
+      platform: '',
+      redirect: '',
+      lastSync: null,
+      created: new Date().toISOString(),
+      createdByUserName: 'mock',
+      dataConnections: []
+    };
+    state.companies.push(created);
+    state.connections[created.id] = [];
+    state.data[created.id] = {};
+    state.pushOperations[created.id] = [];
+    state.datasets[created.id] = [];
+    state.dataStatus[created.id] = {};
+    return created;
+  });
+  route('GET', '/companies/:companyId', ({ params }) => company(params.companyId));
+  route('PUT', '/companies/:companyId', ({ params, body }) => {
+    const found = company(params.companyId);
+    if (body?.name !== undefined) found.name = body.name;
+    if (body?.description !== undefined) found.description = body.description;
+    return found;
+  });
+  route('DELETE', '/companies/:companyId', ({ params }) => {
+    company(params.companyId);
+    state.companies = state.companies.filter(c => c.id !== params.companyId);
+    return null;
+  });
+
+  // Connections
+  route('GET', '/companies/:companyId/connections', ({ params, query, path }) => {
+    company(params.companyId);
+    return paginate(state.connections[params.companyId] || [], query, path);
+  });
+  route('POST', '/companies/:companyId/connections', ({ params, body }) => {
+    const found = company(params.companyId);
+    if (!body?.platformKey) throw new MockError(400, 'platformKey is required');
+    const created = {
+      id: randomUUID(),
+      integrationId: randomUUID(),
+      integrationKey: body.platformKey,
+      sourceId: randomUUID(),
+      sourceType: 'Accounting',
+      platformName: body.platformKey,
+      linkUrl: `https://link-api.codat.io/companies/${found.id}/connections/${body.platformKey}/start`,
+      status: 'PendingAuth',
+      lastSync: null,
+      created: new Date().toISOString(),
+      dataConnectionErrors: []
+    };
+    state.connections[found.id] = [...(state.connections[found.id] || []), created];
+    found.dataConnections = state.connections[found.id];
+    return created;
+  });
+  route('GET', '/companies/:companyId/connections/:connectionId', ({ params }) =>
+    connection(params.companyId, params.connectionId));
+  route('DELETE', '/companies/:companyId/connections/:connectionId', ({ params }) => {
+    connection(params.companyId, params.connectionId);
+    const remaining = state.connections[params.companyId].filter(c => c.id !== params.connectionId);
+    state.connections[params.companyId] = remaining;
+    company(params.companyId).dataConnections = remaining;
+    return null;
+  });
+  route('POST', '/companies/:companyId/connections/:connectionId/unlink', ({ params }) => {
+    const found = connection(params.companyId, params.connectionId);
+    found.status = 'Unlinked';
+    return found;
+  });
+
+  // Connection-scoped data
+  const connectionRecords = ({ companyId, connectionId, dataType }) => {
+    connection(companyId, connectionId);
+    if (!CONNECTION_DATA_TYPES.includes(dataType)) {
+      throw new MockError(404, `Unknown connection data type: ${dataType}`);
+    }
+    return records(companyId, dataType);
+  };
+
+  // Bank feed source accounts receive transactions like the company's own bank accounts
+  const feedAccounts = (companyId, connectionId) => {
+    connection(companyId, connectionId);
+    state.bankFeedAccounts[connectionId] ??= [];
+    return state.bankFeedAccounts[connectionId];
+  };
+
+  const bankAccount = ({ companyId, connectionId, accountId }) =>
+    feedAccounts(companyId, connectionId).find(account => account.id === accountId) ||
+    find(records(companyId, 'bankAccounts'), accountId, 'Bank account');
+
+  route('GET', '/companies/:companyId/connections/:connectionId/data/bankAccounts/:accountId/bankTransactions', ({ params, query, path }) => {
+    bankAccount(params);
+    const transactions = records(params.companyId, 'bankTransactions').filter(tx => tx.accountId === params.accountId);
+    return paginate(transactions, query, path);
+  });
+  route('GET', '/companies/:companyId/connections/:connectionId/data/:dataType', ({ params, query, path }) =>
+    paginate(connectionRecords(params), query, path));
+  route('GET', '/companies/:companyId/connections/:connectionId/data/:dataType/:id', ({ params }) =>
+    find(connectionRecords(params), params.id, `${params.dataType} record`));
+
+  // Bank feed source accounts
+  route('GET', '/companies/:companyId/connections/:connectionId/connectionInfo/bankFeedAccounts', ({ params }) =>
+    feedAccounts(params.companyId, params.connectionId));
+  route('POST', '/companies/:companyId/connections/:connectionId/connectionInfo/bankFeedAccounts', ({ params, body }) => {
+    const list = feedAccounts(params.companyId, params.connectionId);
+    if (!body?.id || !body?.accountName) {
+      throw new MockError(400, 'id and accountName are required');
+    }
+    if (list.some(account => account.id === body.id) || records(params.companyId, 'bankAccounts').some(account => account.id === body.id)) {
+      throw new MockError(409, `Bank account ${body.id} already exists`);
+    }
+
+    const account = {
+      accountType: 'Debit',
+      currency: 'USD',
+      balance: 0,
+      ...body,
+      status: 'pending',
+      feedStartDate: null,
+      modifiedDate: new Date().toISOString()
+    };
+    list.push(account);
+    return account;
+  });
+
+  // Push options and push
+  route('GET', '/companies/:companyId/connections/:connectionId/options/bankAccounts/:accountId/bankTransactions', ({ params }) => {
+    bankAccount(params);
+    return pushOptionsFor('bankTransactions');
+  });
+  route('GET', '/companies/:companyId/connections/:connectionId/options/:dataType', ({ params }) => {
+    connection(params.companyId, params.connectionId);
+    return pushOptionsFor(params.dataType);
+  });
+
+  const push = (method) => ({ params, body }) => {
+    const found = connection(params.companyId, params.connectionId);
+    const list = records(params.companyId, params.dataType);
+    const errors = validatePayload(pushOptionsFor(params.dataType), body, { partial: method === 'PUT' })
+      .map(problem => ({ itemId: problem.path, message: `${problem.path} ${problem.message}`, validatorName: 'MockPushValidator' }));
+
+    if (found.status !== 'Linked') {
+      errors.push({ message: `Connection is ${found.status}, not Linked`, validatorName: 'MockPushValidator' });
+    }
+    if (method === 'PUT' && !list.some(record => record.id === params.id)) {
+      throw new MockError(404, `${params.dataType} record ${params.id} not found`);
+    }
+
+    const id = method === 'PUT' ? params.id : randomUUID();
+    const operation = {
+      pushOperationKey: randomUUID(),
+      companyId: params.companyId,
+      dataConnectionKey: params.connectionId,
+      dataType: params.dataType,
+      requestedOnUtc: new Date().toISOString(),
+      completedOnUtc: null,
+      status: 'Pending',
+      statusCode: 202,
+      timeoutInMinutes: 1,
+      data: { ...body, id },
+      changes: [{ type: method === 'PUT' ? 'Modified' : 'Created', recordRef: { id, dataType: params.dataType } }],
+      validation: { errors, warnings: [] }
+    };
+
+    state.pushOperations[params.companyId].push(operation);
+
+    const complete = () => {
+      operation.completedOnUtc = new Date().toISOString();
+
+      if (errors.length > 0) {
+        operation.status = 'Failed';
+        operation.statusCode = 400;
+        operation.errorMessage = 'Push failed validation';
+        operation.changes = [];
+        return;
+      }
+
+      const modifiedDate = operation.completedOnUtc;
+      if (method === 'PUT') {
+        const index = list.findIndex(record => record.id === id);
+        list[index] = completeRecord(params.dataType, { ...list[index], ...body, id, modifiedDate });
+        operation.data = list[index];
+      } else {
+        const record = completeRecord(params.dataType, { ...structuredClone(body), id, modifiedDate, sourceModifiedDate: modifiedDate });
+        list.push(record);
+        operation.data = record;
+
+        if (params.dataType === 'payments' || params.dataType === 'billPayments') {
+          applyPaymentLinks(state.data[params.companyId], params.dataType, record);
+        }
+      }
+
+      operation.status = 'Success';
+      operation.statusCode = 200;
+    };
+
+    later(complete);
+    return structuredClone(operation);
+  };
+
+  // Bank transactions are pushed to one account at a time, in date order after those already there
+  route('POST', '/companies/:companyId/connections/:connectionId/push/bankAccounts/:accountId/bankTransactions', ({ params, body }) => {
+    const found = connection(params.companyId, params.connectionId);
+    const account = bankAccount(params);
+    const list = records(params.companyId, 'bankTransactions');
+    const existing = list.filter(tx => tx.accountId === account.id);
+    const latest = existing.reduce((max, tx) => (tx.date.substring(0, 10) > max ? tx.date.substring(0, 10) : max), '');
+    const transactions = Array.isArray(body?.transactions) ? body.transactions : [];
+
+    const errors = validatePayload(pushOptionsFor('bankTransactions'), body)
+      .map(problem => ({ itemId: problem.path, message: `${problem.path} ${problem.message}`, validatorName: 'MockPushValidator' }));
+    const reject = (message, itemId) => errors.push({ itemId, message, validatorName: 'MockPushValidator' });
+
+    if (found.status !== 'Linked') {
+      reject(`Connection is ${found.status}, not Linked`);
+    }
+    if (body?.accountId && body.accountId !== account.id) {
+      reject(`accountId ${body.accountId} does not match the account pushed to`);
+    }
+    if (transactions.length > MAX_BANK_TRANSACTIONS_PER_PUSH) {
+      reject(`At most ${MAX_BANK_TRANSACTIONS_PER_PUSH} transactions can be pushed at once`);
+    }
+    transactions.forEach(tx => {
+      if (existing.some(other => other.id === tx.id)) {
+        reject(`Transaction ${tx.id} has already been pushed`, tx.id);
+      } else if (typeof tx.date === 'string' && tx.date.substring(0, 10) < latest) {
+        reject(`Transaction ${tx.id} is dated before the latest transaction on the account (${latest})`, tx.id);
+      }
+    });
+
+    const operation = {
+      pushOperationKey: randomUUID(),
+      companyId: params.companyId,
+      dataConnectionKey: params.connectionId,
+      dataType: 'bankTransactions',
+      requestedOnUtc: new Date().toISOString(),
+      completedOnUtc: null,
+      status: 'Pending',
+      statusCode: 202,
+      timeoutInMinutes: 1,
+      data: structuredClone(body),
+      changes: transactions.map(tx => ({ type: 'Created', recordRef: { id: tx.id, dataType: 'bankTransactions' } })),
+      validation: { errors, warnings: [] }
+    };
+
+    state.pushOperations[params.companyId].push(operation);
+
+    later(() => {
+      operation.completedOnUtc = new Date().toISOString();
+
+      if (errors.length > 0) {
+        operation.status = 'Failed';
+        operation.statusCode = 400;
+        operation.errorMessage = 'Push failed validation';
+        operation.changes = [];
+        return;
+      }
+
+      const pushed = transactions.map(tx => ({
+        ...structuredClone(tx),
+        accountId: account.id,
+        currency: account.currency,
+        transactionType: tx.transactionType ?? (tx.amount >= 0 ? 'Credit' : 'Debit'),
+        reconciled: tx.reconciled ?? false,
+        modifiedDate: operation.completedOnUtc,
+        sourceModifiedDate: operation.completedOnUtc
+      }));
+      list.push(...pushed);
+
+      if (pushed.length > 0) {
+        account.balance = pushed[pushed.length - 1].balance;
+        if ('availableBalance' in account) account.availableBalance = account.balance;
+      }
+
+      operation.data = { accountId: account.id, transactions: pushed };
+      operation.status = 'Success';
+      operation.statusCode = 200;
+    });
+
+    return structuredClone(operation);
+  });
+
+  route('POST', '/companies/:companyId/connections/:connectionId/push/:dataType', push('POST'));
+  route('PUT', '/companies/:companyId/connections/:connectionId/push/:dataType/:id', push('PUT'));
+
+  route('GET', '/companies/:companyId/push', ({ params, query, path }) => {
+    company(params.companyId);
+    return paginate(state.pushOperations[params.companyId], query, path);
+  });
+  route('GET', '/companies/:companyId/push/:pushOperationKey', ({ params }) => {
+    company(params.companyId);
+    const found = state.pushOperations[params.companyId].find(op => op.pushOperationKey === params.pushOperationKey);
+    if (!found) throw new MockError(404, `Push operation ${params.pushOperationKey} not found`);
+    return found;
+  });
+
+  // Sync
+  const queuePull = (companyId, dataType, connectionId) => {
+    const linked = (state.connections[companyId] || []).find(c => (connectionId ? c.id === connectionId : c.status === 'Linked'));
+    if (connectionId && !linked) throw new MockError(404, `Connection ${connectionId} not found`);
+
+    const dataset = {
+      id: randomUUID(),
+      companyId,
+      connectionId: linked?.id || null,
+      dataType,
+      status: 'Queued',
+      progress: 0,
+      requested: new Date().toISOString(),
+      completed: null,
+      isCompleted: false,
+      isErrored: false
+    };
+    recordDataset(state, companyId, dataset);
+
+    later(() => {
+      const ok = linked?.status === 'Linked';
+      dataset.status = ok ? 'Complete' : 'FetchError';
+      dataset.progress = 100;
+      dataset.completed = new Date().toISOString();
+      dataset.isCompleted = ok;
+      dataset.isErrored = !ok;
+      if (!ok) dataset.errorMessage = 'No linked connection';
+      if (ok) linked.lastSync = dataset.completed;
+      recordDataset(state, companyId, dataset);
+    });
+
+    return dataset;
+  };
+
+  route('POST', '/companies/:companyId/data/all', ({ params }) => {
+    company(params.companyId);
+    MOCK_DATA_TYPES.forEach(dataType => queuePull(params.companyId, dataType));
+    return null;
+  });
+  route('POST', '/companies/:companyId/data/queue/:dataType', ({ params, query }) => {
+    records(params.companyId, params.dataType);
+    return structuredClone(queuePull(params.companyId, params.dataType, query.connectionId));
+  });
+  route('GET', '/companies/:companyId/data/history', ({ params, query, path }) => {
+    company(params.companyId);
+    return paginate(state.datasets[params.companyId], query, path);
+  });
+  route('GET', '/companies/:companyId/data/history/:datasetId', ({ params }) => {
+    company(params.companyId);
+    return find(state.datasets[params.companyId], params.datasetId, 'Dataset');
+  });
+  route('GET', '/companies/:companyId/dataStatus', ({ params }) => {
+    company(params.companyId);
+    return state.dataStatus[params.companyId];
+  });
+
+  // Reports
+  const statement = (build) => ({ params, query }) => {
+    const currency = company(params.companyId).dataConnections?.length
+      ? (records(params.companyId, 'accounts')[0]?.currency || null)
+      : null;
+    return { currency, reports: build(state.data[params.companyId] || {}, reportPeriods(query)) };
+  };
+
+  route('GET', '/companies/:companyId/data/financials/profitAndLoss', statement(profitAndLoss));
+  route('GET', '/companies/:companyId/data/financials/balanceSheet', statement(balanceSheet));
+  route('GET', '/companies/:companyId/data/financials/cashFlowStatement', statement(cashFlowStatement));
+  route('GET', '/companies/:companyId/data/aged/debtors', ({ params, query }) =>
+    agedReport(records(params.companyId, 'invoices'), query, {
+      ref: 'customerRef', refName: 'companyName', id: 'customerId', name: 'customerName', document: 'Invoices'
+    }));
+  route('GET', '/companies/:companyId/data/aged/creditors', ({ params, query }) =>
+    agedReport(records(params.companyId, 'bills'), query, {
+      ref: 'supplierRef', refName: 'supplierName', id: 'supplierId', name: 'supplierName', document: 'Bills'
+    }));
+
+  // Company data
+  route('GET', '/companies/:companyId/data/invoices/:invoiceId/pdf', ({ params }) => {
+    find(records(params.companyId, 'invoices'), params.invoiceId, 'Invoice');
+    return { url: `http://mock.codat.local/invoices/${params.invoiceId}.pdf` };
+  });
+  route('GET', '/companies/:companyId/data/:dataType', ({ params, query, path }) =>
+    paginate(records(params.companyId, params.dataType), query, path));
+  route('GET', '/companies/:companyId/data/:dataType/:id', ({ params }) =>
+    find(records(params.companyId, params.dataType), params.id, `${params.dataType} record`));
+
+  // Webhooks
+  route('GET', '/webhooks', ({ query, path }) => paginate(state.webhooks, query, path));
+  route('POST', '/webhooks', ({ body }) => {
+    if (!body?.url) throw new MockError(400, 'url is required');
+    const created = {
+      id: randomUUID(),
+      url: body.url,
+      eventTypes: body.eventTypes || [],
+      companyId: body.companyId || null,
+      disabled: Boolean(body.disabled)
+    };
+    state.webhooks.push(created);
+    return created;
+  });
+  route('GET', '/webhooks/:webhookId', ({ params }) => find(state.webhooks, params.webhookId, 'Webhook'));
+  route('DELETE', '/webhooks/:webhookId', ({ params }) => {
+    find(state.webhooks, params.webhookId, 'Webhook');
+    state.webhooks = state.webhooks.filter(w => w.id !== params.webhookId);
+    return null;
+  });
+
+  return routes;
+}
+
+/**
+ * Start a mock Codat API server
+ * Requests need a Basic Authorization header (any API key is accepted); responses follow
+ * Codat's shapes, including paginated lists, the query syntax and push operations that
+ * complete after a delay.
+ * @param {Object} options - Options
+ * @param {number} options.port - Port to listen on (0 for any free port)
+ * @param {string} options.host - Interface to bind
+ * @param {Object} [options.fixtures] - Fixtures (default: createSeedFixtures())
+ * @param {number} [options.delay] - Milliseconds before pushes and pulls complete
+ * @param {Function} [options.onRequest] - Receives (method, path, statusCode) for each request
+ * @returns {Promise<Server>} Listening server
+ */
+export function startMockServer(options = {}) {
+  const { port, host, fixtures = createSeedFixtures(), delay = 0, onRequest = () => {} } = options;
+  const state = createState(fixtures);
+  const routes = createRoutes(state, { delay });
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    const correlationId = randomUUID();
+
+    const reply = (statusCode, body) => {
+      onRequest(req.method, `${path}${url.search}`, statusCode);
+      if (body === null) {
+        res.writeHead(statusCode);
+        res.end();
+        return;
+      }
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const replyError = (statusCode, message) => reply(statusCode, {
+      statusCode,
+      service: 'MockCodat',
+      error: message,
+      correlationId,
+      canBeRetried: statusCode >= 500 ? 'Unknown' : 'False'
+    });
+
+    if (!/^Basic\s+\S+/.test(req.headers.authorization || '')) {
+      return replyError(401, 'Unauthorized: send an API key with Basic authentication');
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      const text = Buffer.concat(chunks).toString('utf8');
+
+      try {
+        body = text ? JSON.parse(text) : undefined;
+      } catch (e) {
+        return replyError(400, 'Request body is not valid JSON');
+      }
+
+      const matches = routes.filter(r => r.pattern.test(path));
+      const match = matches.find(r => r.method === req.method);
+
+      if (!match) {
+        return matches.length > 0
+          ? replyError(405, `Method ${req.method} not allowed on ${path}`)
+          : replyError(404, `No mock route for ${path}`);
+      }
+
+      try {
+        const params = match.pattern.exec(path).groups || {};
+        const result = match.handler({ params, query: Object.fromEntries(url.searchParams), body, path });
+        reply(result === null ? 204 : 200, result);
+      } catch (e) {
+        if (e instanceof MockError) return replyError(e.statusCode, e.message);
+        replyError(500, e.message);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+export default {
+  MOCK_DATA_TYPES,
+  startMockServer
+};
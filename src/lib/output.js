@@ -1,11 +1,12 @@
 /**
  * Output formatting utilities
- * Handles table, JSON, and compact output formats
+ * Handles table, JSON, compact, CSV and TSV output formats
  */
 
 import { table } from 'table';
 import chalk from 'chalk';
-import { getOutputFormat } from './config.js';
+import { getOutputFormat, getRuntimeOption } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
 
 /**
  * Format output based on user preference or explicit format
@@ -19,6 +20,10 @@ export function formatOutput(data, options = {}) {
     outputJson(data, options);
   } else if (format === 'compact') {
     outputCompact(data, options);
+  } else if (format === 'csv') {
+    outputDelimited(data, { ...options, delimiter: ',' });
+  } else if (format === 'tsv') {
+    outputDelimited(data, { ...options, delimiter: '\t' });
   } else {
     outputTable(data, options);
   }
@@ -56,6 +61,55 @@ export function outputCompact(data, options = {}) {
   });
 }
 
+/**
+ * Output data as delimited text (CSV/TSV) with RFC 4180 quoting
+ * @param {Array|Object} data - Data to output
+ * @param {Object} options - Options (columns, delimiter, flatten)
+ */
+export function outputDelimited(data, options = {}) {
+  const { columns, delimiter = ',' } = options;
+  const flatten = options.flatten ?? getRuntimeOption('flatten');
+  const items = data == null ? [] : (Array.isArray(data) ? data : [data]);
+
+  let rows;
+  let headers;
+
+  if (flatten || (!columns && items.length > 0)) {
+    const flattened = items.map(item => flattenObject(item));
+    const keys = [...new Set(flattened.flatMap(item => Object.keys(item)))];
+    headers = keys;
+    rows = flattened.map(item => keys.map(key => item[key]));
+  } else {
+    const tableColumns = columns || [];
+    headers = tableColumns.map(col => typeof col === 'string' ? col : col.header);
+    rows = items.map(item => tableColumns.map(col => {
+      const key = typeof col === 'string' ? col : col.key;
+      const formatter = typeof col === 'object' ? col.formatter : null;
+      const value = getNestedValue(item, key);
+
+      if (formatter && value !== null && value !== undefined) {
+        return stripAnsi(String(formatter(value, item)));
+      }
+
+      return value;
+    }));
+  }
+
+  process.stdout.write(toDelimited([headers, ...rows], delimiter));
+}
+
+/**
+ * Serialize rows as delimited text with RFC 4180 quoting and CRLF line endings
+ * @param {Array<Array>} rows - Rows of values (first row is usually the header)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Delimited text
+ */
+export function toDelimited(rows, delimiter = ',') {
+  return rows
+    .map(row => row.map(value => quoteField(value, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
+
 /**
  * Output data as a formatted table
  * @param {Array|Object} data - Data to output
@@ -141,6 +195,60 @@ function getNestedValue(obj, path) {
   return path.split('.').reduce((current, key) => current?.[key], obj);
 }
 
+/**
+ * Flatten nested objects into dot notation keys (arrays are kept as JSON)
+ * @param {*} value - Value to flatten
+ * @param {string} prefix - Key prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} Flat object
+ */
+function flattenObject(value, prefix = '', result = {}) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    result[prefix || 'value'] = value;
+    return result;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child !== null && typeof child === 'object' && !Array.isArray(child)) {
+      flattenObject(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Quote a delimited field per RFC 4180
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Quoted field
+ */
+function quoteField(value, delimiter) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Remove ANSI color codes from a string
+ * @param {string} text - Text to clean
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
 /**
  * Infer columns from object keys
  * @param {Object} obj - Object to infer from
@@ -221,13 +329,67 @@ export function info(message) {
   console.log(chalk.blue('ℹ'), message);
 }
 
+/**
+ * Whether errors should be written as JSON (--json-errors, or --format json)
+ * @returns {boolean} True for machine-readable errors
+ */
+export function jsonErrorsEnabled() {
+  return Boolean(getRuntimeOption('jsonErrors'));
+}
+
+/**
+ * Write a structured error object to stderr as a single JSON line
+ * @param {Object} fields - Error fields (code, message, status, details, ...)
+ * @param {number} exitCode - Exit code the process is about to use
+ */
+export function outputJsonError(fields, exitCode) {
+  const payload = {
+    name: fields.name,
+    code: fields.code,
+    message: fields.message,
+    status: fields.status ?? null,
+    details: fields.details ?? null,
+    requestId: fields.requestId ?? null,
+    method: fields.method ?? null,
+    endpoint: fields.endpoint ?? null,
+    ...fields,
+    exitCode
+  };
+  process.stderr.write(JSON.stringify({ error: payload }) + '\n');
+}
+
+/**
+ * Report an input or usage problem and exit without calling the API
+ * @param {string} message - Message to display
+ * @param {Object} options - Options (hint, details, name, code, exitCode)
+ */
+export function fail(message, options = {}) {
+  const { hint, details = null, name = 'UsageError', code = 'usage_error', exitCode = EXIT_CODES.USAGE } = options;
+
+  if (jsonErrorsEnabled()) {
+    outputJsonError({ name, code, message, details }, exitCode);
+  } else {
+    error(message);
+    if (hint) {
+      console.error(chalk.gray(hint));
+    }
+  }
+
+  process.exit(exitCode);
+}
+
 export default {
   formatOutput,
   outputJson,
   outputCompact,
+  outputDelimited,
+  toDelimited,
   outputTable,
   success,
   error,
   warning,
-  info
+  info,
+  jsonErrorsEnabled,
+  outputJsonError,
+  fail
 };
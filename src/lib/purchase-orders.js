@@ -0,0 +1,127 @@
+/**
+ * Purchase order utilities
+ * Builds bill payloads from purchase orders
+ */
+
+import chalk from 'chalk';
+import { EXIT_CODES } from './exit-codes.js';
+import { fail } from './output.js';
+
+/**
+ * Days between issue and due date when the purchase order has no payment due date
+ */
+const DEFAULT_PAYMENT_TERMS = 30;
+
+/**
+ * Line fields carried from a purchase order line to a bill line (totals are recalculated by the platform)
+ */
+const LINE_FIELDS = ['description', 'quantity', 'unitAmount', 'discountAmount', 'discountPercentage', 'trackingCategoryRefs'];
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const result = new Date(`${date.substring(0, 10)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a --lines selection of 1-based line numbers
+ * @param {string} value - Comma-separated line numbers or ranges (e.g., "1,3-4")
+ * @param {number} count - Number of lines on the purchase order
+ * @returns {Array<number>} Zero-based line indexes, in order
+ */
+export function parseLineSelection(value, count) {
+  const indexes = new Set();
+
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    const from = match ? parseInt(match[1]) : NaN;
+    const to = match?.[2] ? parseInt(match[2]) : from;
+
+    if (!match || from < 1 || to < from || to > count) {
+      fail(`Invalid line selection: ${part}`, {
+        hint: `Use line numbers from 1 to ${count}, separated by commas (ranges such as 1-2 are allowed)`
+      });
+    }
+    for (let n = from; n <= to; n++) indexes.add(n - 1);
+  }
+
+  return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Reduce a reference to the fields a push accepts
+ * @param {Object} ref - Reference from a read record
+ * @param {Array<string>} keep - Fields kept besides the ID
+ * @returns {Object|undefined} Reference
+ */
+function pushRef(ref, keep = []) {
+  if (!ref?.id) return undefined;
+  return Object.fromEntries(['id', ...keep].filter(key => ref[key] != null).map(key => [key, ref[key]]));
+}
+
+/**
+ * Build a bill payload from a purchase order's lines
+ * @param {Object} order - Purchase order
+ * @param {Object} options - Command options (issueDate, dueDate, reference, lines)
+ * @returns {Object} Bill payload
+ */
+export function billFromPurchaseOrder(order, options = {}) {
+  const number = order.purchaseOrderNumber || order.id;
+
+  if (order.status === 'Void') {
+    fail(`Purchase order ${number} is void`, {
+      hint: 'Only open purchase orders can be billed',
+      name: 'ValidationError',
+      code: 'invalid_status',
+      exitCode: EXIT_CODES.VALIDATION
+    });
+  }
+  if (order.status === 'Draft' || order.status === 'Closed') {
+    console.error(chalk.yellow('⚠'), `Purchase order ${number} is ${order.status.toLowerCase()}${order.status === 'Closed' ? ' and may already be billed' : ''}`);
+  }
+
+  const lines = order.lineItems || [];
+  const selected = options.lines ? parseLineSelection(options.lines, lines.length) : lines.map((_, i) => i);
+
+  if (selected.length === 0) {
+    fail(`Purchase order ${number} has no lines to bill`);
+  }
+
+  const issueDate = options.issueDate || new Date().toISOString().substring(0, 10);
+  const orderDueDate = order.paymentDueDate?.substring(0, 10);
+  const dueDate = options.dueDate ||
+    (orderDueDate && orderDueDate >= issueDate ? orderDueDate : addDays(issueDate, DEFAULT_PAYMENT_TERMS));
+
+  return {
+    supplierRef: pushRef(order.supplierRef),
+    reference: options.reference || order.purchaseOrderNumber,
+    issueDate,
+    dueDate,
+    currency: order.currency,
+    ...(order.currencyRate != null && order.currencyRate !== 1 ? { currencyRate: order.currencyRate } : {}),
+    purchaseOrderRefs: [pushRef({ id: order.id, purchaseOrderNumber: order.purchaseOrderNumber }, ['purchaseOrderNumber'])],
+    lineItems: selected.map(index => {
+      const line = lines[index];
+      const billLine = Object.fromEntries(LINE_FIELDS.filter(key => line[key] != null).map(key => [key, line[key]]));
+
+      return {
+        ...billLine,
+        accountRef: pushRef(line.accountRef),
+        taxRateRef: pushRef(line.taxRateRef),
+        itemRef: pushRef(line.itemRef, ['name'])
+      };
+    }),
+    note: `From purchase order ${number}`
+  };
+}
+
+export default {
+  parseLineSelection,
+  billFromPurchaseOrder
+};
@@ -0,0 +1,236 @@
+/**
+ * Push option utilities
+ * Fetches per-connection push option schemas and validates payloads against them before pushing
+ */
+
+import chalk from 'chalk';
+import { createClient } from './api.js';
+import { getCached, setCached } from './cache.js';
+import { getRuntimeOption } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { fail, jsonErrorsEnabled } from './output.js';
+
+/**
+ * How long push option schemas are cached (24 hours)
+ */
+export const PUSH_OPTIONS_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Table columns for a flattened push option schema
+ */
+export const pushOptionColumns = [
+  { key: 'path', header: 'Field' },
+  { key: 'type', header: 'Type' },
+  { key: 'required', header: 'Required', formatter: (v) => v ? chalk.yellow('yes') : '' },
+  { key: 'options', header: 'Allowed Values', formatter: (v) => v?.length ? v.join(', ') : '' },
+  { key: 'description', header: 'Description' }
+];
+
+/**
+ * Cache key for a connection's push options
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} dataType - Data type (e.g., 'invoices')
+ * @returns {string} Cache key
+ */
+function cacheKey(companyId, connectionId, dataType) {
+  return `pushOptions:${companyId}/${connectionId}/${dataType}`;
+}
+
+/**
+ * Fetch the push option schema for a data type, using the per-connection cache
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} dataType - Data type (e.g., 'invoices')
+ * @param {Object} options - Options (refresh: bypass the cache, cacheOnly: never fetch)
+ * @returns {Promise<Object|undefined>} Push option schema (undefined if cacheOnly and not cached)
+ * @throws {CodatError} If the request fails
+ */
+export async function getPushOptions(companyId, connectionId, dataType, options = {}) {
+  const key = cacheKey(companyId, connectionId, dataType);
+
+  if (!options.refresh) {
+    const cached = getCached(key, PUSH_OPTIONS_MAX_AGE);
+    if (cached || options.cacheOnly) return cached;
+  }
+
+  const schema = await createClient(options.spinner).push.options(companyId, connectionId, dataType);
+  setCached(key, schema);
+  return schema;
+}
+
+/**
+ * Flatten a push option schema into one row per field
+ * @param {Object} schema - Push option schema
+ * @param {string} prefix - Path of the schema node ('' for the root)
+ * @returns {Array<Object>} Rows ({ path, type, required, options, description })
+ */
+export function flattenPushOptions(schema, prefix = '') {
+  const rows = [];
+
+  for (const [name, field] of Object.entries(schema?.properties || {})) {
+    const path = prefix ? `${prefix}.${name}` : name;
+
+    rows.push({
+      path,
+      type: field.type,
+      required: Boolean(field.required),
+      options: (field.options || []).map(o => o.value),
+      description: field.description || field.displayName || ''
+    });
+
+    if (field.properties) {
+      rows.push(...flattenPushOptions(field, field.type === 'Array' ? `${path}[]` : path));
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Check a value against the type of a push option field
+ * @param {Object} field - Push option field
+ * @param {*} value - Value to check
+ * @returns {string|null} Error message, or null if the value matches
+ */
+function checkType(field, value) {
+  switch (field.type) {
+    case 'String':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'Number':
+      return typeof value === 'number' && !isNaN(value) ? null : 'must be a number';
+    case 'Boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'DateTime':
+      return typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'must be a date (YYYY-MM-DD or ISO 8601)';
+    case 'Object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'Array':
+      return Array.isArray(value) ? null : 'must be an array';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a payload against a push option schema
+ * @param {Object} schema - Push option schema
+ * @param {Object} payload - Payload to push
+ * @param {Object} options - Options (partial: skip required checks, for updates)
+ * @returns {Array<{path: string, message: string}>} Problems with JSON-path locations (empty if valid)
+ */
+export function validatePayload(schema, payload, options = {}) {
+  const problems = [];
+
+  const visit = (node, value, path) => {
+    for (const [name, field] of Object.entries(node.properties || {})) {
+      const fieldPath = `${path}.${name}`;
+      const fieldValue = value?.[name];
+
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        if (field.required && !options.partial) {
+          problems.push({ path: fieldPath, message: 'is required' });
+        }
+        continue;
+      }
+
+      const typeError = checkType(field, fieldValue);
+      if (typeError) {
+        problems.push({ path: fieldPath, message: typeError });
+        continue;
+      }
+
+      const allowed = (field.options || []).map(o => String(o.value));
+      if (allowed.length > 0 && field.type !== 'Object' && field.type !== 'Array' && !allowed.includes(String(fieldValue))) {
+        problems.push({ path: fieldPath, message: `must be one of: ${allowed.join(', ')}` });
+      }
+
+      if (field.properties && field.type === 'Array') {
+        fieldValue.forEach((item, i) => visit(field, item, `${fieldPath}[${i}]`));
+      } else if (field.properties) {
+        visit(field, fieldValue, fieldPath);
+      }
+    }
+  };
+
+  visit(schema || {}, payload, '$');
+  return problems;
+}
+
+/**
+ * Validate payloads against the connection's push options.
+ * Returns null when validation is disabled or the schema is unavailable (with a warning).
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} dataType - Data type (e.g., 'invoices')
+ * @param {Array<Object>} payloads - Payloads to check
+ * @param {Object} options - Options (partial: skip required checks, for updates)
+ * @returns {Promise<Array<Array<Object>>|null>} Problems per payload, or null if not validated
+ */
+export async function checkPushPayloads(companyId, connectionId, dataType, payloads, options = {}) {
+  if (getRuntimeOption('validate') === false) {
+    return null;
+  }
+
+  // A dry run must not touch the network, so it only validates against a cached schema
+  const dryRun = Boolean(getRuntimeOption('dryRun'));
+  let schema;
+
+  try {
+    schema = await getPushOptions(companyId, connectionId, dataType, { cacheOnly: dryRun });
+  } catch (e) {
+    console.error(chalk.yellow(`Could not load push options for ${dataType} (${e.status ? `HTTP ${e.status}` : e.message}); skipping validation`));
+    return null;
+  }
+
+  if (!schema) {
+    console.error(chalk.gray(`Push options for ${dataType} not cached; skipping validation (run: codat push options ${companyId} ${connectionId} ${dataType})`));
+    return null;
+  }
+
+  return payloads.map(payload => validatePayload(schema, payload, options));
+}
+
+/**
+ * Validate payloads and exit with a validation error listing every problem
+ * @param {string} companyId - Company ID
+ * @param {string} connectionId - Connection ID
+ * @param {string} dataType - Data type (e.g., 'invoices')
+ * @param {Array<Object>} payloads - Payloads to check
+ * @param {Object} options - Options (partial: skip required checks, for updates)
+ */
+export async function validatePushPayloads(companyId, connectionId, dataType, payloads, options = {}) {
+  const results = await checkPushPayloads(companyId, connectionId, dataType, payloads, options);
+  if (!results) return;
+
+  const problems = results.flatMap((list, i) =>
+    list.map(p => ({ ...p, record: payloads.length > 1 ? i + 1 : undefined }))
+  );
+
+  if (problems.length === 0) return;
+
+  if (!jsonErrorsEnabled()) {
+    problems.forEach(p => {
+      const where = p.record ? `Record ${p.record}: ` : '';
+      console.error(chalk.red('  ✗'), `${where}${p.path}`, p.message);
+    });
+  }
+
+  fail(`Payload does not match the ${dataType} push options (${problems.length} problem${problems.length === 1 ? '' : 's'})`, {
+    hint: 'Fix the fields above, or pass --no-validate to push anyway',
+    name: 'ValidationError',
+    code: 'schema_validation_failed',
+    exitCode: EXIT_CODES.VALIDATION,
+    details: problems
+  });
+}
+
+export default {
+  PUSH_OPTIONS_MAX_AGE,
+  pushOptionColumns,
+  getPushOptions,
+  flattenPushOptions,
+  validatePayload,
+  checkPushPayloads,
+  validatePushPayloads
+};
@@ -0,0 +1,257 @@
+/**
+ * Push operation utilities
+ * Tracks asynchronous push operations returned by write endpoints
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { get, post, put, createClient, handleApiError, parseWaitOptions } from './api.js';
+import { runBatch } from './batch.js';
+import { PUSH_FINAL_STATUSES } from './client.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { formatOutput, success, error, info, jsonErrorsEnabled, outputJsonError } from './output.js';
+import { validatePushPayloads } from './push-options.js';
+
+/**
+ * Push operation statuses that will not change any further
+ */
+export const FINAL_STATUSES = PUSH_FINAL_STATUSES;
+
+/**
+ * Default --wait-timeout and --poll-interval of push commands, in seconds
+ */
+const PUSH_WAIT_DEFAULTS = { timeout: 300, interval: 5 };
+
+/**
+ * Table columns for push operations
+ */
+export const pushColumns = [
+  { key: 'pushOperationKey', header: 'Push Key' },
+  { key: 'dataType', header: 'Data Type' },
+  { key: 'status', header: 'Status', formatter: (v) => colorStatus(v) },
+  { key: 'requestedOnUtc', header: 'Requested', formatter: (v) => v ? new Date(v).toLocaleString() : '—' },
+  { key: 'completedOnUtc', header: 'Completed', formatter: (v) => v ? new Date(v).toLocaleString() : '—' },
+  { key: 'validation.errors', header: 'Errors', formatter: (v) => v?.length ? chalk.red(v.length) : '—' }
+];
+
+/**
+ * Colorize a push operation status
+ * @param {string} status - Push operation status
+ * @returns {string} Colored status
+ */
+export function colorStatus(status) {
+  const colors = {
+    'Success': chalk.green,
+    'Pending': chalk.yellow,
+    'Failed': chalk.red,
+    'TimedOut': chalk.red
+  };
+  return (colors[status] || chalk.white)(status);
+}
+
+/**
+ * Fetch a single push operation
+ * @param {string} companyId - Company ID
+ * @param {string} pushOperationKey - Push operation key
+ * @param {Object} options - Request options passed to get()
+ * @returns {Promise<Object>} Push operation
+ */
+export async function getPushOperation(companyId, pushOperationKey, options = {}) {
+  return get(`/companies/${companyId}/push/${pushOperationKey}`, {}, options);
+}
+
+/**
+ * Poll a push operation until it reaches a final status
+ * @param {string} companyId - Company ID
+ * @param {string} pushOperationKey - Push operation key
+ * @param {Object} options - Options (timeout and interval in seconds)
+ * @returns {Promise<Object>} Last fetched push operation
+ */
+export async function waitForPushOperation(companyId, pushOperationKey, options = {}) {
+  const { timeout, interval } = parseWaitOptions(options, PUSH_WAIT_DEFAULTS);
+  const spinner = ora(`Waiting for push operation ${pushOperationKey}...`).start();
+
+  let operation;
+  try {
+    operation = await createClient(spinner).push.wait(companyId, pushOperationKey, {
+      timeout,
+      interval,
+      onPoll: (current, elapsed) => {
+        spinner.text = `Push operation ${current.status} (${Math.round(elapsed / 1000)}s elapsed)...`;
+      }
+    });
+  } catch (e) {
+    spinner.fail('Request failed');
+    handleApiError(e);
+  }
+
+  if (operation.status === 'Success') {
+    spinner.succeed('Push operation succeeded');
+  } else if (FINAL_STATUSES.includes(operation.status)) {
+    spinner.fail(`Push operation ${operation.status}`);
+  } else {
+    spinner.warn(`Still ${operation.status} after ${Math.round(timeout / 1000)}s`);
+  }
+
+  return operation;
+}
+
+/**
+ * Print validation errors and warnings of a push operation
+ * @param {Object} operation - Push operation
+ */
+export function printValidation(operation) {
+  if (operation.errorMessage) {
+    error(operation.errorMessage);
+  }
+
+  const { errors = [], warnings = [] } = operation.validation || {};
+
+  errors.forEach(e => {
+    console.error(chalk.red('  ✗'), e.message, chalk.gray(e.itemId ? `(${e.itemId})` : ''));
+  });
+
+  warnings.forEach(w => {
+    console.error(chalk.yellow('  ⚠'), w.message, chalk.gray(w.itemId ? `(${w.itemId})` : ''));
+  });
+}
+
+/**
+ * Report the result of a push request, optionally waiting for completion.
+ * Exits non-zero when a waited-on operation does not succeed.
+ * @param {string} companyId - Company ID
+ * @param {Object} data - Push operation returned by the push endpoint
+ * @param {Object} options - Command options (wait, waitTimeout, pollInterval, format)
+ * @param {string} label - Human-readable record name (e.g., 'Invoice')
+ * @returns {Promise<Object>} Final push operation
+ */
+export async function handlePushResult(companyId, data, options, label) {
+  let operation = data;
+
+  if (options.wait && data.pushOperationKey && !FINAL_STATUSES.includes(data.status)) {
+    operation = await waitForPushOperation(companyId, data.pushOperationKey, {
+      timeout: options.waitTimeout,
+      interval: options.pollInterval
+    });
+  }
+
+  if (operation.status === 'Success') {
+    success(`${label} pushed successfully`);
+  } else if (FINAL_STATUSES.includes(operation.status)) {
+    error(`${label} push ${operation.status.toLowerCase()}`);
+    printValidation(operation);
+  } else {
+    success(`${label} push queued: ${operation.pushOperationKey}`);
+    info(`Track it with: codat push status ${companyId} ${operation.pushOperationKey}`);
+  }
+
+  formatOutput(operation, { format: options.format });
+
+  if (options.wait) {
+    exitIfPushFailed(operation);
+  }
+
+  return operation;
+}
+
+/**
+ * Validate and push one or more payloads built by buildPayloads().
+ * A single payload is reported like any other push; several are pushed one by one
+ * and reported as a per-record summary.
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} payloads - Payloads to push
+ * @param {Object} options - Command options (wait, waitTimeout, pollInterval, format)
+ * @param {Object} request - Request description
+ * @param {string} request.connectionId - Connection ID
+ * @param {string} request.dataType - Push data type (e.g., 'invoices')
+ * @param {string} [request.id] - Record ID (for updates)
+ * @param {string} [request.method] - HTTP method (POST to create, PUT to update)
+ * @param {string} request.label - Record name (e.g., 'Invoice')
+ * @param {string} request.plural - Plural record name (e.g., 'invoices')
+ * @param {string} request.spinnerText - Spinner text for a single push
+ * @returns {Promise<Object|Array<Object>>} Push operation, or per-record results
+ */
+export async function pushPayloads(companyId, payloads, options, request) {
+  const { connectionId, dataType, id, method = 'POST', label, plural, spinnerText } = request;
+  const endpoint = `/companies/${companyId}/connections/${connectionId}/push/${dataType}${id ? `/${id}` : ''}`;
+
+  // Updates may send only the fields being changed
+  await validatePushPayloads(companyId, connectionId, dataType, payloads, { partial: method === 'PUT' });
+
+  if (payloads.length === 1) {
+    const send = method === 'PUT' ? put : post;
+    const data = await send(endpoint, payloads[0], { spinnerText });
+    return handlePushResult(companyId, data, options, label);
+  }
+
+  return runBatch(payloads, {
+    method,
+    endpoint,
+    label: plural,
+    ...pushBatchHandlers(companyId, options)
+  }, options);
+}
+
+/**
+ * Result handlers for submitting push requests with submitBatch()/runBatch()
+ * @param {string} companyId - Company ID
+ * @param {Object} options - Command options (wait, waitTimeout, pollInterval)
+ * @returns {{describe: Function, after: Function}} Handlers
+ */
+export function pushBatchHandlers(companyId, options) {
+  // Checked before anything is pushed rather than after the first push
+  const wait = options.wait
+    ? parseWaitOptions({ timeout: options.waitTimeout, interval: options.pollInterval }, PUSH_WAIT_DEFAULTS)
+    : null;
+
+  return {
+    describe: (operation) => ({
+      status: operation.status,
+      id: operation.pushOperationKey,
+      message: operation.validation?.errors?.map(e => e.message).join('; ') || operation.errorMessage || ''
+    }),
+    after: (client, operation) => {
+      if (!wait || !operation.pushOperationKey || FINAL_STATUSES.includes(operation.status)) {
+        return operation;
+      }
+
+      return client.push.wait(companyId, operation.pushOperationKey, wait);
+    }
+  };
+}
+
+/**
+ * Exit with the operation-failed code unless a push operation succeeded
+ * @param {Object} operation - Push operation
+ */
+export function exitIfPushFailed(operation) {
+  if (operation.status === 'Success') {
+    return;
+  }
+
+  if (jsonErrorsEnabled()) {
+    outputJsonError({
+      name: 'PushOperationError',
+      code: operation.status === 'Failed' ? 'push_failed' : 'push_incomplete',
+      message: operation.errorMessage || `Push operation ${operation.status?.toLowerCase() || 'did not complete'}`,
+      status: operation.statusCode ?? null,
+      details: operation.validation || null,
+      endpoint: `/companies/${operation.companyId}/push/${operation.pushOperationKey}`
+    }, EXIT_CODES.OPERATION_FAILED);
+  }
+
+  process.exit(EXIT_CODES.OPERATION_FAILED);
+}
+
+export default {
+  FINAL_STATUSES,
+  pushColumns,
+  colorStatus,
+  getPushOperation,
+  waitForPushOperation,
+  printValidation,
+  handlePushResult,
+  pushPayloads,
+  pushBatchHandlers,
+  exitIfPushFailed
+};
@@ -0,0 +1,478 @@
+/**
+ * Query builder
+ * Compiles filter conditions into Codat query syntax (https://docs.codat.io/using-the-api/querying)
+ */
+
+/**
+ * Comparison operators, longest first so that '>=' is matched before '>'
+ */
+export const QUERY_OPERATORS = ['!=', '>=', '<=', '=', '>', '<', '~'];
+
+/**
+ * ISO 8601 date or date-time (e.g., 2026-01-31, 2026-01-31T09:30:00Z)
+ */
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Relative date (e.g., 7d, 2w, 3m, 1y)
+ */
+const RELATIVE_DATE = /^(\d+)([dwmy])$/;
+
+/**
+ * Field names: identifiers separated by dots (e.g., customerRef.id)
+ */
+const FIELD_NAME = /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/;
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Move a date back by whole months, clamping to the end of shorter months (Mar 31 - 1m = Feb 28)
+ * @param {Date} date - Date to modify
+ * @param {number} months - Months to subtract
+ */
+function subtractMonths(date, months) {
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+}
+
+/**
+ * Parse a date given on the command line
+ * Accepts ISO dates and date-times, 'today', 'yesterday' and relative ages (7d, 2w, 3m, 1y)
+ * @param {string} value - Date text
+ * @param {Date} now - Reference date for relative values
+ * @returns {string} ISO date (YYYY-MM-DD) or the ISO date-time as given
+ * @throws {SyntaxError} If the value is not a recognised date
+ */
+export function parseDate(value, now = new Date()) {
+  const text = String(value).trim();
+
+  if (ISO_DATE.test(text) && !isNaN(Date.parse(text))) {
+    return text;
+  }
+
+  if (text === 'today') return isoDay(now);
+
+  const date = new Date(now);
+
+  if (text === 'yesterday') {
+    date.setUTCDate(date.getUTCDate() - 1);
+    return isoDay(date);
+  }
+
+  const relative = text.match(RELATIVE_DATE);
+  if (relative) {
+    const amount = parseInt(relative[1]);
+    switch (relative[2]) {
+      case 'd': date.setUTCDate(date.getUTCDate() - amount); break;
+      case 'w': date.setUTCDate(date.getUTCDate() - amount * 7); break;
+      case 'm': subtractMonths(date, amount); break;
+      case 'y': subtractMonths(date, amount * 12); break;
+    }
+    return isoDay(date);
+  }
+
+  throw new SyntaxError(`Invalid date "${value}" (use YYYY-MM-DD, an ISO date-time, today, yesterday or an age such as 30d)`);
+}
+
+/**
+ * Quote a string value, escaping backslashes and double quotes
+ * @param {string} value - String value
+ * @returns {string} Quoted value
+ */
+export function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Format a value for a query: numbers, booleans and dates bare, strings quoted
+ * @param {*} value - Value (string, number, boolean or Date)
+ * @returns {string} Query value
+ */
+export function formatValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return quote(value);
+}
+
+/**
+ * Build one condition
+ * @param {string} field - Field name (dotted for nested fields)
+ * @param {string} operator - One of QUERY_OPERATORS
+ * @param {*} value - Value (see formatValue)
+ * @param {Object} options - Options (date: parse the value with parseDate and emit it bare)
+ * @returns {string} Condition (e.g., totalAmount>=100)
+ * @throws {SyntaxError} If the field or operator is invalid
+ */
+export function condition(field, operator, value, options = {}) {
+  if (!FIELD_NAME.test(field)) {
+    throw new SyntaxError(`Invalid field name "${field}"`);
+  }
+  if (!QUERY_OPERATORS.includes(operator)) {
+    throw new SyntaxError(`Invalid operator "${operator}" (use ${QUERY_OPERATORS.join(' ')})`);
+  }
+
+  return `${field}${operator}${options.date ? parseDate(value) : formatValue(value)}`;
+}
+
+/**
+ * Join query parts so that every part keeps its own meaning
+ * Parts containing the other connective are wrapped in braces (Codat's grouping syntax)
+ * @param {string} connective - '&&' or '||'
+ * @param {Array<string>} parts - Queries
+ * @returns {string} Combined query
+ */
+function join(connective, parts) {
+  const other = connective === '&&' ? '||' : '&&';
+  const present = parts.filter(Boolean);
+
+  if (present.length === 1) return present[0];
+
+  return present
+    .map(part => hasTopLevel(part, other) ? `{${part}}` : part)
+    .join(connective);
+}
+
+/**
+ * Combine queries with AND
+ * @param {...string} parts - Queries (empty parts are ignored)
+ * @returns {string} Combined query
+ */
+export function and(...parts) {
+  return join('&&', parts);
+}
+
+/**
+ * Combine queries with OR
+ * @param {...string} parts - Queries (empty parts are ignored)
+ * @returns {string} Combined query
+ */
+export function or(...parts) {
+  return join('||', parts);
+}
+
+/**
+ * Check whether a query contains a connective outside of braces and quotes
+ * @param {string} query - Query
+ * @param {string} connective - '&&' or '||'
+ * @returns {boolean} True if the connective appears at the top level
+ */
+function hasTopLevel(query, connective) {
+  let depth = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+
+    if (inQuotes) {
+      if (char === '\\') i++;
+      else if (char === '"') inQuotes = false;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (depth === 0 && query.startsWith(connective, i)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Split a filter expression into tokens
+ * @param {string} text - Expression
+ * @returns {Array<Object>} Tokens ({ type: 'open'|'close'|'and'|'or'|'condition', ... })
+ * @throws {SyntaxError} If the expression cannot be tokenized
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  while (true) {
+    skipSpace();
+    if (i >= text.length) break;
+
+    const char = text[i];
+
+    if (char === '(' || char === '{') {
+      tokens.push({ type: 'open' });
+      i++;
+    } else if (char === ')' || char === '}') {
+      tokens.push({ type: 'close' });
+      i++;
+    } else if (text.startsWith('&&', i)) {
+      tokens.push({ type: 'and' });
+      i += 2;
+    } else if (text.startsWith('||', i)) {
+      tokens.push({ type: 'or' });
+      i += 2;
+    } else {
+      const field = text.slice(i).match(/^[A-Za-z_][\w.]*/)?.[0];
+      if (!field) {
+        throw new SyntaxError(`Expected a field name at position ${i + 1}`);
+      }
+      i += field.length;
+      skipSpace();
+
+      const operator = QUERY_OPERATORS.find(op => text.startsWith(op, i));
+      if (!operator) {
+        throw new SyntaxError(`Expected an operator (${QUERY_OPERATORS.join(' ')}) after "${field}"`);
+      }
+      i += operator.length;
+      skipSpace();
+
+      let raw = '';
+      let quoted = false;
+
+      if (text[i] === '"' || text[i] === '\'') {
+        const close = text[i];
+        quoted = true;
+        i++;
+        while (i < text.length && text[i] !== close) {
+          if (text[i] === '\\' && i + 1 < text.length) i++;
+          raw += text[i++];
+        }
+        if (i >= text.length) {
+          throw new SyntaxError(`Unterminated quoted value for "${field}"`);
+        }
+        i++;
+      } else {
+        while (i < text.length && !/[\s(){}]/.test(text[i]) && !text.startsWith('&&', i) && !text.startsWith('||', i)) {
+          raw += text[i++];
+        }
+        if (raw === '') {
+          throw new SyntaxError(`Missing value for "${field}${operator}"`);
+        }
+      }
+
+      tokens.push({ type: 'condition', field, operator, raw, quoted });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile a single parsed condition: quoted values stay strings; bare numbers, booleans
+ * and ISO dates are emitted bare; other bare words are quoted
+ * @param {Object} token - Condition token
+ * @returns {string} Condition
+ */
+function compileCondition({ field, operator, raw, quoted }) {
+  if (quoted) return condition(field, operator, raw);
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return condition(field, operator, Number(raw));
+  if (raw === 'true' || raw === 'false') return condition(field, operator, raw === 'true');
+  if (ISO_DATE.test(raw)) return condition(field, operator, raw, { date: true });
+  return condition(field, operator, raw);
+}
+
+/**
+ * Parse a filter expression or Codat query into a tree
+ * Supports = != > < >= <= ~, && and ||, and grouping with ( ) or { }
+ * @param {string} expression - Expression
+ * @returns {Object} Tree of { type: 'and'|'or', parts } and { type: 'condition', field, operator, raw, quoted } nodes
+ * @throws {SyntaxError} If the expression is invalid
+ */
+export function parseExpression(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseList = (type, parsePart) => {
+    const parts = [parsePart()];
+    while (peek()?.type === type) {
+      position++;
+      parts.push(parsePart());
+    }
+    return parts.length === 1 ? parts[0] : { type, parts };
+  };
+
+  const parseOr = () => parseList('or', parseAnd);
+  const parseAnd = () => parseList('and', parsePrimary);
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+
+    if (token?.type === 'open') {
+      const inner = parseOr();
+      if (tokens[position++]?.type !== 'close') {
+        throw new SyntaxError('Missing closing bracket');
+      }
+      return inner;
+    }
+
+    if (token?.type === 'condition') {
+      return token;
+    }
+
+    throw new SyntaxError(token ? 'Expected a condition' : 'Unexpected end of expression');
+  };
+
+  if (tokens.length === 0) {
+    throw new SyntaxError('Empty filter expression');
+  }
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    throw new SyntaxError(tokens[position].type === 'close' ? 'Unmatched closing bracket' : 'Expected && or ||');
+  }
+
+  return tree;
+}
+
+/**
+ * Compile a filter expression into a Codat query
+ * @param {string} expression - Expression (e.g., 'status=Paid && (totalAmount>=100 || currency!=USD)')
+ * @returns {string} Codat query (e.g., 'status="Paid"&&{totalAmount>=100||currency!="USD"}')
+ * @throws {SyntaxError} If the expression is invalid
+ */
+export function parseWhere(expression) {
+  const compile = (node) => {
+    if (node.type === 'condition') return compileCondition(node);
+    return (node.type === 'and' ? and : or)(...node.parts.map(compile));
+  };
+
+  return compile(parseExpression(expression));
+}
+
+/**
+ * Convert a date string to a timestamp, reading date-times without an offset as UTC
+ * @param {string} value - ISO date or date-time
+ * @returns {number} Milliseconds since the epoch (NaN if invalid)
+ */
+function toTime(value) {
+  const local = /T[\d:.]+$/.test(value);
+  return Date.parse(local ? `${value}Z` : value);
+}
+
+/**
+ * Compare a record value with a query value, as numbers, dates or case-insensitive strings
+ * @param {*} actual - Record value
+ * @param {string} raw - Query value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(actual, raw) {
+  if (typeof actual === 'number' && raw !== '' && !isNaN(Number(raw))) {
+    return actual - Number(raw);
+  }
+
+  if (typeof actual === 'string' && ISO_DATE.test(raw) && !isNaN(toTime(actual))) {
+    return toTime(actual) - toTime(raw);
+  }
+
+  const left = String(actual).toLowerCase();
+  const right = raw.toLowerCase();
+  return left < right ? -1 : (left > right ? 1 : 0);
+}
+
+/**
+ * Check a record against one condition
+ * @param {Object} record - Record
+ * @param {Object} node - Condition node
+ * @returns {boolean} True if the record matches
+ */
+function matchesCondition(record, { field, operator, raw, quoted }) {
+  const actual = field.split('.').reduce((value, key) => value?.[key], record);
+
+  if (!quoted && raw === 'null') {
+    return operator === '!=' ? actual != null : (operator === '=' && actual == null);
+  }
+
+  if (actual === undefined || actual === null) {
+    return operator === '!=';
+  }
+
+  if (operator === '~') {
+    return String(actual).toLowerCase().includes(raw.toLowerCase());
+  }
+
+  const order = compareValues(actual, raw);
+
+  switch (operator) {
+    case '=': return order === 0;
+    case '!=': return order !== 0;
+    case '>': return order > 0;
+    case '<': return order < 0;
+    case '>=': return order >= 0;
+    case '<=': return order <= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Check whether a record matches a Codat query (used to filter locally, e.g. by the mock server)
+ * @param {Object} record - Record
+ * @param {string|Object} query - Query text or a tree from parseExpression
+ * @returns {boolean} True if the record matches
+ * @throws {SyntaxError} If the query is invalid
+ */
+export function matchesQuery(record, query) {
+  const node = typeof query === 'string' ? parseExpression(query) : query;
+
+  if (node.type === 'and') return node.parts.every(part => matchesQuery(record, part));
+  if (node.type === 'or') return node.parts.some(part => matchesQuery(record, part));
+  return matchesCondition(record, node);
+}
+
+/**
+ * Build a query from an object of field filters, joined with &&
+ * A plain value means equality; an object maps operators to values
+ * @param {Object} filters - Filters (e.g., { status: 'Paid', totalAmount: { '>=': 100 } })
+ * @returns {string} Codat query ('' if there are no filters)
+ * @example
+ * buildQuery({ status: 'Paid', issueDate: { '>=': new Date('2026-01-01') } })
+ * // 'status="Paid"&&issueDate>=2026-01-01T00:00:00.000Z'
+ */
+export function buildQuery(filters) {
+  if (!filters) return '';
+
+  const conditions = [];
+
+  for (const [field, value] of Object.entries(filters)) {
+    if (value === undefined || value === null) continue;
+
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      for (const [operator, operand] of Object.entries(value)) {
+        if (operand !== undefined && operand !== null) {
+          conditions.push(condition(field, operator, operand));
+        }
+      }
+    } else {
+      conditions.push(condition(field, '=', value));
+    }
+  }
+
+  return and(...conditions);
+}
+
+export default {
+  QUERY_OPERATORS,
+  parseDate,
+  quote,
+  formatValue,
+  condition,
+  and,
+  or,
+  parseExpression,
+  parseWhere,
+  matchesQuery,
+  buildQuery
+};
@@ -0,0 +1,233 @@
+/**
+ * HTTP recording and replay
+ * Axios adapters that save request/response pairs to a directory (--record) and serve them back (--replay)
+ */
+
+import axios, { AxiosError } from 'axios';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { CodatError } from './errors.js';
+
+/**
+ * Header names that are never written to a recording
+ */
+const SECRET_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key)$/i;
+
+/**
+ * Replay state per recording directory, shared by every client created in this process
+ */
+const replays = new Map();
+
+/**
+ * Next sequence number per recording directory
+ */
+const sequences = new Map();
+
+/**
+ * Copy headers, dropping credentials
+ * @param {Object} headers - Axios headers
+ * @returns {Object} Plain headers object without secret headers
+ */
+function stripHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+
+  return Object.fromEntries(
+    Object.entries(plain).filter(([name, value]) => !SECRET_HEADERS.test(name) && value != null)
+  );
+}
+
+/**
+ * Describe an axios request config as a path, sorted query and body
+ * @param {Object} config - Axios request config
+ * @returns {{method: string, path: string, query: Object, body: *}} Request description
+ */
+function describeRequest(config) {
+  const url = new URL(config.url, 'http://recording.local');
+  const query = {};
+
+  url.searchParams.forEach((value, name) => { query[name] = value; });
+  for (const [name, value] of Object.entries(config.params || {})) {
+    if (value !== undefined && value !== null) query[name] = String(value);
+  }
+
+  return {
+    method: config.method.toUpperCase(),
+    path: url.pathname,
+    query: Object.fromEntries(Object.entries(query).sort(([a], [b]) => a.localeCompare(b))),
+    body: parseBody(config.data)
+  };
+}
+
+/**
+ * Parse a request or response body that may be a JSON string
+ * @param {*} data - Body
+ * @returns {*} Parsed body (null if empty)
+ */
+function parseBody(data) {
+  if (data === undefined || data === null || data === '') return null;
+  if (typeof data !== 'string') return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/**
+ * Key that identifies a request for matching
+ * @param {Object} request - Request description
+ * @returns {string} Match key
+ */
+function requestKey(request) {
+  const search = new URLSearchParams(request.query || {}).toString();
+  return `${request.method} ${request.path}${search ? `?${search}` : ''} ${JSON.stringify(request.body ?? null)}`;
+}
+
+/**
+ * Format a request for messages
+ * @param {Object} request - Request description
+ * @returns {string} "METHOD /path?query"
+ */
+function requestLabel(request) {
+  const search = new URLSearchParams(request.query || {}).toString();
+  return `${request.method} ${request.path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Create an axios adapter that sends requests over the network and saves each
+ * request/response pair as a numbered JSON file in a directory
+ * @param {string} dir - Recording directory (created if missing)
+ * @returns {Function} Axios adapter
+ */
+export function createRecordingAdapter(dir) {
+  mkdirSync(dir, { recursive: true });
+  const send = axios.getAdapter(axios.defaults.adapter);
+
+  if (!sequences.has(dir)) {
+    sequences.set(dir, readdirSync(dir).filter(name => name.endsWith('.json')).length);
+  }
+
+  const save = (config, response) => {
+    const request = describeRequest(config);
+    const sequence = sequences.get(dir) + 1;
+    sequences.set(dir, sequence);
+
+    const slug = request.path.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 80);
+    const file = join(dir, `${String(sequence).padStart(4, '0')}-${request.method.toLowerCase()}-${slug}.json`);
+
+    writeFileSync(file, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      request: { ...request, headers: stripHeaders(config.headers) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: stripHeaders(response.headers),
+        body: parseBody(response.data)
+      }
+    }, null, 2) + '\n');
+  };
+
+  return async (config) => {
+    try {
+      const response = await send(config);
+      save(config, response);
+      return response;
+    } catch (error) {
+      // Error responses are part of the interaction; network failures have nothing to record
+      if (error.response) save(config, error.response);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Load the recordings of a directory, grouped by request in recording order
+ * @param {string} dir - Recording directory
+ * @returns {Map<string, Object>} Recordings by match key ({ responses, next })
+ * @throws {CodatError} If the directory does not exist or holds an invalid recording
+ */
+function loadRecordings(dir) {
+  if (!existsSync(dir)) {
+    throw new CodatError(`Recording directory not found: ${dir}`, { code: 'replay_not_found' });
+  }
+
+  const recordings = new Map();
+
+  for (const name of readdirSync(dir).filter(file => file.endsWith('.json')).sort()) {
+    let recording;
+    try {
+      recording = JSON.parse(readFileSync(join(dir, name), 'utf8'));
+    } catch (e) {
+      throw new CodatError(`Invalid recording ${join(dir, name)}: ${e.message}`, { code: 'replay_invalid' });
+    }
+
+    const key = requestKey(recording.request || {});
+    if (!recordings.has(key)) recordings.set(key, { responses: [], next: 0 });
+    recordings.get(key).responses.push(recording.response);
+  }
+
+  return recordings;
+}
+
+/**
+ * Create an axios adapter that answers requests from a recording directory instead of the network.
+ * Identical requests get their recorded responses in order; once those run out, the last one repeats
+ * (so polling loops finish). A request with no recording fails with a replay_unmatched CodatError.
+ * @param {string} dir - Recording directory
+ * @returns {Function} Axios adapter
+ */
+export function createReplayAdapter(dir) {
+  return async (config) => {
+    if (!replays.has(dir)) {
+      replays.set(dir, loadRecordings(dir));
+    }
+
+    const request = describeRequest(config);
+    const entry = replays.get(dir).get(requestKey(request));
+
+    if (!entry) {
+      const samePath = [...replays.get(dir).keys()]
+        .map(key => key.split(' '))
+        .filter(([method, url]) => method === request.method && url.split('?')[0] === request.path);
+      const hint = samePath.length > 0
+        ? ` (recorded with other parameters or body: ${samePath.map(([, url]) => url).join(', ')})`
+        : '';
+
+      throw new CodatError(`No recording in ${dir} matches ${requestLabel(request)}${hint}`, {
+        code: 'replay_unmatched',
+        method: request.method,
+        endpoint: request.path
+      });
+    }
+
+    const recorded = entry.responses[Math.min(entry.next, entry.responses.length - 1)];
+    entry.next++;
+
+    const response = {
+      data: recorded.body === null ? '' : (typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body)),
+      status: recorded.status,
+      statusText: recorded.statusText || '',
+      headers: recorded.headers || {},
+      config,
+      request: {}
+    };
+
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+
+    return response;
+  };
+}
+
+export default {
+  createRecordingAdapter,
+  createReplayAdapter
+};
@@ -0,0 +1,321 @@
+/**
+ * Financial statement rendering
+ * Turns nested Codat report lines into indented, period-per-column statements
+ */
+
+import chalk from 'chalk';
+import { formatOutput } from './output.js';
+
+/**
+ * Format an amount with thousands separators, negatives in parentheses
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(value) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return '—';
+  }
+
+  const text = Math.abs(value).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+
+  return value < 0 ? `(${text})` : text;
+}
+
+/**
+ * Render a balance sheet, profit and loss or cash flow statement
+ * @param {Object} data - Report response ({ reports: [...], currency })
+ * @param {Object} options - Options (format, title)
+ */
+export function renderStatement(data, options = {}) {
+  const { format, title } = options;
+
+  if (format === 'json') {
+    formatOutput(data, { format });
+    return;
+  }
+
+  const reports = data?.reports || [];
+  const periods = reports.map(periodLabel);
+  const rows = buildStatementRows(reports);
+
+  if (format && format !== 'table') {
+    const columns = [
+      { key: 'line', header: 'Line' },
+      ...periods.map((period, i) => ({ key: `values.${i}`, header: period }))
+    ];
+    formatOutput(rows.map(row => ({ ...row, line: row.label })), { format, columns });
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow('No report data available'));
+    return;
+  }
+
+  printRows(title, data.currency, ['', ...periods], rows.map(row => ({
+    cells: [
+      '  '.repeat(row.depth) + row.label,
+      ...periods.map((_, i) => row.kind === 'header' ? '' : formatAmount(row.values[i]))
+    ],
+    kind: row.kind
+  })));
+}
+
+/**
+ * Render an aged debtors or aged creditors report
+ * @param {Object} data - Aged report response
+ * @param {Object} options - Options (format, title, contactKey, contactLabel)
+ */
+export function renderAgedReport(data, options = {}) {
+  const { format, title, contactKey, contactLabel } = options;
+
+  if (format === 'json') {
+    formatOutput(data, { format });
+    return;
+  }
+
+  const reports = data?.reports || [data];
+  const report = reports[0] || {};
+  const { buckets, rows } = buildAgedRows(report.data || [], contactKey, report.reportDate);
+
+  if (format && format !== 'table') {
+    const columns = [
+      { key: 'contact', header: contactLabel },
+      { key: 'currency', header: 'Currency' },
+      ...buckets.map((bucket, i) => ({ key: `values.${i}`, header: bucket })),
+      { key: 'total', header: 'Total' }
+    ];
+    formatOutput(rows, { format, columns });
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow('No report data available'));
+    return;
+  }
+
+  const dated = report.reportDate ? `${title} as at ${report.reportDate.substring(0, 10)}` : title;
+  const currencies = [...new Set(rows.map(row => row.currency))];
+
+  currencies.forEach(currency => {
+    const currencyRows = rows.filter(row => row.currency === currency);
+    const totals = buckets.map((_, i) => sum(currencyRows.map(row => row.values[i])));
+
+    printRows(dated, currency, [contactLabel, ...buckets, 'Total'], [
+      ...currencyRows.map(row => ({
+        cells: [row.contact, ...row.values.map(formatAmount), formatAmount(row.total)],
+        kind: 'line'
+      })),
+      {
+        cells: ['Total', ...totals.map(formatAmount), formatAmount(sum(totals))],
+        kind: 'total'
+      }
+    ]);
+  });
+}
+
+/**
+ * Build a label for a report period
+ * @param {Object} report - Single period report
+ * @returns {string} Period label
+ */
+function periodLabel(report) {
+  const date = report.toDate || report.date || report.fromDate;
+  return date ? date.substring(0, 10) : '';
+}
+
+/**
+ * Check whether a value is a report line ({ name, value, items })
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is a report line
+ */
+function isReportLine(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    ('value' in value || 'items' in value);
+}
+
+/**
+ * Merge the report line trees of every period and flatten them into rows
+ * @param {Array<Object>} reports - One report per period
+ * @returns {Array<Object>} Rows ({ label, depth, kind, values })
+ */
+function buildStatementRows(reports) {
+  const root = createNode('');
+
+  reports.forEach((report, period) => {
+    for (const [key, value] of Object.entries(report)) {
+      if (isReportLine(value)) {
+        mergeLine(root, { ...value, name: value.name || humanize(key) }, period);
+      } else if (typeof value === 'number') {
+        const node = childNode(root, humanize(key));
+        node.values[period] = value;
+        node.summary = true;
+      }
+    }
+  });
+
+  const rows = [];
+  root.children.forEach(node => flattenNode(node, 0, rows));
+  return rows;
+}
+
+/**
+ * Create an empty merged line node
+ * @param {string} name - Line name
+ * @returns {Object} Node
+ */
+function createNode(name) {
+  return { name, values: [], children: new Map(), summary: false };
+}
+
+/**
+ * Get or create a child node by name
+ * @param {Object} parent - Parent node
+ * @param {string} name - Child name
+ * @returns {Object} Child node
+ */
+function childNode(parent, name) {
+  if (!parent.children.has(name)) {
+    parent.children.set(name, createNode(name));
+  }
+  return parent.children.get(name);
+}
+
+/**
+ * Merge one period's report line into the tree
+ * @param {Object} parent - Parent node
+ * @param {Object} line - Report line
+ * @param {number} period - Period index
+ */
+function mergeLine(parent, line, period) {
+  const node = childNode(parent, line.name || line.accountId || 'Unnamed');
+  node.values[period] = line.value;
+  (line.items || []).forEach(item => mergeLine(node, item, period));
+}
+
+/**
+ * Flatten a node into statement rows: header, children, then a subtotal
+ * @param {Object} node - Node
+ * @param {number} depth - Indentation depth
+ * @param {Array<Object>} rows - Accumulator
+ */
+function flattenNode(node, depth, rows) {
+  if (node.children.size === 0) {
+    rows.push({ label: node.name, depth, kind: node.summary ? 'total' : 'line', values: node.values });
+    return;
+  }
+
+  rows.push({ label: node.name, depth, kind: 'header', values: [] });
+  node.children.forEach(child => flattenNode(child, depth + 1, rows));
+  rows.push({ label: `Total ${node.name}`, depth, kind: 'total', values: node.values });
+}
+
+/**
+ * Build per-contact rows of an aged report
+ * @param {Array<Object>} entries - Aged debtors/creditors
+ * @param {string} contactKey - Name field (customerName or supplierName)
+ * @param {string} reportDate - Report date
+ * @returns {Object} Bucket labels and rows
+ */
+function buildAgedRows(entries, contactKey, reportDate) {
+  const buckets = [];
+  const rows = [];
+
+  entries.forEach(entry => {
+    (entry.agedCurrencyOutstanding || []).forEach(outstanding => {
+      const values = [];
+
+      (outstanding.agedOutstandingAmounts || []).forEach((amount, i) => {
+        if (buckets[i] === undefined) buckets[i] = bucketLabel(amount, reportDate);
+        values[i] = amount.amount ?? sum((amount.details || []).map(d => d.amount));
+      });
+
+      rows.push({
+        contact: entry[contactKey] || entry.customerName || entry.supplierName || '—',
+        currency: outstanding.currency,
+        values,
+        total: sum(values)
+      });
+    });
+  });
+
+  rows.forEach(row => {
+    for (let i = 0; i < buckets.length; i++) {
+      if (row.values[i] === undefined) row.values[i] = 0;
+    }
+  });
+
+  return { buckets, rows };
+}
+
+/**
+ * Label an aging bucket as a day range relative to the report date
+ * @param {Object} amount - Aged outstanding amount ({ fromDate, toDate })
+ * @param {string} reportDate - Report date
+ * @returns {string} Bucket label
+ */
+function bucketLabel(amount, reportDate) {
+  if (!reportDate) {
+    return [amount.fromDate, amount.toDate].filter(Boolean).map(d => d.substring(0, 10)).join(' – ');
+  }
+
+  const daysBefore = (date) => Math.round((new Date(reportDate) - new Date(date)) / 86400000);
+
+  if (!amount.fromDate) return `${daysBefore(amount.toDate)}+ days`;
+  return `${daysBefore(amount.toDate)}-${daysBefore(amount.fromDate)} days`;
+}
+
+/**
+ * Print statement rows with aligned, right-justified amount columns
+ * @param {string} title - Statement title
+ * @param {string} currency - Currency code
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} rows - Rows ({ cells, kind })
+ */
+function printRows(title, currency, headers, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...rows.map(row => row.cells[i].length))
+  );
+
+  const line = (cells) => cells
+    .map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))
+    .join('  ');
+
+  console.log(chalk.bold.white(`\n${title}${currency ? ` (${currency})` : ''}`));
+  console.log(chalk.bold.cyan(line(headers)));
+  console.log(chalk.gray('─'.repeat(widths.reduce((a, b) => a + b, 0) + 2 * (widths.length - 1))));
+
+  rows.forEach(row => {
+    const text = line(row.cells);
+    console.log(row.kind === 'line' ? text : chalk.bold(text));
+  });
+}
+
+/**
+ * Turn a camelCase key into a title (netProfit -> Net Profit)
+ * @param {string} key - Key
+ * @returns {string} Title
+ */
+function humanize(key) {
+  return key
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Sum numbers, ignoring missing values
+ * @param {Array<number>} values - Values
+ * @returns {number} Sum
+ */
+function sum(values) {
+  return values.reduce((total, v) => total + (typeof v === 'number' ? v : 0), 0);
+}
+
+export default {
+  formatAmount,
+  renderStatement,
+  renderAgedReport
+};
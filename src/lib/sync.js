@@ -0,0 +1,168 @@
+/**
+ * Data sync utilities
+ * Tracks pull operations (datasets) and per-data-type data status
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { get, getAllPages, parseWaitOptions, sleep } from './api.js';
+import { condition } from './query.js';
+
+/**
+ * Pull operation statuses that indicate the pull is still running
+ */
+export const IN_PROGRESS_STATUSES = [
+  'Initial',
+  'Queued',
+  'Fetching',
+  'MapQueued',
+  'Mapping',
+  'ProcessingQueued',
+  'Processing',
+  'ValidationQueued',
+  'Validating'
+];
+
+/**
+ * Pull operation statuses that indicate the pull succeeded; every other status is a failure
+ * once the pull has finished
+ */
+export const SUCCESS_STATUSES = ['Complete'];
+
+/**
+ * Table columns for pull operations
+ */
+export const pullColumns = [
+  { key: 'id', header: 'Dataset ID' },
+  { key: 'dataType', header: 'Data Type' },
+  { key: 'connectionId', header: 'Connection' },
+  { key: 'status', header: 'Status', formatter: (v) => colorStatus(v) },
+  { key: 'progress', header: 'Progress', formatter: (v) => v != null ? `${v}%` : '—' },
+  { key: 'requested', header: 'Requested', formatter: (v) => v ? new Date(v).toLocaleString() : '—' },
+  { key: 'completed', header: 'Completed', formatter: (v) => v ? new Date(v).toLocaleString() : '—' }
+];
+
+/**
+ * Table columns for data status
+ */
+export const dataStatusColumns = [
+  { key: 'dataType', header: 'Data Type' },
+  { key: 'currentStatus', header: 'Status', formatter: (v) => colorStatus(v) },
+  { key: 'lastSuccessfulSync', header: 'Last Successful Sync', formatter: (v) => v ? new Date(v).toLocaleString() : '—' },
+  { key: 'latestSyncId', header: 'Latest Dataset' }
+];
+
+/**
+ * Colorize a pull operation status
+ * @param {string} status - Pull operation status
+ * @returns {string} Colored status
+ */
+export function colorStatus(status) {
+  if (!status) return chalk.gray('—');
+  if (SUCCESS_STATUSES.includes(status)) return chalk.green(status);
+  if (IN_PROGRESS_STATUSES.includes(status)) return chalk.yellow(status);
+  return chalk.red(status);
+}
+
+/**
+ * Check whether a pull operation has finished
+ * @param {Object} operation - Pull operation
+ * @returns {boolean} True if complete or errored
+ */
+export function isFinished(operation) {
+  return !!(operation.isCompleted || operation.isErrored) ||
+    (operation.status != null && !IN_PROGRESS_STATUSES.includes(operation.status));
+}
+
+/**
+ * Fetch data status for every data type of a company as an array
+ * @param {string} companyId - Company ID
+ * @param {Object} options - Request options passed to get()
+ * @returns {Promise<Array>} Data status entries
+ */
+export async function getDataStatus(companyId, options = {}) {
+  const data = await get(`/companies/${companyId}/dataStatus`, {}, options);
+  return Object.values(data || {});
+}
+
+/**
+ * Poll pull operations until all of them have finished
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} datasetIds - Pull operation (dataset) IDs
+ * @param {Object} options - Options (timeout and interval in seconds)
+ * @returns {Promise<Array>} Last fetched pull operations
+ */
+export async function waitForDatasets(companyId, datasetIds, options = {}) {
+  return poll(
+    () => Promise.all(datasetIds.map(id =>
+      get(`/companies/${companyId}/data/history/${id}`, {}, { showSpinner: false })
+    )),
+    (operations) => operations.every(isFinished),
+    (operations) => operations.filter(o => !isFinished(o)).map(o => o.dataType),
+    options
+  );
+}
+
+/**
+ * Poll the pull operations requested since a point in time until all of them have finished
+ * Refreshing all data types returns no dataset IDs, so the pulls are found by their request
+ * time; data status alone would still show the previous run as complete on the first poll
+ * @param {string} companyId - Company ID
+ * @param {string} requestedSince - ISO date-time taken just before the refresh was queued
+ * @param {Object} options - Options (timeout and interval in seconds)
+ * @returns {Promise<Array>} Last fetched pull operations
+ */
+export async function waitForPullsSince(companyId, requestedSince, options = {}) {
+  const query = condition('requested', '>=', requestedSince, { date: true });
+  return poll(
+    () => getAllPages(`/companies/${companyId}/data/history`, { query }, { showSpinner: false }),
+    (operations) => operations.length > 0 && operations.every(isFinished),
+    (operations) => operations.length > 0
+      ? operations.filter(o => !isFinished(o)).map(o => o.dataType)
+      : ['pulls not queued yet'],
+    options
+  );
+}
+
+/**
+ * Poll a fetch function until a condition holds or the timeout elapses
+ * @param {Function} fetch - Returns the current state
+ * @param {Function} done - Returns true when the state is final
+ * @param {Function} pending - Returns the data types still running
+ * @param {Object} options - Options (timeout and interval in seconds)
+ * @returns {Promise<Array>} Last fetched state
+ */
+async function poll(fetch, done, pending, options) {
+  const { timeout, interval } = parseWaitOptions(options, { timeout: 600, interval: 10 });
+  const spinner = ora('Waiting for data sync...').start();
+  const startedAt = Date.now();
+
+  let state = await fetch();
+
+  while (!done(state)) {
+    const elapsed = Date.now() - startedAt;
+    if (elapsed >= timeout) {
+      spinner.warn(`Still syncing after ${Math.round(elapsed / 1000)}s: ${pending(state).join(', ')}`);
+      return state;
+    }
+
+    spinner.text = `Syncing ${pending(state).join(', ')} (${Math.round(elapsed / 1000)}s elapsed)...`;
+    await sleep(Math.min(interval, timeout - elapsed));
+    state = await fetch();
+  }
+
+  spinner.succeed('Data sync finished');
+  return state;
+}
+
+export default {
+  IN_PROGRESS_STATUSES,
+  SUCCESS_STATUSES,
+  pullColumns,
+  dataStatusColumns,
+  colorStatus,
+  isFinished,
+  getDataStatus,
+  waitForDatasets,
+  waitForPullsSince
+};
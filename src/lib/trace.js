@@ -0,0 +1,237 @@
+/**
+ * HTTP tracing
+ * Axios adapter that logs requests and responses to stderr (--verbose, --debug) and to an NDJSON file,
+ * with credentials and configured PII fields redacted
+ */
+
+import axios from 'axios';
+import chalk from 'chalk';
+import { appendFileSync } from 'fs';
+
+/**
+ * Replacement for redacted values
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Headers whose values are always redacted
+ */
+const SECRET_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key)$/i;
+
+/**
+ * Response headers shown at the verbose level (request IDs and rate limits)
+ */
+const NOTABLE_HEADERS = /^(x-request-id|x-correlation-id|request-id|correlation-id|retry-after|x-ratelimit-.*|ratelimit-.*)$/i;
+
+/**
+ * Longest body printed to stderr, in characters
+ */
+const STDERR_BODY_LIMIT = 2000;
+
+/**
+ * Longest body written to the trace file, in characters
+ */
+const FILE_BODY_LIMIT = 64 * 1024;
+
+/**
+ * Replace the values of the given fields, at any depth, with [REDACTED]
+ * @param {*} value - Body or other JSON value
+ * @param {Array<string>} fields - Field names to redact (case-insensitive)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, fields) {
+  const names = new Set(fields.map(field => field.toLowerCase()));
+
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.map(visit);
+    if (node === null || typeof node !== 'object') return node;
+
+    return Object.fromEntries(Object.entries(node).map(([key, child]) =>
+      [key, names.has(key.toLowerCase()) && child !== null ? REDACTED : visit(child)]
+    ));
+  };
+
+  return visit(value);
+}
+
+/**
+ * Copy headers as a plain object with credentials redacted
+ * @param {Object} headers - Axios headers
+ * @returns {Object} Headers
+ */
+function redactHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+
+  return Object.fromEntries(Object.entries(plain)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => [name, SECRET_HEADERS.test(name) ? REDACTED : value]));
+}
+
+/**
+ * Build the full request URL with redacted query parameters
+ * @param {Object} config - Axios request config
+ * @param {Array<string>} fields - Field names to redact
+ * @returns {string} URL
+ */
+function requestUrl(config, fields) {
+  const full = axios.getUri(config);
+  const url = new URL(full, 'http://localhost');
+  const names = fields.map(field => field.toLowerCase());
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (names.includes(name.toLowerCase())) url.searchParams.set(name, REDACTED);
+  }
+
+  const text = /^https?:/i.test(full) ? url.toString() : `${url.pathname}${url.search}`;
+  return text.replaceAll(encodeURIComponent(REDACTED), REDACTED);
+}
+
+/**
+ * Parse a body that may be a JSON string
+ * @param {*} data - Body
+ * @returns {*} Parsed body (undefined if empty)
+ */
+function parseBody(data) {
+  if (data === undefined || data === null || data === '') return undefined;
+  if (typeof data !== 'string') return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/**
+ * Serialize a body, cutting it at a length limit
+ * @param {*} body - Parsed body
+ * @param {number} limit - Maximum length in characters
+ * @param {boolean} pretty - Indent JSON
+ * @returns {string} Body text
+ */
+function truncate(body, limit, pretty = false) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body, null, pretty ? 2 : 0);
+  return text.length > limit ? `${text.substring(0, limit)}… (${text.length - limit} more characters)` : text;
+}
+
+/**
+ * Body as stored in the trace file: as-is, or as truncated text when too long
+ * @param {*} body - Parsed body
+ * @returns {*} Body for the trace entry
+ */
+function fileBody(body) {
+  if (body === undefined) return undefined;
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return text.length > FILE_BODY_LIMIT ? truncate(text, FILE_BODY_LIMIT) : body;
+}
+
+/**
+ * Write a trace line to stderr, first clearing any spinner frame on the current line
+ * @param {string} line - Line to write
+ */
+function writeLine(line) {
+  process.stderr.write(`${process.stderr.isTTY ? '\r\x1b[K' : ''}${line}\n`);
+}
+
+/**
+ * Print an indented, labelled block (headers or body) to stderr
+ * @param {string} label - Block label
+ * @param {string} text - Block text
+ */
+function writeBlock(label, text) {
+  writeLine(chalk.gray(`  ${label}: ${text.replace(/\n/g, '\n  ')}`));
+}
+
+/**
+ * Create an axios adapter that traces each request attempt (retries included)
+ * @param {Function|undefined} adapter - Adapter that sends the request (default: axios' own)
+ * @param {Object} options - Trace settings
+ * @param {string|null} options.level - 'verbose' (request line, status, timing, request IDs and rate limits),
+ *   'debug' (also headers and bodies) or null (file only)
+ * @param {string|null} options.file - Append one NDJSON entry per request to this file
+ * @param {Array<string>} options.redact - Body and query fields to redact
+ * @returns {Function} Axios adapter
+ */
+export function createTracingAdapter(adapter, options) {
+  const { level, file, redact: fields = [] } = options;
+  const send = adapter || axios.getAdapter(axios.defaults.adapter);
+  const debug = level === 'debug';
+  let fileFailed = false;
+
+  const log = (entry) => {
+    if (!file || fileFailed) return;
+
+    try {
+      appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      fileFailed = true;
+      writeLine(chalk.yellow(`Cannot write trace file ${file}: ${e.message}`));
+    }
+  };
+
+  return async (config) => {
+    const method = config.method.toUpperCase();
+    const url = requestUrl(config, fields);
+    const requestHeaders = redactHeaders(config.headers);
+    const requestBody = redact(parseBody(config.data), fields);
+    const started = Date.now();
+
+    if (level) {
+      writeLine(chalk.cyan(`→ ${method} ${url}`));
+      if (debug) {
+        writeBlock('headers', JSON.stringify(requestHeaders));
+        if (requestBody !== undefined) writeBlock('body', truncate(requestBody, STDERR_BODY_LIMIT, true));
+      }
+    }
+
+    const finish = (response, error) => {
+      const durationMs = Date.now() - started;
+      const responseHeaders = response ? redactHeaders(response.headers) : undefined;
+      const responseBody = response ? redact(parseBody(response.data), fields) : undefined;
+
+      if (level && response) {
+        const notable = Object.entries(responseHeaders)
+          .filter(([name]) => NOTABLE_HEADERS.test(name))
+          .map(([name, value]) => `${name}=${value}`);
+        const color = response.status >= 400 ? chalk.red : chalk.green;
+
+        writeLine(`${color(`← ${response.status} ${response.statusText || ''}`.trim())} ${chalk.gray(`${durationMs}ms`)}${notable.length ? ` ${chalk.gray(notable.join(' '))}` : ''}`);
+        if (debug) {
+          writeBlock('headers', JSON.stringify(responseHeaders));
+          if (responseBody !== undefined) writeBlock('body', truncate(responseBody, STDERR_BODY_LIMIT, true));
+        }
+      } else if (level) {
+        writeLine(chalk.red(`✗ ${method} ${url} failed after ${durationMs}ms: ${error.code || error.message}`));
+      }
+
+      log({
+        time: new Date(started).toISOString(),
+        method,
+        url,
+        requestHeaders,
+        requestBody,
+        status: response?.status ?? null,
+        statusText: response?.statusText || undefined,
+        durationMs,
+        responseHeaders,
+        responseBody: fileBody(responseBody),
+        error: response ? undefined : (error.code || error.message)
+      });
+    };
+
+    try {
+      const response = await send(config);
+      finish(response);
+      return response;
+    } catch (error) {
+      finish(error.response, error);
+      throw error;
+    }
+  };
+}
+
+export default {
+  REDACTED,
+  redact,
+  createTracingAdapter
+};
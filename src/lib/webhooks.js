@@ -0,0 +1,317 @@
+/**
+ * Webhook utilities
+ * Verifies Codat webhook signatures, runs a local receiver and dispatches events to output and commands
+ */
+
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+
+/**
+ * Maximum age of a signed delivery, in seconds (guards against replayed requests)
+ */
+export const SIGNATURE_TOLERANCE = 5 * 60;
+
+/**
+ * Largest request body the receiver accepts, in bytes
+ */
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Read a request header, accepting several names (Codat signs with svix-* headers;
+ * the Standard Webhooks spec uses webhook-*)
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {...string} names - Header names to try
+ * @returns {string|undefined} First header value found
+ */
+function header(headers, ...names) {
+  for (const name of names) {
+    const value = headers[name];
+    if (value !== undefined) return Array.isArray(value) ? value[0] : value;
+  }
+  return undefined;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Verify the signature of a webhook delivery
+ * Signed deliveries carry svix-id, svix-timestamp and svix-signature headers: an HMAC-SHA256 of
+ * "id.timestamp.body" keyed with the base64 secret after its whsec_ prefix. Deliveries without
+ * them are checked against the legacy Authorization header, which carries the secret itself.
+ * @param {string} secret - Signing secret (whsec_...)
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} body - Raw request body
+ * @param {Object} options - Options (tolerance in seconds, now in ms)
+ * @returns {{valid: boolean, reason: string|null}} Verification result
+ */
+export function verifySignature(secret, headers, body, options = {}) {
+  const { tolerance = SIGNATURE_TOLERANCE, now = Date.now() } = options;
+  const id = header(headers, 'svix-id', 'webhook-id');
+  const timestamp = header(headers, 'svix-timestamp', 'webhook-timestamp');
+  const signatures = header(headers, 'svix-signature', 'webhook-signature');
+
+  if (!id && !timestamp && !signatures) {
+    const authorization = header(headers, 'authorization');
+    if (!authorization) return { valid: false, reason: 'missing signature headers' };
+    return safeEqual(authorization, secret)
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'Authorization header does not match the secret' };
+  }
+
+  if (!id || !timestamp || !signatures) {
+    return { valid: false, reason: 'incomplete signature headers' };
+  }
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (isNaN(age) || age > tolerance) {
+    return { valid: false, reason: `timestamp outside the ${tolerance}s tolerance` };
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+
+  // The header lists space-separated "version,signature" pairs; any v1 match is accepted
+  const match = signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    return version === 'v1' && signature && safeEqual(signature, expected);
+  });
+
+  return match ? { valid: true, reason: null } : { valid: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Describe an event, accepting current ({ eventType, payload }) and legacy ({ RuleType, Data }) shapes
+ * @param {Object} event - Webhook body
+ * @returns {{type: string, id: string|null, companyId: string|null}} Event summary
+ */
+export function describeEvent(event) {
+  return {
+    type: event?.eventType || event?.RuleType || event?.type || 'unknown',
+    id: event?.id || event?.AlertId || null,
+    companyId: event?.companyId || event?.CompanyId || event?.payload?.companyId || event?.payload?.referenceCompany?.id || null
+  };
+}
+
+/**
+ * Normalize an event type for matching ("Data sync completed" matches DataSyncCompleted)
+ * @param {string} type - Event type
+ * @returns {string} Normalized type
+ */
+function normalizeType(type) {
+  return String(type).toLowerCase().replace(/[^a-z0-9*]/g, '');
+}
+
+/**
+ * Parse --exec specifications
+ * @param {Array<string>} specs - Specifications ("EventType=command", "*=command" for every event)
+ * @returns {Array<{type: string, command: string}>} Parsed hooks
+ * @throws {SyntaxError} If a specification has no event type or command
+ */
+export function parseExecSpecs(specs = []) {
+  return specs.map(spec => {
+    const index = spec.indexOf('=');
+    const type = spec.slice(0, index).trim();
+    const command = spec.slice(index + 1).trim();
+
+    if (index < 1 || !type || !command) {
+      throw new SyntaxError(`Invalid --exec "${spec}" (expected EventType=command, or *=command for every event)`);
+    }
+
+    return { type, command };
+  });
+}
+
+/**
+ * Run a command for an event, with the event JSON on stdin and its type, ID and company in the environment
+ * @param {string} command - Shell command
+ * @param {Object} event - Webhook body
+ * @param {Object} options - Options (stdout: where the command's output goes)
+ * @returns {Promise<number>} Exit code
+ */
+function runHook(command, event, options = {}) {
+  const { type, id, companyId } = describeEvent(event);
+
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', options.stdout || 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        CODAT_EVENT_TYPE: type,
+        CODAT_EVENT_ID: id || '',
+        CODAT_COMPANY_ID: companyId || ''
+      }
+    });
+
+    // Commands that ignore stdin close it early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event));
+
+    child.on('error', () => resolve(127));
+    child.on('close', (code) => resolve(code ?? 1));
+  });
+}
+
+/**
+ * Print an event in a readable form
+ * @param {Object} event - Webhook body
+ * @param {Object} meta - Delivery details (receivedAt, verified)
+ */
+function printEvent(event, meta) {
+  const { type, id, companyId } = describeEvent(event);
+  const verified = meta.verified === true ? chalk.green('verified') : (meta.verified === false ? chalk.yellow('unverified') : chalk.gray('replayed'));
+
+  console.log([
+    chalk.gray(new Date(meta.receivedAt).toLocaleTimeString()),
+    chalk.cyan.bold(type),
+    companyId && chalk.gray(`company ${companyId}`),
+    id && chalk.gray(`id ${id}`),
+    verified
+  ].filter(Boolean).join(' '));
+
+  const message = event.Message || event.payload?.message;
+  if (message) console.log(`  ${message}`);
+
+  const data = event.payload ?? event.Data;
+  if (data !== undefined) {
+    console.log(chalk.gray(JSON.stringify(data, null, 2).replace(/^/gm, '  ')));
+  }
+}
+
+/**
+ * Create the handler shared by `webhooks listen` and `webhooks replay`:
+ * prints each event (pretty or NDJSON) and runs the matching --exec commands in order
+ * @param {Object} options - Options (format: 'pretty' or 'ndjson', exec: parsed hooks)
+ * @returns {Function} Handler receiving (event, meta) and resolving to the number of failed commands
+ */
+export function createEventHandler(options = {}) {
+  const { format = 'pretty', exec = [] } = options;
+  const ndjson = format === 'ndjson';
+
+  return async (event, meta = {}) => {
+    const receivedAt = meta.receivedAt || new Date().toISOString();
+    const { type } = describeEvent(event);
+
+    if (ndjson) {
+      process.stdout.write(JSON.stringify({ receivedAt, eventType: type, verified: meta.verified ?? null, event }) + '\n');
+    } else {
+      printEvent(event, { ...meta, receivedAt });
+    }
+
+    let failed = 0;
+
+    for (const hook of exec) {
+      if (hook.type !== '*' && normalizeType(hook.type) !== normalizeType(type)) continue;
+
+      // Keep stdout a clean NDJSON stream
+      const code = await runHook(hook.command, event, { stdout: ndjson ? process.stderr : 'inherit' });
+      if (code !== 0) {
+        failed++;
+        console.error(chalk.red(`  ✗ ${hook.command} exited with code ${code}`));
+      }
+    }
+
+    return failed;
+  };
+}
+
+/**
+ * Start a local HTTP server that receives webhook deliveries
+ * Every POST is verified (unless no secret is given), parsed and passed to onEvent;
+ * the sender gets 200 once the event is accepted, 401 for bad signatures and 400 for bad JSON.
+ * Events are handled one at a time in arrival order.
+ * @param {Object} options - Options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind
+ * @param {string} [options.path] - Only accept deliveries to this path
+ * @param {string|null} options.secret - Signing secret (null disables verification)
+ * @param {Function} options.onEvent - Receives (event, { receivedAt, verified })
+ * @param {Function} [options.onRejected] - Receives (reason, request) for rejected deliveries
+ * @returns {Promise<Server>} Listening server
+ */
+export function startWebhookServer(options) {
+  const { port, host, path, secret, onEvent, onRejected = () => {} } = options;
+  let queue = Promise.resolve();
+
+  const server = createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST') {
+      return reply(405, { error: 'Method not allowed' });
+    }
+
+    if (path && req.url.split('?')[0] !== path) {
+      onRejected(`unexpected path ${req.url}`, req);
+      return reply(404, { error: 'Not found' });
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        onRejected('body too large', req);
+        reply(413, { error: 'Payload too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const receivedAt = new Date().toISOString();
+
+      if (secret) {
+        const { valid, reason } = verifySignature(secret, req.headers, body);
+        if (!valid) {
+          onRejected(reason, req);
+          return reply(401, { error: 'Invalid signature' });
+        }
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (e) {
+        onRejected('body is not valid JSON', req);
+        return reply(400, { error: 'Invalid JSON' });
+      }
+
+      reply(200, { received: true });
+      queue = queue
+        .then(() => onEvent(event, { receivedAt, verified: Boolean(secret) }))
+        .catch((e) => console.error(chalk.red('Event handler failed:'), e.message));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+export default {
+  SIGNATURE_TOLERANCE,
+  verifySignature,
+  describeEvent,
+  parseExecSpecs,
+  createEventHandler,
+  startWebhookServer
+};
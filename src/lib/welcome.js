@@ -1,8 +1,8 @@
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
 
-function showWelcomeMessage(cliName) {
+export function showWelcomeMessage(cliName) {
   const configDir = path.join(os.homedir(), `.${cliName}`);
   const welcomeFile = path.join(configDir, '.welcome-shown');
 
@@ -44,4 +44,3 @@ function showWelcomeMessage(cliName) {
   }
 }
 
-module.exports = { showWelcomeMessage };
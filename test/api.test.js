@@ -0,0 +1,44 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getResults, parseWaitOptions, MIN_POLL_INTERVAL } from '../src/lib/api.js';
+import { setRuntimeOptions, clearRuntimeOptions } from '../src/lib/config.js';
+import { EXIT_CODES } from '../src/lib/exit-codes.js';
+
+test('parseWaitOptions converts seconds to milliseconds and falls back to the defaults', () => {
+  assert.deepEqual(parseWaitOptions({ timeout: '90', interval: '2.5' }, { timeout: 300, interval: 5 }), { timeout: 90000, interval: 2500 });
+  assert.deepEqual(parseWaitOptions({}, { timeout: 300, interval: 5 }), { timeout: 300000, interval: 5000 });
+});
+
+test('parseWaitOptions rejects timeouts and intervals that are not positive numbers with a usage error', (t) => {
+  const exit = mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+  t.after(() => exit.mock.restore());
+  const stderr = mock.method(console, 'error', () => {});
+  t.after(() => stderr.mock.restore());
+
+  const invalid = [
+    { timeout: 'abc' }, { timeout: '0' }, { timeout: '-5' }, { timeout: '' },
+    { interval: '0' }, { interval: 'fast' }, { interval: String(MIN_POLL_INTERVAL / 2) }
+  ];
+  for (const options of invalid) {
+    assert.throws(() => parseWaitOptions(options, { timeout: 300, interval: 5 }), { message: `exit ${EXIT_CODES.USAGE}` });
+  }
+});
+
+test('getResults rejects --max-items values that are not positive whole numbers before any request', async (t) => {
+  // Any request would be appended to the trace file
+  const traceFile = join(mkdtempSync(join(tmpdir(), 'codat-test-')), 'trace.ndjson');
+  setRuntimeOptions({ traceFile });
+  t.after(clearRuntimeOptions);
+  const exit = mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+  t.after(() => exit.mock.restore());
+  const stderr = mock.method(console, 'error', () => {});
+  t.after(() => stderr.mock.restore());
+
+  for (const maxItems of ['abc', '0', '-5', '2.5', '']) {
+    await assert.rejects(getResults('/companies', {}, { maxItems }), { message: `exit ${EXIT_CODES.USAGE}` });
+  }
+  assert.equal(existsSync(traceFile), false);
+});
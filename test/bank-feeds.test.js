@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTransaction } from '../src/lib/bank-feeds.js';
+
+const record = { id: 'tx-1', date: '2024-03-01', description: 'Coffee' };
+
+test('normalizeTransaction parses amounts with comma thousands separators', () => {
+  const { transaction, problems } = normalizeTransaction({ ...record, amount: '-1,234.50', balance: '10,000' });
+  assert.deepEqual(problems, []);
+  assert.equal(transaction.amount, -1234.5);
+  assert.equal(transaction.balance, 10000);
+});
+
+test('normalizeTransaction rejects decimal commas instead of misreading them', () => {
+  const { problems } = normalizeTransaction({ ...record, amount: '1,5' });
+  assert.ok(problems.includes('amount must be a number: 1,5'));
+});
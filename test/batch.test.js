@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../src/lib/batch.js';
+
+test('mapWithConcurrency keeps item order and never exceeds the limit', async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return `${i}:${ms}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 'never'), []);
+});
+
+test('mapWithConcurrency rejects a limit that is not a positive integer', async () => {
+  for (const limit of [NaN, 0, -1, 1.5, '4']) {
+    await assert.rejects(mapWithConcurrency([1], limit, async (x) => x), RangeError);
+  }
+});
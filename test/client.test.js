@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodatClient, retryDelay } from '../src/lib/client.js';
+
+const policy = { retries: 3, baseDelay: 500, maxDelay: 30000 };
+const rateLimited = (retryAfter) => ({ response: { status: 429, headers: { 'retry-after': retryAfter } } });
+
+test('retryDelay honours Retry-After in seconds or as a date', () => {
+  assert.equal(retryDelay(rateLimited('2'), 0, policy), 2000);
+  assert.equal(retryDelay(rateLimited('0'), 0, policy), 0);
+
+  const delay = retryDelay(rateLimited(new Date(Date.now() + 10000).toUTCString()), 0, policy);
+  assert.ok(delay > 8000 && delay <= 10000, `expected about 10s, got ${delay}ms`);
+  assert.equal(retryDelay(rateLimited(new Date(Date.now() - 10000).toUTCString()), 0, policy), 0);
+});
+
+test('retryDelay caps Retry-After at maxDelay', () => {
+  assert.equal(retryDelay(rateLimited('86400'), 0, policy), 30000);
+  assert.equal(retryDelay(rateLimited(new Date(Date.now() + 3600000).toUTCString()), 0, policy), 30000);
+});
+
+test('retryDelay falls back to jittered exponential backoff', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const delay = retryDelay({ response: { status: 503, headers: {} } }, attempt, policy);
+    assert.ok(delay >= 0 && delay <= Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt));
+  }
+});
+
+test('CodatClient rejects a retry count that is not a whole number of 0 or more', () => {
+  for (const retries of [NaN, -1, 2.5, '3', Infinity]) {
+    assert.throws(() => new CodatClient({ apiKey: 'key', retry: { retries } }), TypeError);
+  }
+  assert.equal(new CodatClient({ apiKey: 'key', retry: { retries: 0 } }).retry.retries, 0);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitLine } from '../src/lib/completion.js';
+
+test('splitLine splits on whitespace and keeps quoted text together', () => {
+  assert.deepEqual(splitLine('invoices list --where "status=Paid && totalAmount>100"'), ['invoices', 'list', '--where', 'status=Paid && totalAmount>100']);
+  assert.deepEqual(splitLine('companies create \'Acme Ltd\' --json'), ['companies', 'create', 'Acme Ltd', '--json']);
+  assert.deepEqual(splitLine('  use   c0ffee  '), ['use', 'c0ffee']);
+  assert.deepEqual(splitLine('pre"fix"post'), ['prefixpost']);
+  assert.deepEqual(splitLine('a "" b'), ['a', '', 'b']);
+  assert.deepEqual(splitLine(''), []);
+});
+
+test('splitLine applies backslash escapes outside quotes and inside double quotes only', () => {
+  assert.deepEqual(splitLine('Acme\\ Ltd'), ['Acme Ltd']);
+  assert.deepEqual(splitLine('"say \\"hi\\""'), ['say "hi"']);
+  assert.deepEqual(splitLine('\'C:\\temp\''), ['C:\\temp']);
+});
+
+test('splitLine rejects an unterminated quote unless completing a partial line', () => {
+  assert.throws(() => splitLine('companies create "Acme'), { name: 'SyntaxError', message: 'Unterminated double quote' });
+  assert.throws(() => splitLine('companies create \'Acme'), { name: 'SyntaxError', message: 'Unterminated single quote' });
+  assert.deepEqual(splitLine('companies create "Acme L', { partial: true }), ['companies', 'create', 'Acme L']);
+});
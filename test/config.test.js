@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Keep the config store out of the user's home directory
+process.env.XDG_CONFIG_HOME = mkdtempSync(join(tmpdir(), 'codat-test-'));
+delete process.env.CODAT_PROFILE;
+delete process.env.CODAT_API_KEY;
+
+const { default: config, resolveSetting, checkActiveProfile, getRetryPolicy, setRuntimeOptions, clearRuntimeOptions } = await import('../src/lib/config.js');
+
+test('resolveSetting reports a stored value as coming from the profile, even when it equals the default', () => {
+  assert.deepEqual(resolveSetting('baseUrl'), { value: 'https://api.codat.io', source: 'built-in default' });
+
+  config.set('baseUrl', 'https://api.codat.io');
+  config.set('profiles.staging.defaultPageSize', 100);
+
+  assert.deepEqual(resolveSetting('baseUrl'), { value: 'https://api.codat.io', source: 'profile "default"' });
+  assert.deepEqual(resolveSetting('defaultPageSize', 'staging'), { value: 100, source: 'profile "staging"' });
+  assert.deepEqual(resolveSetting('outputFormat', 'staging'), { value: 'table', source: 'built-in default' });
+  assert.deepEqual(resolveSetting('webhookSecret', 'staging'), { value: null, source: 'not set' });
+});
+
+test('checkActiveProfile rejects a profile that does not exist and lists the existing ones', (t) => {
+  t.after(clearRuntimeOptions);
+
+  setRuntimeOptions({ profile: 'staging' });
+  assert.doesNotThrow(checkActiveProfile);
+
+  setRuntimeOptions({ profile: 'stagign' });
+  assert.throws(checkActiveProfile, {
+    message: 'Unknown profile "stagign" (from --profile flag). Existing profiles: default, staging'
+  });
+});
+
+test('getRetryPolicy accepts only whole retry counts of 0 or more', (t) => {
+  t.after(clearRuntimeOptions);
+
+  setRuntimeOptions({ retries: '0' });
+  assert.equal(getRetryPolicy().retries, 0);
+  setRuntimeOptions({ retries: '5' });
+  assert.equal(getRetryPolicy().retries, 5);
+
+  for (const retries of ['abc', '-1', '2.5', '']) {
+    setRuntimeOptions({ retries });
+    assert.throws(getRetryPolicy, { message: `Invalid --retries: ${retries} (use a whole number of 0 or more)` });
+  }
+
+  clearRuntimeOptions();
+  config.set('retries', 1.5);
+  t.after(() => config.delete('retries'));
+  assert.throws(getRetryPolicy, /Invalid retries setting: 1.5/);
+});
@@ -0,0 +1,66 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setRuntimeOptions, clearRuntimeOptions } from '../src/lib/config.js';
+import { convertCell, parseConcurrency, resolveContacts } from '../src/lib/import.js';
+import { EXIT_CODES } from '../src/lib/exit-codes.js';
+
+const customers = { ref: 'customerRef', dataType: 'customers', nameField: 'customerName', label: 'customer' };
+
+test('resolveContacts leaves contacts as placeholders under --dry-run, without calling the API', async (t) => {
+  // Any request would be appended to the trace file
+  const traceFile = join(mkdtempSync(join(tmpdir(), 'codat-test-')), 'trace.ndjson');
+  setRuntimeOptions({ dryRun: true, traceFile });
+  t.after(clearRuntimeOptions);
+  const warn = mock.method(console, 'error', () => {});
+  t.after(() => warn.mock.restore());
+
+  const documents = [
+    { contact: 'Acme Ltd', rows: [2, 3] },
+    { contact: 'c0ffee-1', rows: [4] },
+    { contact: '', rows: [5] }
+  ];
+  const errors = new Map();
+  await resolveContacts('company-1', documents, { contact: customers }, errors);
+
+  assert.deepEqual(documents.map(doc => doc.contactId), ['<customer: Acme Ltd>', '<customer: c0ffee-1>', undefined]);
+  assert.equal(errors.size, 0);
+  assert.equal(existsSync(traceFile), false);
+  assert.match(warn.mock.calls[0].arguments.join(' '), /Dry run: customers not looked up \(2 documents\)/);
+});
+
+test('convertCell only strips commas used as thousands separators', () => {
+  assert.deepEqual(convertCell('lineItems.unitAmount', '1,234.50'), { value: 1234.5, error: null });
+  assert.deepEqual(convertCell('lineItems.unitAmount', '-12,345,678'), { value: -12345678, error: null });
+  assert.deepEqual(convertCell('lineItems.quantity', '12'), { value: 12, error: null });
+  assert.deepEqual(convertCell('lineItems.quantity', '1 000'), { value: 1000, error: null });
+
+  for (const ambiguous of ['1,5', '1,23', '12,34.5', '1234,567', ',123']) {
+    const { value, error } = convertCell('lineItems.unitAmount', ambiguous);
+    assert.equal(value, ambiguous);
+    assert.match(error, /is not a number \(use \. for decimals/);
+  }
+  assert.equal(convertCell('totalAmount', 'ten').error, 'totalAmount "ten" is not a number');
+});
+
+test('convertCell checks dates and leaves other fields as text', () => {
+  assert.deepEqual(convertCell('issueDate', '2024-03-01'), { value: '2024-03-01', error: null });
+  assert.match(convertCell('dueDate', '01/03/2024').error, /is not a date \(YYYY-MM-DD\)/);
+  assert.deepEqual(convertCell('lineItems.description', '1,5'), { value: '1,5', error: null });
+});
+
+test('parseConcurrency accepts positive whole numbers and fails with a usage error otherwise', (t) => {
+  assert.equal(parseConcurrency('4'), 4);
+  assert.equal(parseConcurrency(1), 1);
+
+  const exit = mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+  t.after(() => exit.mock.restore());
+  const stderr = mock.method(console, 'error', () => {});
+  t.after(() => stderr.mock.restore());
+
+  for (const value of ['abc', '0', '-2', '1.5', '']) {
+    assert.throws(() => parseConcurrency(value), { message: `exit ${EXIT_CODES.USAGE}` });
+  }
+});
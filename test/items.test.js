@@ -0,0 +1,36 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setRuntimeOptions, clearRuntimeOptions } from '../src/lib/config.js';
+import { resolveItemCodes, lineItemCode } from '../src/lib/items.js';
+
+test('lineItemCode reads itemCode or an itemRef without an ID', () => {
+  assert.equal(lineItemCode({ itemCode: 'WIDGET' }), 'WIDGET');
+  assert.equal(lineItemCode({ itemCode: 42 }), '42');
+  assert.equal(lineItemCode({ itemRef: { code: 'GADGET' } }), 'GADGET');
+  assert.equal(lineItemCode({ itemRef: { id: 'item-1', code: 'GADGET' } }), undefined);
+  assert.equal(lineItemCode({ description: 'Consulting' }), undefined);
+});
+
+test('resolveItemCodes leaves item codes as given under --dry-run, without calling the API', async (t) => {
+  // Any request would be appended to the trace file
+  const traceFile = join(mkdtempSync(join(tmpdir(), 'codat-test-')), 'trace.ndjson');
+  setRuntimeOptions({ dryRun: true, traceFile });
+  t.after(clearRuntimeOptions);
+  const warn = mock.method(console, 'error', () => {});
+  t.after(() => warn.mock.restore());
+
+  const payloads = [{ lineItems: [{ itemCode: 'WIDGET', quantity: 2 }, { description: 'Setup', unitAmount: 50 }] }];
+  const result = await resolveItemCodes('company-1', payloads, 'invoices');
+
+  assert.deepEqual(result[0].lineItems, [{ itemCode: 'WIDGET', quantity: 2 }, { description: 'Setup', unitAmount: 50 }]);
+  assert.equal(existsSync(traceFile), false);
+  assert.match(warn.mock.calls[0].arguments.join(' '), /Dry run: item code not resolved \(WIDGET\)/);
+});
+
+test('resolveItemCodes does nothing when no line has an item code', async () => {
+  const payloads = [{ lineItems: [{ description: 'Setup', unitAmount: 50 }] }];
+  assert.equal(await resolveItemCodes('company-1', payloads, 'bills'), payloads);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { condition, and, or, parseWhere, parseDate } from '../src/lib/query.js';
+
+test('condition quotes strings and leaves numbers, booleans and dates bare', () => {
+  assert.equal(condition('customerRef.id', '=', 'abc'), 'customerRef.id="abc"');
+  assert.equal(condition('name', '=', 'Say "hi" \\o/'), 'name="Say \\"hi\\" \\\\o/"');
+  assert.equal(condition('totalAmount', '>=', 100), 'totalAmount>=100');
+  assert.equal(condition('isDeleted', '!=', true), 'isDeleted!=true');
+  assert.equal(condition('requested', '>=', new Date(0)), 'requested>=1970-01-01T00:00:00.000Z');
+  assert.equal(condition('issueDate', '>=', '2024-01-31', { date: true }), 'issueDate>=2024-01-31');
+});
+
+test('condition rejects invalid fields, operators and dates', () => {
+  assert.throws(() => condition('total amount', '=', 1), { name: 'SyntaxError', message: 'Invalid field name "total amount"' });
+  assert.throws(() => condition('a&&b', '=', 1), SyntaxError);
+  assert.throws(() => condition('totalAmount', '==', 1), /Invalid operator "=="/);
+  assert.throws(() => condition('issueDate', '>=', 'last week', { date: true }), /Invalid date "last week"/);
+});
+
+test('and/or skip empty parts and brace parts that use the other connective', () => {
+  assert.equal(and('a=1', undefined, '', 'b=2'), 'a=1&&b=2');
+  assert.equal(and(undefined, 'a=1'), 'a=1');
+  assert.equal(and('a=1||b=2', 'c=3'), '{a=1||b=2}&&c=3');
+  assert.equal(or('a=1&&b=2', 'c="x&&y"'), '{a=1&&b=2}||c="x&&y"');
+  assert.equal(and('{a=1||b=2}', 'c=3'), '{a=1||b=2}&&c=3');
+});
+
+test('parseWhere compiles expressions into Codat queries', () => {
+  assert.equal(parseWhere('status=Paid && (totalAmount>=100 || currency!=USD)'), 'status="Paid"&&{totalAmount>=100||currency!="USD"}');
+  assert.equal(parseWhere('a=1||b=2&&c=3'), 'a=1||{b=2&&c=3}');
+  assert.equal(parseWhere('{a=1||b=2}&&c=x'), '{a=1||b=2}&&c="x"');
+  assert.equal(parseWhere('isDeleted=false'), 'isDeleted=false');
+  assert.equal(parseWhere('contactName~acme'), 'contactName~"acme"');
+  assert.equal(parseWhere('issueDate>=2024-01-31'), 'issueDate>=2024-01-31');
+  assert.equal(parseWhere('modifiedDate>2024-01-01T09:30:00Z'), 'modifiedDate>2024-01-01T09:30:00Z');
+  assert.equal(parseWhere('name=\'Acme Ltd\''), 'name="Acme Ltd"');
+  assert.equal(parseWhere('reference="100"'), 'reference="100"');
+  assert.equal(parseWhere('name="O\\"Brien"'), 'name="O\\"Brien"');
+});
+
+test('parseWhere reports syntax errors', () => {
+  const errors = {
+    '': 'Empty filter expression',
+    'a=': 'Missing value for "a="',
+    'a=1 &&': 'Unexpected end of expression',
+    '(a=1': 'Missing closing bracket',
+    'a=1)': 'Unmatched closing bracket',
+    'a=1 b=2': 'Expected && or ||',
+    'a 1': 'Expected an operator (!= >= <= = > < ~) after "a"',
+    '1a=2': 'Expected a field name at position 1',
+    'a="x': 'Unterminated quoted value for "a"'
+  };
+  for (const [expression, message] of Object.entries(errors)) {
+    assert.throws(() => parseWhere(expression), { name: 'SyntaxError', message }, expression);
+  }
+});
+
+test('parseDate accepts ISO dates, keywords and relative ages', () => {
+  const now = new Date('2024-03-31T12:00:00Z');
+  assert.equal(parseDate('2024-01-31', now), '2024-01-31');
+  assert.equal(parseDate('2024-01-31T09:30:00Z', now), '2024-01-31T09:30:00Z');
+  assert.equal(parseDate('today', now), '2024-03-31');
+  assert.equal(parseDate('yesterday', now), '2024-03-30');
+  assert.equal(parseDate('30d', now), '2024-03-01');
+  assert.equal(parseDate('2w', now), '2024-03-17');
+  assert.equal(parseDate('1m', now), '2024-02-29');
+  assert.equal(parseDate('1y', now), '2023-03-31');
+  assert.throws(() => parseDate('2024-02-30T25:00', now), SyntaxError);
+});
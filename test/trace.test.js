@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { REDACTED, redact, createTracingAdapter } from '../src/lib/trace.js';
+
+test('redact masks the given fields at any depth, case-insensitively', () => {
+  const body = {
+    customerName: 'Acme Ltd',
+    emailAddress: 'ap@acme.test',
+    addresses: [{ type: 'Billing', line1: '1 High St', Phone: '+44 20 7946 0000' }],
+    bankDetails: { accountNumber: '12345678', sortCode: '01-02-03' }
+  };
+
+  assert.deepEqual(redact(body, ['emailAddress', 'phone', 'bankDetails']), {
+    customerName: 'Acme Ltd',
+    emailAddress: REDACTED,
+    addresses: [{ type: 'Billing', line1: '1 High St', Phone: REDACTED }],
+    bankDetails: REDACTED
+  });
+  assert.equal(body.emailAddress, 'ap@acme.test');
+});
+
+test('redact keeps nulls, scalars and unlisted fields as they are', () => {
+  assert.deepEqual(redact({ emailAddress: null, phone: '' }, ['emailAddress', 'phone']), { emailAddress: null, phone: REDACTED });
+  assert.deepEqual(redact([1, 'two', null], ['phone']), [1, 'two', null]);
+  assert.equal(redact('plain text body', ['phone']), 'plain text body');
+  assert.equal(redact(undefined, ['phone']), undefined);
+  assert.deepEqual(redact({ phone: '1' }, []), { phone: '1' });
+});
+
+test('the tracing adapter redacts credentials, query parameters and body fields in the trace file', async () => {
+  const file = join(mkdtempSync(join(tmpdir(), 'codat-test-')), 'trace.ndjson');
+  const send = async () => ({
+    status: 200,
+    statusText: 'OK',
+    headers: { 'set-cookie': 'session=1', 'x-request-id': 'req-1' },
+    data: JSON.stringify({ id: 'c-1', emailAddress: 'ap@acme.test' })
+  });
+  const adapter = createTracingAdapter(send, { level: null, file, redact: ['emailAddress'] });
+
+  await adapter({
+    method: 'post',
+    baseURL: 'https://api.codat.io',
+    url: '/companies/c-1/customers',
+    params: { emailAddress: 'ap@acme.test', page: 1 },
+    headers: { Authorization: 'Basic c2VjcmV0', 'Content-Type': 'application/json' },
+    data: JSON.stringify({ customerName: 'Acme Ltd', emailAddress: 'ap@acme.test' })
+  });
+
+  const entry = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(entry.url, `https://api.codat.io/companies/c-1/customers?emailAddress=${REDACTED}&page=1`);
+  assert.equal(entry.requestHeaders.Authorization, REDACTED);
+  assert.equal(entry.requestHeaders['Content-Type'], 'application/json');
+  assert.deepEqual(entry.requestBody, { customerName: 'Acme Ltd', emailAddress: REDACTED });
+  assert.equal(entry.responseHeaders['set-cookie'], REDACTED);
+  assert.deepEqual(entry.responseBody, { id: 'c-1', emailAddress: REDACTED });
+  assert.doesNotMatch(readFileSync(file, 'utf8'), /ap@acme\.test|c2VjcmV0/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { verifySignature, SIGNATURE_TOLERANCE } from '../src/lib/webhooks.js';
+
+const secret = `whsec_${Buffer.from('codat-test-signing-key').toString('base64')}`;
+const body = '{"eventType":"invoices.write.successful","companyId":"company-1"}';
+const now = 1700000000000;
+const timestamp = String(now / 1000);
+
+// Sign a body the way Codat does: HMAC-SHA256 of "id.timestamp.body" keyed with the decoded secret
+function sign(id, ts, payload, key = secret) {
+  const raw = Buffer.from(key.replace(/^whsec_/, ''), 'base64');
+  return createHmac('sha256', raw).update(`${id}.${ts}.${payload}`).digest('base64');
+}
+
+const signed = (overrides = {}) => ({
+  'svix-id': 'msg_1',
+  'svix-timestamp': timestamp,
+  'svix-signature': `v1,${sign('msg_1', timestamp, body)}`,
+  ...overrides
+});
+
+test('verifySignature accepts a valid svix signature, also among several or under webhook-* names', () => {
+  assert.deepEqual(verifySignature(secret, signed(), body, { now }), { valid: true, reason: null });
+  assert.equal(verifySignature(secret, signed({ 'svix-signature': `v1,b2xk v1,${sign('msg_1', timestamp, body)}` }), body, { now }).valid, true);
+
+  const standard = {
+    'webhook-id': 'msg_1',
+    'webhook-timestamp': timestamp,
+    'webhook-signature': `v1,${sign('msg_1', timestamp, body)}`
+  };
+  assert.equal(verifySignature(secret, standard, body, { now }).valid, true);
+});
+
+test('verifySignature rejects a tampered body, a wrong secret or another version', () => {
+  assert.deepEqual(verifySignature(secret, signed(), body.replace('company-1', 'company-2'), { now }), { valid: false, reason: 'signature mismatch' });
+
+  const otherSecret = `whsec_${Buffer.from('another-key').toString('base64')}`;
+  assert.equal(verifySignature(otherSecret, signed(), body, { now }).reason, 'signature mismatch');
+
+  assert.equal(verifySignature(secret, signed({ 'svix-signature': `v2,${sign('msg_1', timestamp, body)}` }), body, { now }).valid, false);
+});
+
+test('verifySignature rejects timestamps outside the tolerance', () => {
+  const late = now + (SIGNATURE_TOLERANCE + 1) * 1000;
+  assert.deepEqual(verifySignature(secret, signed(), body, { now: late }), {
+    valid: false,
+    reason: `timestamp outside the ${SIGNATURE_TOLERANCE}s tolerance`
+  });
+  assert.equal(verifySignature(secret, signed(), body, { now: now + 30000, tolerance: 10 }).valid, false);
+  assert.equal(verifySignature(secret, signed({ 'svix-timestamp': 'soon' }), body, { now }).valid, false);
+});
+
+test('verifySignature reports missing or incomplete headers', () => {
+  assert.deepEqual(verifySignature(secret, {}, body, { now }), { valid: false, reason: 'missing signature headers' });
+  assert.deepEqual(verifySignature(secret, { 'svix-id': 'msg_1' }, body, { now }), { valid: false, reason: 'incomplete signature headers' });
+});
+
+test('verifySignature checks the legacy Authorization header against the secret', () => {
+  assert.equal(verifySignature(secret, { authorization: secret }, body).valid, true);
+  assert.deepEqual(verifySignature(secret, { authorization: 'whsec_wrong' }, body), {
+    valid: false,
+    reason: 'Authorization header does not match the secret'
+  });
+});